@@ -0,0 +1,387 @@
+/**
+ * Accessibility
+ * Adds EPUB accessibility metadata to built EPUBs and audits the markdown
+ * sources for images without alt text, skipped heading levels, untagged
+ * passages in another script and tables without headers
+ */
+const fs = require('fs');
+const path = require('path');
+const { loadConfig } = require('./config');
+const { resolveChapterFiles } = require('./chapters');
+const { resolveMatterFiles } = require('./matter');
+const { readChapter } = require('./frontmatter');
+const { readZip, createZip } = require('./zip');
+
+/**
+ * Package document properties of the `accessibility` settings
+ */
+const METADATA_PROPERTIES = {
+  accessMode: 'schema:accessMode',
+  accessModeSufficient: 'schema:accessModeSufficient',
+  accessibilityFeature: 'schema:accessibilityFeature',
+  accessibilityHazard: 'schema:accessibilityHazard',
+  accessibilitySummary: 'schema:accessibilitySummary',
+  conformsTo: 'dcterms:conformsTo',
+  certifiedBy: 'a11y:certifiedBy'
+};
+
+/**
+ * Settings retailers expect in every EPUB
+ */
+const REQUIRED_SETTINGS = ['accessMode', 'accessibilityFeature', 'accessibilityHazard', 'accessibilitySummary'];
+
+/**
+ * Writing systems detected in the audit. Latin is never reported, since
+ * names, code and abbreviations in Latin script appear in books of any language.
+ */
+const SCRIPTS = ['Arabic', 'Cyrillic', 'Devanagari', 'Greek', 'Han', 'Hangul', 'Hebrew', 'Hiragana', 'Katakana', 'Thai'];
+
+/**
+ * Scripts a language is written in, by base language code
+ */
+const LANGUAGE_SCRIPTS = {
+  ar: ['Arabic'], fa: ['Arabic'], ur: ['Arabic'], ps: ['Arabic'],
+  be: ['Cyrillic'], bg: ['Cyrillic'], kk: ['Cyrillic'], mk: ['Cyrillic'], ru: ['Cyrillic'], sr: ['Cyrillic'], uk: ['Cyrillic'],
+  hi: ['Devanagari'], mr: ['Devanagari'], ne: ['Devanagari'], sa: ['Devanagari'],
+  el: ['Greek'],
+  he: ['Hebrew'], yi: ['Hebrew'],
+  ja: ['Han', 'Hiragana', 'Katakana'],
+  ko: ['Hangul', 'Han'],
+  th: ['Thai'],
+  zh: ['Han']
+};
+
+/**
+ * Runs of text in one of the detected scripts
+ */
+const SCRIPT_RUN = new RegExp(SCRIPTS.map(script => `\\p{Script=${script}}[\\p{Script=${script}}\\p{M}\\s]*`).join('|'), 'gu');
+
+/**
+ * Escape text for an XML element
+ * 
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeXml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Add the accessibility metadata of book.yaml to a built EPUB 3
+ * 
+ * Pandoc writes the schema.org properties itself (see getPandocArgs); this
+ * adds whatever it left out, including `dcterms:conformsTo` and
+ * `a11y:certifiedBy`, which pandoc has no field for.
+ * 
+ * @param {string} epubPath - Path to the EPUB file
+ * @param {Object} accessibility - Normalized `accessibility` settings
+ * @returns {Array<string>} - Properties added to the package document
+ * @throws {Error} - If the EPUB cannot be read
+ */
+function applyAccessibilityMetadata(epubPath, accessibility = {}) {
+  const wanted = Object.entries(METADATA_PROPERTIES).flatMap(([key, property]) =>
+    (Array.isArray(accessibility[key]) ? accessibility[key] : [accessibility[key]])
+      .filter(Boolean)
+      .map(value => ({ property, value: String(value) })));
+  
+  if (wanted.length === 0) {
+    return [];
+  }
+  
+  const entries = readZip(fs.readFileSync(epubPath));
+  const container = entries.find(entry => entry.name === 'META-INF/container.xml');
+  const opfPath = container && (container.read().toString('utf-8').match(/full-path\s*=\s*["']([^"']+)["']/) || [])[1];
+  const opfEntry = entries.find(entry => entry.name === opfPath);
+  
+  if (!opfEntry) {
+    throw new Error(`No package document found in ${epubPath}`);
+  }
+  
+  const opf = opfEntry.read().toString('utf-8');
+  
+  // Refinement properties only exist in EPUB 3
+  if (!/<package\b[^>]*\bversion\s*=\s*["']3/.test(opf)) {
+    return [];
+  }
+  
+  const existing = new Set([...opf.matchAll(/<meta\b[^>]*\bproperty\s*=\s*["']([^"']+)["'][^>]*>([^<]*)</g)]
+    .map(match => `${match[1]}\n${match[2].trim()}`));
+  const missing = wanted.filter(({ property, value }) => !existing.has(`${property}\n${escapeXml(value)}`));
+  
+  if (missing.length === 0) {
+    return [];
+  }
+  
+  const updated = opf.replace(/([ \t]*)(<\/(?:[\w-]+:)?metadata>)/, (match, indent, close) =>
+    `${missing.map(({ property, value }) => `${indent}  <meta property="${property}">${escapeXml(value)}</meta>\n`).join('')}${indent}${close}`);
+  
+  fs.writeFileSync(epubPath, createZip(entries.map(entry => ({
+    name: entry.name,
+    data: entry === opfEntry ? updated : entry.read(),
+    store: entry.method === 0
+  }))));
+  
+  return missing.map(({ property }) => property);
+}
+
+/**
+ * Get the scripts a language is written in
+ * 
+ * @param {string} language - Language code (regional variants use the base language)
+ * @returns {Array<string>} - Script names
+ */
+function getLanguageScripts(language) {
+  return LANGUAGE_SCRIPTS[String(language).toLowerCase().split(/[-_]/)[0]] || [];
+}
+
+/**
+ * Get the script of the first character of a text
+ * 
+ * @param {string} text - Text
+ * @returns {string|null} - Script name, or null for scripts the audit ignores
+ */
+function getScript(text) {
+  return SCRIPTS.find(script => new RegExp(`^\\p{Script=${script}}`, 'u').test(text)) || null;
+}
+
+/**
+ * Remove the parts of a line that cannot contain untagged prose
+ * 
+ * Drops inline code, URLs, HTML comments, and spans and elements that carry
+ * a `lang` attribute.
+ * 
+ * @param {string} line - Markdown line
+ * @returns {string} - Remaining text
+ */
+function stripTaggedText(line) {
+  return line
+    .replace(/`[^`]*`/g, ' ')
+    .replace(/<!--.*?-->/g, ' ')
+    .replace(/\[[^\]]*\]\{[^}]*\blang\s*=[^}]*\}/g, ' ')
+    .replace(/<(\w+)\b[^>]*\blang\s*=[^>]*>.*?<\/\1>/g, ' ')
+    .replace(/\b[a-z][\w+.-]*:\/\/\S+/gi, ' ');
+}
+
+/**
+ * Audit the markdown of one chapter
+ * 
+ * Reports images without alt text (errors), and skipped heading levels,
+ * passages in a script of another language without a `lang` attribute and
+ * tables without a header row (warnings). Heading levels continue from the
+ * previous chapter, as they do in the combined book.
+ * 
+ * @param {string} markdown - Chapter markdown without front matter
+ * @param {Object} [options] - Audit options
+ * @param {string} [options.file='input'] - File name used in messages
+ * @param {string} [options.language='en'] - Language of the chapter
+ * @param {number} [options.lineOffset=0] - Lines before the markdown in the file
+ * @param {number} [options.headingLevel=0] - Level of the last heading before this chapter
+ * @returns {Object} - {issues, headingLevel}
+ */
+function auditMarkdown(markdown, options = {}) {
+  const file = options.file || 'input';
+  const allowedScripts = getLanguageScripts(options.language || 'en');
+  const lines = markdown.split('\n');
+  const issues = [];
+  let headingLevel = options.headingLevel || 0;
+  let fence = null;
+  let indentedCode = false;
+  let taggedDivs = 0;
+  const openDivs = [];
+  let htmlTable = null;
+  
+  const report = (type, index, message) => {
+    issues.push({ type, message: `${file}:${index + 1 + (options.lineOffset || 0)}: ${message}` });
+  };
+  
+  const blank = index => index < 0 || index >= lines.length || lines[index].trim() === '';
+  
+  for (const [index, line] of lines.entries()) {
+    // Code blocks
+    const fenceMatch = line.match(/^\s*(`{3,}|~{3,})/);
+    if (fence) {
+      if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) {
+        fence = null;
+      }
+      continue;
+    }
+    if (fenceMatch) {
+      fence = fenceMatch[1];
+      continue;
+    }
+    if (/^( {4}|\t)/.test(line) && (indentedCode || blank(index - 1))) {
+      indentedCode = true;
+      continue;
+    }
+    indentedCode = false;
+    
+    // Fenced divs, tracking those that set a language
+    const divMatch = line.match(/^\s*(:{3,})\s*(.*)$/);
+    if (divMatch) {
+      if (divMatch[2].trim() === '') {
+        if (openDivs.pop()) {
+          taggedDivs--;
+        }
+      } else {
+        const tagged = /\blang\s*=/.test(divMatch[2]);
+        openDivs.push(tagged);
+        taggedDivs += tagged ? 1 : 0;
+      }
+      continue;
+    }
+    
+    // Headings
+    const heading = line.match(/^(#{1,6})\s+(.*)$/);
+    if (heading) {
+      const level = heading[1].length;
+      
+      if (level > headingLevel + 1) {
+        report('warning', index, headingLevel === 0
+          ? `First heading is level ${level}, expected level 1`
+          : `Heading level skips from ${headingLevel} to ${level}: ${heading[2].replace(/\s*\{[^}]*\}\s*$/, '')}`);
+      }
+      headingLevel = level;
+    }
+    
+    // Images
+    for (const image of line.matchAll(/!\[([^\]]*)\]\s*[([]/g)) {
+      if (image[1].trim() === '') {
+        report('error', index, 'Image without alt text');
+      }
+    }
+    for (const image of line.matchAll(/<img\b[^>]*>/gi)) {
+      if (!/\balt\s*=/i.test(image[0])) {
+        report('error', index, 'Image without alt text');
+      }
+    }
+    
+    // Tables
+    if (htmlTable) {
+      htmlTable.markup += `\n${line}`;
+    } else if (/<table\b/i.test(line)) {
+      htmlTable = { index, markup: line.slice(line.search(/<table\b/i)) };
+    }
+    if (htmlTable && /<\/table>/i.test(line)) {
+      if (!/<th\b/i.test(htmlTable.markup)) {
+        report('warning', htmlTable.index, 'Table without header cells');
+      }
+      htmlTable = null;
+    }
+    
+    if (line.includes('|') && /^[\s|:-]+$/.test(line) && /-{3,}/.test(line)) {
+      const header = index > 0 ? lines[index - 1] : '';
+      if (!header.includes('|') || header.replace(/[|\s]/g, '') === '') {
+        report('warning', header.includes('|') ? index - 1 : index, 'Table without a header row');
+      }
+    } else if (/^\s*\+(-+\+)+\s*$/.test(line) && blank(index - 1)) {
+      let end = index + 1;
+      while (end < lines.length && lines[end].trim() !== '') {
+        end++;
+      }
+      if (!lines.slice(index + 1, end).some(row => /^\s*\+(:?=+:?\+)+\s*$/.test(row))) {
+        report('warning', index, 'Table without a header row');
+      }
+    } else if (/^\s*-{3,}(\s+-{3,})+\s*$/.test(line) && blank(index - 1) && !blank(index + 1)) {
+      report('warning', index, 'Table without a header row');
+    }
+    
+    // Passages in another script without a language tag
+    if (taggedDivs === 0 && !/\{[^}]*\blang\s*=[^}]*\}\s*$/.test(line)) {
+      for (const run of stripTaggedText(line).matchAll(SCRIPT_RUN)) {
+        const script = getScript(run[0]);
+        
+        if (!allowedScripts.includes(script)) {
+          const text = run[0].trim();
+          report('warning', index, `${script} text without a language tag: "${text.length > 30 ? `${text.slice(0, 30)}…` : text}"`);
+          break;
+        }
+      }
+    }
+  }
+  
+  return { issues, headingLevel };
+}
+
+/**
+ * Audit the accessibility of a book project
+ * 
+ * Checks that book.yaml declares the accessibility metadata retailers expect
+ * (when EPUB is built) and audits the markdown of every chapter, front and
+ * back matter section of every configured language, drafts included.
+ * Chapters may set their own language with a `lang` front matter key.
+ * 
+ * @param {Object} options - Audit options
+ * @param {string} options.configPath - Path to the book.yaml file
+ * @returns {Object} - {success, valid, issues, files}
+ */
+async function auditAccessibility(options = {}) {
+  const configPath = options.configPath || 'book.yaml';
+  
+  const result = {
+    success: false,
+    issues: [],
+    valid: false,
+    files: 0
+  };
+  
+  try {
+    const projectRoot = path.dirname(path.resolve(configPath));
+    const config = loadConfig(configPath);
+    const accessibility = config.accessibility || {};
+    
+    if (config.formats?.epub) {
+      const missing = REQUIRED_SETTINGS.filter(key => !(Array.isArray(accessibility[key]) ? accessibility[key].length : accessibility[key]));
+      
+      if (missing.length > 0) {
+        result.issues.push({
+          type: 'warning',
+          message: `Missing EPUB accessibility metadata in book.yaml: ${missing.map(key => `accessibility.${key}`).join(', ')}`
+        });
+      }
+    }
+    
+    for (const language of config.languages || ['en']) {
+      const chapters = resolveChapterFiles(projectRoot, language, config);
+      const matter = resolveMatterFiles(projectRoot, language, config);
+      const matterFiles = new Set([...matter.front, ...matter.back]);
+      const files = [
+        ...matter.front,
+        ...chapters.files.filter(file => !matterFiles.has(file)),
+        ...matter.back
+      ].filter(file => fs.existsSync(file));
+      let headingLevel = 0;
+      
+      for (const file of files) {
+        const chapter = readChapter(file);
+        const audit = auditMarkdown(chapter.body, {
+          file: path.relative(projectRoot, file),
+          language: chapter.data.lang || language,
+          lineOffset: chapter.lineOffset,
+          headingLevel
+        });
+        
+        result.issues.push(...audit.issues);
+        headingLevel = audit.headingLevel;
+        result.files++;
+      }
+    }
+  } catch (error) {
+    result.issues.push({
+      type: 'error',
+      message: `Error auditing accessibility: ${error.message}`
+    });
+    return result;
+  }
+  
+  result.valid = !result.issues.some(issue => issue.type === 'error');
+  result.success = true;
+  
+  return result;
+}
+
+module.exports = {
+  applyAccessibilityMetadata,
+  getLanguageScripts,
+  auditMarkdown,
+  auditAccessibility
+};
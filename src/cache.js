@@ -0,0 +1,244 @@
+/**
+ * Incremental build cache
+ * Records a content hash of everything a format depends on so unchanged
+ * language/format combinations can be skipped on the next build
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { version } = require('../package.json');
+const { resolveIncludes } = require('./include');
+
+/**
+ * Get the directory where build cache manifests are stored
+ * 
+ * @param {string} projectRoot - Path to project root
+ * @returns {string} - Cache directory path
+ */
+function getCacheDir(projectRoot) {
+  return path.join(projectRoot, 'build', '.cache');
+}
+
+/**
+ * Get the path of the cache manifest for a language
+ * 
+ * @param {string} projectRoot - Path to project root
+ * @param {string} language - Language code
+ * @returns {string} - Cache manifest path
+ */
+function getCachePath(projectRoot, language) {
+  return path.join(getCacheDir(projectRoot), `${language}.json`);
+}
+
+/**
+ * List all files below a path in a stable order
+ * 
+ * @param {string} target - File or directory path
+ * @returns {Array<string>} - Sorted list of file paths
+ */
+function listFiles(target) {
+  if (!fs.existsSync(target)) {
+    return [];
+  }
+  
+  const stat = fs.statSync(target);
+  
+  if (!stat.isDirectory()) {
+    return [target];
+  }
+  
+  let results = [];
+  
+  for (const entry of fs.readdirSync(target).sort()) {
+    results = results.concat(listFiles(path.join(target, entry)));
+  }
+  
+  return results;
+}
+
+/**
+ * Collect file paths referenced by a settings object
+ * 
+ * @param {*} value - Settings value to inspect
+ * @param {string} projectRoot - Path to project root
+ * @returns {Array<string>} - Existing files referenced by the settings
+ */
+function collectReferencedFiles(value, projectRoot) {
+  if (typeof value === 'string') {
+    const filePath = path.resolve(projectRoot, value);
+    
+    try {
+      return fs.statSync(filePath).isFile() ? [filePath] : [];
+    } catch (e) {
+      return [];
+    }
+  }
+  
+  if (Array.isArray(value)) {
+    return value.flatMap(item => collectReferencedFiles(item, projectRoot));
+  }
+  
+  if (value && typeof value === 'object') {
+    return Object.values(value).flatMap(item => collectReferencedFiles(item, projectRoot));
+  }
+  
+  return [];
+}
+
+/**
+ * Collect files pulled into markdown sources by include directives
+ * 
+ * @param {Array<string>} files - Source files to scan
+ * @param {string} projectRoot - Path to project root
+ * @returns {Array<string>} - Included files, sorted
+ */
+function collectIncludedFiles(files, projectRoot) {
+  const dependencies = new Set();
+  
+  for (const file of files.filter(item => item.endsWith('.md'))) {
+    try {
+      resolveIncludes(fs.readFileSync(file, 'utf-8'), file, { projectRoot, dependencies });
+    } catch (e) {
+      // Broken includes are reported by the build itself
+    }
+  }
+  
+  return [...dependencies].sort();
+}
+
+/**
+ * Get the settings that influence the output of a format
+ * 
+ * @param {Object} config - Book configuration
+ * @param {string} format - Output format
+ * @returns {Object} - Settings relevant to the format
+ */
+function getFormatSettings(config, format) {
+  const formatSettings = config.formatSettings || {};
+  
+  // MOBI is converted from EPUB, so EPUB settings affect it as well
+  if (format === 'mobi') {
+    return {
+      mobi: formatSettings.mobi || {},
+      epub: formatSettings.epub || {}
+    };
+  }
+  
+  // The website is rendered with the HTML template and CSS
+  if (format === 'site') {
+    return {
+      site: formatSettings.site || {},
+      html: formatSettings.html || {}
+    };
+  }
+  
+  return { [format]: formatSettings[format] || {} };
+}
+
+/**
+ * Compute a hash of all inputs for a language/format combination
+ * 
+ * Covers the chapter sources and images of the language, the shared images,
+ * files pulled in by include directives, every file referenced from the
+ * format settings (templates, CSS, covers), the global pandoc filters and the
+ * resolved configuration.
+ * 
+ * @param {Object} config - Book configuration
+ * @param {string} format - Output format
+ * @param {string} language - Language code
+ * @param {string} projectRoot - Path to project root
+ * @param {Object} [buildOptions={}] - Build options that change the output (e.g. includeDrafts)
+ * @returns {string} - Hex encoded SHA-256 hash
+ */
+function computeInputHash(config, format, language, projectRoot, buildOptions = {}) {
+  const hash = crypto.createHash('sha256');
+  const settings = getFormatSettings(config, format);
+  
+  // Settings of other formats do not affect this output
+  const baseConfig = { ...config };
+  delete baseConfig.formatSettings;
+  
+  hash.update(JSON.stringify({ version, format, language, buildOptions, config: baseConfig, settings }));
+  
+  const sources = listFiles(path.join(projectRoot, 'book', language));
+  const files = [
+    ...sources,
+    ...listFiles(path.join(projectRoot, 'book', 'images')),
+    ...collectIncludedFiles(sources, projectRoot),
+    ...collectReferencedFiles(settings, projectRoot),
+    ...collectReferencedFiles([config.filters, config.luaFilters], projectRoot)
+  ];
+  
+  for (const file of files) {
+    hash.update(path.relative(projectRoot, file));
+    hash.update('\0');
+    hash.update(fs.readFileSync(file));
+    hash.update('\0');
+  }
+  
+  return hash.digest('hex');
+}
+
+/**
+ * Load the cache manifest for a language
+ * 
+ * @param {string} projectRoot - Path to project root
+ * @param {string} language - Language code
+ * @returns {Object} - Cache entries keyed by format
+ */
+function loadBuildCache(projectRoot, language) {
+  const cachePath = getCachePath(projectRoot, language);
+  
+  try {
+    return JSON.parse(fs.readFileSync(cachePath, 'utf-8'));
+  } catch (e) {
+    // A missing or corrupt manifest simply means nothing is cached
+    return {};
+  }
+}
+
+/**
+ * Save the cache manifest for a language
+ * 
+ * @param {string} projectRoot - Path to project root
+ * @param {string} language - Language code
+ * @param {Object} cache - Cache entries keyed by format
+ */
+function saveBuildCache(projectRoot, language, cache) {
+  const cachePath = getCachePath(projectRoot, language);
+  fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+  fs.writeFileSync(cachePath, JSON.stringify(cache, null, 2));
+}
+
+/**
+ * Check whether a format is up to date according to the cache
+ * 
+ * @param {Object} cache - Cache entries keyed by format
+ * @param {string} format - Output format
+ * @param {string} hash - Current input hash
+ * @param {string} outputPath - Expected output file path
+ * @returns {boolean} - True if the output can be reused
+ */
+function isCacheHit(cache, format, hash, outputPath) {
+  const entry = cache[format];
+  return Boolean(entry && entry.hash === hash && fs.existsSync(outputPath));
+}
+
+/**
+ * Remove all cache manifests
+ * 
+ * @param {string} projectRoot - Path to project root
+ */
+function clearBuildCache(projectRoot) {
+  fs.rmSync(getCacheDir(projectRoot), { recursive: true, force: true });
+}
+
+module.exports = {
+  getCacheDir,
+  collectReferencedFiles,
+  computeInputHash,
+  loadBuildCache,
+  saveBuildCache,
+  isCacheHit,
+  clearBuildCache
+};
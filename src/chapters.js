@@ -0,0 +1,279 @@
+/**
+ * Chapter ordering
+ * Resolves which markdown files make up a language edition of the book and
+ * in what order, from a `chapters:` manifest in book.yaml, a SUMMARY.md table
+ * of contents, or the lexical order of the language directory
+ */
+const fs = require('fs');
+const path = require('path');
+
+const SUMMARY_FILE = 'SUMMARY.md';
+
+/**
+ * Find all markdown files in a directory recursively
+ * 
+ * @param {string} dir - Directory to search
+ * @returns {Array<string>} - List of markdown file paths
+ */
+function findMarkdownFiles(dir) {
+  let results = [];
+  
+  if (!fs.existsSync(dir)) {
+    return results;
+  }
+  
+  const list = fs.readdirSync(dir);
+  
+  for (const file of list) {
+    const filePath = path.join(dir, file);
+    const stat = fs.statSync(filePath);
+    
+    if (stat.isDirectory() && file !== 'images') {
+      // Recursively search subdirectories, but skip images directories
+      results = results.concat(findMarkdownFiles(filePath));
+    } else if (file.endsWith('.md')) {
+      results.push(filePath);
+    }
+  }
+  
+  // Sort by directory/filename
+  return results.sort();
+}
+
+/**
+ * List all files below a directory as forward-slash relative paths
+ * 
+ * @param {string} dir - Directory to list
+ * @param {string} [prefix=''] - Relative path of the directory
+ * @returns {Array<string>} - Sorted relative file paths
+ */
+function listRelativeFiles(dir, prefix = '') {
+  let results = [];
+  
+  if (!fs.existsSync(dir)) {
+    return results;
+  }
+  
+  for (const entry of fs.readdirSync(dir).sort()) {
+    const relativePath = prefix ? `${prefix}/${entry}` : entry;
+    const fullPath = path.join(dir, entry);
+    
+    if (fs.statSync(fullPath).isDirectory()) {
+      results = results.concat(listRelativeFiles(fullPath, relativePath));
+    } else {
+      results.push(relativePath);
+    }
+  }
+  
+  return results;
+}
+
+/**
+ * Check whether a manifest entry contains glob characters
+ * 
+ * @param {string} pattern - Manifest entry
+ * @returns {boolean} - True if the entry is a glob
+ */
+function isGlob(pattern) {
+  return /[*?[{]/.test(pattern);
+}
+
+/**
+ * Convert a glob pattern to a regular expression
+ * 
+ * Supports `*` (within a path segment), `**` (across segments), `?`,
+ * character classes (`[abc]`) and alternatives (`{a,b}`).
+ * 
+ * @param {string} pattern - Glob pattern using forward slashes
+ * @returns {RegExp} - Anchored regular expression
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  let inGroup = false;
+  
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        // "**/" matches zero or more directories, a trailing "**" matches everything
+        if (pattern[i + 2] === '/') {
+          source += '(?:.*/)?';
+          i += 2;
+        } else {
+          source += '.*';
+          i += 1;
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const end = pattern.indexOf(']', i);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        source += `[${pattern.slice(i + 1, end).replace(/^!/, '^')}]`;
+        i = end;
+      }
+    } else if (char === '{') {
+      inGroup = true;
+      source += '(?:';
+    } else if (char === '}' && inGroup) {
+      inGroup = false;
+      source += ')';
+    } else if (char === ',' && inGroup) {
+      source += '|';
+    } else {
+      source += char.replace(/[.+^$()|\\]/g, '\\$&');
+    }
+  }
+  
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Get the chapter manifest configured for a language
+ * 
+ * `chapters` may be a list shared by all languages, or a map of language
+ * codes to lists (with an optional `default` entry).
+ * 
+ * @param {Object} config - Book configuration
+ * @param {string} language - Language code
+ * @returns {Array<string>|null} - Manifest entries, or null if none is configured
+ */
+function getChapterManifest(config, language) {
+  const chapters = config.chapters;
+  
+  if (Array.isArray(chapters)) {
+    return chapters;
+  }
+  
+  if (chapters && typeof chapters === 'object') {
+    return chapters[language] || chapters.default || null;
+  }
+  
+  return null;
+}
+
+/**
+ * Read the chapter list from a SUMMARY.md table of contents
+ * 
+ * Every local link to a markdown file becomes an entry, in document order.
+ * 
+ * @param {string} summaryPath - Path to SUMMARY.md
+ * @returns {Array<string>} - Paths relative to the summary file
+ */
+function parseSummary(summaryPath) {
+  const content = fs.readFileSync(summaryPath, 'utf-8');
+  const entries = [];
+  const linkPattern = /\[[^\]]*\]\(<?([^)\s>]+)>?(?:\s+"[^"]*")?\)/g;
+  let match;
+  
+  while ((match = linkPattern.exec(content)) !== null) {
+    const link = match[1].split('#')[0];
+    let target = link;
+    
+    // A bare % is not an escape; keep such links as written
+    try {
+      target = decodeURI(link);
+    } catch (error) {
+      // Not URI-encoded
+    }
+    
+    if (target && !/^[a-z]+:/i.test(target) && target.endsWith('.md')) {
+      entries.push(target.replace(/^\.\//, ''));
+    }
+  }
+  
+  return entries;
+}
+
+/**
+ * Expand manifest entries into an ordered list of files
+ * 
+ * Entries are applied in order; globs expand to their matches in lexical
+ * order, entries starting with `!` exclude matching files, and a file is only
+ * included once (at its first position). Only markdown files are matched.
+ * 
+ * @param {Array<string>} entries - Manifest entries relative to the language directory
+ * @param {string} languageDir - Language directory
+ * @returns {Object} - {files, missing, unmatched}
+ */
+function expandManifest(entries, languageDir) {
+  const available = listRelativeFiles(languageDir).filter(file => file.endsWith('.md'));
+  const included = [];
+  const excludes = [];
+  const missing = [];
+  const unmatched = [];
+  
+  for (const rawEntry of entries) {
+    const entry = String(rawEntry).trim().replace(/\\/g, '/').replace(/^\.\//, '');
+    
+    if (entry.startsWith('!')) {
+      excludes.push(globToRegExp(entry.slice(1)));
+    } else if (isGlob(entry)) {
+      const regex = globToRegExp(entry);
+      const matches = available.filter(file => regex.test(file));
+      
+      if (matches.length === 0) {
+        unmatched.push(entry);
+      }
+      
+      included.push(...matches);
+    } else if (available.includes(entry)) {
+      included.push(entry);
+    } else {
+      missing.push(entry);
+    }
+  }
+  
+  const files = [...new Set(included)]
+    .filter(file => !excludes.some(regex => regex.test(file)))
+    .map(file => path.join(languageDir, file));
+  
+  return { files, missing, unmatched };
+}
+
+/**
+ * Resolve the ordered list of markdown files for a language
+ * 
+ * Uses, in order of preference: the `chapters` manifest from book.yaml, a
+ * SUMMARY.md in the language directory, or every markdown file in the
+ * language directory sorted lexically.
+ * 
+ * @param {string} projectRoot - Path to project root
+ * @param {string} language - Language code
+ * @param {Object} [config={}] - Book configuration
+ * @returns {Object} - {files, missing, unmatched, source}
+ */
+function resolveChapterFiles(projectRoot, language, config = {}) {
+  const languageDir = path.join(projectRoot, 'book', language);
+  const manifest = getChapterManifest(config, language);
+  
+  if (manifest) {
+    return { ...expandManifest(manifest, languageDir), source: 'book.yaml' };
+  }
+  
+  const summaryPath = path.join(languageDir, SUMMARY_FILE);
+  if (fs.existsSync(summaryPath)) {
+    return { ...expandManifest(parseSummary(summaryPath), languageDir), source: SUMMARY_FILE };
+  }
+  
+  return {
+    files: findMarkdownFiles(languageDir),
+    missing: [],
+    unmatched: [],
+    source: 'directory'
+  };
+}
+
+module.exports = {
+  findMarkdownFiles,
+  globToRegExp,
+  getChapterManifest,
+  parseSummary,
+  expandManifest,
+  resolveChapterFiles
+};
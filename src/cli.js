@@ -1,3 +1,5 @@
+const fs = require('fs');
+const path = require('path');
 const { program } = require('commander');
 const inquirer = require('inquirer');
 const chalk = require('chalk');
@@ -9,8 +11,74 @@ const {
   checkChapter, 
   getBookInfo, 
   cleanBuild,
-  validate
+  validate,
+  initProject,
+  generateFormat
 } = require('./index');
+const { watchBook } = require('./watch');
+const { serveBook } = require('./serve');
+const {
+  REPORT_FORMATS,
+  compareTranslations,
+  renderTranslationReport,
+  updateTranslationLock,
+  findStaleTranslations,
+  renderStaleReport
+} = require('./translations');
+const { findProjectRoot } = require('./utils');
+
+/**
+ * Print the formats that were only built after falling back to a degraded configuration
+ * 
+ * @param {Array<Object>} languageResults - Build results per language
+ */
+function printFallbacks(languageResults) {
+  const entries = languageResults.flatMap(languageResult =>
+    Object.entries(languageResult.fallbacks || {})
+      .map(([format, fallback]) => `${languageResult.language}:${format} built ${fallback.description}`)
+  );
+  
+  if (entries.length > 0) {
+    console.log(chalk.yellow('Recovered with fallbacks:'));
+    entries.forEach(entry => console.log(chalk.yellow(`- ${entry}`)));
+  }
+}
+
+/**
+ * Print a one-line summary of a watch mode rebuild
+ * 
+ * @param {Object} report - Rebuild report from watchBook
+ */
+function printRebuild({ files, formats, duration, result, reloadedConfig, error }) {
+  const timestamp = chalk.gray(`[${new Date().toLocaleTimeString()}]`);
+  const seconds = `${(duration / 1000).toFixed(1)}s`;
+  const changes = files.length === 1
+    ? path.relative(process.cwd(), files[0])
+    : `${files.length} changes`;
+  const reason = files.length > 0 ? ` (${changes})` : '';
+  
+  if (reloadedConfig) {
+    console.log(`${timestamp} ${chalk.blue('Reloaded book.yaml')}`);
+  }
+  
+  if (error) {
+    console.error(`${timestamp} ${chalk.red(`Build failed${reason}: ${error.message}`)}`);
+    return;
+  }
+  
+  const built = (result.cache?.misses || []).filter(format => !result.errors[format]);
+  const failed = Object.entries(result.errors || {});
+  
+  if (built.length > 0) {
+    console.log(`${timestamp} ${chalk.green(`Rebuilt ${built.join(', ')} in ${seconds}`)}${reason}`);
+  } else if (failed.length === 0) {
+    console.log(`${timestamp} ${chalk.gray(`${formats.join(', ')} up to date`)}${reason}`);
+  }
+  
+  failed.forEach(([format, message]) => {
+    console.error(`${timestamp} ${chalk.red(`${format} failed: ${message}`)}`);
+  });
+}
 
 /**
  * Configure the Commander.js CLI
@@ -32,7 +100,12 @@ function configureCLI() {
     .option('--skip-mobi', 'Skip MOBI generation')
     .option('--skip-html', 'Skip HTML generation')
     .option('--skip-docx', 'Skip DOCX generation')
+    .option('--site', 'Also build the multi-page HTML website')
     .option('--with-recovery', 'Enable enhanced error recovery')
+    .option('--force', 'Rebuild all formats even if their sources are unchanged')
+    .option('-j, --jobs <n>', 'Number of formats to build in parallel (number or "auto")')
+    .option('--include-drafts', 'Include chapters marked as drafts in their front matter')
+    .option('--profile <name>', 'Apply a build profile from book.yaml (e.g. draft, print, web)')
     .option('--verbose', 'Show verbose output')
     .action(async (projectPath, options) => {
       const spinner = ora('Building book...').start();
@@ -43,12 +116,17 @@ function configureCLI() {
         if (!options.skipMobi) formats.push('mobi');
         if (!options.skipHtml) formats.push('html');
         if (!options.skipDocx) formats.push('docx');
+        if (options.site) formats.push('site');
 
         const buildOptions = {
           allLanguages: options.allLanguages,
           language: options.lang || 'en',
           formats,
           verbose: options.verbose,
+          force: options.force,
+          jobs: options.jobs,
+          includeDrafts: options.includeDrafts,
+          profile: options.profile,
           projectPath
         };
 
@@ -57,9 +135,15 @@ function configureCLI() {
           ? await buildBookWithRecovery(buildOptions)
           : await buildBook(buildOptions);
 
+        const languageResults = result.results || [result];
+        
         if (result.success) {
           spinner.succeed(chalk.green('Book built successfully!'));
           console.log(chalk.blue('Formats generated:'), formats.join(', '));
+          if (result.cache && result.cache.hits.length > 0) {
+            console.log(chalk.blue('Up to date (from cache):'), result.cache.hits.join(', '));
+          }
+          printFallbacks(languageResults);
           if (result.files) {
             console.log(chalk.blue('Output files:'));
             Object.entries(result.files).forEach(([key, value]) => {
@@ -73,6 +157,12 @@ function configureCLI() {
           if (result.error) {
             console.error(chalk.red(result.error.message));
           }
+          languageResults.forEach(languageResult => {
+            Object.entries(languageResult.errors || {}).forEach(([format, message]) => {
+              console.error(chalk.red(`${languageResult.language}:${format}: ${message}`));
+            });
+          });
+          printFallbacks(languageResults);
           
           // If emergency files were created, log them
           if (result.emergencyFiles) {
@@ -149,6 +239,7 @@ function configureCLI() {
         if (result.success) {
           spinner.succeed(chalk.green('Book built successfully!'));
           console.log(chalk.blue('Formats generated:'), answers.formats.join(', '));
+          printFallbacks(result.results || [result]);
           
           if (result.files) {
             console.log(chalk.blue('Output files:'));
@@ -278,7 +369,9 @@ function configureCLI() {
           if (result.markdownFiles && result.markdownFiles.length > 0) {
             console.log(chalk.blue('Markdown files:'));
             result.markdownFiles.forEach(file => {
-              console.log(`- ${file.name} (${file.title || 'No title'})`);
+              const details = [file.draft ? 'draft' : file.status, file.author].filter(Boolean);
+              const suffix = details.length > 0 ? ` [${details.join(', ')}]` : '';
+              console.log(`- ${file.name} (${file.title || 'No title'})${suffix}`);
             });
           }
           
@@ -303,18 +396,44 @@ function configureCLI() {
   program
     .command('info')
     .description('Display book information')
-    .action(async () => {
+    .option('--profile <name>', 'Show the effective configuration of a build profile')
+    .option('-l, --lang <language>', 'Show the configuration of a language with its localized overrides')
+    .action(async (options) => {
       try {
         const spinner = ora('Loading book information...').start();
         
-        const info = await getBookInfo();
+        const info = await getBookInfo({ profile: options.profile, language: options.lang });
+        
+        if (info.error) {
+          spinner.fail(chalk.red('Failed to load book information'));
+          console.error(chalk.red(info.error.message));
+          return;
+        }
         
         spinner.succeed(chalk.green('Book information loaded!'));
+        if (info.profile) console.log(chalk.blue('Profile:'), info.profile);
         console.log(chalk.blue('Title:'), info.title);
         if (info.subtitle) console.log(chalk.blue('Subtitle:'), info.subtitle);
         console.log(chalk.blue('Author:'), info.author);
         console.log(chalk.blue('File prefix:'), info.filePrefix);
         console.log(chalk.blue('Languages:'), info.languages.join(', '));
+        if (info.language) console.log(chalk.blue('Language:'), info.language);
+        const metadata = Object.entries(info.metadata || {}).filter(([, value]) => value);
+        if (metadata.length > 0) {
+          console.log(chalk.blue('Metadata:'));
+          metadata.forEach(([key, value]) => {
+            console.log(`- ${key}: ${value}`);
+          });
+        }
+        if (info.profiles && Object.keys(info.profiles).length > 0) {
+          console.log(chalk.blue('Profiles:'), Object.keys(info.profiles).join(', '));
+        }
+        if (info.variables && Object.keys(info.variables).length > 0) {
+          console.log(chalk.blue('Variables:'));
+          Object.entries(info.variables).forEach(([key, value]) => {
+            console.log(`- ${key}: ${value}`);
+          });
+        }
         
         console.log(chalk.blue('Available formats:'));
         Object.entries(info.formats || {}).forEach(([format, enabled]) => {
@@ -358,6 +477,14 @@ function configureCLI() {
           }
         }
         
+        if (info.chapterMetadata) {
+          console.log(chalk.blue('\nChapters:'));
+          Object.entries(info.chapterMetadata).forEach(([language, chapters]) => {
+            const drafts = chapters.filter(chapter => chapter.draft).length;
+            console.log(`- ${language}: ${chapters.length} files${drafts > 0 ? ` (${drafts} drafts)` : ''}`);
+          });
+        }
+        
         if (info.builtFiles && info.builtFiles.length > 0) {
           console.log(chalk.blue('\nBuilt files:'));
           info.builtFiles.forEach(file => {
@@ -399,6 +526,8 @@ function configureCLI() {
     .description('Check configuration and dependencies')
     .option('-c, --config <path>', 'Path to configuration file (default: "book.yaml")')
     .option('-f, --fix', 'Attempt to fix common issues')
+    .option('-o, --output <format>', 'Also check the built output of a format (epub)')
+    .option('-a, --accessibility', 'Also audit the sources for accessibility problems')
     .option('--verbose', 'Show detailed validation information')
     .action(async (options) => {
       try {
@@ -407,7 +536,9 @@ function configureCLI() {
         const validateOptions = {
           configPath: options.config || 'book.yaml',
           fix: options.fix || false,
-          verbose: options.verbose || false
+          verbose: options.verbose || false,
+          output: options.output,
+          accessibility: options.accessibility || false
         };
         
         const result = await validate(validateOptions);
@@ -433,10 +564,28 @@ function configureCLI() {
             : chalk.green('✅ All dependencies installed'));
         console.log(chalk.cyan('Dependencies:'), depStatus);
         
+        // PDF engine the build will use
+        if (result.dependencies.pdfEngine) {
+          console.log(chalk.cyan('PDF Engine:'), chalk.green(`✅ ${result.dependencies.pdfEngine}`));
+        }
+        
         // Directory structure status
         console.log(chalk.cyan('Directory Structure:'), 
           result.structure.valid ? chalk.green('✅ Valid') : chalk.yellow('⚠️ Has issues'));
         
+        // Built output status
+        if (result.output) {
+          console.log(chalk.cyan(`${result.output.format.toUpperCase()} Output:`), 
+            result.output.valid ? chalk.green('✅ Valid') : chalk.red('❌ Has errors'));
+        }
+        
+        if (result.accessibility) {
+          console.log(chalk.cyan('Accessibility:'), 
+            result.accessibility.valid 
+              ? (result.accessibility.issues.length > 0 ? chalk.yellow('⚠️ Has warnings') : chalk.green('✅ No problems found'))
+              : chalk.red('❌ Has errors'));
+        }
+        
         // List all issues
         if (result.allIssues.length > 0) {
           console.log(chalk.blue('\nIssues found:'));
@@ -465,7 +614,11 @@ function configureCLI() {
           // Show dependencies
           console.log(chalk.blue('\nDetailed Dependencies:'));
           Object.entries(result.dependencies.dependencies).forEach(([name, installed]) => {
-            console.log(`  - ${name}: ${installed ? chalk.green('✅ Installed') : chalk.yellow('⚠️ Not found')}`);
+            const engine = result.dependencies.pdfEngines[name];
+            const capabilities = engine
+              ? ` (PDF engine: ${engine.type}${engine.unicode ? ', Unicode' : ''}${engine.systemFonts ? ', system fonts' : ''})`
+              : '';
+            console.log(`  - ${name}: ${installed ? chalk.green('✅ Installed') : chalk.yellow('⚠️ Not found')}${capabilities}`);
           });
           
           // Show directory structure
@@ -506,6 +659,11 @@ function configureCLI() {
               });
           }
           
+          if (result.output && !result.output.valid) {
+            console.log(chalk.cyan(`- Fix the ${result.output.format.toUpperCase()} errors above and rebuild:`));
+            console.log(`  book build --${result.output.format}`);
+          }
+          
           // Suggest init command if major issues
           if (result.allIssues.filter(i => i.type === 'error').length > 3) {
             console.log(chalk.cyan('\nTip: You can use the `book init` command to create a new project with the correct structure'));
@@ -516,6 +674,71 @@ function configureCLI() {
       }
     });
 
+  // Translation coverage command
+  program
+    .command('translations')
+    .description('Compare each translation with the source language')
+    .option('-c, --config <path>', 'Path to configuration file (default: "book.yaml")')
+    .option('-s, --source <language>', 'Source language (default: the first configured language)')
+    .option('-l, --lang <languages>', 'Comma-separated translations to compare (default: all others)')
+    .option('-f, --format <format>', `Report format (${REPORT_FORMATS.join(', ')})`, 'table')
+    .option('-o, --output <file>', 'Write the report to a file')
+    .option('--min-ratio <ratio>', 'Flag chapters with fewer words than this share of the source', '0.5')
+    .option('--stale', 'List translated files whose source changed since they were translated, with a diff')
+    .option('--update [files...]', 'Record the current sources of translated files (default: all) as translated')
+    .action(async (options) => {
+      try {
+        if (!REPORT_FORMATS.includes(options.format)) {
+          throw new Error(`Unknown report format: ${options.format} (use ${REPORT_FORMATS.join(', ')})`);
+        }
+        
+        const reportOptions = {
+          configPath: options.config || 'book.yaml',
+          source: options.source,
+          languages: options.lang ? options.lang.split(',').map(language => language.trim()).filter(Boolean) : undefined,
+          minRatio: Number(options.minRatio)
+        };
+        
+        let report;
+        
+        if (options.update) {
+          report = await updateTranslationLock({ ...reportOptions, files: Array.isArray(options.update) ? options.update : [] });
+        } else if (options.stale) {
+          report = await findStaleTranslations(reportOptions);
+        } else {
+          report = await compareTranslations(reportOptions);
+        }
+        
+        report.issues.forEach(issue => {
+          const color = issue.type === 'error' ? chalk.red : chalk.yellow;
+          console.error(color(issue.message));
+        });
+        
+        if (!report.success) {
+          process.exitCode = 1;
+          return;
+        }
+        
+        if (options.update) {
+          console.log(chalk.green(`Recorded the sources of ${report.updated.length} translated files in ${path.relative(process.cwd(), report.lockPath)}`));
+          return;
+        }
+        
+        const text = options.stale
+          ? renderStaleReport(report, options.format)
+          : renderTranslationReport(report, options.format);
+        
+        if (options.output) {
+          fs.writeFileSync(options.output, text);
+          console.log(chalk.green(`Translation report written to ${options.output}`));
+        } else {
+          process.stdout.write(text);
+        }
+      } catch (error) {
+        console.error(chalk.red(`Error: ${error.message}`));
+      }
+    });
+  
   // GitHub Actions integration command
   program
     .command('github-action')
@@ -546,6 +769,7 @@ function configureCLI() {
         
         if (result.success) {
           spinner.succeed(chalk.green('Book built successfully!'));
+          printFallbacks(result.results || [result]);
           
           if (options.createRelease) {
             console.log(chalk.blue('Creating GitHub Release...'));
@@ -576,18 +800,88 @@ function configureCLI() {
 
   // Initialize project command
   program
-    .command('init')
+    .command('init [directory]')
     .description('Initialize a new book project with standard structure')
-    .option('-t, --template <template>', 'Template to use (basic, academic, technical)', 'basic')
+    .option('-t, --template <template>', 'Template to use (basic, academic, technical)')
     .option('-n, --name <name>', 'Book name')
     .option('-a, --author <author>', 'Author name')
-    .option('-l, --languages <languages>', 'Comma-separated list of language codes', 'en')
-    .action(async (options) => {
+    .option('-l, --languages <languages>', 'Comma-separated list of language codes')
+    .option('--force', 'Overwrite an existing project')
+    .action(async (directory, options) => {
       try {
-        console.log(chalk.blue('This command will be implemented in the next version'));
-        console.log(chalk.blue('For now, you can use the validate command to check your existing setup'));
+        const projectOptions = {
+          projectPath: directory,
+          template: options.template,
+          name: options.name,
+          author: options.author,
+          languages: options.languages,
+          force: options.force
+        };
+        
+        // Ask for anything that was not given on the command line
+        if (process.stdin.isTTY) {
+          const answers = await inquirer.prompt([
+            {
+              type: 'input',
+              name: 'name',
+              message: 'Book title:',
+              default: 'Untitled Book',
+              when: !options.name
+            },
+            {
+              type: 'input',
+              name: 'author',
+              message: 'Author name:',
+              default: 'Author Name',
+              when: !options.author
+            },
+            {
+              type: 'list',
+              name: 'template',
+              message: 'Which template would you like to start from?',
+              choices: [
+                { name: 'Basic - chapters and default templates', value: 'basic' },
+                { name: 'Academic - abstract, citations and bibliography', value: 'academic' },
+                { name: 'Technical - code listings with syntax highlighting', value: 'technical' }
+              ],
+              when: !options.template
+            },
+            {
+              type: 'input',
+              name: 'languages',
+              message: 'Languages (comma-separated language codes):',
+              default: 'en',
+              when: !options.languages
+            }
+          ]);
+          
+          Object.assign(projectOptions, answers);
+        }
+        
+        const spinner = ora('Creating book project...').start();
+        const result = await initProject(projectOptions);
         
-        // TODO: Implement project initialization
+        if (result.success) {
+          spinner.succeed(chalk.green(`Book project created from the ${result.template} template in ${result.projectRoot}`));
+          console.log(chalk.blue('Files created:'));
+          result.files.forEach(file => {
+            console.log(`- ${path.relative(result.projectRoot, file)}`);
+          });
+          
+          if (result.skipped.length > 0) {
+            console.log(chalk.yellow('Existing files kept (use --force to overwrite):'));
+            result.skipped.forEach(file => {
+              console.log(`- ${path.relative(result.projectRoot, file)}`);
+            });
+          }
+          
+          console.log(chalk.blue('\nNext steps:'));
+          console.log('  book validate');
+          console.log('  book build');
+        } else {
+          spinner.fail(chalk.red('Failed to create book project'));
+          console.error(chalk.red(result.error.message));
+        }
       } catch (error) {
         console.error(chalk.red(`Error: ${error.message}`));
       }
@@ -602,14 +896,31 @@ function configureCLI() {
     .option('-o, --output <path>', 'Custom output path')
     .option('-t, --template <path>', 'Custom template path')
     .option('-c, --config <path>', 'Custom config path')
+    .option('--profile <name>', 'Apply a build profile from the configuration')
     .action(async (format, options) => {
+      const spinner = ora(`Generating ${format.toUpperCase()}...`).start();
       try {
-        console.log(chalk.blue('This command will be implemented in the next version'));
-        console.log(chalk.blue('For now, you can use the build command with format-specific options'));
+        const result = await generateFormat({
+          format,
+          language: options.lang || 'en',
+          input: options.input,
+          output: options.output,
+          template: options.template,
+          configPath: options.config,
+          profile: options.profile
+        });
         
-        // TODO: Implement format-specific generation
+        if (result.success) {
+          spinner.succeed(chalk.green(`${result.format.toUpperCase()} generated successfully!`));
+          console.log(chalk.blue('Input:'), path.relative(process.cwd(), result.input) || result.input);
+          console.log(chalk.blue('Output:'), path.relative(process.cwd(), result.output) || result.output);
+        } else {
+          spinner.fail(chalk.red(`Failed to generate ${format.toUpperCase()}`));
+          console.error(chalk.red(result.error.message));
+        }
       } catch (error) {
-        console.error(chalk.red(`Error: ${error.message}`));
+        spinner.fail(chalk.red(`Error generating ${format.toUpperCase()}`));
+        console.error(chalk.red(error.message));
       }
     });
 
@@ -619,12 +930,28 @@ function configureCLI() {
     .description('Watch for changes and rebuild')
     .option('-l, --lang <language>', 'Language to watch and build (default: "en")')
     .option('-f, --formats <formats>', 'Comma-separated formats to build', 'html')
+    .option('--profile <name>', 'Apply a build profile from book.yaml')
+    .option('--include-drafts', 'Include chapters marked as drafts in their front matter')
     .action(async (options) => {
       try {
-        console.log(chalk.blue('This command will be implemented in the next version'));
-        console.log(chalk.blue('For now, you can use the build command manually'));
+        const formats = options.formats.split(',').map(format => format.trim()).filter(Boolean);
+        const watcher = watchBook({
+          projectPath: findProjectRoot(),
+          language: options.lang || 'en',
+          formats,
+          profile: options.profile,
+          includeDrafts: options.includeDrafts,
+          onRebuild: printRebuild
+        });
         
-        // TODO: Implement watch functionality
+        console.log(chalk.blue(`Watching ${watcher.targets.length} locations for changes to ${formats.join(', ')} (Ctrl-C to stop)`));
+        
+        // Stop running pandoc processes before exiting
+        process.once('SIGINT', async () => {
+          await watcher.close();
+          console.log(chalk.blue('\nStopped watching'));
+          process.exit(0);
+        });
       } catch (error) {
         console.error(chalk.red(`Error: ${error.message}`));
       }
@@ -636,12 +963,31 @@ function configureCLI() {
     .description('Serve built HTML and provide live preview')
     .option('-p, --port <port>', 'Port to serve on', '8080')
     .option('-l, --lang <language>', 'Language to serve (default: "en")')
+    .option('--host <host>', 'Host to bind to', '127.0.0.1')
+    .option('--no-watch', 'Serve the existing output without rebuilding on changes')
+    .option('--profile <name>', 'Apply a build profile from book.yaml')
+    .option('--include-drafts', 'Include chapters marked as drafts in their front matter')
     .action(async (options) => {
       try {
-        console.log(chalk.blue('This command will be implemented in the next version'));
-        console.log(chalk.blue('For now, you can use a local web server to preview your HTML output'));
+        const preview = await serveBook({
+          projectPath: findProjectRoot(),
+          language: options.lang || 'en',
+          port: Number(options.port),
+          host: options.host,
+          watch: options.watch,
+          profile: options.profile,
+          includeDrafts: options.includeDrafts,
+          onRebuild: printRebuild
+        });
+        
+        console.log(chalk.green(`Serving ${preview.url}`));
+        console.log(chalk.blue(options.watch ? 'Rebuilding on changes (Ctrl-C to stop)' : 'Press Ctrl-C to stop'));
         
-        // TODO: Implement serve functionality
+        process.once('SIGINT', async () => {
+          await preview.close();
+          console.log(chalk.blue('\nStopped server'));
+          process.exit(0);
+        });
       } catch (error) {
         console.error(chalk.red(`Error: ${error.message}`));
       }
@@ -1,14 +1,188 @@
 const path = require('path');
 const fs = require('fs');
 const yaml = require('yaml');
+const { getPdfEngine } = require('./pdf-engines');
+const { getPrintLayout } = require('./print');
+const { normalizeFonts, getPdfFontVariables } = require('./fonts');
+const { getTypographyProfile, getTypographyVariables } = require('./typography');
+
+/**
+ * Pandoc pipeline settings available globally and per format, mapped to
+ * their book-template (snake case) names
+ */
+const PIPELINE_SETTINGS = {
+  filters: 'filters',
+  luaFilters: 'lua_filters',
+  inputExtensions: 'input_extensions',
+  extraArgs: 'extra_args'
+};
+
+/**
+ * Pandoc EPUB metadata fields for the `accessibility` settings; pandoc writes
+ * them as schema.org properties in the package document
+ */
+const PANDOC_ACCESSIBILITY_METADATA = {
+  accessMode: 'accessModes',
+  accessModeSufficient: 'accessModeSufficient',
+  accessibilityFeature: 'accessibilityFeatures',
+  accessibilityHazard: 'accessibilityHazards',
+  accessibilitySummary: 'accessibilitySummary'
+};
+
+/**
+ * Check whether a value is a plain object (not an array or null)
+ * 
+ * @param {*} value - Value to check
+ * @returns {boolean} - True if the value is a plain object
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Merge a configuration overlay into a base configuration
+ * 
+ * Objects are merged recursively; arrays and scalar values in the overlay
+ * replace the base value. Neither argument is modified.
+ * 
+ * @param {Object} base - Base configuration
+ * @param {Object} overlay - Values to merge on top
+ * @returns {Object} - Merged configuration
+ */
+function mergeConfig(base, overlay) {
+  const merged = { ...base };
+  
+  for (const [key, value] of Object.entries(overlay || {})) {
+    merged[key] = isPlainObject(value) && isPlainObject(base[key])
+      ? mergeConfig(base[key], value)
+      : value;
+  }
+  
+  return merged;
+}
+
+/**
+ * Apply a named build profile from the `profiles` section of a configuration
+ * 
+ * A profile is an overlay merged on top of the rest of book.yaml, so it can
+ * change `formatSettings`, `metadata`, `variables`, the chapter manifest or
+ * any other setting.
+ * 
+ * @param {Object} config - Configuration containing `profiles`
+ * @param {string} profileName - Name of the profile to apply
+ * @returns {Object} - Configuration with the profile applied
+ * @throws {Error} - If the profile is not defined
+ */
+function applyProfile(config, profileName) {
+  const profiles = config.profiles || {};
+  const profile = profiles[profileName];
+  
+  if (!isPlainObject(profile)) {
+    const available = Object.keys(profiles);
+    throw new Error(`Unknown profile: ${profileName}${available.length > 0 ? ` (available: ${available.join(', ')})` : ''}`);
+  }
+  
+  return {
+    ...mergeConfig(config, profile),
+    profiles,
+    profile: profileName
+  };
+}
+
+/**
+ * Get the per-language overrides of a language
+ * 
+ * Overrides for the base language (`es`) apply to its regional variants
+ * (`es-MX`), which may override them in turn.
+ * 
+ * @param {Object} config - Configuration containing `localized`
+ * @param {string} language - Language code
+ * @returns {Object} - Merged overrides, empty if the language has none
+ */
+function getLocalizedSettings(config, language) {
+  const localized = config.localized || {};
+  const base = String(language).split(/[-_]/)[0];
+  
+  return [base, language]
+    .filter((code, index, codes) => codes.indexOf(code) === index && isPlainObject(localized[code]))
+    .reduce((settings, code) => mergeConfig(settings, localized[code]), {});
+}
+
+/**
+ * Apply the per-language overrides of the `localized` section
+ * 
+ * The overrides are merged on top of the configuration like a profile, so a
+ * language can change the title, author, `metadata`, `formatSettings` or any
+ * other setting. `coverImage` and `file_prefix` are accepted as shorthands
+ * for the EPUB cover and `filePrefix`.
+ * 
+ * @param {Object} config - Loaded configuration
+ * @param {string} language - Language code
+ * @returns {Object} - Configuration for the language (the same object without overrides)
+ */
+function localizeConfig(config, language) {
+  const { coverImage, cover_image: coverImageSetting, file_prefix: filePrefixSetting, ...overrides } = getLocalizedSettings(config, language);
+  const cover = coverImage || coverImageSetting;
+  const filePrefix = overrides.filePrefix || filePrefixSetting;
+  
+  if (Object.keys(overrides).length === 0 && !cover && !filePrefix) {
+    return config;
+  }
+  
+  const localized = mergeConfig(config, {
+    ...overrides,
+    ...(cover ? { formatSettings: mergeConfig(overrides.formatSettings || {}, { epub: { coverImage: cover } }) } : {})
+  });
+  
+  if (filePrefix) {
+    localized.filePrefix = filePrefix;
+    delete localized.file_prefix;
+  }
+  
+  return localized;
+}
+
+/**
+ * Normalize the languages of a configuration
+ * 
+ * `languages` is either a list of codes or a map of codes to per-language
+ * overrides; the map is moved into `localized`, with entries already under
+ * `localized` taking precedence.
+ * 
+ * @param {Object} config - Configuration
+ * @returns {Object} - {languages, localized}
+ */
+function normalizeLanguages(config) {
+  if (!isPlainObject(config.languages)) {
+    return { languages: config.languages, localized: config.localized || {} };
+  }
+  
+  const overrides = Object.fromEntries(Object.entries(config.languages)
+    .map(([code, settings]) => [code, isPlainObject(settings) ? settings : {}]));
+  
+  return {
+    languages: Object.keys(config.languages),
+    localized: mergeConfig(overrides, config.localized || {})
+  };
+}
 
 /**
  * Load and validate extended configuration settings
  * 
  * @param {Object} config - Base configuration object
+ * @param {Object} [options] - Loading options
+ * @param {string} [options.profile] - Build profile to apply before normalizing
  * @returns {Object} - Enhanced configuration with format settings
+ * @throws {Error} - If the requested profile is not defined
  */
-function loadExtendedConfig(config) {
+function loadExtendedConfig(config, options = {}) {
+  if (options.profile) {
+    config = applyProfile(config, options.profile);
+  }
+  
+  // Languages may be given as a map of per-language overrides
+  Object.assign(config, normalizeLanguages(config));
+  
   // Initialize format settings if not present
   config.formatSettings = config.formatSettings || {};
   
@@ -22,12 +196,39 @@ function loadExtendedConfig(config) {
   config.formatSettings.pdf.fontSize = config.formatSettings.pdf.fontSize || config.pdf?.font_size || '11pt';
   config.formatSettings.pdf.lineHeight = config.formatSettings.pdf.lineHeight || config.pdf?.line_height || '1.5';
   config.formatSettings.pdf.template = config.formatSettings.pdf.template || config.pdf?.template || 'templates/pdf/default.latex';
+  config.formatSettings.pdf.htmlTemplate = config.formatSettings.pdf.htmlTemplate || config.pdf?.html_template || '';
+  config.formatSettings.pdf.css = config.formatSettings.pdf.css || config.pdf?.css || '';
+  config.formatSettings.pdf.mainFont = config.formatSettings.pdf.mainFont || config.pdf?.main_font || '';
+  
+  // Print layout and the paper the spine width is worked out for
+  config.formatSettings.pdf.trimSize = config.formatSettings.pdf.trimSize || config.pdf?.trim_size || '';
+  config.formatSettings.pdf.bleed = config.formatSettings.pdf.bleed || config.pdf?.bleed || '';
+  config.formatSettings.pdf.marginInner = config.formatSettings.pdf.marginInner || config.pdf?.margin_inner || '';
+  config.formatSettings.pdf.marginOuter = config.formatSettings.pdf.marginOuter || config.pdf?.margin_outer || '';
+  config.formatSettings.pdf.twoSided = config.formatSettings.pdf.twoSided ?? config.pdf?.two_sided ?? false;
+  config.formatSettings.pdf.cropMarks = config.formatSettings.pdf.cropMarks ?? config.pdf?.crop_marks ?? false;
+  config.formatSettings.pdf.chaptersOnRecto = config.formatSettings.pdf.chaptersOnRecto ?? config.pdf?.chapters_on_recto ?? false;
+  config.formatSettings.pdf.paperStock = config.formatSettings.pdf.paperStock || config.pdf?.paper_stock || 'white';
+  config.formatSettings.pdf.paperThickness = config.formatSettings.pdf.paperThickness || config.pdf?.paper_thickness || '';
+  
+  // PDF engine and the engines tried when it is not installed or fails
+  const pdfEngine = config.formatSettings.pdf.engine || config.pdf?.engine || config.pdf?.pdf_engine;
+  const fallbackEngines = config.formatSettings.pdf.fallbackEngines ?? config.pdf?.fallback_engines;
+  
+  if (pdfEngine) {
+    config.formatSettings.pdf.engine = pdfEngine;
+  }
+  
+  if (fallbackEngines !== undefined) {
+    config.formatSettings.pdf.fallbackEngines = toList(fallbackEngines);
+  }
   
   // EPUB configuration
   config.formatSettings.epub = config.formatSettings.epub || {};
   config.formatSettings.epub.coverImage = config.formatSettings.epub.coverImage || config.epub?.cover_image || 'book/images/cover.png';
   config.formatSettings.epub.css = config.formatSettings.epub.css || config.epub?.css || 'templates/epub/style.css';
   config.formatSettings.epub.tocDepth = config.formatSettings.epub.tocDepth || config.epub?.toc_depth || 3;
+  config.formatSettings.epub.check = config.formatSettings.epub.check ?? config.epub?.check ?? true;
   
   // HTML configuration
   config.formatSettings.html = config.formatSettings.html || {};
@@ -37,6 +238,31 @@ function loadExtendedConfig(config) {
   config.formatSettings.html.tocDepth = config.formatSettings.html.tocDepth || config.html?.toc_depth || 3;
   config.formatSettings.html.sectionDivs = config.formatSettings.html.sectionDivs || config.html?.section_divs || true;
   config.formatSettings.html.selfContained = config.formatSettings.html.selfContained || config.html?.self_contained || true;
+  config.formatSettings.html.search = config.formatSettings.html.search ?? config.html?.search ?? false;
+  
+  // Multi-page website configuration (rendered with the HTML settings)
+  config.formatSettings.site = config.formatSettings.site || {};
+  config.formatSettings.site.splitLevel = config.formatSettings.site.splitLevel || config.site?.split_level || 1;
+  config.formatSettings.site.baseUrl = config.formatSettings.site.baseUrl || config.site?.base_url || config.html?.base_url || '';
+  config.formatSettings.site.coverImage = config.formatSettings.site.coverImage || config.site?.cover_image || '';
+  
+  // EPUB accessibility metadata (list settings also accept a single value)
+  const accessibility = config.accessibility || {};
+  config.accessibility = {
+    accessMode: toList(accessibility.accessMode ?? accessibility.access_mode),
+    accessModeSufficient: toList(accessibility.accessModeSufficient ?? accessibility.access_mode_sufficient),
+    accessibilityFeature: toList(accessibility.accessibilityFeature ?? accessibility.accessibility_feature),
+    accessibilityHazard: toList(accessibility.accessibilityHazard ?? accessibility.accessibility_hazard),
+    accessibilitySummary: accessibility.accessibilitySummary || accessibility.accessibility_summary || '',
+    conformsTo: accessibility.conformsTo || accessibility.conforms_to || '',
+    certifiedBy: accessibility.certifiedBy || accessibility.certified_by || ''
+  };
+  
+  // Fonts embedded in EPUB and HTML and used by the Unicode PDF engines
+  config.fonts = normalizeFonts(config.fonts);
+  
+  // Typographic profile overrides, by language code
+  config.typography = config.typography || {};
   
   // MOBI configuration - minimal for now
   config.formatSettings.mobi = config.formatSettings.mobi || {};
@@ -47,6 +273,21 @@ function loadExtendedConfig(config) {
   config.formatSettings.docx.tocDepth = config.formatSettings.docx.tocDepth || config.docx?.toc_depth || 3;
   config.formatSettings.docx.toc = config.formatSettings.docx.toc !== undefined ? config.formatSettings.docx.toc : config.docx?.toc !== false;
   
+  // Pandoc filters, reader extensions and extra arguments from legacy format sections
+  for (const format of ['pdf', 'epub', 'html', 'docx']) {
+    for (const [key, legacyKey] of Object.entries(PIPELINE_SETTINGS)) {
+      const legacyValue = config[format]?.[key] ?? config[format]?.[legacyKey];
+      
+      if (config.formatSettings[format][key] === undefined && legacyValue !== undefined) {
+        config.formatSettings[format][key] = legacyValue;
+      }
+    }
+  }
+  
+  // Build settings
+  config.build = config.build || {};
+  config.build.concurrency = config.build.concurrency || 1;
+  
   // Normalize output formats
   config.formats = config.formats || {};
   
@@ -73,9 +314,10 @@ function loadExtendedConfig(config) {
  * Convert book-template config format to book-tools format
  * 
  * @param {Object} legacyConfig - Configuration in book-template format
+ * @param {Object} [options] - Loading options passed to loadExtendedConfig
  * @returns {Object} - Configuration in book-tools format
  */
-function convertLegacyConfig(legacyConfig) {
+function convertLegacyConfig(legacyConfig, options = {}) {
   const newConfig = {
     title: legacyConfig.title || 'Untitled Book',
     subtitle: legacyConfig.subtitle || '',
@@ -83,9 +325,10 @@ function convertLegacyConfig(legacyConfig) {
     filePrefix: legacyConfig.file_prefix || 'book',
     
     // Handle languages array
-    languages: Array.isArray(legacyConfig.languages) 
+    languages: Array.isArray(legacyConfig.languages) || isPlainObject(legacyConfig.languages)
       ? legacyConfig.languages 
       : (legacyConfig.language ? [legacyConfig.language] : ['en']),
+    localized: legacyConfig.localized,
     
     // Format configurations
     formats: {
@@ -101,6 +344,34 @@ function convertLegacyConfig(legacyConfig) {
     epub: legacyConfig.epub || {},
     html: legacyConfig.html || {},
     docx: legacyConfig.docx || {},
+    site: legacyConfig.site || {},
+    
+    // EPUB accessibility metadata
+    accessibility: legacyConfig.accessibility,
+    
+    // Font families and files
+    fonts: legacyConfig.fonts,
+    
+    // Per-language typography overrides
+    typography: legacyConfig.typography,
+    
+    // Build settings
+    build: legacyConfig.build || {},
+    
+    // Chapter manifest and front/back matter
+    chapters: legacyConfig.chapters,
+    frontMatter: legacyConfig.frontMatter,
+    backMatter: legacyConfig.backMatter,
+    
+    // Pandoc filters, reader extensions and extra arguments
+    filters: legacyConfig.filters,
+    luaFilters: legacyConfig.luaFilters || legacyConfig.lua_filters,
+    inputExtensions: legacyConfig.inputExtensions || legacyConfig.input_extensions,
+    extraArgs: legacyConfig.extraArgs || legacyConfig.extra_args,
+    
+    // Pandoc template variables and build profiles
+    variables: legacyConfig.variables,
+    profiles: legacyConfig.profiles,
     
     // Metadata
     metadata: {
@@ -113,44 +384,53 @@ function convertLegacyConfig(legacyConfig) {
     }
   };
   
-  return loadExtendedConfig(newConfig);
+  return loadExtendedConfig(newConfig, options);
 }
 
 /**
  * Detect config format and load appropriately
  * 
  * @param {string} configPath - Path to configuration file
+ * @param {Object} [options] - Loading options
+ * @param {string} [options.profile] - Build profile to apply
  * @returns {Object} - Normalized configuration
+ * @throws {Error} - If the requested profile is not defined
  */
-function loadConfig(configPath) {
+function loadConfig(configPath, options = {}) {
   if (!fs.existsSync(configPath)) {
-    return getDefaultConfig();
+    return getDefaultConfig(options);
   }
   
+  let rawConfig;
   try {
     const configContent = fs.readFileSync(configPath, 'utf-8');
-    const rawConfig = yaml.parse(configContent);
-    
-    // Check if it's legacy format (has file_prefix or outputs)
-    const isLegacyFormat = rawConfig.file_prefix !== undefined || rawConfig.outputs !== undefined;
-    
-    if (isLegacyFormat) {
-      return convertLegacyConfig(rawConfig);
-    } else {
-      return loadExtendedConfig(rawConfig);
-    }
+    rawConfig = yaml.parse(configContent);
   } catch (error) {
     console.error(`Error loading configuration: ${error.message}`);
-    return getDefaultConfig();
+    return getDefaultConfig(options);
+  }
+  
+  if (!rawConfig) {
+    return getDefaultConfig(options);
+  }
+  
+  // Check if it's legacy format (has file_prefix or outputs)
+  const isLegacyFormat = rawConfig.file_prefix !== undefined || rawConfig.outputs !== undefined;
+  
+  if (isLegacyFormat) {
+    return convertLegacyConfig(rawConfig, options);
+  } else {
+    return loadExtendedConfig(rawConfig, options);
   }
 }
 
 /**
  * Get default configuration
  * 
+ * @param {Object} [options] - Loading options passed to loadExtendedConfig
  * @returns {Object} - Default configuration
  */
-function getDefaultConfig() {
+function getDefaultConfig(options = {}) {
   return loadExtendedConfig({
     title: 'Untitled Book',
     subtitle: '',
@@ -164,20 +444,46 @@ function getDefaultConfig() {
       html: true,
       docx: true
     }
-  });
+  }, options);
 }
 
 /**
- * Safely quote a string for command line usage
+ * Normalize a pipeline setting to a list of strings
  * 
- * @param {string} str - String to quote
- * @returns {string} - Safely quoted string
+ * @param {string|Array<string>|undefined} value - Single value or list
+ * @returns {Array<string>} - List of values
  */
-function safeQuote(str) {
-  // Replace double quotes with escaped double quotes
-  const escaped = str.replace(/"/g, '\\"');
-  // Wrap in double quotes
-  return `"${escaped}"`;
+function toList(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  
+  return (Array.isArray(value) ? value : [value]).map(item => String(item));
+}
+
+/**
+ * Get the pandoc filters, reader extensions and extra arguments for a format
+ * 
+ * Each list holds the global setting followed by the format-specific one.
+ * Reader extensions are normalized to `+name` / `-name`.
+ * 
+ * @param {Object} config - Configuration object
+ * @param {string} format - Output format
+ * @returns {Object} - {filters, luaFilters, inputExtensions, extraArgs}
+ */
+function getPandocPipeline(config, format) {
+  const formatSettings = config.formatSettings?.[format] || {};
+  const pipeline = {};
+  
+  for (const key of Object.keys(PIPELINE_SETTINGS)) {
+    pipeline[key] = [...toList(config[key]), ...toList(formatSettings[key])];
+  }
+  
+  pipeline.inputExtensions = pipeline.inputExtensions
+    .map(extension => extension.trim())
+    .map(extension => (/^[+-]/.test(extension) ? extension : `+${extension}`));
+  
+  return pipeline;
 }
 
 /**
@@ -186,73 +492,156 @@ function safeQuote(str) {
  * @param {Object} config - Configuration object
  * @param {string} format - Output format ('pdf', 'epub', 'html', 'docx')
  * @param {string} language - Language code
+ * @param {string} [projectRoot] - Path to project root, which templates, stylesheets, the cover and fonts are relative to (default: cwd)
  * @returns {Array} - Array of pandoc arguments
  */
-function getPandocArgs(config, format, language) {
+function getPandocArgs(config, format, language, projectRoot = process.cwd()) {
+  // pandoc runs in the project root, so files are looked up there too
+  const exists = file => fs.existsSync(path.resolve(projectRoot, file));
   const args = [
     '--standalone',
-    `--metadata=title:${safeQuote(config.title)}`,
-    `--metadata=author:${safeQuote(config.author)}`
+    `--metadata=title:${config.title}`,
+    `--metadata=author:${config.author}`
   ];
   
   if (config.subtitle) {
-    args.push(`--metadata=subtitle:${safeQuote(config.subtitle)}`);
+    args.push(`--metadata=subtitle:${config.subtitle}`);
   }
   
   if (config.metadata) {
     for (const [key, value] of Object.entries(config.metadata)) {
       if (value) {
-        args.push(`--metadata=${key}:${safeQuote(value.toString())}`);
+        args.push(`--metadata=${key}:${value.toString()}`);
       }
     }
   }
   
+  // Writing direction of the language; EPUB readers also turn pages the other way
+  const typography = getTypographyProfile(language, config.typography);
+  
+  if (typography.dir === 'rtl') {
+    args.push('--metadata=dir:rtl');
+    
+    if (format === 'epub') {
+      args.push('--metadata=page-progression-direction:rtl');
+    }
+  }
+  
   // Format-specific arguments
   const formatSettings = config.formatSettings || {};
   
+  // Template variables, with format-specific values taking precedence
+  const variables = {
+    ...(config.variables || {}),
+    ...(formatSettings[format]?.variables || {})
+  };
+  
+  for (const [key, value] of Object.entries(variables)) {
+    if (value !== undefined && value !== null && value !== false) {
+      args.push(`--variable=${key}:${value.toString()}`);
+    }
+  }
+  
   if (format === 'pdf') {
     const pdfSettings = formatSettings.pdf || {};
     
-    if (pdfSettings.paperSize) {
-      args.push(`--variable=papersize:${safeQuote(pdfSettings.paperSize)}`);
+    if (pdfSettings.paperSize && !pdfSettings.trimSize) {
+      args.push(`--variable=papersize:${pdfSettings.paperSize}`);
     }
     
     if (pdfSettings.marginTop) {
-      args.push(`--variable=margin-top:${safeQuote(pdfSettings.marginTop)}`);
+      args.push(`--variable=margin-top:${pdfSettings.marginTop}`);
     }
     
     if (pdfSettings.marginRight) {
-      args.push(`--variable=margin-right:${safeQuote(pdfSettings.marginRight)}`);
+      args.push(`--variable=margin-right:${pdfSettings.marginRight}`);
     }
     
     if (pdfSettings.marginBottom) {
-      args.push(`--variable=margin-bottom:${safeQuote(pdfSettings.marginBottom)}`);
+      args.push(`--variable=margin-bottom:${pdfSettings.marginBottom}`);
     }
     
     if (pdfSettings.marginLeft) {
-      args.push(`--variable=margin-left:${safeQuote(pdfSettings.marginLeft)}`);
+      args.push(`--variable=margin-left:${pdfSettings.marginLeft}`);
     }
     
     if (pdfSettings.fontSize) {
-      args.push(`--variable=fontsize:${safeQuote(pdfSettings.fontSize)}`);
+      args.push(`--variable=fontsize:${pdfSettings.fontSize}`);
     }
     
     if (pdfSettings.lineHeight) {
-      args.push(`--variable=lineheight:${safeQuote(pdfSettings.lineHeight)}`);
+      args.push(`--variable=lineheight:${pdfSettings.lineHeight}`);
     }
     
-    if (pdfSettings.template && fs.existsSync(pdfSettings.template)) {
-      args.push(`--template=${safeQuote(pdfSettings.template)}`);
+    const engine = getPdfEngine(pdfSettings.engine);
+    
+    if (engine?.type === 'html') {
+      // HTML engines print pandoc's HTML, styled with the PDF or else the HTML stylesheet
+      const css = pdfSettings.css || formatSettings.html?.css;
+      
+      if (css && exists(css)) {
+        args.push(`--css=${css}`);
+      }
+      
+      if (pdfSettings.htmlTemplate && exists(pdfSettings.htmlTemplate)) {
+        args.push(`--template=${pdfSettings.htmlTemplate}`);
+      }
+    } else {
+      // LaTeX engines lay out the page (trim, bleed, margins) through the geometry package
+      const layout = getPrintLayout(pdfSettings);
+      
+      layout.geometry.forEach(option => args.push(`--variable=geometry:${option}`));
+      layout.classOptions.forEach(option => args.push(`--variable=classoption:${option}`));
+      
+      if (layout.recto) {
+        args.push('--variable=recto:true');
+      }
+      
+      // Only the Unicode engines load fonts; an explicit mainFont replaces the body font
+      if (engine?.systemFonts) {
+        const fontVariables = getPdfFontVariables(normalizeFonts(config.fonts), projectRoot)
+          .filter(([name]) => !(pdfSettings.mainFont && name.startsWith('mainfont')));
+        
+        if (pdfSettings.mainFont) {
+          args.push(`--variable=mainfont:${pdfSettings.mainFont}`);
+        }
+        
+        fontVariables.forEach(([name, value]) => args.push(`--variable=${name}:${value}`));
+        
+        // Script fonts, polyglossia and CJK packages for the language
+        getTypographyVariables(typography).forEach(([name, value]) => args.push(`--variable=${name}:${value}`));
+      }
+      
+      if (pdfSettings.template && exists(pdfSettings.template)) {
+        args.push(`--template=${pdfSettings.template}`);
+      }
+    }
+    
+    if (pdfSettings.engine) {
+      args.push(`--pdf-engine=${pdfSettings.engine}`);
     }
   } else if (format === 'epub') {
     const epubSettings = formatSettings.epub || {};
     
-    if (epubSettings.coverImage && fs.existsSync(epubSettings.coverImage)) {
-      args.push(`--epub-cover-image=${safeQuote(epubSettings.coverImage)}`);
+    if (epubSettings.coverImage && exists(epubSettings.coverImage)) {
+      args.push(`--epub-cover-image=${epubSettings.coverImage}`);
+    }
+    
+    if (epubSettings.css && exists(epubSettings.css)) {
+      args.push(`--css=${epubSettings.css}`);
+    }
+    
+    if (epubSettings.template && exists(epubSettings.template)) {
+      args.push(`--template=${epubSettings.template}`);
     }
     
-    if (epubSettings.css && fs.existsSync(epubSettings.css)) {
-      args.push(`--css=${safeQuote(epubSettings.css)}`);
+    // Accessibility metadata; repeating a key gives pandoc a list
+    for (const [key, field] of Object.entries(PANDOC_ACCESSIBILITY_METADATA)) {
+      for (const value of toList(config.accessibility?.[key])) {
+        if (value) {
+          args.push(`--metadata=${field}:${value}`);
+        }
+      }
     }
     
     if (epubSettings.tocDepth) {
@@ -263,12 +652,12 @@ function getPandocArgs(config, format, language) {
   } else if (format === 'html') {
     const htmlSettings = formatSettings.html || {};
     
-    if (htmlSettings.template && fs.existsSync(htmlSettings.template)) {
-      args.push(`--template=${safeQuote(htmlSettings.template)}`);
+    if (htmlSettings.template && exists(htmlSettings.template)) {
+      args.push(`--template=${htmlSettings.template}`);
     }
     
-    if (htmlSettings.css && fs.existsSync(htmlSettings.css)) {
-      args.push(`--css=${safeQuote(htmlSettings.css)}`);
+    if (htmlSettings.css && exists(htmlSettings.css)) {
+      args.push(`--css=${htmlSettings.css}`);
     }
     
     if (htmlSettings.toc !== false) {
@@ -289,8 +678,8 @@ function getPandocArgs(config, format, language) {
   } else if (format === 'docx') {
     const docxSettings = formatSettings.docx || {};
     
-    if (docxSettings.referenceDoc && fs.existsSync(docxSettings.referenceDoc)) {
-      args.push(`--reference-doc=${safeQuote(docxSettings.referenceDoc)}`);
+    if (docxSettings.referenceDoc && exists(docxSettings.referenceDoc)) {
+      args.push(`--reference-doc=${docxSettings.referenceDoc}`);
     }
     
     if (docxSettings.toc !== false) {
@@ -309,10 +698,13 @@ function getPandocArgs(config, format, language) {
 }
 
 module.exports = {
+  mergeConfig,
+  applyProfile,
+  localizeConfig,
   loadExtendedConfig,
   convertLegacyConfig,
   loadConfig,
   getDefaultConfig,
   getPandocArgs,
-  safeQuote
+  getPandocPipeline
 };
\ No newline at end of file
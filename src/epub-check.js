@@ -0,0 +1,398 @@
+/**
+ * EPUB structural checks
+ * Opens a built EPUB and verifies the container, package document, spine,
+ * navigation, resources and required metadata, reporting `{type, message}`
+ * issues like the project validation
+ */
+const fs = require('fs');
+const path = require('path');
+const { readZip } = require('./zip');
+
+const MIMETYPE = 'application/epub+zip';
+const CONTAINER_PATH = 'META-INF/container.xml';
+
+/**
+ * Accessibility metadata expected by retailers in EPUB 3 package documents
+ */
+const ACCESSIBILITY_PROPERTIES = [
+  'schema:accessMode',
+  'schema:accessibilityFeature',
+  'schema:accessibilityHazard',
+  'schema:accessibilitySummary'
+];
+
+/**
+ * Media types of the image formats allowed in EPUB, by extension
+ */
+const IMAGE_TYPES = {
+  '.gif': 'image/gif',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+  '.webp': 'image/webp'
+};
+
+/**
+ * Get the attributes of an XML start tag
+ * 
+ * @param {string} tag - Start tag markup
+ * @returns {Object} - Attribute values by name
+ */
+function parseAttributes(tag) {
+  const attributes = {};
+  
+  for (const match of tag.matchAll(/([\w:.-]+)\s*=\s*("([^"]*)"|'([^']*)')/g)) {
+    attributes[match[1]] = match[3] ?? match[4];
+  }
+  
+  return attributes;
+}
+
+/**
+ * Find the start tags of an element, ignoring its namespace prefix
+ * 
+ * @param {string} xml - XML document
+ * @param {string} name - Local element name
+ * @returns {Array<Object>} - Attributes of each matching element
+ */
+function findElements(xml, name) {
+  return [...xml.matchAll(new RegExp(`<(?:[\\w-]+:)?${name}\\b[^>]*>`, 'g'))].map(match => parseAttributes(match[0]));
+}
+
+/**
+ * Get the text content of the first element with the given local name
+ * 
+ * @param {string} xml - XML document
+ * @param {string} name - Local element name
+ * @returns {string|null} - Trimmed text, or null if the element is missing
+ */
+function findText(xml, name) {
+  const match = xml.match(new RegExp(`<((?:[\\w-]+:)?${name})\\b[^>]*>([\\s\\S]*?)</\\1>`));
+  return match ? match[2].replace(/<[^>]+>/g, '').trim() : null;
+}
+
+/**
+ * Resolve an href against the directory of the document containing it
+ * 
+ * @param {string} base - Archive path of the referencing document
+ * @param {string} href - Relative reference
+ * @returns {string} - Archive path of the target, without fragment or query
+ */
+function resolveHref(base, href) {
+  let target = href.replace(/[#?].*$/, '');
+  
+  try {
+    target = decodeURIComponent(target);
+  } catch (error) {
+    // Keep malformed escapes as written
+  }
+  
+  return path.posix.normalize(path.posix.join(path.posix.dirname(base), target)).replace(/^(\.\/)+/, '');
+}
+
+/**
+ * Detect an image format from its first bytes
+ * 
+ * @param {Buffer} data - Image contents
+ * @returns {string|null} - Media type, or null if not recognized
+ */
+function sniffImageType(data) {
+  if (data.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'image/png';
+  }
+  if (data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  if (data.toString('latin1', 0, 6) === 'GIF87a' || data.toString('latin1', 0, 6) === 'GIF89a') {
+    return 'image/gif';
+  }
+  if (data.toString('latin1', 0, 4) === 'RIFF' && data.toString('latin1', 8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  if (/^\s*(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!DOCTYPE[^>]*>\s*)?<svg\b/i.test(data.toString('utf-8', 0, 1024))) {
+    return 'image/svg+xml';
+  }
+  return null;
+}
+
+/**
+ * Check the archive layout and the mimetype entry
+ * 
+ * @param {Array<Object>} entries - ZIP entries
+ * @param {Array<Object>} issues - Issue list to append to
+ */
+function checkMimetype(entries, issues) {
+  const mimetype = entries.find(entry => entry.name === 'mimetype');
+  
+  if (!mimetype) {
+    issues.push({ type: 'error', message: 'Missing mimetype file' });
+    return;
+  }
+  
+  if (entries[0] !== mimetype) {
+    issues.push({ type: 'error', message: 'The mimetype file must be the first entry in the archive' });
+  }
+  if (mimetype.method !== 0) {
+    issues.push({ type: 'error', message: 'The mimetype file must be stored without compression' });
+  }
+  if (mimetype.extraLength > 0) {
+    issues.push({ type: 'warning', message: 'The mimetype entry should not have an extra field' });
+  }
+  
+  const content = mimetype.read().toString('latin1');
+  if (content !== MIMETYPE) {
+    issues.push({ type: 'error', message: `The mimetype file must contain "${MIMETYPE}", found "${content.trim()}"` });
+  }
+}
+
+/**
+ * Check the required package metadata
+ * 
+ * @param {string} opf - Package document
+ * @param {string} version - EPUB version from the package element
+ * @param {Array<Object>} issues - Issue list to append to
+ */
+function checkMetadata(opf, version, issues) {
+  const metadata = (opf.match(/<(?:[\w-]+:)?metadata\b[\s\S]*?<\/(?:[\w-]+:)?metadata>/) || [''])[0];
+  const uniqueId = parseAttributes((opf.match(/<(?:[\w-]+:)?package\b[^>]*>/) || [''])[0])['unique-identifier'];
+  const identifiers = findElements(metadata, 'identifier');
+  
+  if (identifiers.length === 0 || !findText(metadata, 'identifier')) {
+    issues.push({ type: 'error', message: 'Missing dc:identifier metadata' });
+  } else if (!uniqueId || !identifiers.some(identifier => identifier.id === uniqueId)) {
+    issues.push({ type: 'error', message: 'The package unique-identifier does not match any dc:identifier' });
+  }
+  
+  if (!findText(metadata, 'title')) {
+    issues.push({ type: 'error', message: 'Missing dc:title metadata' });
+  }
+  
+  if (!findText(metadata, 'language')) {
+    issues.push({ type: 'error', message: 'Missing dc:language metadata' });
+  }
+  
+  if (version.startsWith('3')) {
+    const modified = metadata.match(/<meta\b[^>]*property\s*=\s*["']dcterms:modified["'][^>]*>([^<]*)</);
+    
+    if (!modified) {
+      issues.push({ type: 'error', message: 'Missing dcterms:modified metadata' });
+    } else if (!/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}Z$/.test(modified[1].trim())) {
+      issues.push({ type: 'error', message: `dcterms:modified must use the form CCYY-MM-DDThh:mm:ssZ, found "${modified[1].trim()}"` });
+    }
+    
+    const accessibility = ACCESSIBILITY_PROPERTIES.filter(property =>
+      !new RegExp(`<meta\\b[^>]*property\\s*=\\s*["']${property}["']`).test(metadata));
+    
+    if (accessibility.length > 0) {
+      issues.push({ type: 'warning', message: `Missing accessibility metadata: ${accessibility.join(', ')}` });
+    }
+  }
+}
+
+/**
+ * Check an EPUB file
+ * 
+ * Verifies the mimetype entry, META-INF/container.xml, the package document
+ * (metadata, manifest and spine), the navigation document (or NCX for EPUB 2),
+ * that every manifest item exists and every file is in the manifest, that
+ * content documents only link to files in the archive, and that image media
+ * types match the image data.
+ * 
+ * @param {string} epubPath - Path to the EPUB file
+ * @returns {Object} - {success, valid, path, version, issues}
+ */
+function checkEpub(epubPath) {
+  const result = {
+    success: false,
+    valid: false,
+    path: epubPath,
+    version: null,
+    issues: []
+  };
+  const issues = result.issues;
+  
+  if (!fs.existsSync(epubPath)) {
+    issues.push({ type: 'error', message: `EPUB file not found: ${epubPath}` });
+    return result;
+  }
+  
+  let entries;
+  try {
+    entries = readZip(fs.readFileSync(epubPath));
+  } catch (error) {
+    issues.push({ type: 'error', message: `Cannot read EPUB archive: ${error.message}` });
+    return result;
+  }
+  
+  const files = new Map(entries.filter(entry => !entry.name.endsWith('/')).map(entry => [entry.name, entry]));
+  const read = name => files.get(name).read().toString('utf-8');
+  
+  result.success = true;
+  
+  for (const entry of entries.filter(entry => entry.encrypted)) {
+    issues.push({ type: 'error', message: `Encrypted entry: ${entry.name}` });
+  }
+  
+  checkMimetype(entries, issues);
+  
+  // Container
+  if (!files.has(CONTAINER_PATH)) {
+    issues.push({ type: 'error', message: `Missing ${CONTAINER_PATH}` });
+    return finish(result);
+  }
+  
+  const rootfile = findElements(read(CONTAINER_PATH), 'rootfile')
+    .find(element => element['media-type'] === 'application/oebps-package+xml');
+  
+  if (!rootfile || !rootfile['full-path']) {
+    issues.push({ type: 'error', message: `${CONTAINER_PATH} does not reference a package document` });
+    return finish(result);
+  }
+  
+  const opfPath = rootfile['full-path'];
+  if (!files.has(opfPath)) {
+    issues.push({ type: 'error', message: `Package document not found: ${opfPath}` });
+    return finish(result);
+  }
+  
+  // Package document
+  const opf = read(opfPath);
+  const version = parseAttributes((opf.match(/<(?:[\w-]+:)?package\b[^>]*>/) || [''])[0]).version || '';
+  result.version = version || null;
+  
+  if (!version) {
+    issues.push({ type: 'error', message: 'The package element has no version attribute' });
+  }
+  
+  checkMetadata(opf, version, issues);
+  
+  // Manifest
+  const items = new Map();
+  const itemsByPath = new Map();
+  
+  for (const item of findElements(opf, 'item')) {
+    if (!item.id || !item.href || !item['media-type']) {
+      issues.push({ type: 'error', message: `Manifest item is missing id, href or media-type: ${item.href || item.id || '(unnamed)'}` });
+      continue;
+    }
+    if (items.has(item.id)) {
+      issues.push({ type: 'error', message: `Duplicate manifest id: ${item.id}` });
+      continue;
+    }
+    
+    const itemPath = resolveHref(opfPath, item.href);
+    items.set(item.id, { ...item, path: itemPath });
+    itemsByPath.set(itemPath, items.get(item.id));
+    
+    if (!files.has(itemPath)) {
+      issues.push({ type: 'error', message: `Manifest item not found in archive: ${itemPath}` });
+    }
+  }
+  
+  for (const name of files.keys()) {
+    if (name !== 'mimetype' && name !== opfPath && !name.startsWith('META-INF/') && !itemsByPath.has(name)) {
+      issues.push({ type: 'warning', message: `File not listed in the manifest: ${name}` });
+    }
+  }
+  
+  // Spine
+  const spine = findElements(opf, 'spine')[0];
+  const itemrefs = findElements(opf, 'itemref');
+  
+  if (!spine || itemrefs.length === 0) {
+    issues.push({ type: 'error', message: 'The spine is empty' });
+  }
+  
+  for (const itemref of itemrefs) {
+    const item = items.get(itemref.idref);
+    
+    if (!item) {
+      issues.push({ type: 'error', message: `Spine references unknown manifest id: ${itemref.idref}` });
+    } else if (!['application/xhtml+xml', 'image/svg+xml'].includes(item['media-type'])) {
+      issues.push({ type: 'error', message: `Spine item is not a content document: ${item.path} (${item['media-type']})` });
+    }
+  }
+  
+  // Navigation
+  if (version.startsWith('3')) {
+    const nav = [...items.values()].find(item => (item.properties || '').split(/\s+/).includes('nav'));
+    
+    if (!nav) {
+      issues.push({ type: 'error', message: 'Missing navigation document (manifest item with properties="nav")' });
+    } else if (files.has(nav.path) && !/<nav\b[^>]*epub:type\s*=\s*["'][^"']*\btoc\b/.test(read(nav.path))) {
+      issues.push({ type: 'error', message: `The navigation document has no toc nav: ${nav.path}` });
+    }
+  }
+  
+  if (spine?.toc && !items.has(spine.toc)) {
+    issues.push({ type: 'error', message: `Spine toc references unknown manifest id: ${spine.toc}` });
+  } else if (version.startsWith('2') && !spine?.toc) {
+    issues.push({ type: 'error', message: 'Missing NCX table of contents (spine toc attribute)' });
+  }
+  
+  // Links from content documents
+  for (const item of items.values()) {
+    if (!files.has(item.path)) {
+      continue;
+    }
+    
+    if (item['media-type'] === 'application/xhtml+xml') {
+      const content = read(item.path);
+      const missing = new Set();
+      
+      for (const match of content.matchAll(/\s(?:src|href|xlink:href|poster)\s*=\s*["']([^"']+)["']/g)) {
+        const href = match[1];
+        
+        if (/^([a-z][\w+.-]*:|#|\/\/)/i.test(href)) {
+          continue;
+        }
+        
+        const target = resolveHref(item.path, href);
+        if (!files.has(target)) {
+          missing.add(target);
+        } else if (!itemsByPath.has(target)) {
+          issues.push({ type: 'warning', message: `${item.path} references a file not listed in the manifest: ${target}` });
+        }
+      }
+      
+      for (const target of missing) {
+        issues.push({ type: 'error', message: `${item.path} references a missing resource: ${target}` });
+      }
+    }
+    
+    const expectedType = IMAGE_TYPES[path.extname(item.path).toLowerCase()];
+    
+    if (item['media-type'].startsWith('image/') || expectedType) {
+      const actualType = sniffImageType(files.get(item.path).read());
+      
+      if (!Object.values(IMAGE_TYPES).includes(item['media-type'])) {
+        issues.push({ type: 'error', message: `Unsupported image media type ${item['media-type']}: ${item.path}` });
+      } else if (actualType && actualType !== item['media-type']) {
+        issues.push({ type: 'error', message: `Image declared as ${item['media-type']} but contains ${actualType}: ${item.path}` });
+      } else if (!actualType) {
+        issues.push({ type: 'warning', message: `Unrecognized image data: ${item.path}` });
+      } else if (expectedType && expectedType !== item['media-type']) {
+        issues.push({ type: 'warning', message: `Image extension does not match its media type ${item['media-type']}: ${item.path}` });
+      }
+    }
+  }
+  
+  return finish(result);
+}
+
+/**
+ * Set the validity of a check result from its issues
+ * 
+ * @param {Object} result - Check result
+ * @returns {Object} - The same result
+ */
+function finish(result) {
+  result.valid = !result.issues.some(issue => issue.type === 'error');
+  return result;
+}
+
+module.exports = {
+  sniffImageType,
+  checkEpub
+};
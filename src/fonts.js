@@ -0,0 +1,234 @@
+/**
+ * Fonts
+ * Reads the `fonts` section of book.yaml and turns it into what each format
+ * needs: embedded font files and @font-face rules for EPUB and HTML, and
+ * fontspec settings for the Unicode PDF engines.
+ */
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * What a font is used for: the PDF template variable it sets and the
+ * elements it styles in EPUB and HTML
+ */
+const FONT_ROLES = {
+  body: { variable: 'mainfont', selector: 'body', generic: null },
+  heading: { variable: 'sansfont', selector: 'h1, h2, h3, h4, h5, h6', generic: null },
+  code: { variable: 'monofont', selector: 'code, pre, kbd, samp', generic: 'monospace' }
+};
+
+/**
+ * Weight and style of the named variants `files` may list
+ */
+const FONT_VARIANTS = {
+  regular: { weight: 400, style: 'normal' },
+  italic: { weight: 400, style: 'italic' },
+  bold: { weight: 700, style: 'normal' },
+  bolditalic: { weight: 700, style: 'italic' }
+};
+
+/**
+ * @font-face formats of the font file types
+ */
+const FONT_FORMATS = {
+  '.otf': 'opentype',
+  '.ttf': 'truetype',
+  '.woff': 'woff',
+  '.woff2': 'woff2'
+};
+
+/**
+ * fontspec options naming the other variants of a font family
+ */
+const FONTSPEC_VARIANTS = [
+  ['BoldFont', 700, 'normal'],
+  ['ItalicFont', 400, 'italic'],
+  ['BoldItalicFont', 700, 'italic']
+];
+
+/**
+ * Read a font weight
+ * 
+ * @param {string|number} weight - Number, `normal` or `bold`
+ * @returns {number} - CSS weight
+ */
+function parseWeight(weight) {
+  if (weight === 'bold') {
+    return 700;
+  }
+  
+  return Number(weight) || 400;
+}
+
+/**
+ * Normalize the `fonts` section of a configuration
+ * 
+ * Each font has a `family`, an optional `role` (body, heading or code) and
+ * `files`, either a map of variants (regular, italic, bold, bold-italic) to
+ * paths or a list of {path, weight, style}.
+ * 
+ * @param {Array<Object>} [fonts] - Fonts as written in book.yaml
+ * @returns {Array<Object>} - Fonts as {family, role, files: [{path, weight, style}]}
+ */
+function normalizeFonts(fonts) {
+  if (!Array.isArray(fonts)) {
+    return [];
+  }
+  
+  return fonts.map(font => {
+    const files = Array.isArray(font.files)
+      ? font.files.map(file => (typeof file === 'string' ? { path: file } : file))
+        .map(file => ({
+          path: file.path || file.file || '',
+          weight: parseWeight(file.weight),
+          style: file.style === 'italic' ? 'italic' : 'normal'
+        }))
+      : Object.entries(font.files || {}).map(([variant, file]) => ({
+        path: file,
+        ...(FONT_VARIANTS[variant.toLowerCase().replace(/[-_\s]/g, '')] || FONT_VARIANTS.regular)
+      }));
+    
+    return {
+      family: font.family || '',
+      role: font.role || '',
+      files
+    };
+  });
+}
+
+/**
+ * Get every font file of the configured fonts
+ * 
+ * @param {Array<Object>} fonts - Normalized fonts
+ * @returns {Array<string>} - Font file paths
+ */
+function getFontFiles(fonts) {
+  return fonts.flatMap(font => font.files.map(file => file.path)).filter(Boolean);
+}
+
+/**
+ * Find the file of a font variant
+ * 
+ * @param {Object} font - Normalized font
+ * @param {number} weight - CSS weight
+ * @param {string} style - `normal` or `italic`
+ * @returns {Object|undefined} - Font file
+ */
+function findVariant(font, weight, style) {
+  return font.files.find(file => file.weight === weight && file.style === style);
+}
+
+/**
+ * Get the PDF template variables for the fonts of each role
+ * 
+ * Fonts with files are loaded from their directory, with the bold and
+ * italic files as fontspec options; fonts without files are looked up by
+ * family among the installed fonts.
+ * 
+ * @param {Array<Object>} fonts - Normalized fonts
+ * @param {string} [projectRoot] - Path to project root, which font paths are relative to (default: cwd)
+ * @returns {Array<Array<string>>} - [variable, value] pairs; option variables may repeat
+ */
+function getPdfFontVariables(fonts, projectRoot = process.cwd()) {
+  const variables = [];
+  
+  for (const [role, { variable }] of Object.entries(FONT_ROLES)) {
+    const font = fonts.find(candidate => candidate.role === role);
+    
+    if (!font) {
+      continue;
+    }
+    
+    const regular = findVariant(font, 400, 'normal') || font.files[0];
+    
+    if (!regular) {
+      variables.push([variable, font.family]);
+      continue;
+    }
+    
+    const directory = path.dirname(path.resolve(projectRoot, regular.path));
+    variables.push([variable, path.basename(regular.path)]);
+    variables.push([`${variable}options`, `Path=${directory.split(path.sep).join('/')}/`]);
+    
+    for (const [option, weight, style] of FONTSPEC_VARIANTS) {
+      const file = findVariant(font, weight, style);
+      
+      if (file && file !== regular) {
+        variables.push([`${variable}options`, `${option}=${path.relative(directory, path.resolve(projectRoot, file.path)).split(path.sep).join('/')}`]);
+      }
+    }
+  }
+  
+  return variables;
+}
+
+/**
+ * Render the @font-face rules and role styles for the configured fonts
+ * 
+ * @param {Array<Object>} fonts - Normalized fonts
+ * @param {Function} urlFor - Maps a font file path to its URL in the stylesheet
+ * @returns {string} - CSS, empty without fonts
+ */
+function renderFontCss(fonts, urlFor) {
+  const rules = [];
+  
+  for (const font of fonts) {
+    for (const file of font.files.filter(entry => entry.path)) {
+      const format = FONT_FORMATS[path.extname(file.path).toLowerCase()];
+      
+      rules.push([
+        '@font-face {',
+        `  font-family: "${font.family}";`,
+        `  src: url("${urlFor(file.path)}")${format ? ` format("${format}")` : ''};`,
+        `  font-weight: ${file.weight};`,
+        `  font-style: ${file.style};`,
+        '}'
+      ].join('\n'));
+    }
+  }
+  
+  for (const [role, { selector, generic }] of Object.entries(FONT_ROLES)) {
+    const font = fonts.find(candidate => candidate.role === role);
+    
+    if (font) {
+      rules.push(`${selector} {\n  font-family: "${font.family}"${generic ? `, ${generic}` : ''};\n}`);
+    }
+  }
+  
+  return rules.length > 0 ? `${rules.join('\n\n')}\n` : '';
+}
+
+/**
+ * Write the font stylesheet of a build
+ * 
+ * @param {Array<Object>} fonts - Normalized fonts
+ * @param {string} cssPath - Stylesheet to write
+ * @param {Object} [options] - Stylesheet options
+ * @param {string} [options.projectRoot] - Path to project root, which font paths are relative to (default: cwd)
+ * @param {Function} [options.urlFor] - Maps an absolute font file path to its URL (default: relative to the stylesheet)
+ * @returns {string|null} - Path of the stylesheet, or null without fonts
+ */
+function writeFontStylesheet(fonts, cssPath, options = {}) {
+  const projectRoot = options.projectRoot || process.cwd();
+  const urlFor = options.urlFor || (file => path.relative(path.dirname(path.resolve(cssPath)), file).split(path.sep).join('/'));
+  const css = renderFontCss(fonts, file => urlFor(path.resolve(projectRoot, file)));
+  
+  if (!css) {
+    return null;
+  }
+  
+  fs.mkdirSync(path.dirname(cssPath), { recursive: true });
+  fs.writeFileSync(cssPath, css);
+  
+  return cssPath;
+}
+
+module.exports = {
+  FONT_ROLES,
+  FONT_FORMATS,
+  normalizeFonts,
+  getFontFiles,
+  getPdfFontVariables,
+  renderFontCss,
+  writeFontStylesheet
+};
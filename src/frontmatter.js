@@ -0,0 +1,111 @@
+/**
+ * Chapter front matter
+ * Parses the YAML front matter block at the top of chapter files and
+ * decides which chapters belong in a build
+ */
+const fs = require('fs');
+const path = require('path');
+const yaml = require('yaml');
+
+const FRONT_MATTER_PATTERN = /^\uFEFF?---[ \t]*\r?\n([\s\S]*?)\r?\n(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/;
+
+/**
+ * Split markdown content into front matter data and body
+ * 
+ * @param {string} content - Markdown content
+ * @param {string} [filePath] - File the content was read from (for error messages)
+ * @returns {Object} - {data, body, hasFrontMatter, lineOffset} where lineOffset is the number of lines before the body
+ * @throws {Error} - If the front matter is not valid YAML
+ */
+function parseFrontMatter(content, filePath) {
+  const match = content.match(FRONT_MATTER_PATTERN);
+  
+  if (!match) {
+    return { data: {}, body: content, hasFrontMatter: false, lineOffset: 0 };
+  }
+  
+  let data;
+  try {
+    data = yaml.parse(match[1]);
+  } catch (error) {
+    throw new Error(`Invalid front matter${filePath ? ` in ${filePath}` : ''}: ${error.message}`);
+  }
+  
+  // A block that doesn't hold a mapping (e.g. a horizontal rule) is not front matter
+  if (data !== null && (typeof data !== 'object' || Array.isArray(data))) {
+    return { data: {}, body: content, hasFrontMatter: false, lineOffset: 0 };
+  }
+  
+  return {
+    data: data || {},
+    body: content.slice(match[0].length),
+    hasFrontMatter: true,
+    lineOffset: match[0].split('\n').length - 1
+  };
+}
+
+/**
+ * Read a chapter file and parse its front matter
+ * 
+ * @param {string} filePath - Path to the markdown file
+ * @returns {Object} - {path, data, body, lineOffset}
+ */
+function readChapter(filePath) {
+  const content = fs.readFileSync(filePath, 'utf-8');
+  const { data, body, lineOffset } = parseFrontMatter(content, filePath);
+  
+  return { path: filePath, data, body, lineOffset };
+}
+
+/**
+ * Check whether front matter marks a chapter as a draft
+ * 
+ * @param {Object} data - Front matter data
+ * @returns {boolean} - True if the chapter is a draft
+ */
+function isDraft(data) {
+  return data.draft === true || data.draft === 'true';
+}
+
+/**
+ * Check whether a chapter should be included in a format
+ * 
+ * @param {Object} data - Front matter data
+ * @param {string} [format] - Output format; without one every chapter matches
+ * @returns {boolean} - True if the chapter belongs in the format
+ */
+function matchesFormat(data, format) {
+  if (!format || data.formats === undefined || data.formats === null) {
+    return true;
+  }
+  
+  const formats = Array.isArray(data.formats) ? data.formats : String(data.formats).split(',');
+  return formats.map(item => String(item).trim().toLowerCase()).includes(format);
+}
+
+/**
+ * Get the metadata of a chapter for reporting
+ * 
+ * @param {Object} chapter - Chapter as returned by readChapter
+ * @param {string} baseDir - Directory the reported file path is relative to
+ * @returns {Object} - Chapter metadata
+ */
+function getChapterMetadata(chapter, baseDir) {
+  const headingMatch = chapter.body.match(/^#\s+(.+)$/m);
+  
+  return {
+    ...chapter.data,
+    file: path.relative(baseDir, chapter.path),
+    title: chapter.data.title || (headingMatch ? headingMatch[1].trim() : ''),
+    draft: isDraft(chapter.data),
+    ...(chapter.matter ? { matter: chapter.matter } : {})
+  };
+}
+
+module.exports = {
+  parseFrontMatter,
+  readChapter,
+  isDraft,
+  matchesFormat,
+  getChapterMetadata
+};
@@ -0,0 +1,192 @@
+/**
+ * Markdown includes
+ * Resolves `!include(path)` directives so shared content (legal notices,
+ * sidebars, code listings) can be reused across chapters and languages
+ */
+const fs = require('fs');
+const path = require('path');
+const { parseFrontMatter } = require('./frontmatter');
+
+const INCLUDE_PATTERN = /^(\s*)!include\(\s*([^,)]+?)\s*(?:,\s*lines\s*=\s*([^)]*?)\s*)?\)\s*$/;
+const FENCE_PATTERN = /^\s*(`{3,}|~{3,})/;
+
+/**
+ * Map of file extensions to code block languages
+ */
+const CODE_LANGUAGES = {
+  '.js': 'javascript',
+  '.mjs': 'javascript',
+  '.cjs': 'javascript',
+  '.ts': 'typescript',
+  '.py': 'python',
+  '.rb': 'ruby',
+  '.sh': 'bash',
+  '.yml': 'yaml',
+  '.yaml': 'yaml',
+  '.json': 'json',
+  '.html': 'html',
+  '.css': 'css',
+  '.java': 'java',
+  '.go': 'go',
+  '.rs': 'rust',
+  '.c': 'c',
+  '.h': 'c',
+  '.cpp': 'cpp',
+  '.cs': 'csharp',
+  '.php': 'php',
+  '.sql': 'sql',
+  '.xml': 'xml',
+  '.tex': 'latex'
+};
+
+/**
+ * Parse a line range such as "10-20", "10-" or "7"
+ * 
+ * @param {string} range - Line range
+ * @returns {Object|null} - {start, end} (1-based, inclusive) or null if invalid
+ */
+function parseLineRange(range) {
+  const match = String(range).trim().match(/^(\d+)(?:\s*(-)\s*(\d*))?$/);
+  
+  if (!match) {
+    return null;
+  }
+  
+  const start = parseInt(match[1], 10);
+  let end = start;
+  
+  if (match[2]) {
+    end = match[3] ? parseInt(match[3], 10) : Infinity;
+  }
+  
+  return start >= 1 && end >= start ? { start, end } : null;
+}
+
+/**
+ * Resolve an include target relative to the including file
+ * 
+ * Targets starting with "/" are resolved against the project root.
+ * 
+ * @param {string} target - Target as written in the directive
+ * @param {string} filePath - Path of the including file
+ * @param {string} projectRoot - Path to project root
+ * @returns {string} - Absolute target path
+ */
+function resolveIncludePath(target, filePath, projectRoot) {
+  const cleaned = target.replace(/^["']|["']$/g, '');
+  
+  if (cleaned.startsWith('/')) {
+    return path.join(projectRoot, cleaned);
+  }
+  
+  return path.resolve(path.dirname(filePath), cleaned);
+}
+
+/**
+ * Replace include directives in markdown content
+ * 
+ * A directive must be on its own line. Markdown targets are inserted as
+ * markdown (front matter stripped, nested includes resolved); any other file
+ * is inserted as a fenced code block, or as plain lines when the directive
+ * already sits inside a code block. `lines=10-20` selects a line range.
+ * 
+ * @param {string} content - Markdown content
+ * @param {string} filePath - Path of the file the content belongs to
+ * @param {Object} [options] - Include options
+ * @param {string} [options.projectRoot] - Root for "/"-prefixed targets (defaults to cwd)
+ * @param {number} [options.lineOffset=0] - Lines preceding the content in its file
+ * @param {Set<string>} [options.dependencies] - Receives every included file path
+ * @param {Array<string>} [options.stack] - Files currently being included (for cycle detection)
+ * @returns {string} - Content with includes resolved
+ * @throws {Error} - If a target is missing, a line range is invalid or includes are circular
+ */
+function resolveIncludes(content, filePath, options = {}) {
+  const projectRoot = options.projectRoot || process.cwd();
+  const lineOffset = options.lineOffset || 0;
+  const stack = options.stack || [path.resolve(filePath)];
+  const lines = content.split('\n');
+  const output = [];
+  let fence = null;
+  
+  lines.forEach((line, index) => {
+    const fenceMatch = line.match(FENCE_PATTERN);
+    
+    if (fenceMatch) {
+      if (!fence) {
+        fence = fenceMatch[1];
+      } else if (fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) {
+        fence = null;
+      }
+    }
+    
+    const match = line.match(INCLUDE_PATTERN);
+    
+    if (!match) {
+      output.push(line);
+      return;
+    }
+    
+    const location = `${path.relative(projectRoot, filePath) || filePath}:${index + 1 + lineOffset}`;
+    const targetPath = resolveIncludePath(match[2], filePath, projectRoot);
+    
+    if (!fs.existsSync(targetPath) || !fs.statSync(targetPath).isFile()) {
+      throw new Error(`Include target not found: ${match[2]} (included from ${location})`);
+    }
+    
+    if (stack.includes(targetPath)) {
+      const chain = [...stack, targetPath].map(file => path.relative(projectRoot, file)).join(' -> ');
+      throw new Error(`Circular include detected: ${chain} (included from ${location})`);
+    }
+    
+    if (options.dependencies) {
+      options.dependencies.add(targetPath);
+    }
+    
+    let targetLines = fs.readFileSync(targetPath, 'utf-8').replace(/\r?\n$/, '').split(/\r?\n/);
+    let rangeOffset = 0;
+    
+    if (match[3] !== undefined) {
+      const range = parseLineRange(match[3]);
+      
+      if (!range) {
+        throw new Error(`Invalid line range "${match[3]}" for include ${match[2]} (included from ${location})`);
+      }
+      
+      targetLines = targetLines.slice(range.start - 1, range.end);
+      rangeOffset = range.start - 1;
+    }
+    
+    const indent = match[1];
+    const extension = path.extname(targetPath).toLowerCase();
+    const isMarkdown = extension === '.md' || extension === '.markdown';
+    
+    if (fence || !isMarkdown) {
+      const block = targetLines.map(targetLine => indent + targetLine);
+      
+      if (fence) {
+        output.push(...block);
+      } else {
+        output.push(`${indent}\`\`\`${CODE_LANGUAGES[extension] || extension.slice(1)}`, ...block, `${indent}\`\`\``);
+      }
+      return;
+    }
+    
+    // Markdown targets may have front matter and includes of their own
+    const { body, lineOffset: targetOffset } = parseFrontMatter(targetLines.join('\n'), targetPath);
+    const resolved = resolveIncludes(body, targetPath, {
+      ...options,
+      projectRoot,
+      lineOffset: rangeOffset + targetOffset,
+      stack: [...stack, targetPath]
+    });
+    
+    output.push(...resolved.split('\n').map(targetLine => (targetLine ? indent + targetLine : targetLine)));
+  });
+  
+  return output.join('\n');
+}
+
+module.exports = {
+  resolveIncludes,
+  parseLineRange
+};
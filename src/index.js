@@ -6,40 +6,72 @@ const {
   ensureDirectoryExists,
   buildFileNames,
   runCommand,
-  createPandocCommand
+  createPandocCommand,
+  writeBuildStylesheets
 } = require('./utils');
+const { formatCommand } = require('./process');
+const { stripImages, getRecoveryAttempts } = require('./recovery');
 const { validate } = require('./validate');
-const { execSync, exec } = require('child_process');
-
-/**
- * Promise wrapper for exec
- * 
- * @param {string} command - Command to execute
- * @returns {Promise<{stdout: string, stderr: string}>} - Promise with stdout and stderr
- */
-function execPromise(command) {
-  return new Promise((resolve, reject) => {
-    exec(command, (error, stdout, stderr) => {
-      if (error && error.code !== 0) {
-        reject(error);
-      } else {
-        resolve({ stdout, stderr });
-      }
-    });
-  });
-}
+const { initProject } = require('./init');
+const { buildSite } = require('./site');
+const { addSearchToHtml } = require('./search');
+const { checkEpub } = require('./epub-check');
+const { applyAccessibilityMetadata } = require('./accessibility');
+const { resolvePdfEngine } = require('./pdf-engines');
+const {
+  isPrintLayout,
+  formatLength,
+  countPdfPages,
+  getSpineWidth
+} = require('./print');
+const {
+  computeInputHash,
+  loadBuildCache,
+  saveBuildCache,
+  isCacheHit,
+  clearBuildCache
+} = require('./cache');
+const { runJobs } = require('./scheduler');
+const { findMarkdownFiles, resolveChapterFiles } = require('./chapters');
+const { loadConfig, mergeConfig, localizeConfig } = require('./config');
+const {
+  readChapter,
+  isDraft,
+  matchesFormat,
+  getChapterMetadata
+} = require('./frontmatter');
+const { resolveIncludes } = require('./include');
+const {
+  SECTION_BREAK,
+  resolveMatterFiles,
+  getSectionType,
+  renderMatterSection
+} = require('./matter');
 
 /**
  * Build a book in the specified format(s) with extended configuration support
  * 
+ * Combining the markdown of a language and building each of its formats are
+ * scheduled as separate jobs so independent pandoc runs can execute
+ * concurrently. Results are always reported in language and format order.
+ * 
  * @param {Object} options - Build options
  * @param {boolean} [options.allLanguages=false] - Whether to build for all languages
  * @param {string} [options.language='en'] - Language to build for
  * @param {Array<string>} [options.formats=['pdf']] - Formats to build
  * @param {string} [options.projectPath] - Optional path to project root
+ * @param {boolean} [options.force=false] - Rebuild formats even if their inputs are unchanged
+ * @param {number|string} [options.jobs] - Maximum concurrent jobs (defaults to build.concurrency or 1)
+ * @param {boolean} [options.includeDrafts=false] - Include chapters marked `draft: true`
+ * @param {string} [options.profile] - Build profile from book.yaml to apply
+ * @param {boolean} [options.recovery=false] - Retry failed formats down the recovery ladder
+ * @param {AbortSignal} [options.signal] - Signal that cancels the build's external tools
+ * @param {Object} [options.logger=console] - Console-like logger receiving build messages
  * @returns {Promise<Object>} - Build result
  */
 async function buildBook(options = {}) {
+  const logger = options.logger || console;
+  
   try {
     let projectRoot;
     
@@ -51,11 +83,11 @@ async function buildBook(options = {}) {
       } catch (error) {
         // If finding project root fails, use current directory as default
         projectRoot = path.resolve('.');
-        console.log(`No book.yaml found in parent directories. Using current directory as project root.`);
+        logger.log(`No book.yaml found in parent directories. Using current directory as project root.`);
       }
     }
     
-    const config = loadBookConfig(projectRoot);
+    const config = loadBookConfig(projectRoot, { profile: options.profile });
     
     const languages = options.allLanguages 
       ? config.languages 
@@ -63,10 +95,22 @@ async function buildBook(options = {}) {
     
     const formats = options.formats || ['pdf'];
     
+    const concurrency = options.jobs || config.build?.concurrency || 1;
+    
+    // Seconds a single pandoc/kindlegen/calibre run may take (0 for no limit)
+    const processTimeout = (Number(config.build?.timeout) || 0) * 1000;
+    
+    // Profiles may include drafts, e.g. for a review edition
+    const includeDrafts = Boolean(options.includeDrafts || config.includeDrafts);
+    
     const results = [];
+    const jobs = [];
+    const caches = {};
     
     for (const language of languages) {
-      const fileNames = buildFileNames(language, projectRoot);
+      // Per-language overrides (title, metadata, cover, file prefix, format settings)
+      const languageConfig = localizeConfig(config, language);
+      const fileNames = buildFileNames(language, projectRoot, languageConfig);
       
       // Ensure build directory exists
       const buildDir = path.dirname(fileNames.input);
@@ -78,32 +122,180 @@ async function buildBook(options = {}) {
         formats,
         files: {
           input: fileNames.input
-        }
+        },
+        cache: {
+          hits: [],
+          misses: []
+        },
+        fallbacks: {},
+        skipped: [],
+        spine: null,
+        errors: {},
+        logs: {}
       };
       
-      // Combine markdown files
-      await combineMarkdownFiles(projectRoot, language, fileNames.input);
+      // Work out which formats have changed since the last build
+      const cache = loadBuildCache(projectRoot, language);
+      const pending = [];
       
-      // Build each requested format
       for (const format of formats) {
         if (fileNames[format]) {
-          try {
-            await buildFormat(config, fileNames.input, fileNames[format], format, language, projectRoot);
+          const hash = computeInputHash(languageConfig, format, language, projectRoot, { includeDrafts });
+          
+          if (!options.force && isCacheHit(cache, format, hash, fileNames[format])) {
             buildResult.files[format] = fileNames[format];
-          } catch (formatError) {
-            console.error(`Error building ${format}: ${formatError.message}`);
-            if (formatError.stderr) {
-              console.error(`Error details: ${formatError.stderr}`);
+            buildResult.cache.hits.push(format);
+          } else {
+            pending.push({ format, hash });
+          }
+        }
+      }
+      
+      caches[language] = cache;
+      
+      if (pending.length > 0) {
+        const pendingFormats = pending.map(({ format }) => format);
+        const inputs = {};
+        
+        // Combine markdown files before any format of this language is built
+        const combineJob = `${language}:combine`;
+        jobs.push({
+          id: combineJob,
+          language,
+          run: async () => {
+            const combineOptions = { includeDrafts };
+            await combineMarkdownFiles(projectRoot, language, fileNames.input, languageConfig, combineOptions);
+            
+            // Chapters restricted to certain formats need a combined file per format
+            const chapters = collectChapters(projectRoot, language, languageConfig, combineOptions);
+            const restricted = chapters.some(chapter => chapter.data.formats !== undefined);
+            
+            for (const format of pendingFormats) {
+              inputs[format] = fileNames.input;
+              
+              // A format that no chapter is included in is skipped, not failed
+              if (restricted && !chapters.some(chapter => matchesFormat(chapter.data, format))) {
+                inputs[format] = null;
+              } else if (restricted) {
+                inputs[format] = path.join(buildDir, `combined.${format}.md`);
+                await combineMarkdownFiles(projectRoot, language, inputs[format], languageConfig, { ...combineOptions, format });
+              }
             }
           }
+        });
+        
+        for (const { format, hash } of pending) {
+          const dependsOn = [combineJob];
+          
+          // MOBI is converted from the EPUB, so wait for it when both are built
+          if (format === 'mobi' && pendingFormats.includes('epub')) {
+            dependsOn.push(`${language}:epub`);
+          }
+          
+          jobs.push({
+            id: `${language}:${format}`,
+            language,
+            format,
+            hash,
+            dependsOn,
+            run: async logger => {
+              const formatOptions = { logger, timeout: processTimeout, signal: options.signal };
+              
+              if (inputs[format] === null) {
+                logger.warn(`No chapters are included in ${format.toUpperCase()}; skipping it`);
+                return { skipped: true, fallback: null, attempts: [], spine: null };
+              }
+              
+              if (options.recovery) {
+                return buildFormatWithRecovery(languageConfig, inputs[format], fileNames[format], format, language, projectRoot, formatOptions);
+              }
+              
+              const { spine } = await buildFormat(languageConfig, inputs[format], fileNames[format], format, language, projectRoot, formatOptions);
+              return { fallback: null, attempts: [], spine };
+            }
+          });
         }
       }
       
       results.push(buildResult);
     }
     
+    const jobResults = await runJobs(jobs, {
+      concurrency,
+      onJobComplete: (jobResult) => {
+        // Print each job's output as one block so concurrent logs don't interleave
+        for (const entry of jobResult.logs) {
+          const method = entry.level === 'info' ? 'log' : entry.level;
+          logger[method](`[${jobResult.id}] ${entry.message}`);
+        }
+      }
+    });
+    
+    jobs.forEach((job, index) => {
+      const jobResult = jobResults[index];
+      const buildResult = results[languages.indexOf(job.language)];
+      
+      if (!job.format) {
+        // Without the combined markdown nothing else can be built
+        if (!jobResult.success) {
+          throw jobResult.error;
+        }
+        return;
+      }
+      
+      const outputPath = buildFileNames(job.language, projectRoot, config)[job.format];
+      buildResult.logs[job.format] = jobResult.logs;
+      
+      if (jobResult.success && jobResult.value.skipped) {
+        buildResult.skipped.push(job.format);
+        return;
+      }
+      
+      buildResult.cache.misses.push(job.format);
+      
+      if (jobResult.success) {
+        buildResult.files[job.format] = outputPath;
+        
+        if (jobResult.value.spine) {
+          buildResult.spine = jobResult.value.spine;
+        }
+        
+        if (jobResult.value.fallback) {
+          // Degraded artifacts are rebuilt in full next time
+          buildResult.fallbacks[job.format] = jobResult.value.fallback;
+        } else {
+          caches[job.language][job.format] = {
+            hash: job.hash,
+            output: outputPath,
+            builtAt: new Date().toISOString()
+          };
+        }
+      } else {
+        buildResult.success = false;
+        buildResult.errors[job.format] = jobResult.error.message;
+        logger.error(`Error building ${job.format}: ${jobResult.error.message}`);
+        if (jobResult.error.stderr) {
+          logger.error(`Error details: ${jobResult.error.stderr}`);
+        }
+      }
+    });
+    
+    for (const language of languages) {
+      // Keep files in the order the formats were requested
+      const buildResult = results[languages.indexOf(language)];
+      buildResult.files = Object.fromEntries(
+        ['input', ...formats]
+          .filter(key => buildResult.files[key])
+          .map(key => [key, buildResult.files[key]])
+      );
+      
+      saveBuildCache(projectRoot, language, caches[language]);
+    }
+    
     // Return the first result for simplicity if only building one language
-    return languages.length === 1 ? results[0] : { success: true, results };
+    return languages.length === 1
+      ? results[0]
+      : { success: results.every(result => result.success), results };
   } catch (error) {
     return {
       success: false,
@@ -112,21 +304,68 @@ async function buildBook(options = {}) {
   }
 }
 
+/**
+ * Collect the chapters of a language in book order with their front matter
+ * 
+ * Front matter sections come first and back matter sections last; each
+ * chapter is tagged with its place in the book (`matter`: front, body or
+ * back). Draft chapters are left out unless drafts are explicitly included.
+ * 
+ * @param {string} projectRoot - Path to project root
+ * @param {string} language - Language code
+ * @param {Object} [config={}] - Book configuration (for the chapter manifest)
+ * @param {Object} [options] - Collection options
+ * @param {boolean} [options.includeDrafts=false] - Include chapters marked `draft: true`
+ * @returns {Array<Object>} - Chapters as {path, data, body, lineOffset, matter}
+ */
+function collectChapters(projectRoot, language, config = {}, options = {}) {
+  const languageDir = path.join(projectRoot, 'book', language);
+  
+  // Resolve the chapter files in book order
+  const chapters = resolveChapterFiles(projectRoot, language, config);
+  
+  if (chapters.missing.length > 0) {
+    throw new Error(`Chapter files listed in ${chapters.source} not found in ${languageDir}: ${chapters.missing.join(', ')}`);
+  }
+  
+  const matter = resolveMatterFiles(projectRoot, language, config);
+  
+  if (matter.missing.length > 0) {
+    throw new Error(`Front or back matter files listed in book.yaml not found in ${languageDir}: ${matter.missing.join(', ')}`);
+  }
+  
+  // Front and back matter files are never also part of the main matter
+  const matterFiles = new Set([...matter.front, ...matter.back]);
+  const read = (file, place) => ({ ...readChapter(file), matter: place });
+  
+  return [
+    ...matter.front.map(file => read(file, 'front')),
+    ...chapters.files.filter(file => !matterFiles.has(file)).map(file => read(file, 'body')),
+    ...matter.back.map(file => read(file, 'back'))
+  ].filter(chapter => options.includeDrafts || !isDraft(chapter.data));
+}
+
 /**
  * Combine markdown files for a specific language
  * 
+ * Front matter is stripped from every chapter and `!include(...)` directives
+ * are resolved. Front and back matter sections are marked up for their place
+ * in the book. When a format is given, only chapters whose `formats` front
+ * matter allows that format are combined.
+ * 
  * @param {string} projectRoot - Path to project root
  * @param {string} language - Language code
  * @param {string} outputPath - Path to combined markdown file
+ * @param {Object} [config={}] - Book configuration (for the chapter manifest)
+ * @param {Object} [options] - Combine options
+ * @param {string} [options.format] - Only include chapters allowed in this format
+ * @param {boolean} [options.includeDrafts=false] - Include chapters marked `draft: true`
  * @returns {Promise<boolean>} - Success status
  */
-async function combineMarkdownFiles(projectRoot, language, outputPath) {
-  // This is a placeholder for the actual implementation
-  // It would scan directories, combine files, etc.
-  
-  // For now, we'll create a sample markdown file if none exists
+async function combineMarkdownFiles(projectRoot, language, outputPath, config = {}, options = {}) {
   const languageDir = path.join(projectRoot, 'book', language);
   
+  // Create a sample markdown file if the language has no content yet
   if (!fs.existsSync(languageDir)) {
     console.warn(`Language directory ${languageDir} not found, creating sample.`);
     ensureDirectoryExists(languageDir);
@@ -142,15 +381,34 @@ async function combineMarkdownFiles(projectRoot, language, outputPath) {
     }
   }
   
-  // Find all markdown files in the language directory
-  const markdownFiles = findMarkdownFiles(languageDir);
+  const chapters = collectChapters(projectRoot, language, config, options)
+    .filter(chapter => matchesFormat(chapter.data, options.format));
   
-  if (markdownFiles.length === 0) {
+  if (chapters.length === 0) {
     throw new Error(`No markdown files found in ${languageDir}`);
   }
   
-  // Combine files
-  const combinedContent = markdownFiles.map(file => fs.readFileSync(file, 'utf-8')).join('\n\n');
+  // Combine chapter bodies without their front matter, resolving includes
+  let appendixStarted = false;
+  const combinedContent = chapters
+    .map((chapter, index) => {
+      const body = resolveIncludes(chapter.body, chapter.path, { projectRoot, lineOffset: chapter.lineOffset })
+        .replace(/^\s*\n/, '');
+      
+      if (chapter.matter !== 'body') {
+        const firstAppendix = !appendixStarted && getSectionType(chapter) === 'appendix';
+        appendixStarted = appendixStarted || firstAppendix;
+        return renderMatterSection(body, chapter, { firstAppendix });
+      }
+      
+      // The main matter starts on a new page after the front matter
+      if (index > 0 && chapters[index - 1].matter === 'front') {
+        return `${SECTION_BREAK}\n\n${body}`;
+      }
+      
+      return body;
+    })
+    .join('\n\n');
   
   // Write to output file
   ensureDirectoryExists(path.dirname(outputPath));
@@ -159,49 +417,30 @@ async function combineMarkdownFiles(projectRoot, language, outputPath) {
   return true;
 }
 
-/**
- * Find all markdown files in a directory recursively
- * 
- * @param {string} dir - Directory to search
- * @returns {Array<string>} - List of markdown file paths
- */
-function findMarkdownFiles(dir) {
-  let results = [];
-  
-  if (!fs.existsSync(dir)) {
-    return results;
-  }
-  
-  const list = fs.readdirSync(dir);
-  
-  for (const file of list) {
-    const filePath = path.join(dir, file);
-    const stat = fs.statSync(filePath);
-    
-    if (stat.isDirectory() && file !== 'images') {
-      // Recursively search subdirectories, but skip images directories
-      results = results.concat(findMarkdownFiles(filePath));
-    } else if (file.endsWith('.md')) {
-      results.push(filePath);
-    }
-  }
-  
-  // Sort by directory/filename
-  return results.sort();
-}
-
 /**
  * Build a specific format using appropriate tools
  * 
  * @param {Object} config - Book configuration
  * @param {string} inputPath - Input markdown file path
  * @param {string} outputPath - Output file path
- * @param {string} format - Format to build (pdf, epub, html, mobi, docx)
+ * @param {string} format - Format to build (pdf, epub, html, mobi, docx, site)
  * @param {string} language - Language code
  * @param {string} projectRoot - Path to project root
- * @returns {Promise<boolean>} - Success status
+ * @param {Object} [options] - Additional build options
+ * @param {Object} [options.logger=console] - Console-like logger receiving build messages
+ * @param {number} [options.timeout] - Milliseconds before an external tool is killed
+ * @param {AbortSignal} [options.signal] - Signal that cancels running external tools
+ * @returns {Promise<Object>} - {spine} once the output is written, where spine is the {pages, width, paper} of a print PDF and null otherwise
+ * @throws {Error} - If the format could not be built
  */
-async function buildFormat(config, inputPath, outputPath, format, language, projectRoot) {
+async function buildFormat(config, inputPath, outputPath, format, language, projectRoot, options = {}) {
+  const logger = options.logger || console;
+  const processOptions = {
+    cwd: projectRoot,
+    timeout: options.timeout,
+    signal: options.signal
+  };
+  
   // Define resource paths
   const resourcePaths = [
     '.', 
@@ -216,75 +455,341 @@ async function buildFormat(config, inputPath, outputPath, format, language, proj
   
   // For PDF, EPUB, HTML, and DOCX, use pandoc
   if (format === 'pdf' || format === 'epub' || format === 'html' || format === 'docx') {
-    // Create pandoc command
-    const { createPandocCommand } = require('./utils');
+    // Use the first installed engine of the preferred engine and its fallbacks
+    if (format === 'pdf') {
+      const { engine, preferred, installed } = resolvePdfEngine(config.formatSettings?.pdf);
+      
+      if (installed && engine !== preferred) {
+        logger.warn(`PDF engine ${preferred} is not installed; using ${engine}`);
+      }
+      
+      if (installed && engine !== config.formatSettings?.pdf?.engine) {
+        config = mergeConfig(config, { formatSettings: { pdf: { engine } } });
+      }
+    }
     
-    // Add extract media option for EPUB format to ensure images are embedded
-    let command = createPandocCommand(config, inputPath, outputPath, format, language, resourcePaths);
+    // Create pandoc command
+    const stylesheets = writeBuildStylesheets(config, format, language, projectRoot);
+    const { command, args } = createPandocCommand(config, inputPath, outputPath, format, language, resourcePaths, { projectRoot, stylesheets });
     
-    if (format === 'epub') {
-      // Create media directory for extracting images during EPUB generation
-      const mediaDir = path.join(path.dirname(outputPath), 'media');
-      fs.mkdirSync(mediaDir, { recursive: true });
-      
-      // Add extract-media flag to ensure all images are properly embedded
-      command = command.replace(' pandoc ', ' pandoc --extract-media="' + mediaDir + '" ');
+    if (config.verbose) {
+      logger.log(formatCommand(command, args));
     }
     
     // Execute pandoc command
+    let stderr;
     try {
-      const { stdout, stderr } = await execPromise(command);
+      ({ stderr } = await runCommand(command, args, processOptions));
+    } catch (error) {
+      throw Object.assign(new Error(`Error generating ${format.toUpperCase()}: ${error.message}`), { stderr: error.stderr });
+    }
+    
+    if (stderr && stderr.includes('Error')) {
+      throw Object.assign(new Error(`Error generating ${format.toUpperCase()}: pandoc reported errors`), { stderr });
+    }
+    
+    if (format === 'html') {
+      addSearchToHtml(outputPath, language, config);
+    }
+    
+    // Report the spine width the cover needs for the printed page count
+    let spine = null;
+    
+    if (format === 'pdf' && isPrintLayout(config.formatSettings?.pdf) && fs.existsSync(outputPath)) {
+      // The PDF is built either way, so a failed report is only a warning
+      try {
+        spine = getSpineWidth(countPdfPages(fs.readFileSync(outputPath)), config.formatSettings.pdf);
+        logger.log(`PDF for print: ${spine.pages} pages, spine width ${formatLength(spine.width)} (${(spine.width * 25.4).toFixed(2)}mm) on ${spine.paper} paper`);
+      } catch (error) {
+        logger.warn(`Could not work out the spine width: ${error.message}`);
+      }
+    }
+    
+    if (format === 'epub') {
+      try {
+        applyAccessibilityMetadata(outputPath, config.accessibility);
+      } catch (error) {
+        throw new Error(`Error generating EPUB: ${error.message}`);
+      }
+    }
+    
+    const epubCheck = config.formatSettings?.epub?.check ?? true;
+    
+    if (format === 'epub' && epubCheck !== false) {
+      const { valid, issues } = checkEpub(outputPath);
       
-      if (stderr && stderr.includes('Error')) {
-        console.error(`Error generating ${format.toUpperCase()}:`, stderr);
-        return false;
+      for (const issue of issues) {
+        logger.warn(`EPUB check ${issue.type}: ${issue.message}`);
       }
       
-      if (format === 'epub' && config.verbose) {
-        console.log(`EPUB generated successfully: ${outputPath}`);
-        
-        // Get file size
-        const stats = fs.statSync(outputPath);
-        const fileSizeMB = (stats.size / (1024 * 1024)).toFixed(2);
-        console.log(`File size: ${fileSizeMB} MB`);
+      if (!valid && epubCheck === 'strict') {
+        throw Object.assign(new Error('Error generating EPUB: the EPUB failed validation'), { issues });
       }
+    }
+    
+    if (format === 'epub' && config.verbose) {
+      logger.log(`EPUB generated successfully: ${outputPath}`);
       
-      return true;
-    } catch (error) {
-      console.error(`Error executing ${format.toUpperCase()} command:`, error.message || error);
-      return false;
+      // Get file size
+      const stats = fs.statSync(outputPath);
+      const fileSizeMB = (stats.size / (1024 * 1024)).toFixed(2);
+      logger.log(`File size: ${fileSizeMB} MB`);
     }
+    
+    return { spine };
   } else if (format === 'mobi') {
     // For MOBI, we need EPUB first
     const epubPath = outputPath.replace(/\.mobi$/, '.epub');
     
     if (!fs.existsSync(epubPath)) {
       // Generate EPUB first
-      await buildFormat(config, inputPath, epubPath, 'epub', language, projectRoot);
+      await buildFormat(config, inputPath, epubPath, 'epub', language, projectRoot, options);
     }
     
     // Then convert EPUB to MOBI
     try {
       // First try kindlegen if available
       try {
-        const kindlegenCmd = `kindlegen "${epubPath}" -o "${path.basename(outputPath)}"`;
-        await runCommand(kindlegenCmd);
-        return true;
+        await runCommand('kindlegen', [epubPath, '-o', path.basename(outputPath)], processOptions);
+        return { spine: null };
       } catch (kindleGenError) {
         // If kindlegen fails, try calibre
-        console.warn('Kindlegen failed or not available, trying calibre');
-        const calibreCmd = `ebook-convert "${epubPath}" "${outputPath}"`;
-        await runCommand(calibreCmd);
-        return true;
+        logger.warn('Kindlegen failed or not available, trying calibre');
+        await runCommand('ebook-convert', [epubPath, outputPath], processOptions);
+        return { spine: null };
       }
     } catch (error) {
       throw new Error(`MOBI conversion failed: ${error.message}`);
     }
+  } else if (format === 'site') {
+    try {
+      await buildSite(config, inputPath, outputPath, language, projectRoot, { resourcePaths, processOptions, logger });
+      return { spine: null };
+    } catch (error) {
+      throw Object.assign(new Error(`Error generating SITE: ${error.message}`), { stderr: error.stderr });
+    }
   } else {
     throw new Error(`Unsupported format: ${format}`);
   }
 }
 
+/**
+ * Build a format, walking down the recovery ladder when it fails
+ * 
+ * The format is first built with the full configuration. On failure it is
+ * retried without the custom template, then also without CSS and cover
+ * image, then also without images and finally (for PDF) with each other
+ * installed engine of the fallback list, stopping at the first attempt that
+ * succeeds.
+ * 
+ * @param {Object} config - Book configuration
+ * @param {string} inputPath - Input markdown file path
+ * @param {string} outputPath - Output file path
+ * @param {string} format - Format to build
+ * @param {string} language - Language code
+ * @param {string} projectRoot - Path to project root
+ * @param {Object} [options] - Options passed to buildFormat
+ * @returns {Promise<Object>} - {fallback, attempts, spine} where fallback is null or {name, description} of the strategy that produced the output, and spine is as for buildFormat
+ * @throws {Error} - If every attempt failed; the error carries the `attempts`
+ */
+async function buildFormatWithRecovery(config, inputPath, outputPath, format, language, projectRoot, options = {}) {
+  const logger = options.logger || console;
+  const attempts = [];
+  
+  try {
+    const { spine } = await buildFormat(config, inputPath, outputPath, format, language, projectRoot, options);
+    return { fallback: null, attempts, spine };
+  } catch (error) {
+    attempts.push({ name: 'default', error: error.message });
+    
+    // Cancelled builds must not be retried
+    if (options.signal?.aborted) {
+      throw error;
+    }
+  }
+  
+  let strippedInput = null;
+  
+  for (const attempt of getRecoveryAttempts(config, format)) {
+    logger.warn(`${format.toUpperCase()} build failed (${attempts[attempts.length - 1].error.split('\n')[0]}); retrying ${attempt.description}`);
+    
+    let attemptInput = inputPath;
+    if (attempt.stripImages) {
+      if (!strippedInput) {
+        strippedInput = inputPath.replace(/\.md$/, '.noimages.md');
+        fs.writeFileSync(strippedInput, stripImages(fs.readFileSync(inputPath, 'utf-8')));
+      }
+      attemptInput = strippedInput;
+    }
+    
+    try {
+      const { spine } = await buildFormat(attempt.config, attemptInput, outputPath, format, language, projectRoot, options);
+      logger.warn(`${format.toUpperCase()} built ${attempt.description}`);
+      return { fallback: { name: attempt.name, description: attempt.description }, attempts, spine };
+    } catch (error) {
+      attempts.push({ name: attempt.name, error: error.message });
+      
+      if (options.signal?.aborted) {
+        throw error;
+      }
+    }
+  }
+  
+  const lastAttempt = attempts[attempts.length - 1];
+  throw Object.assign(
+    new Error(`All recovery strategies failed for ${format.toUpperCase()} (${attempts.length} attempts): ${lastAttempt.error}`),
+    { attempts }
+  );
+}
+
+/**
+ * Combine arbitrary markdown files into one pandoc input
+ * 
+ * Front matter is stripped and includes are resolved, as for a full build.
+ * 
+ * @param {Array<string>} files - Markdown files in order
+ * @param {string} projectRoot - Path to project root
+ * @param {string} outputPath - Path of the combined file
+ * @returns {string} - Path of the combined file
+ */
+function combineInputFiles(files, projectRoot, outputPath) {
+  const content = files
+    .map(file => {
+      const chapter = readChapter(file);
+      return resolveIncludes(chapter.body, chapter.path, { projectRoot, lineOffset: chapter.lineOffset })
+        .replace(/^\s*\n/, '');
+    })
+    .join('\n\n');
+  
+  ensureDirectoryExists(path.dirname(outputPath));
+  fs.writeFileSync(outputPath, content);
+  
+  return outputPath;
+}
+
+/**
+ * Generate a single format from a chapter, a directory or the whole book
+ * 
+ * Without an input the language is combined as in a full build. A markdown
+ * file or a directory of markdown files is rendered on its own (drafts
+ * included), which makes it quick to review one chapter as PDF or DOCX.
+ * 
+ * @param {Object} options - Generate options
+ * @param {string} options.format - Format to generate (pdf, epub, mobi, html, docx, site)
+ * @param {string} [options.language='en'] - Language code
+ * @param {string} [options.input] - Markdown file or directory to render
+ * @param {string} [options.output] - Output file (defaults to build/<language>/<name>.<format>)
+ * @param {string} [options.template] - Template for this run only (reference document for DOCX)
+ * @param {string} [options.configPath] - Alternate configuration file
+ * @param {string} [options.projectPath] - Optional path to project root
+ * @param {string} [options.profile] - Build profile from the configuration to apply
+ * @returns {Promise<Object>} - {success, format, language, input, output, spine} or {success: false, error}
+ */
+async function generateFormat(options = {}) {
+  try {
+    const format = String(options.format || '').toLowerCase();
+    const language = options.language || 'en';
+    
+    if (!['pdf', 'epub', 'mobi', 'html', 'docx', 'site'].includes(format)) {
+      throw new Error(`Unsupported format: ${options.format}`);
+    }
+    
+    let projectRoot;
+    if (options.projectPath) {
+      projectRoot = path.resolve(options.projectPath);
+    } else {
+      try {
+        projectRoot = findProjectRoot();
+      } catch (error) {
+        projectRoot = options.configPath ? path.dirname(path.resolve(options.configPath)) : path.resolve('.');
+      }
+    }
+    
+    let config;
+    if (options.configPath) {
+      const configPath = path.resolve(options.configPath);
+      
+      if (!fs.existsSync(configPath)) {
+        throw new Error(`Configuration file not found: ${options.configPath}`);
+      }
+      
+      config = loadConfig(configPath, { profile: options.profile });
+    } else {
+      config = loadBookConfig(projectRoot, { profile: options.profile });
+    }
+    
+    config = localizeConfig(config, language);
+    
+    // One-off template override
+    if (options.template) {
+      const templatePath = path.resolve(options.template);
+      
+      if (!fs.existsSync(templatePath)) {
+        throw new Error(`Template not found: ${options.template}`);
+      }
+      
+      const key = format === 'docx' ? 'referenceDoc' : 'template';
+      const settingsFormat = format === 'mobi' ? 'epub' : format;
+      config = mergeConfig(config, { formatSettings: { [settingsFormat]: { [key]: templatePath } } });
+    }
+    
+    const buildDir = path.join(projectRoot, 'build', language);
+    let inputPath;
+    let name;
+    
+    if (!options.input) {
+      inputPath = buildFileNames(language, projectRoot, config).input;
+      name = config.file_prefix || config.filePrefix || 'book';
+      await combineMarkdownFiles(projectRoot, language, inputPath, config, { format });
+    } else {
+      const input = path.resolve(options.input);
+      
+      if (!fs.existsSync(input)) {
+        throw new Error(`Input not found: ${options.input}`);
+      }
+      
+      const files = fs.statSync(input).isDirectory() ? findMarkdownFiles(input) : [input];
+      
+      if (files.length === 0) {
+        throw new Error(`No markdown files found in ${options.input}`);
+      }
+      
+      name = path.basename(input, path.extname(input));
+      inputPath = combineInputFiles(files, projectRoot, path.join(buildDir, 'generate', `${name}.md`));
+    }
+    
+    let outputPath = options.output
+      ? path.resolve(options.output)
+      : path.join(buildDir, `${name}.${format}`);
+    
+    // The website is written to a directory, with index.html as its landing page
+    if (format === 'site') {
+      outputPath = options.output
+        ? path.join(path.resolve(options.output), 'index.html')
+        : path.join(buildDir, `${name}-site`, 'index.html');
+    }
+    
+    ensureDirectoryExists(path.dirname(outputPath));
+    const { spine } = await buildFormat(config, inputPath, outputPath, format, language, projectRoot, {
+      timeout: (Number(config.build?.timeout) || 0) * 1000
+    });
+    
+    return {
+      success: true,
+      format,
+      language,
+      input: inputPath,
+      output: outputPath,
+      spine
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error
+    };
+  }
+}
+
 /**
  * Create a new chapter
  * 
@@ -374,26 +879,30 @@ async function checkChapter(options) {
     const imagesDir = path.join(chapterDir, 'images');
     const hasImagesDir = fs.existsSync(imagesDir);
     
-    // Get all markdown files
+    // Get all markdown files with their front matter
     const markdownFiles = files
       .filter(file => file.endsWith('.md'))
       .map(file => {
         const filePath = path.join(chapterDir, file);
-        let title = '';
+        let metadata = { title: '', draft: false };
+        let frontMatter = {};
         
         try {
-          const content = fs.readFileSync(filePath, 'utf-8');
-          const titleMatch = content.match(/^#\s+(.+)$/m);
-          if (titleMatch) {
-            title = titleMatch[1].trim();
-          }
+          const chapter = readChapter(filePath);
+          metadata = getChapterMetadata(chapter, chapterDir);
+          frontMatter = chapter.data;
         } catch (e) {
           // Ignore errors
         }
         
         return {
           name: file,
-          title
+          title: metadata.title,
+          draft: metadata.draft,
+          status: metadata.status,
+          author: metadata.author,
+          formats: metadata.formats,
+          frontMatter
         };
       });
     
@@ -429,18 +938,31 @@ async function checkChapter(options) {
 /**
  * Get book information with extended configuration
  * 
+ * @param {Object} [options] - Info options
+ * @param {string} [options.profile] - Report the effective configuration of this build profile
+ * @param {string} [options.language] - Report the configuration of this language, with its `localized` overrides
  * @returns {Promise<Object>} - Book information
  */
-async function getBookInfo() {
+async function getBookInfo(options = {}) {
   try {
     const projectRoot = findProjectRoot();
-    const config = loadBookConfig(projectRoot);
+    let config = loadBookConfig(projectRoot, { profile: options.profile });
+    let languages = config.languages || ['en'];
+    
+    if (options.language) {
+      if (!languages.includes(options.language)) {
+        throw new Error(`Unknown language: ${options.language} (available: ${languages.join(', ')})`);
+      }
+      
+      config = { ...localizeConfig(config, options.language), language: options.language };
+      languages = [options.language];
+    }
     
     // Look for built files
     const builtFiles = [];
     
     // Check the build directory for each language
-    for (const language of config.languages || ['en']) {
+    for (const language of languages) {
       const buildDir = path.join(projectRoot, 'build', language);
       
       if (fs.existsSync(buildDir)) {
@@ -448,7 +970,8 @@ async function getBookInfo() {
           const files = fs.readdirSync(buildDir);
           
           files.forEach(file => {
-            if (file !== 'book.md' && !file.endsWith('.tmp')) {
+            // Skip intermediate markdown and temporary files
+            if (file !== 'book.md' && !/^combined(\.\w+)*\.md$/.test(file) && !file.endsWith('.tmp')) {
               builtFiles.push(path.join(buildDir, file));
             }
           });
@@ -458,9 +981,24 @@ async function getBookInfo() {
       }
     }
     
+    // Collect chapter front matter, including drafts, for each language
+    const chapterMetadata = {};
+    
+    for (const language of languages) {
+      const languageDir = path.join(projectRoot, 'book', language);
+      
+      try {
+        chapterMetadata[language] = collectChapters(projectRoot, language, config, { includeDrafts: true })
+          .map(chapter => getChapterMetadata(chapter, languageDir));
+      } catch (e) {
+        chapterMetadata[language] = [];
+      }
+    }
+    
     return {
       ...config,
-      builtFiles
+      builtFiles,
+      chapterMetadata
     };
   } catch (error) {
     return {
@@ -492,7 +1030,7 @@ async function cleanBuild() {
           
           for (const file of files) {
             const filePath = path.join(buildDir, file);
-            fs.unlinkSync(filePath);
+            fs.rmSync(filePath, { recursive: true, force: true });
             filesRemoved++;
           }
         } catch (e) {
@@ -501,6 +1039,9 @@ async function cleanBuild() {
       }
     }
     
+    // Outputs are gone, so nothing in the build cache can be reused
+    clearBuildCache(projectRoot);
+    
     return {
       success: true,
       filesRemoved
@@ -516,37 +1057,37 @@ async function cleanBuild() {
 /**
  * Build book with improved error handling and recovery
  * 
+ * Every format that fails is retried down the recovery ladder (see
+ * buildFormatWithRecovery). Formats that could only be built in a degraded
+ * form are listed in `fallbacks` of the result; if formats still fail,
+ * emergency placeholder files are written.
+ * 
  * @param {Object} options - Build options
  * @returns {Promise<Object>} - Build result
  */
 async function buildBookWithRecovery(options = {}) {
-  try {
-    // First try the normal build
-    return await buildBook(options);
-  } catch (primaryError) {
-    console.warn(`Primary build attempt failed: ${primaryError.message}`);
-    console.warn('Attempting recovery build...');
+  const result = await buildBook({
+    ...options,
+    recovery: true
+  });
+  
+  if (!result.success) {
+    console.error(`Recovery build failed: ${result.error ? result.error.message : 'some formats could not be built'}`);
+    
+    const failedFormats = [...new Set((result.results || [result])
+      .flatMap(languageResult => Object.keys(languageResult.errors || {})))];
     
     try {
-      // Try again with minimal settings
-      const recoveryOptions = {
+      result.emergencyFiles = await createEmergencyOutput({
         ...options,
-        recovery: true // Flag to indicate recovery mode
-      };
-      
-      return await buildBook(recoveryOptions);
-    } catch (recoveryError) {
-      console.error(`Recovery build also failed: ${recoveryError.message}`);
-      
-      // Create emergency minimal output
-      return {
-        success: false,
-        error: primaryError,
-        recoveryError,
-        emergencyFiles: await createEmergencyOutput(options)
-      };
+        formats: failedFormats.length > 0 ? failedFormats : options.formats
+      });
+    } catch (error) {
+      // Emergency output is best effort
     }
   }
+  
+  return result;
 }
 
 /**
@@ -570,7 +1111,7 @@ async function createEmergencyOutput(options) {
   }
   
   const language = options.language || 'en';
-  const fileNames = buildFileNames(language, projectRoot);
+  const fileNames = buildFileNames(language, projectRoot, loadBookConfig(projectRoot, { profile: options.profile }));
   
   // Create a minimal emergency output
   // This ensures the build process completes with at least some output
@@ -589,18 +1130,26 @@ async function createEmergencyOutput(options) {
 </body>
 </html>`;
     
-    fs.writeFileSync(fileNames.html, htmlContent);
-    emergencyFiles.html = fileNames.html;
-
+    // Never replace an HTML edition that was built successfully
+    if (options.formats?.includes('html') || !fs.existsSync(fileNames.html)) {
+      ensureDirectoryExists(path.dirname(fileNames.html));
+      fs.writeFileSync(fileNames.html, htmlContent);
+      emergencyFiles.html = fileNames.html;
+    }
+    
     // Create a minimal DOCX file with emergency content if docx is requested
     if (options.formats?.includes('docx')) {
       try {
-        const fallbackDocxCmd = `pandoc -o "${fileNames.docx}" -t docx --metadata=title:"Emergency Output" --metadata=author:"Book Tools" << EOF
-# Emergency Output
-
-The build process encountered errors. This is an emergency output.
-EOF`;
-        await runCommand(fallbackDocxCmd, { shell: true });
+        // The markdown is passed on stdin
+        await runCommand('pandoc', [
+          '-f', 'markdown',
+          '-o', fileNames.docx,
+          '-t', 'docx',
+          '--metadata=title:Emergency Output',
+          '--metadata=author:Book Tools'
+        ], {
+          input: '# Emergency Output\n\nThe build process encountered errors. This is an emergency output.\n'
+        });
         emergencyFiles.docx = fileNames.docx;
       } catch (e) {
         // Ignore errors in emergency output generation
@@ -620,5 +1169,7 @@ module.exports = {
   checkChapter,
   getBookInfo,
   cleanBuild,
-  validate
+  validate,
+  initProject,
+  generateFormat
 };
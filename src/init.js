@@ -0,0 +1,399 @@
+/**
+ * Project scaffolding
+ * Creates a new book project (book.yaml, chapter directories, templates,
+ * .gitignore and CI workflow) from the basic, academic or technical starter
+ */
+const fs = require('fs');
+const path = require('path');
+const yaml = require('yaml');
+
+const PROJECT_TEMPLATES = ['basic', 'academic', 'technical'];
+
+/**
+ * Directory holding the default templates shipped with book-tools
+ */
+const TEMPLATES_DIR = path.join(__dirname, '..', 'templates');
+
+/**
+ * Default templates copied into every new project
+ */
+const DEFAULT_TEMPLATE_FILES = [
+  'pdf/default.latex',
+  'epub/style.css',
+  'html/default.html',
+  'html/style.css'
+];
+
+/**
+ * Styles appended to the EPUB and HTML stylesheets of technical books
+ */
+const CODE_LISTING_CSS = `
+/* Code listings */
+pre {
+  background: #f6f8fa;
+  border: 1px solid #e1e4e8;
+  border-radius: 4px;
+  padding: 0.75em 1em;
+  overflow-x: auto;
+  font-size: 0.9em;
+  line-height: 1.4;
+  text-align: left;
+}
+
+code {
+  font-family: "SFMono-Regular", Consolas, "Liberation Mono", Menlo, monospace;
+}
+
+pre code {
+  background: none;
+  padding: 0;
+}
+
+p code, li code, td code {
+  background: #f3f4f6;
+  border-radius: 3px;
+  padding: 0.1em 0.3em;
+}
+`;
+
+const GITIGNORE = `# Build outputs
+build/
+
+# Dependencies
+node_modules/
+
+# OS and editor files
+.DS_Store
+.idea/
+.vscode/
+*.swp
+`;
+
+const CI_WORKFLOW = `name: Build book
+
+on:
+  push:
+    branches: [ main ]
+    tags: [ 'v*' ]
+  pull_request:
+  workflow_dispatch:
+
+jobs:
+  build:
+    runs-on: ubuntu-latest
+    steps:
+      - uses: actions/checkout@v4
+
+      - uses: actions/setup-node@v4
+        with:
+          node-version: 20
+
+      - name: Install pandoc and LaTeX
+        run: |
+          sudo apt-get update
+          sudo apt-get install -y pandoc texlive-latex-recommended texlive-latex-extra texlive-xetex calibre
+
+      - name: Install book-tools
+        run: npm install -g github:iksnae/book-tools
+
+      - name: Validate project
+        run: book validate
+
+      - name: Build book
+        run: book github-action --all-languages
+
+      - name: Upload artifacts
+        uses: actions/upload-artifact@v4
+        with:
+          name: book
+          path: build/**/*.*
+          if-no-files-found: error
+`;
+
+const BIBLIOGRAPHY = `@book{knuth1984,
+  author    = {Donald E. Knuth},
+  title     = {The TeXbook},
+  publisher = {Addison-Wesley},
+  year      = {1984}
+}
+`;
+
+const CODE_EXAMPLE = `/**
+ * Greet a reader
+ */
+function greet(name) {
+  return \`Hello, \${name}!\`;
+}
+
+console.log(greet('reader'));
+`;
+
+/**
+ * Convert a book title into a file name prefix
+ * 
+ * @param {string} title - Book title
+ * @returns {string} - Lowercase, hyphen separated prefix
+ */
+function slugify(title) {
+  const slug = String(title)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  
+  return slug || 'book';
+}
+
+/**
+ * Parse a language list given as an array or a comma separated string
+ * 
+ * @param {string|Array<string>} [languages='en'] - Language codes
+ * @returns {Array<string>} - Language codes without duplicates
+ */
+function parseLanguages(languages = 'en') {
+  const list = Array.isArray(languages) ? languages : String(languages).split(',');
+  const codes = list.map(code => String(code).trim()).filter(Boolean);
+  
+  return codes.length > 0 ? [...new Set(codes)] : ['en'];
+}
+
+/**
+ * Build the book.yaml configuration for a new project
+ * 
+ * @param {Object} options - Project options
+ * @param {string} options.name - Book title
+ * @param {string} options.author - Author name
+ * @param {Array<string>} options.languages - Language codes
+ * @param {string} options.template - Project template
+ * @returns {Object} - Configuration object
+ */
+function createProjectConfig({ name, author, languages, template }) {
+  const year = new Date().getFullYear().toString();
+  const config = {
+    title: name,
+    subtitle: '',
+    author,
+    filePrefix: slugify(name),
+    languages,
+    formats: {
+      pdf: true,
+      epub: true,
+      mobi: false,
+      html: true,
+      docx: true
+    },
+    formatSettings: {
+      pdf: {
+        paperSize: 'letter',
+        fontSize: '11pt',
+        template: 'templates/pdf/default.latex'
+      },
+      epub: {
+        css: 'templates/epub/style.css',
+        coverImage: 'book/images/cover.png',
+        tocDepth: 2
+      },
+      html: {
+        template: 'templates/html/default.html',
+        css: 'templates/html/style.css',
+        tocDepth: 2
+      },
+      docx: {
+        tocDepth: 2
+      }
+    },
+    metadata: {
+      year,
+      rights: `Copyright © ${year} ${author}`
+    }
+  };
+  
+  if (template === 'academic') {
+    config.formatSettings.pdf.paperSize = 'a4';
+    config.formatSettings.pdf.fontSize = '12pt';
+    config.metadata.bibliography = 'book/references.bib';
+    config.metadata['link-citations'] = true;
+    config.extraArgs = ['--citeproc', '--number-sections'];
+  } else if (template === 'technical') {
+    config.extraArgs = ['--highlight-style=tango'];
+  }
+  
+  return config;
+}
+
+/**
+ * Get the starter content files of a language
+ * 
+ * @param {string} template - Project template
+ * @param {string} title - Book title
+ * @returns {Object} - Map of paths relative to book/<language> to file content
+ */
+function getStarterFiles(template, title) {
+  const files = {
+    'chapter-01/01-introduction.md': `# Introduction
+
+Welcome to *${title}*. Replace this text with the first chapter of your book.
+
+## Getting Started
+
+Every markdown file in this directory becomes part of the book, in file name
+order. Add chapters with \`book create-chapter\`.
+`,
+    'chapter-01/images/README.md': '# Images for Chapter 01\n\nPlace chapter images in this directory.\n'
+  };
+  
+  if (template === 'academic') {
+    files['frontmatter/01-abstract.md'] = `---
+type: abstract
+---
+
+# Abstract
+
+Summarize the question, method and findings of this work in one paragraph.
+`;
+    files['chapter-01/01-introduction.md'] += `
+## Citations
+
+Cite sources from \`book/references.bib\` by key, for example [@knuth1984].
+`;
+    files['backmatter/01-bibliography.md'] = `---
+type: bibliography
+---
+
+# References
+
+::: {#refs}
+:::
+`;
+  } else if (template === 'technical') {
+    files['chapter-01/02-first-example.md'] = `# A First Example
+
+Code listings can be written inline:
+
+\`\`\`javascript
+const answer = 42;
+\`\`\`
+
+or included from a source file, so the book always shows the tested code:
+
+!include(/examples/hello.js)
+`;
+  }
+  
+  return files;
+}
+
+/**
+ * Get every file of a new project
+ * 
+ * @param {Object} options - Normalized project options
+ * @returns {Object} - Map of paths relative to the project root to file content
+ */
+function getProjectFiles(options) {
+  const config = createProjectConfig(options);
+  const files = {
+    'book.yaml': `# Book configuration created by "book init" (${options.template} template)\n${yaml.stringify(config)}`,
+    '.gitignore': GITIGNORE,
+    '.github/workflows/book.yml': CI_WORKFLOW,
+    'book/images/README.md': '# Shared images\n\nImages used by every language, such as the cover (cover.png).\n'
+  };
+  
+  for (const templateFile of DEFAULT_TEMPLATE_FILES) {
+    let content = fs.readFileSync(path.join(TEMPLATES_DIR, templateFile), 'utf-8');
+    
+    if (options.template === 'technical' && templateFile.endsWith('.css')) {
+      content = `${content.replace(/\s*$/, '\n')}${CODE_LISTING_CSS}`;
+    }
+    
+    files[path.posix.join('templates', templateFile)] = content;
+  }
+  
+  for (const language of options.languages) {
+    for (const [file, content] of Object.entries(getStarterFiles(options.template, options.name))) {
+      files[path.posix.join('book', language, file)] = content;
+    }
+  }
+  
+  if (options.template === 'academic') {
+    files['book/references.bib'] = BIBLIOGRAPHY;
+  } else if (options.template === 'technical') {
+    files['examples/hello.js'] = CODE_EXAMPLE;
+  }
+  
+  return files;
+}
+
+/**
+ * Initialize a new book project
+ * 
+ * Refuses to touch a directory that already contains a book.yaml unless
+ * `force` is set; without it, other existing files are left untouched too.
+ * 
+ * @param {Object} [options] - Project options
+ * @param {string} [options.projectPath] - Directory to create the project in (defaults to cwd)
+ * @param {string} [options.template='basic'] - Project template (basic, academic, technical)
+ * @param {string} [options.name='Untitled Book'] - Book title
+ * @param {string} [options.author='Author Name'] - Author name
+ * @param {string|Array<string>} [options.languages='en'] - Language codes
+ * @param {boolean} [options.force=false] - Overwrite an existing project
+ * @returns {Promise<Object>} - {success, projectRoot, template, files, skipped} or {success: false, error}
+ */
+async function initProject(options = {}) {
+  try {
+    const projectRoot = path.resolve(options.projectPath || '.');
+    const template = options.template || 'basic';
+    
+    if (!PROJECT_TEMPLATES.includes(template)) {
+      throw new Error(`Unknown template: ${template} (available: ${PROJECT_TEMPLATES.join(', ')})`);
+    }
+    
+    if (fs.existsSync(path.join(projectRoot, 'book.yaml')) && !options.force) {
+      throw new Error(`A book project already exists in ${projectRoot}. Use --force to overwrite it.`);
+    }
+    
+    const files = getProjectFiles({
+      template,
+      name: options.name || 'Untitled Book',
+      author: options.author || 'Author Name',
+      languages: parseLanguages(options.languages)
+    });
+    
+    const written = [];
+    const skipped = [];
+    
+    for (const [file, content] of Object.entries(files)) {
+      const filePath = path.join(projectRoot, file);
+      
+      if (fs.existsSync(filePath) && !options.force) {
+        skipped.push(filePath);
+        continue;
+      }
+      
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, content);
+      written.push(filePath);
+    }
+    
+    return {
+      success: true,
+      projectRoot,
+      template,
+      files: written,
+      skipped
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error
+    };
+  }
+}
+
+module.exports = {
+  PROJECT_TEMPLATES,
+  slugify,
+  parseLanguages,
+  createProjectConfig,
+  initProject
+};
@@ -0,0 +1,206 @@
+/**
+ * Front and back matter
+ * Resolves the title page, copyright page, dedication, foreword, appendices,
+ * glossary, colophon and similar sections that surround the chapters, and
+ * marks them up so every format places them correctly
+ */
+const path = require('path');
+const { findMarkdownFiles, getChapterManifest, expandManifest } = require('./chapters');
+
+const FRONT_MATTER_DIR = 'frontmatter';
+const BACK_MATTER_DIR = 'backmatter';
+
+/**
+ * Known section types mapped to their EPUB structural semantics
+ */
+const SECTION_TYPES = {
+  titlepage: 'titlepage',
+  'title-page': 'titlepage',
+  halftitlepage: 'halftitlepage',
+  'half-title': 'halftitlepage',
+  copyright: 'copyright-page',
+  'copyright-page': 'copyright-page',
+  dedication: 'dedication',
+  epigraph: 'epigraph',
+  abstract: 'abstract',
+  foreword: 'foreword',
+  preface: 'preface',
+  prologue: 'prologue',
+  acknowledgments: 'acknowledgments',
+  acknowledgements: 'acknowledgments',
+  contributors: 'contributors',
+  appendix: 'appendix',
+  glossary: 'glossary',
+  bibliography: 'bibliography',
+  references: 'bibliography',
+  index: 'index',
+  afterword: 'afterword',
+  epilogue: 'epilogue',
+  endnotes: 'endnotes',
+  colophon: 'colophon'
+};
+
+/**
+ * Raw blocks starting a new page in PDF and a new section in DOCX
+ */
+const SECTION_BREAK = [
+  '```{=latex}',
+  '\\clearpage',
+  '```',
+  '',
+  '```{=openxml}',
+  '<w:p><w:pPr><w:sectPr><w:type w:val="nextPage"/></w:sectPr></w:pPr></w:p>',
+  '```'
+].join('\n');
+
+/**
+ * Resolve front or back matter files for one side of the book
+ * 
+ * @param {string} projectRoot - Path to project root
+ * @param {string} language - Language code
+ * @param {Object} config - Book configuration
+ * @param {string} key - Config key ("frontMatter" or "backMatter")
+ * @param {string} dirName - Conventional directory name
+ * @returns {Object} - {files, missing, unmatched}
+ */
+function resolveMatterSide(projectRoot, language, config, key, dirName) {
+  const languageDir = path.join(projectRoot, 'book', language);
+  const manifest = getChapterManifest({ chapters: config[key] }, language);
+  
+  if (manifest) {
+    return expandManifest(manifest, languageDir);
+  }
+  
+  return {
+    files: findMarkdownFiles(path.join(languageDir, dirName)),
+    missing: [],
+    unmatched: []
+  };
+}
+
+/**
+ * Resolve the front and back matter files of a language
+ * 
+ * Files listed under `frontMatter` / `backMatter` in book.yaml take
+ * precedence; otherwise every markdown file in `book/<lang>/frontmatter` and
+ * `book/<lang>/backmatter` is used in lexical order.
+ * 
+ * @param {string} projectRoot - Path to project root
+ * @param {string} language - Language code
+ * @param {Object} [config={}] - Book configuration
+ * @returns {Object} - {front, back, missing, unmatched}
+ */
+function resolveMatterFiles(projectRoot, language, config = {}) {
+  const front = resolveMatterSide(projectRoot, language, config, 'frontMatter', FRONT_MATTER_DIR);
+  const back = resolveMatterSide(projectRoot, language, config, 'backMatter', BACK_MATTER_DIR);
+  
+  return {
+    front: front.files,
+    back: back.files,
+    missing: [...front.missing, ...back.missing],
+    unmatched: [...front.unmatched, ...back.unmatched]
+  };
+}
+
+/**
+ * Determine the structural type of a front or back matter section
+ * 
+ * Uses the `type` front matter key, or the file name without its numeric
+ * prefix (e.g. "01-dedication.md" is a dedication).
+ * 
+ * @param {Object} chapter - Chapter as {path, data, matter}
+ * @returns {string} - EPUB structural type
+ */
+function getSectionType(chapter) {
+  const name = String(chapter.data.type || path.basename(chapter.path, '.md'))
+    .toLowerCase()
+    .replace(/^\d+[-_.\s]*/, '');
+  
+  return SECTION_TYPES[name] || (chapter.matter === 'front' ? 'frontmatter' : 'backmatter');
+}
+
+/**
+ * Add attributes to an ATX heading line, merging existing attributes
+ * 
+ * @param {string} line - Heading line
+ * @param {Array<string>} attributes - Attributes to add
+ * @returns {string} - Heading line with attributes
+ */
+function addHeadingAttributes(line, attributes) {
+  const match = line.match(/^(#{1,6}\s+.*?)(?:\s+\{([^}]*)\})?(?:\s+#+)?\s*$/);
+  const existing = match[2] ? match[2].trim().split(/\s+/) : [];
+  const merged = [...existing, ...attributes.filter(attribute => !existing.includes(attribute))];
+  
+  return `${match[1]} {${merged.join(' ')}}`;
+}
+
+/**
+ * Mark up a front or back matter section for all output formats
+ * 
+ * Headings become unnumbered (except in appendices), level-1 headings carry
+ * the EPUB structural type so pandoc places them in the right landmark, and
+ * the section starts on a new page in PDF and a new section in DOCX. A
+ * section without a level-1 heading gets an unlisted one.
+ * 
+ * @param {string} body - Markdown body of the section
+ * @param {Object} chapter - Chapter as {path, data, matter}
+ * @param {Object} [options] - Rendering options
+ * @param {boolean} [options.firstAppendix=false] - Whether this is the first appendix
+ * @returns {string} - Marked up markdown
+ */
+function renderMatterSection(body, chapter, options = {}) {
+  const type = getSectionType(chapter);
+  const numbered = type === 'appendix';
+  const lines = body.split('\n');
+  let fence = null;
+  let hasTitle = false;
+  
+  const marked = lines.map(line => {
+    const fenceMatch = line.match(/^\s*(`{3,}|~{3,})/);
+    if (fenceMatch) {
+      if (!fence) {
+        fence = fenceMatch[1];
+      } else if (fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) {
+        fence = null;
+      }
+      return line;
+    }
+    
+    if (fence || !/^#{1,6}\s+/.test(line)) {
+      return line;
+    }
+    
+    const attributes = numbered ? [] : ['.unnumbered'];
+    
+    if (/^#\s/.test(line)) {
+      hasTitle = true;
+      attributes.push(`epub:type=${type}`);
+    }
+    
+    return attributes.length > 0 ? addHeadingAttributes(line, attributes) : line;
+  });
+  
+  if (!hasTitle) {
+    const title = chapter.data.title || type.replace(/-/g, ' ').replace(/^\w/, char => char.toUpperCase());
+    marked.unshift(`# ${title} {.unnumbered .unlisted epub:type=${type}}`, '');
+  }
+  
+  const parts = [SECTION_BREAK];
+  
+  if (options.firstAppendix) {
+    // Switch LaTeX to appendix numbering (A, B, ...) for the remaining sections
+    parts.push('```{=latex}\n\\appendix\n```');
+  }
+  
+  parts.push(marked.join('\n'));
+  return parts.join('\n\n');
+}
+
+module.exports = {
+  FRONT_MATTER_DIR,
+  BACK_MATTER_DIR,
+  SECTION_BREAK,
+  resolveMatterFiles,
+  getSectionType,
+  renderMatterSection
+};
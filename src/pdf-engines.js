@@ -0,0 +1,115 @@
+/**
+ * PDF engines
+ * Describes the programs pandoc can produce PDF with and picks the one to
+ * use: LaTeX engines typeset pandoc's LaTeX output, HTML engines print its
+ * HTML output. The configured engine is preferred; when it is not installed
+ * the fallback list is tried in order.
+ */
+const { findExecutable } = require('./process');
+
+/**
+ * Supported engines and their capabilities
+ * 
+ * `unicode` engines read UTF-8 text in any script natively and `systemFonts`
+ * engines can use the fonts installed on the system (fontspec or CSS).
+ */
+const PDF_ENGINES = {
+  pdflatex: { type: 'latex', unicode: false, systemFonts: false },
+  xelatex: { type: 'latex', unicode: true, systemFonts: true },
+  lualatex: { type: 'latex', unicode: true, systemFonts: true },
+  tectonic: { type: 'latex', unicode: true, systemFonts: true },
+  latexmk: { type: 'latex', unicode: false, systemFonts: false },
+  weasyprint: { type: 'html', unicode: true, systemFonts: true },
+  wkhtmltopdf: { type: 'html', unicode: true, systemFonts: true }
+};
+
+/**
+ * Engine pandoc uses when none is configured
+ */
+const DEFAULT_PDF_ENGINE = 'pdflatex';
+
+/**
+ * Engines tried, in order, when no fallback list is configured
+ */
+const DEFAULT_FALLBACK_ENGINES = ['xelatex', 'lualatex', 'pdflatex', 'tectonic', 'weasyprint', 'wkhtmltopdf'];
+
+/**
+ * Get the description of a PDF engine
+ * 
+ * @param {string} [name] - Engine name (defaults to pandoc's default engine)
+ * @returns {Object|null} - {name, type, unicode, systemFonts}, or null for unknown engines
+ */
+function getPdfEngine(name) {
+  const engineName = name || DEFAULT_PDF_ENGINE;
+  return PDF_ENGINES[engineName] ? { name: engineName, ...PDF_ENGINES[engineName] } : null;
+}
+
+/**
+ * Get the pandoc writer an engine prints from
+ * 
+ * @param {string} [name] - Engine name
+ * @returns {string} - 'html' for HTML engines, otherwise 'latex'
+ */
+function getPdfWriter(name) {
+  return getPdfEngine(name)?.type === 'html' ? 'html' : 'latex';
+}
+
+/**
+ * Get the engines to try for a PDF, the preferred one first
+ * 
+ * Unknown engine names are left out; the configuration validation reports
+ * them.
+ * 
+ * @param {Object} [pdfSettings] - `formatSettings.pdf` of the configuration
+ * @returns {Array<string>} - Engine names without duplicates
+ */
+function getPdfEngineOrder(pdfSettings = {}) {
+  const preferred = pdfSettings.engine || DEFAULT_PDF_ENGINE;
+  const fallbacks = Array.isArray(pdfSettings.fallbackEngines)
+    ? pdfSettings.fallbackEngines
+    : DEFAULT_FALLBACK_ENGINES;
+  
+  return [...new Set([preferred, ...fallbacks])].filter(name => PDF_ENGINES[name]);
+}
+
+/**
+ * Check whether a PDF engine is installed
+ * 
+ * @param {string} name - Engine name
+ * @returns {boolean} - True if the engine's executable is on the PATH
+ */
+function isPdfEngineInstalled(name) {
+  return findExecutable(name) !== null;
+}
+
+/**
+ * Choose the engine a PDF is built with
+ * 
+ * The first installed engine of the preferred engine and its fallbacks is
+ * chosen. When none is installed the preferred engine is kept, so pandoc
+ * reports the missing program.
+ * 
+ * @param {Object} [pdfSettings] - `formatSettings.pdf` of the configuration
+ * @returns {Object} - {engine, preferred, installed}
+ */
+function resolvePdfEngine(pdfSettings = {}) {
+  const preferred = pdfSettings.engine || DEFAULT_PDF_ENGINE;
+  const engine = getPdfEngineOrder(pdfSettings).find(isPdfEngineInstalled);
+  
+  return {
+    engine: engine || preferred,
+    preferred,
+    installed: Boolean(engine)
+  };
+}
+
+module.exports = {
+  PDF_ENGINES,
+  DEFAULT_PDF_ENGINE,
+  DEFAULT_FALLBACK_ENGINES,
+  getPdfEngine,
+  getPdfWriter,
+  getPdfEngineOrder,
+  isPdfEngineInstalled,
+  resolvePdfEngine
+};
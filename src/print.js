@@ -0,0 +1,252 @@
+/**
+ * Print layout
+ * Turns the print settings of `formatSettings.pdf` (trim size, bleed, crop
+ * marks, two-sided margins and chapters on recto pages) into LaTeX geometry
+ * options and class options, and works out the spine width of a printed PDF
+ * from its page count.
+ */
+const zlib = require('zlib');
+
+/**
+ * Lengths of the units print settings may use, in inches
+ */
+const UNITS = {
+  in: 1,
+  mm: 1 / 25.4,
+  cm: 1 / 2.54,
+  pt: 1 / 72.27,
+  bp: 1 / 72
+};
+
+/**
+ * Named trim sizes; any other `<width>x<height>` size is read as well
+ */
+const TRIM_SIZES = {
+  '5x8': { width: '5in', height: '8in' },
+  '5.25x8': { width: '5.25in', height: '8in' },
+  '5.5x8.5': { width: '5.5in', height: '8.5in' },
+  '6x9': { width: '6in', height: '9in' },
+  '6.14x9.21': { width: '6.14in', height: '9.21in' },
+  '7x10': { width: '7in', height: '10in' },
+  '8.5x11': { width: '8.5in', height: '11in' },
+  'pocket': { width: '4.25in', height: '6.87in' },
+  'digest': { width: '5.5in', height: '8.5in' },
+  'us-trade': { width: '6in', height: '9in' },
+  'royal': { width: '156mm', height: '234mm' },
+  'demy': { width: '138mm', height: '216mm' },
+  'letter': { width: '8.5in', height: '11in' },
+  'a4': { width: '210mm', height: '297mm' },
+  'a5': { width: '148mm', height: '210mm' },
+  'b5': { width: '176mm', height: '250mm' }
+};
+
+/**
+ * Thickness of one page of common paper stocks, in inches
+ */
+const PAPER_STOCKS = {
+  white: 0.002252,
+  cream: 0.0025,
+  color: 0.002347
+};
+
+/**
+ * Space around the bleed that crop marks are drawn in, in inches
+ */
+const CROP_MARK_SPACE = 0.25;
+
+/**
+ * Parse a length such as `0.125in`, `3mm` or `6` (inches)
+ * 
+ * @param {string|number} value - Length
+ * @returns {number} - Length in inches
+ * @throws {Error} - If the value is not a length
+ */
+function parseLength(value) {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?|\.\d+)\s*([a-z]*)$/i);
+  const unit = match && (match[2].toLowerCase() || 'in');
+  
+  if (!match || !UNITS[unit]) {
+    throw new Error(`Invalid length: ${value} (use in, mm, cm, pt or bp)`);
+  }
+  
+  return parseFloat(match[1]) * UNITS[unit];
+}
+
+/**
+ * Format a length for LaTeX
+ * 
+ * @param {number} inches - Length in inches
+ * @returns {string} - Length such as `6.25in`
+ */
+function formatLength(inches) {
+  return `${Number(inches.toFixed(4))}in`;
+}
+
+/**
+ * Get the dimensions of a trim size
+ * 
+ * @param {string|Object} trimSize - Preset name, `<width>x<height>` or {width, height}
+ * @returns {Object|null} - {width, height} in inches, or null without a trim size
+ * @throws {Error} - If the trim size cannot be read
+ */
+function getTrimSize(trimSize) {
+  if (!trimSize) {
+    return null;
+  }
+  
+  let size = trimSize;
+  
+  if (typeof trimSize !== 'object') {
+    const name = String(trimSize).trim().toLowerCase();
+    const [width, height, ...rest] = name.split('x');
+    size = TRIM_SIZES[name] || (height && rest.length === 0 ? { width, height } : null);
+  }
+  
+  if (!size || size.width === undefined || size.height === undefined) {
+    throw new Error(`Unknown trim size: ${JSON.stringify(trimSize)} (use one of ${Object.keys(TRIM_SIZES).join(', ')}, <width>x<height> or {width, height})`);
+  }
+  
+  return { width: parseLength(size.width), height: parseLength(size.height) };
+}
+
+/**
+ * Check whether PDF settings ask for a print layout
+ * 
+ * @param {Object} [pdfSettings] - `formatSettings.pdf` of the configuration
+ * @returns {boolean} - True if a trim size, bleed or crop marks are set
+ */
+function isPrintLayout(pdfSettings = {}) {
+  return Boolean(pdfSettings.trimSize || pdfSettings.bleed || pdfSettings.cropMarks);
+}
+
+/**
+ * Get the LaTeX page layout for PDF settings
+ * 
+ * The page is the trim size, grown on every side by the bleed and, with crop
+ * marks, by room for the marks; geometry's layout options keep the text on
+ * the trimmed page. Inner and outer margins, or chapters on recto pages,
+ * make the layout two-sided.
+ * 
+ * @param {Object} [pdfSettings] - `formatSettings.pdf` of the configuration
+ * @returns {Object} - {geometry, classOptions, recto, trim} with trim in inches (or null)
+ * @throws {Error} - If a trim size or length cannot be read
+ */
+function getPrintLayout(pdfSettings = {}) {
+  const geometry = [];
+  const classOptions = [];
+  const recto = Boolean(pdfSettings.chaptersOnRecto);
+  const twoSided = Boolean(pdfSettings.twoSided || pdfSettings.marginInner || pdfSettings.marginOuter || recto);
+  const trim = isPrintLayout(pdfSettings) ? getTrimSize(pdfSettings.trimSize || pdfSettings.paperSize) : null;
+  
+  if (trim) {
+    const offset = (pdfSettings.bleed ? parseLength(pdfSettings.bleed) : 0) + (pdfSettings.cropMarks ? CROP_MARK_SPACE : 0);
+    
+    geometry.push(
+      `paperwidth=${formatLength(trim.width + 2 * offset)}`,
+      `paperheight=${formatLength(trim.height + 2 * offset)}`
+    );
+    
+    if (offset > 0) {
+      geometry.push(
+        `layoutwidth=${formatLength(trim.width)}`,
+        `layoutheight=${formatLength(trim.height)}`,
+        `layouthoffset=${formatLength(offset)}`,
+        `layoutvoffset=${formatLength(offset)}`
+      );
+    }
+    
+    if (pdfSettings.cropMarks) {
+      geometry.push('showcrop');
+    }
+  }
+  
+  const margins = twoSided
+    ? {
+      top: pdfSettings.marginTop,
+      bottom: pdfSettings.marginBottom,
+      inner: pdfSettings.marginInner || pdfSettings.marginLeft,
+      outer: pdfSettings.marginOuter || pdfSettings.marginRight
+    }
+    : {
+      top: pdfSettings.marginTop,
+      right: pdfSettings.marginRight,
+      bottom: pdfSettings.marginBottom,
+      left: pdfSettings.marginLeft
+    };
+  
+  for (const [side, value] of Object.entries(margins)) {
+    if (value) {
+      geometry.push(`${side}=${value}`);
+    }
+  }
+  
+  if (twoSided) {
+    classOptions.push('twoside');
+  }
+  
+  return { geometry, classOptions, recto, trim };
+}
+
+/**
+ * Count the pages of a PDF
+ * 
+ * Page objects are counted in the file and in its compressed object streams.
+ * 
+ * @param {Buffer} data - PDF file contents
+ * @returns {number} - Number of pages
+ */
+function countPdfPages(data) {
+  const text = data.toString('latin1');
+  const sources = [text];
+  const streamStart = /(?<!end)stream\r?\n/g;
+  let match;
+  
+  while ((match = streamStart.exec(text)) !== null) {
+    const dictionary = text.slice(text.lastIndexOf(' obj', match.index), match.index);
+    
+    if (/\/Type\s*\/ObjStm/.test(dictionary)) {
+      const end = text.indexOf('endstream', streamStart.lastIndex);
+      
+      try {
+        const stream = data.subarray(streamStart.lastIndex, end === -1 ? data.length : end);
+        sources.push(zlib.inflateSync(stream, { finishFlush: zlib.constants.Z_SYNC_FLUSH }).toString('latin1'));
+      } catch (error) {
+        // Not a deflated stream; its pages cannot be counted
+      }
+    }
+  }
+  
+  return sources.reduce((count, source) => count + (source.match(/\/Type\s*\/Page(?![A-Za-z])/g) || []).length, 0);
+}
+
+/**
+ * Work out the spine width of a printed book
+ * 
+ * @param {number} pages - Page count
+ * @param {Object} [pdfSettings] - `formatSettings.pdf` with `paperStock` or `paperThickness`
+ * @returns {Object} - {pages, width, paper} with the width in inches
+ * @throws {Error} - If the paper stock is unknown or the thickness cannot be read
+ */
+function getSpineWidth(pages, pdfSettings = {}) {
+  const paper = pdfSettings.paperThickness ? 'custom' : (pdfSettings.paperStock || 'white');
+  
+  if (paper !== 'custom' && !PAPER_STOCKS[paper]) {
+    throw new Error(`Unknown paper stock: ${paper} (use one of ${Object.keys(PAPER_STOCKS).join(', ')} or set paperThickness)`);
+  }
+  
+  const thickness = paper === 'custom' ? parseLength(pdfSettings.paperThickness) : PAPER_STOCKS[paper];
+  
+  return { pages, width: pages * thickness, paper };
+}
+
+module.exports = {
+  TRIM_SIZES,
+  PAPER_STOCKS,
+  parseLength,
+  formatLength,
+  getTrimSize,
+  isPrintLayout,
+  getPrintLayout,
+  countPdfPages,
+  getSpineWidth
+};
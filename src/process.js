@@ -0,0 +1,159 @@
+/**
+ * Process runner
+ * Spawns external tools (pandoc, kindlegen, ebook-convert, scripts) with
+ * argument arrays instead of shell strings, so titles, paths and other
+ * values from book.yaml are never interpreted by a shell
+ */
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+
+/**
+ * Format a command and its arguments for display
+ * 
+ * Arguments containing anything other than safe characters are single
+ * quoted, so the output can be pasted into a POSIX shell. It is never
+ * executed by this module.
+ * 
+ * @param {string} command - Command name or path
+ * @param {Array<string>} [args=[]] - Arguments
+ * @returns {string} - Printable command line
+ */
+function formatCommand(command, args = []) {
+  return [command, ...args]
+    .map(arg => (/^[\w@%+=:,./-]+$/.test(arg) ? arg : `'${String(arg).replace(/'/g, '\'\\\'\'')}'`))
+    .join(' ');
+}
+
+/**
+ * Find an executable on the PATH
+ * 
+ * @param {string} command - Command name, or a path to check directly
+ * @returns {string|null} - Full path of the executable, or null if not found
+ */
+function findExecutable(command) {
+  const candidates = command.includes('/') || command.includes(path.sep)
+    ? [path.resolve(command)]
+    : (process.env.PATH || '').split(path.delimiter).filter(Boolean).map(dir => path.join(dir, command));
+  
+  for (const candidate of candidates) {
+    try {
+      if (fs.statSync(candidate).isFile()) {
+        fs.accessSync(candidate, fs.constants.X_OK);
+        return candidate;
+      }
+    } catch (error) {
+      // Not in this directory
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Run a command without a shell
+ * 
+ * The promise rejects when the command cannot be started, exits with a
+ * non-zero code, times out or is cancelled. The error carries the captured
+ * output (`stdout`, `stderr`), `code`, `duration` and the `timedOut` /
+ * `cancelled` flags.
+ * 
+ * @param {string} command - Command name or path
+ * @param {Array<string>} [args=[]] - Arguments passed verbatim to the command
+ * @param {Object} [options] - Run options
+ * @param {string} [options.cwd] - Working directory
+ * @param {Object} [options.env] - Environment (defaults to the current one)
+ * @param {string|Buffer} [options.input] - Data written to the command's stdin
+ * @param {number} [options.timeout=0] - Milliseconds before the command is killed (0 for no limit)
+ * @param {AbortSignal} [options.signal] - Signal that cancels the command
+ * @returns {Promise<Object>} - {success, command, args, stdout, stderr, code, duration}
+ */
+function runProcess(command, args = [], options = {}) {
+  return new Promise((resolve, reject) => {
+    const startTime = Date.now();
+    const commandLine = formatCommand(command, args);
+    
+    if (options.signal?.aborted) {
+      const error = new Error(`Command cancelled: ${commandLine}`);
+      Object.assign(error, { stdout: '', stderr: '', code: null, duration: 0, timedOut: false, cancelled: true });
+      reject(error);
+      return;
+    }
+    
+    const child = spawn(command, args.map(arg => String(arg)), {
+      cwd: options.cwd,
+      env: options.env || process.env,
+      stdio: ['pipe', 'pipe', 'pipe'],
+      windowsHide: true
+    });
+    
+    let stdout = '';
+    let stderr = '';
+    let timedOut = false;
+    let cancelled = false;
+    let settled = false;
+    let timer = null;
+    
+    const onAbort = () => {
+      cancelled = true;
+      child.kill('SIGTERM');
+    };
+    
+    const finish = (error, code) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      
+      clearTimeout(timer);
+      options.signal?.removeEventListener('abort', onAbort);
+      
+      const details = { stdout, stderr, code, duration: Date.now() - startTime, timedOut, cancelled };
+      
+      if (!error && code === 0 && !timedOut && !cancelled) {
+        resolve({ success: true, command, args, ...details });
+        return;
+      }
+      
+      let message;
+      if (error && error.code === 'ENOENT') {
+        message = `Command not found: ${command}`;
+      } else if (error) {
+        message = `Failed to run ${commandLine}: ${error.message}`;
+      } else if (timedOut) {
+        message = `Command timed out after ${options.timeout}ms: ${commandLine}`;
+      } else if (cancelled) {
+        message = `Command cancelled: ${commandLine}`;
+      } else {
+        const lastLine = stderr.trim().split('\n').pop();
+        message = `Command failed with exit code ${code}: ${commandLine}${lastLine ? `\n${lastLine}` : ''}`;
+      }
+      
+      reject(Object.assign(new Error(message), details, error && error.code ? { errno: error.code } : {}));
+    };
+    
+    child.stdout.on('data', chunk => { stdout += chunk; });
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('error', error => finish(error, null));
+    child.on('close', code => finish(null, code));
+    
+    // The command may exit before reading its input
+    child.stdin.on('error', () => {});
+    child.stdin.end(options.input);
+    
+    if (options.timeout > 0) {
+      timer = setTimeout(() => {
+        timedOut = true;
+        child.kill('SIGTERM');
+      }, options.timeout);
+    }
+    
+    options.signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+module.exports = {
+  runProcess,
+  findExecutable,
+  formatCommand
+};
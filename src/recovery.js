@@ -0,0 +1,117 @@
+/**
+ * Build recovery
+ * Defines the degradation ladder used when a format fails to build: each
+ * rung drops something more that commonly breaks pandoc (custom templates,
+ * styling, images) before finally trying the fallback PDF engines
+ */
+const { mergeConfig } = require('./config');
+const { getPdfEngineOrder, isPdfEngineInstalled } = require('./pdf-engines');
+
+/**
+ * Recovery strategies in the order they are tried. Each one keeps the
+ * degradations of the strategies before it.
+ */
+const RECOVERY_STRATEGIES = [
+  {
+    name: 'no-template',
+    description: 'without the custom template',
+    settings: {
+      pdf: { template: '' },
+      epub: { template: '' },
+      html: { template: '' },
+      docx: { referenceDoc: '' }
+    }
+  },
+  {
+    name: 'no-styles',
+    description: 'without custom CSS and cover image',
+    settings: {
+      epub: { css: '', coverImage: '' },
+      html: { css: '' }
+    }
+  },
+  {
+    name: 'no-images',
+    description: 'without images',
+    formats: ['pdf', 'epub', 'html', 'docx'],
+    stripImages: true
+  }
+];
+
+/**
+ * Remove images from markdown, keeping their alternative text
+ * 
+ * @param {string} markdown - Markdown content
+ * @returns {string} - Markdown without image references
+ */
+function stripImages(markdown) {
+  return markdown
+    .replace(/!\[([^\]]*)\]\([^)]*\)(\{[^}]*\})?/g, '$1')
+    .replace(/!\[([^\]]*)\]\[[^\]]*\]/g, '$1')
+    .replace(/<img\b[^>]*>/gi, '');
+}
+
+/**
+ * Get the PDF engines available to retry a failed PDF build with
+ * 
+ * The build itself used the first installed engine of the preferred engine
+ * and its fallbacks, so the remaining installed ones are returned in order.
+ * 
+ * @param {Object} [pdfSettings] - `formatSettings.pdf` the failed build used
+ * @returns {Array<string>} - Installed engines other than the one already tried
+ */
+function getAlternatePdfEngines(pdfSettings = {}) {
+  return getPdfEngineOrder(pdfSettings).filter(isPdfEngineInstalled).slice(1);
+}
+
+/**
+ * Get the recovery attempts for a format, from least to most degraded
+ * 
+ * @param {Object} config - Book configuration the failed build used
+ * @param {string} format - Output format
+ * @returns {Array<Object>} - Attempts as {name, description, config, stripImages}
+ */
+function getRecoveryAttempts(config, format) {
+  const attempts = [];
+  let current = config;
+  let imagesStripped = false;
+  
+  for (const strategy of RECOVERY_STRATEGIES) {
+    const applies = strategy.settings ? Boolean(strategy.settings[format]) : strategy.formats.includes(format);
+    
+    if (!applies) {
+      continue;
+    }
+    
+    if (strategy.settings) {
+      current = mergeConfig(current, { formatSettings: { [format]: strategy.settings[format] } });
+    }
+    
+    imagesStripped = imagesStripped || Boolean(strategy.stripImages);
+    attempts.push({
+      name: strategy.name,
+      description: strategy.description,
+      config: current,
+      stripImages: imagesStripped
+    });
+  }
+  
+  if (format === 'pdf') {
+    for (const engine of getAlternatePdfEngines(config.formatSettings?.pdf)) {
+      attempts.push({
+        name: `pdf-engine:${engine}`,
+        description: `with the ${engine} PDF engine`,
+        config: mergeConfig(current, { formatSettings: { pdf: { engine } } }),
+        stripImages: imagesStripped
+      });
+    }
+  }
+  
+  return attempts;
+}
+
+module.exports = {
+  stripImages,
+  getAlternatePdfEngines,
+  getRecoveryAttempts
+};
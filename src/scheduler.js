@@ -0,0 +1,165 @@
+/**
+ * Job scheduler
+ * Runs independent build jobs concurrently with a worker pool while
+ * respecting dependencies between jobs
+ */
+const os = require('os');
+
+/**
+ * Resolve a concurrency setting to a positive number of workers
+ * 
+ * @param {number|string} [value] - Requested concurrency ("auto" uses all CPUs)
+ * @returns {number} - Number of workers
+ */
+function resolveConcurrency(value) {
+  if (value === 'auto') {
+    return Math.max(os.cpus().length, 1);
+  }
+  
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : 1;
+}
+
+/**
+ * Create a console-like logger that records messages for a job
+ * 
+ * @param {Array<Object>} logs - Array receiving {level, message} entries
+ * @returns {Object} - Logger with log, warn and error methods
+ */
+function createJobLogger(logs) {
+  const record = level => (...args) => {
+    logs.push({
+      level,
+      message: args.map(arg => (arg instanceof Error ? arg.message : String(arg))).join(' ')
+    });
+  };
+  
+  return {
+    log: record('info'),
+    warn: record('warn'),
+    error: record('error')
+  };
+}
+
+/**
+ * Run jobs with a limited number of workers
+ * 
+ * Each job is an object with an `id`, an optional list of job ids in
+ * `dependsOn` and an async `run(logger)` function. A job only starts once all
+ * of its dependencies have succeeded; if a dependency fails the job is
+ * skipped and reported as failed.
+ * 
+ * @param {Array<Object>} jobs - Jobs to run
+ * @param {Object} [options] - Scheduler options
+ * @param {number|string} [options.concurrency=1] - Maximum number of jobs running at once
+ * @param {Function} [options.onJobComplete] - Called with each job result as it finishes
+ * @returns {Promise<Array<Object>>} - Job results in the same order as the jobs
+ */
+async function runJobs(jobs, options = {}) {
+  const concurrency = resolveConcurrency(options.concurrency);
+  const ids = new Set(jobs.map(job => job.id));
+  
+  for (const job of jobs) {
+    for (const dependency of job.dependsOn || []) {
+      if (!ids.has(dependency)) {
+        throw new Error(`Job ${job.id} depends on unknown job ${dependency}`);
+      }
+    }
+  }
+  
+  const results = new Map();
+  const running = new Set();
+  const waiting = [...jobs];
+  
+  return new Promise((resolve) => {
+    const finish = (job, result) => {
+      results.set(job.id, result);
+      running.delete(job.id);
+      
+      if (options.onJobComplete) {
+        options.onJobComplete(result);
+      }
+      
+      schedule();
+    };
+    
+    const schedule = () => {
+      // Skip jobs whose dependencies failed, repeating until nothing changes
+      let skipped = true;
+      while (skipped) {
+        skipped = false;
+        
+        for (const job of [...waiting]) {
+          const failed = (job.dependsOn || []).find(id => results.has(id) && !results.get(id).success);
+          
+          if (failed) {
+            waiting.splice(waiting.indexOf(job), 1);
+            results.set(job.id, {
+              id: job.id,
+              success: false,
+              error: new Error(`Skipped because ${failed} failed`),
+              logs: [],
+              duration: 0
+            });
+            
+            if (options.onJobComplete) {
+              options.onJobComplete(results.get(job.id));
+            }
+            
+            skipped = true;
+          }
+        }
+      }
+      
+      // Start every ready job while workers are available
+      for (const job of [...waiting]) {
+        if (running.size >= concurrency) {
+          break;
+        }
+        
+        const ready = (job.dependsOn || []).every(id => results.has(id));
+        if (!ready) {
+          continue;
+        }
+        
+        waiting.splice(waiting.indexOf(job), 1);
+        running.add(job.id);
+        
+        const logs = [];
+        const startTime = Date.now();
+        
+        Promise.resolve()
+          .then(() => job.run(createJobLogger(logs)))
+          .then(
+            value => finish(job, { id: job.id, success: true, value, logs, duration: Date.now() - startTime }),
+            error => finish(job, { id: job.id, success: false, error, logs, duration: Date.now() - startTime })
+          );
+      }
+      
+      if (waiting.length === 0 && running.size === 0) {
+        resolve(jobs.map(job => results.get(job.id)));
+      } else if (running.size === 0) {
+        // Remaining jobs can never become ready (circular dependencies)
+        for (const job of waiting.splice(0)) {
+          results.set(job.id, {
+            id: job.id,
+            success: false,
+            error: new Error(`Circular dependency detected for job ${job.id}`),
+            logs: [],
+            duration: 0
+          });
+        }
+        
+        resolve(jobs.map(job => results.get(job.id)));
+      }
+    };
+    
+    schedule();
+  });
+}
+
+module.exports = {
+  runJobs,
+  resolveConcurrency,
+  createJobLogger
+};
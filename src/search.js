@@ -0,0 +1,394 @@
+/**
+ * Offline search
+ * Builds a client-side full-text index of the HTML output (headings, section
+ * text and anchors) and injects a small search box that queries it in the
+ * browser, without any external service
+ */
+const fs = require('fs');
+const path = require('path');
+const { escapeHtml } = require('./utils');
+
+/**
+ * Stop words and stemming suffixes by language. Suffixes are tried longest
+ * first and only removed when at least three characters remain.
+ */
+const LANGUAGE_RULES = {
+  en: {
+    stopWords: ['a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have', 'if', 'in', 'into', 'is', 'it', 'its', 'of', 'on', 'or', 'that', 'the', 'their', 'then', 'there', 'these', 'this', 'to', 'was', 'were', 'will', 'with'],
+    suffixes: ['ational', 'ization', 'fulness', 'ousness', 'iveness', 'ations', 'ation', 'ement', 'ments', 'ment', 'ness', 'ings', 'able', 'ible', 'ing', 'ies', 'ied', 'ers', 'est', 'ful', 'ous', 'ive', 'ed', 'er', 'es', 'ly', 'e', 's', 'y']
+  },
+  es: {
+    stopWords: ['a', 'al', 'con', 'de', 'del', 'el', 'en', 'es', 'la', 'las', 'lo', 'los', 'no', 'o', 'para', 'por', 'que', 'se', 'su', 'sus', 'un', 'una', 'y'],
+    suffixes: ['amientos', 'imientos', 'amiento', 'imiento', 'aciones', 'uciones', 'mente', 'acion', 'ucion', 'ancia', 'encia', 'ables', 'ibles', 'istas', 'able', 'ible', 'ista', 'osos', 'osas', 'oso', 'osa', 'es', 'os', 'as', 'a', 'o', 's']
+  },
+  fr: {
+    stopWords: ['a', 'au', 'aux', 'avec', 'ce', 'ces', 'dans', 'de', 'des', 'du', 'en', 'est', 'et', 'il', 'la', 'le', 'les', 'ne', 'ou', 'par', 'pas', 'pour', 'qui', 'que', 'se', 'sur', 'un', 'une'],
+    suffixes: ['issements', 'issement', 'atrices', 'ations', 'ements', 'ateurs', 'atrice', 'ation', 'ement', 'ateur', 'ables', 'ances', 'ences', 'able', 'ance', 'ence', 'euse', 'eux', 'es', 'e', 's', 'x']
+  },
+  de: {
+    stopWords: ['aber', 'als', 'am', 'an', 'auch', 'auf', 'aus', 'bei', 'das', 'dass', 'dem', 'den', 'der', 'des', 'die', 'ein', 'eine', 'einem', 'einen', 'einer', 'es', 'fur', 'im', 'in', 'ist', 'mit', 'nicht', 'oder', 'sich', 'sie', 'und', 'von', 'zu'],
+    suffixes: ['ungen', 'heiten', 'keiten', 'ung', 'heit', 'keit', 'lich', 'isch', 'ern', 'em', 'en', 'er', 'es', 'e', 's']
+  },
+  pt: {
+    stopWords: ['a', 'as', 'com', 'da', 'das', 'de', 'do', 'dos', 'e', 'em', 'na', 'nas', 'no', 'nos', 'o', 'os', 'para', 'por', 'que', 'se', 'um', 'uma'],
+    suffixes: ['amentos', 'imentos', 'amento', 'imento', 'acoes', 'mente', 'acao', 'ancia', 'encia', 'avel', 'ivel', 'osos', 'osas', 'oso', 'osa', 'es', 'os', 'as', 'a', 'o', 's']
+  },
+  it: {
+    stopWords: ['a', 'al', 'che', 'con', 'da', 'del', 'della', 'di', 'e', 'il', 'in', 'la', 'le', 'lo', 'non', 'per', 'si', 'su', 'un', 'una', 'uno'],
+    suffixes: ['amenti', 'imenti', 'amento', 'imento', 'azioni', 'azione', 'mente', 'abili', 'ibili', 'abile', 'ibile', 'osi', 'ose', 'oso', 'osa', 'i', 'e', 'a', 'o']
+  }
+};
+
+const SEARCH_STYLE = `<style>
+.book-search { position: fixed; top: 0.5em; right: 0.5em; z-index: 9000; width: 20em; max-width: calc(100% - 1em); font: 14px/1.4 sans-serif; }
+.book-search input { box-sizing: border-box; width: 100%; padding: 0.4em 0.6em; border: 1px solid #ccc; border-radius: 4px; background: #fff; }
+.book-search-results { list-style: none; margin: 0.25em 0 0; padding: 0; max-height: 70vh; overflow-y: auto; background: #fff; border: 1px solid #ccc; border-radius: 4px; box-shadow: 0 2px 8px rgba(0, 0, 0, 0.15); }
+.book-search-results li { padding: 0.5em 0.75em; border-bottom: 1px solid #eee; }
+.book-search-results a { font-weight: bold; text-decoration: none; }
+.book-search-results p { margin: 0.25em 0 0; color: #555; font-size: 0.9em; }
+</style>`;
+
+/**
+ * Get the search settings from `formatSettings.html.search`
+ * 
+ * Search is off unless `search` is `true` or an object with `enabled`
+ * (default true), `maxResults`, `snippetLength`, `minTermLength` and
+ * `placeholder`.
+ * 
+ * @param {Object} config - Book configuration
+ * @returns {Object} - Normalized search settings
+ */
+function getSearchSettings(config) {
+  const search = config.formatSettings?.html?.search;
+  const settings = search !== null && typeof search === 'object' ? search : { enabled: search === true };
+  
+  return {
+    enabled: settings.enabled !== false,
+    maxResults: Number(settings.maxResults) || 10,
+    snippetLength: Number(settings.snippetLength) || 160,
+    minTermLength: Number(settings.minTermLength) || 2,
+    placeholder: settings.placeholder || 'Search'
+  };
+}
+
+/**
+ * Get the stop words and stemming suffixes of a language
+ * 
+ * @param {string} language - Language code (regional variants use the base language)
+ * @returns {Object} - {stopWords, suffixes}, empty for unsupported languages
+ */
+function getLanguageRules(language) {
+  const rules = LANGUAGE_RULES[String(language).toLowerCase().split(/[-_]/)[0]];
+  
+  return rules
+    ? { stopWords: rules.stopWords, suffixes: [...rules.suffixes].sort((a, b) => b.length - a.length) }
+    : { stopWords: [], suffixes: [] };
+}
+
+// The two functions below are also embedded in the client script, so they
+// must not use anything outside their own arguments.
+
+/**
+ * Split text into lowercase words without diacritics
+ * 
+ * @param {string} text - Text to split
+ * @returns {Array<string>} - Words
+ */
+function tokenize(text) {
+  return String(text)
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+/**
+ * Reduce a word to its index term
+ * 
+ * @param {string} word - Word from tokenize
+ * @param {Object} rules - Language rules ({stopWords, suffixes})
+ * @param {number} minLength - Shortest word that is indexed
+ * @returns {string|null} - Term, or null for stop words and short words
+ */
+function normalizeTerm(word, rules, minLength) {
+  if (word.length < minLength || rules.stopWords.indexOf(word) !== -1) {
+    return null;
+  }
+  
+  for (const suffix of rules.suffixes) {
+    if (word.length - suffix.length >= 3 && word.endsWith(suffix)) {
+      return word.slice(0, -suffix.length);
+    }
+  }
+  
+  return word;
+}
+
+/**
+ * Convert an HTML fragment to plain text
+ * 
+ * @param {string} html - HTML fragment
+ * @returns {string} - Text with entities decoded and whitespace collapsed
+ */
+function htmlToText(html) {
+  const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ' };
+  
+  return html
+    .replace(/<(script|style|nav)\b[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+      if (entity[0] === '#') {
+        const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+        return code <= 0x10FFFF ? String.fromCodePoint(code) : match;
+      }
+      return entities[entity.toLowerCase()] ?? match;
+    })
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Split a rendered page into searchable sections, one per heading
+ * 
+ * The anchor is the heading's own id or, with pandoc's `--section-divs`, the
+ * id of the section element it opens. Navigation, scripts and styles are
+ * ignored, and only `<main>` is indexed when the page has one.
+ * 
+ * @param {string} html - Rendered page
+ * @param {string} page - Page file name used in result links
+ * @returns {Array<Object>} - Sections as {url, title, text}
+ */
+function extractSections(html, page) {
+  const main = html.match(/<main\b[^>]*>([\s\S]*)<\/main>/i) || html.match(/<body\b[^>]*>([\s\S]*)<\/body>/i);
+  const content = (main ? main[1] : html).replace(/<(script|style|nav)\b[\s\S]*?<\/\1>/gi, ' ');
+  const pattern = /<section\b[^>]*\bid="([^"]+)"[^>]*>|<h([1-6])\b([^>]*)>([\s\S]*?)<\/h\2>/gi;
+  const sections = [];
+  let current = { url: page, title: '', start: 0 };
+  let pendingId = null;
+  let match;
+  
+  const close = end => {
+    const text = htmlToText(content.slice(current.start, end));
+    
+    if (current.title || text) {
+      sections.push({ url: current.url, title: current.title, text });
+    }
+  };
+  
+  while ((match = pattern.exec(content)) !== null) {
+    if (match[1]) {
+      pendingId = match[1];
+      continue;
+    }
+    
+    close(match.index);
+    
+    const id = (match[3].match(/\bid="([^"]+)"/) || [])[1] || pendingId;
+    current = {
+      url: id ? `${page}#${id}` : page,
+      title: htmlToText(match[4]),
+      start: pattern.lastIndex
+    };
+    pendingId = null;
+  }
+  
+  close(content.length);
+  return sections;
+}
+
+/**
+ * Build the search index of a set of rendered pages
+ * 
+ * Terms are stemmed with the language rules; the index stores, per term, a
+ * flat list of document numbers and weights (title words count five times).
+ * 
+ * @param {Array<Object>} pages - Pages as {file, html}
+ * @param {string} language - Language code
+ * @param {Object} [settings] - Search settings (see getSearchSettings)
+ * @returns {Object} - {version, language, rules, settings, docs, terms}
+ */
+function buildSearchIndex(pages, language, settings = getSearchSettings({})) {
+  const rules = getLanguageRules(language);
+  const docs = [];
+  const terms = {};
+  
+  for (const page of pages) {
+    for (const section of extractSections(page.html, page.file)) {
+      const doc = docs.length;
+      const weights = {};
+      
+      const add = (text, weight) => {
+        for (const word of tokenize(text)) {
+          const term = normalizeTerm(word, rules, settings.minTermLength);
+          if (term) {
+            weights[term] = (weights[term] || 0) + weight;
+          }
+        }
+      };
+      
+      add(section.title, 5);
+      add(section.text, 1);
+      
+      for (const [term, weight] of Object.entries(weights)) {
+        (terms[term] = terms[term] || []).push(doc, weight);
+      }
+      
+      const snippet = section.text.length > settings.snippetLength
+        ? `${section.text.slice(0, settings.snippetLength).replace(/\s+\S*$/, '')}…`
+        : section.text;
+      docs.push({ url: section.url, title: section.title, snippet });
+    }
+  }
+  
+  return {
+    version: 1,
+    language,
+    rules,
+    settings: { maxResults: settings.maxResults, minTermLength: settings.minTermLength },
+    docs,
+    terms
+  };
+}
+
+/**
+ * Render the client script that searches the index
+ * 
+ * @returns {string} - Script markup
+ */
+function renderSearchScript() {
+  return `<script>
+(function () {
+  var tokenize = ${tokenize.toString()};
+  var normalizeTerm = ${normalizeTerm.toString()};
+  var input = document.getElementById('book-search-input');
+  var list = document.getElementById('book-search-results');
+  var inline = document.getElementById('book-search-index');
+  var data = window.BOOK_SEARCH_INDEX || (inline && JSON.parse(inline.textContent));
+  if (!input || !data) { return; }
+  var keys = Object.keys(data.terms);
+  
+  function search(query) {
+    var words = tokenize(query);
+    var scores = null;
+    words.forEach(function (word, position) {
+      var term = normalizeTerm(word, data.rules, data.settings.minTermLength);
+      if (!term) { return; }
+      var matches = {};
+      var last = position === words.length - 1;
+      keys.forEach(function (key) {
+        if (key === term || (last && key.indexOf(term) === 0) || (last && word.indexOf(key) === 0 && key.length >= 3)) {
+          var postings = data.terms[key];
+          for (var i = 0; i < postings.length; i += 2) {
+            matches[postings[i]] = (matches[postings[i]] || 0) + postings[i + 1] * (key === term ? 2 : 1);
+          }
+        }
+      });
+      if (scores === null) {
+        scores = matches;
+      } else {
+        Object.keys(scores).forEach(function (doc) {
+          if (matches[doc]) { scores[doc] += matches[doc]; } else { delete scores[doc]; }
+        });
+      }
+    });
+    return Object.keys(scores || {})
+      .sort(function (a, b) { return scores[b] - scores[a]; })
+      .slice(0, data.settings.maxResults)
+      .map(function (doc) { return data.docs[doc]; });
+  }
+  
+  function render(results) {
+    list.innerHTML = '';
+    results.forEach(function (doc) {
+      var item = document.createElement('li');
+      var link = document.createElement('a');
+      link.href = doc.url;
+      link.textContent = doc.title || doc.url;
+      item.appendChild(link);
+      if (doc.snippet) {
+        var snippet = document.createElement('p');
+        snippet.textContent = doc.snippet;
+        item.appendChild(snippet);
+      }
+      list.appendChild(item);
+    });
+    list.hidden = results.length === 0;
+  }
+  
+  input.addEventListener('input', function () { render(input.value.trim() ? search(input.value) : []); });
+  input.addEventListener('keydown', function (event) {
+    if (event.key === 'Escape') { input.value = ''; render([]); }
+  });
+  list.addEventListener('click', function () { list.hidden = true; });
+})();
+</script>`;
+}
+
+/**
+ * Add the search box and client script to a rendered page
+ * 
+ * @param {string} html - Rendered page
+ * @param {Object} options - Injection options
+ * @param {Object} options.settings - Search settings
+ * @param {Object} [options.index] - Index to embed in the page (single-page HTML)
+ * @param {string} [options.indexScript] - URL of a script defining `window.BOOK_SEARCH_INDEX` (website)
+ * @returns {string} - Page with search
+ */
+function injectSearch(html, { settings, index, indexScript }) {
+  const box = [
+    '<div class="book-search" role="search">',
+    `<input type="search" id="book-search-input" placeholder="${escapeHtml(settings.placeholder)}" aria-label="${escapeHtml(settings.placeholder)}" autocomplete="off">`,
+    '<ol id="book-search-results" class="book-search-results" hidden></ol>',
+    '</div>'
+  ].join('\n');
+  
+  const data = index
+    // Keep "</script>" in section text from ending the script element
+    ? `<script type="application/json" id="book-search-index">${JSON.stringify(index).replace(/</g, '\\u003c')}</script>`
+    : `<script src="${escapeHtml(indexScript)}"></script>`;
+  
+  return html
+    .replace(/<\/head>/i, `${SEARCH_STYLE}\n</head>`)
+    .replace(/<body[^>]*>/i, match => `${match}\n${box}`)
+    .replace(/<\/body>(?![\s\S]*<\/body>)/i, `${data}\n${renderSearchScript()}\n</body>`);
+}
+
+/**
+ * Add search to a single-page HTML output
+ * 
+ * The index is embedded in the page, so it keeps working as a single
+ * self-contained file, and also written next to it as `<name>.search.json`.
+ * 
+ * @param {string} outputPath - HTML file built by pandoc
+ * @param {string} language - Language code
+ * @param {Object} config - Book configuration
+ * @returns {string|null} - Path of the JSON index, or null when search is disabled
+ */
+function addSearchToHtml(outputPath, language, config) {
+  const settings = getSearchSettings(config);
+  
+  if (!settings.enabled) {
+    return null;
+  }
+  
+  const html = fs.readFileSync(outputPath, 'utf-8');
+  const index = buildSearchIndex([{ file: path.basename(outputPath), html }], language, settings);
+  const indexPath = outputPath.replace(/\.html?$/, '.search.json');
+  
+  fs.writeFileSync(indexPath, JSON.stringify(index));
+  fs.writeFileSync(outputPath, injectSearch(html, { settings, index }));
+  
+  return indexPath;
+}
+
+module.exports = {
+  getSearchSettings,
+  getLanguageRules,
+  tokenize,
+  normalizeTerm,
+  extractSections,
+  buildSearchIndex,
+  injectSearch,
+  addSearchToHtml
+};
@@ -0,0 +1,383 @@
+/**
+ * Live preview server
+ * Serves the HTML output of each language with a language switcher, reloads
+ * the browser when the HTML is rebuilt and shows build errors in place of a
+ * stale book
+ */
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { loadBookConfig, buildFileNames, escapeHtml } = require('./utils');
+const { watchBook } = require('./watch');
+
+/**
+ * URL of the server-sent events stream that tells browsers to reload
+ */
+const LIVE_RELOAD_PATH = '/__livereload';
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.htm': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.md': 'text/plain; charset=utf-8',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.svg': 'image/svg+xml',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+  '.mp3': 'audio/mpeg',
+  '.mp4': 'video/mp4',
+  '.pdf': 'application/pdf',
+  '.epub': 'application/epub+zip',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+};
+
+const PREVIEW_STYLE = `<style>
+.book-serve-languages { position: fixed; bottom: 0.5em; right: 0.5em; z-index: 10000; font: 13px/1.4 sans-serif; background: rgba(255, 255, 255, 0.9); border: 1px solid #ccc; border-radius: 4px; padding: 0.25em 0.5em; }
+.book-serve-languages a { margin: 0 0.25em; color: #0366d6; text-decoration: none; }
+.book-serve-languages a[aria-current] { font-weight: bold; color: inherit; }
+.book-serve-error { font: 14px/1.5 sans-serif; max-width: 60em; margin: 3em auto; padding: 0 1em; }
+.book-serve-error h1 { color: #b31d28; font-size: 1.4em; }
+.book-serve-error pre { background: #fff5f5; border: 1px solid #f1b0b7; border-radius: 4px; padding: 1em; overflow-x: auto; white-space: pre-wrap; }
+</style>`;
+
+const LIVE_RELOAD_SCRIPT = `<script>
+(function () {
+  var source = new EventSource('${LIVE_RELOAD_PATH}');
+  source.addEventListener('reload', function () { window.location.reload(); });
+})();
+</script>`;
+
+/**
+ * Get the content type to serve a file with
+ * 
+ * @param {string} file - File path
+ * @returns {string} - MIME type
+ */
+function getContentType(file) {
+  return CONTENT_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * Render the language switcher
+ * 
+ * @param {string} language - Language being viewed
+ * @param {Array<string>} languages - Languages that can be switched to
+ * @returns {string} - Switcher markup, empty for a single language
+ */
+function renderLanguageSwitcher(language, languages) {
+  if (languages.length < 2) {
+    return '';
+  }
+  
+  const links = languages.map(code => {
+    const current = code === language ? ' aria-current="page"' : '';
+    return `<a href="/${encodeURIComponent(code)}/" hreflang="${escapeHtml(code)}"${current}>${escapeHtml(code.toUpperCase())}</a>`;
+  });
+  
+  return `<nav class="book-serve-languages" aria-label="Languages">${links.join('')}</nav>`;
+}
+
+/**
+ * Add the preview styles, language switcher and live reload client to a page
+ * 
+ * @param {string} html - Page markup
+ * @param {Object} options - Preview options
+ * @param {string} options.language - Language being viewed
+ * @param {Array<string>} options.languages - Languages that can be switched to
+ * @returns {string} - Page markup for the preview
+ */
+function injectPreviewScripts(html, { language, languages }) {
+  const head = PREVIEW_STYLE;
+  const top = renderLanguageSwitcher(language, languages);
+  const bottom = LIVE_RELOAD_SCRIPT;
+  
+  let page = /<\/head>/i.test(html) ? html.replace(/<\/head>/i, `${head}\n</head>`) : `${head}\n${html}`;
+  if (top) {
+    page = /<body[^>]*>/i.test(page) ? page.replace(/<body[^>]*>/i, match => `${match}\n${top}`) : `${top}\n${page}`;
+  }
+  page = /<\/body>/i.test(page) ? page.replace(/<\/body>(?![\s\S]*<\/body>)/i, `${bottom}\n</body>`) : `${page}\n${bottom}`;
+  
+  return page;
+}
+
+/**
+ * Render the page shown instead of the book while its last build failed
+ * 
+ * @param {Error} error - Build error
+ * @param {Object} options - Preview options
+ * @param {string} options.language - Language being viewed
+ * @param {Array<string>} options.languages - Languages that can be switched to
+ * @param {string} [options.title='Build failed'] - Page heading
+ * @returns {string} - Error page markup
+ */
+function renderErrorPage(error, { language, languages, title = 'Build failed' }) {
+  const details = [error.message, error.stderr].filter(Boolean).join('\n\n');
+  const html = `<!DOCTYPE html>
+<html lang="${escapeHtml(language)}">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+</head>
+<body>
+<main class="book-serve-error">
+<h1>${escapeHtml(title)}</h1>
+<pre>${escapeHtml(details)}</pre>
+<p>This page reloads when the book is rebuilt.</p>
+</main>
+</body>
+</html>
+`;
+  
+  return injectPreviewScripts(html, { language, languages });
+}
+
+/**
+ * Find the file to serve for a path below a language
+ * 
+ * Looks in the build output first, then in the same places pandoc resolves
+ * resources from, so images that are not embedded in the HTML still load.
+ * 
+ * @param {string} projectRoot - Path to project root
+ * @param {string} language - Language code
+ * @param {string} relativePath - Decoded path below /<language>/
+ * @returns {string|null} - File path, or null if there is none
+ */
+function resolveStaticFile(projectRoot, language, relativePath) {
+  const bases = [
+    path.join(projectRoot, 'build', language),
+    path.join(projectRoot, 'book', language),
+    path.join(projectRoot, 'book'),
+    path.join(projectRoot, 'build'),
+    projectRoot
+  ];
+  
+  // Hidden files (.git, .env, ...) are never served
+  if (relativePath.split(/[/\\]/).some(segment => segment.startsWith('.'))) {
+    return null;
+  }
+  
+  for (const base of bases) {
+    const file = path.resolve(base, relativePath);
+    
+    // Never serve anything outside the project
+    if (!file.startsWith(`${base}${path.sep}`)) {
+      continue;
+    }
+    
+    try {
+      if (fs.statSync(file).isFile()) {
+        return file;
+      }
+    } catch (error) {
+      // Not in this directory
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Start the live preview server
+ * 
+ * `/<language>/` serves the HTML output of a language. Unless `watch` is
+ * disabled, the served language is rebuilt on changes (see watchBook) and
+ * connected browsers reload after every rebuild; while the last build failed
+ * the error is shown instead of the book.
+ * 
+ * @param {Object} [options] - Server options
+ * @param {string} [options.projectPath] - Path to project root (defaults to cwd)
+ * @param {string} [options.language='en'] - Language to open and rebuild
+ * @param {number} [options.port=8080] - Port to listen on (0 for any free port)
+ * @param {string} [options.host='127.0.0.1'] - Host to bind to
+ * @param {boolean} [options.watch=true] - Rebuild the HTML on changes
+ * @param {string} [options.profile] - Build profile from book.yaml to apply
+ * @param {boolean} [options.includeDrafts=false] - Include chapters marked `draft: true`
+ * @param {Function} [options.onRebuild] - Called with each watchBook rebuild report
+ * @returns {Promise<Object>} - {url, port, server, close}
+ */
+async function serveBook(options = {}) {
+  const projectRoot = path.resolve(options.projectPath || '.');
+  const language = options.language || 'en';
+  const host = options.host || '127.0.0.1';
+  const clients = new Set();
+  const buildErrors = {};
+  let config = loadBookConfig(projectRoot, { profile: options.profile });
+  
+  const reload = () => {
+    for (const client of clients) {
+      client.write('event: reload\ndata: {}\n\n');
+    }
+  };
+  
+  const send = (response, status, body, contentType = 'text/html; charset=utf-8') => {
+    response.writeHead(status, { 'Content-Type': contentType, 'Cache-Control': 'no-store' });
+    response.end(body);
+  };
+  
+  const handleRequest = (request, response) => {
+    let pathname;
+    try {
+      pathname = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+    } catch (error) {
+      send(response, 400, 'Bad request', 'text/plain; charset=utf-8');
+      return;
+    }
+    
+    if (pathname === LIVE_RELOAD_PATH) {
+      response.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-store',
+        Connection: 'keep-alive'
+      });
+      response.write(': connected\n\n');
+      clients.add(response);
+      request.on('close', () => clients.delete(response));
+      return;
+    }
+    
+    if (pathname === '/') {
+      response.writeHead(302, { Location: `/${encodeURIComponent(language)}/` });
+      response.end();
+      return;
+    }
+    
+    const languages = [...new Set([...(config.languages || []), language])];
+    const [, requested, ...rest] = pathname.split('/');
+    const relativePath = rest.join('/');
+    
+    if (!languages.includes(requested)) {
+      send(response, 404, 'Not found', 'text/plain; charset=utf-8');
+      return;
+    }
+    
+    const page = { language: requested, languages };
+    const htmlPath = buildFileNames(requested, projectRoot, config).html;
+    
+    if (relativePath === '' || relativePath === path.basename(htmlPath)) {
+      if (buildErrors[requested]) {
+        send(response, 500, renderErrorPage(buildErrors[requested], page));
+      } else if (!fs.existsSync(htmlPath)) {
+        const error = new Error(`No HTML output for "${requested}" yet. Run "book build --lang ${requested}" to create it.`);
+        send(response, 404, renderErrorPage(error, { ...page, title: 'Not built yet' }));
+      } else {
+        // Media extracted by pandoc may be referenced by absolute path
+        const html = fs.readFileSync(htmlPath, 'utf-8')
+          .split(`${path.dirname(htmlPath)}${path.sep}`).join('');
+        send(response, 200, injectPreviewScripts(html, page));
+      }
+      return;
+    }
+    
+    const file = resolveStaticFile(projectRoot, requested, relativePath);
+    
+    if (!file) {
+      send(response, 404, 'Not found', 'text/plain; charset=utf-8');
+      return;
+    }
+    
+    const stream = fs.createReadStream(file);
+    
+    stream.on('open', () => {
+      response.writeHead(200, { 'Content-Type': getContentType(file), 'Cache-Control': 'no-store' });
+      stream.pipe(response);
+    });
+    
+    // A rebuild may remove or replace the file while it is read
+    stream.on('error', () => {
+      if (response.headersSent) {
+        response.destroy();
+      } else {
+        send(response, 404, 'Not found', 'text/plain; charset=utf-8');
+      }
+    });
+  };
+  
+  const server = http.createServer((request, response) => {
+    try {
+      handleRequest(request, response);
+    } catch (error) {
+      send(response, 500, `Internal error: ${error.message}`, 'text/plain; charset=utf-8');
+    }
+  });
+  
+  await new Promise((resolve, reject) => {
+    server.once('error', error => {
+      reject(error.code === 'EADDRINUSE' ? new Error(`Port ${options.port} is already in use`) : error);
+    });
+    server.listen(Number(options.port ?? 8080), host, resolve);
+  });
+  
+  const watcher = options.watch === false ? null : watchBook({
+    projectPath: projectRoot,
+    language,
+    formats: ['html'],
+    profile: options.profile,
+    includeDrafts: options.includeDrafts,
+    onRebuild: report => {
+      // Pick up changes to book.yaml; a broken one fails the rebuild as well
+      try {
+        config = loadBookConfig(projectRoot, { profile: options.profile });
+      } catch (error) {
+        // Keep serving with the last configuration that loaded
+      }
+      
+      const formatError = report.result?.errors?.html;
+      const hadError = Boolean(buildErrors[language]);
+      buildErrors[language] = report.error || (formatError ? new Error(formatError) : null);
+      
+      if (options.onRebuild) {
+        options.onRebuild(report);
+      }
+      
+      if ((report.result?.cache?.misses || []).length > 0 || buildErrors[language] || hadError) {
+        reload();
+      }
+    }
+  });
+  
+  const { port } = server.address();
+  const displayHost = host === '0.0.0.0' || host === '::' ? 'localhost' : host;
+  
+  return {
+    url: `http://${displayHost}:${port}/${encodeURIComponent(language)}/`,
+    port,
+    server,
+    
+    /**
+     * Stop the watcher and the server, disconnecting live reload clients
+     * 
+     * @returns {Promise<void>} - Resolves once the server is closed
+     */
+    async close() {
+      if (watcher) {
+        await watcher.close();
+      }
+      
+      for (const client of clients) {
+        client.end();
+      }
+      
+      await new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+module.exports = {
+  LIVE_RELOAD_PATH,
+  getContentType,
+  injectPreviewScripts,
+  renderErrorPage,
+  resolveStaticFile,
+  serveBook
+};
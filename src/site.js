@@ -0,0 +1,688 @@
+/**
+ * Multi-page website output
+ * Splits the combined book into one page per chapter (or section), renders
+ * each page with the HTML template and CSS settings, and adds a sidebar
+ * table of contents, previous/next links, a landing page and a sitemap
+ */
+const fs = require('fs');
+const path = require('path');
+const { ensureDirectoryExists, runCommand, createPandocCommand, escapeHtml } = require('./utils');
+const { mergeConfig } = require('./config');
+const { getSearchSettings, buildSearchIndex, injectSearch } = require('./search');
+const { normalizeFonts, renderFontCss } = require('./fonts');
+const { getTypographyProfile, renderTypographyCss } = require('./typography');
+
+/**
+ * Directory inside the site receiving stylesheets, images and the cover
+ */
+const ASSETS_DIR = 'assets';
+
+/**
+ * File in the site directory listing the files written by the last build
+ */
+const MANIFEST_FILE = '.book-site.json';
+
+/**
+ * Landing page labels by base language code, used unless
+ * `formatSettings.site` sets `contentsLabel` or `startLabel`
+ */
+const LANDING_LABELS = {
+  en: { contents: 'Contents', start: 'Start reading →' },
+  es: { contents: 'Contenido', start: 'Empezar a leer →' },
+  fr: { contents: 'Sommaire', start: 'Commencer la lecture →' },
+  de: { contents: 'Inhalt', start: 'Lesen beginnen →' },
+  pt: { contents: 'Sumário', start: 'Começar a ler →' },
+  it: { contents: 'Indice', start: 'Inizia a leggere →' }
+};
+
+/**
+ * Search index in the assets directory, as JSON and as a script for the pages
+ */
+const SEARCH_INDEX_FILE = 'search-index.json';
+const SEARCH_SCRIPT_FILE = 'search-index.js';
+
+const SITE_CSS = `/* Layout added by book-tools for the multi-page website */
+body {
+  margin-left: 19rem;
+}
+
+.site-toc {
+  position: fixed;
+  top: 0;
+  bottom: 0;
+  left: 0;
+  width: 17rem;
+  overflow-y: auto;
+  padding: 1.5rem 1rem;
+  border-right: 1px solid #e1e4e8;
+  background: #fafbfc;
+  font-size: 0.9rem;
+  line-height: 1.4;
+}
+
+.site-toc ol {
+  list-style: none;
+  margin: 0;
+  padding-left: 0;
+}
+
+.site-toc ol ol {
+  padding-left: 1rem;
+}
+
+.site-toc li {
+  margin: 0.3rem 0;
+}
+
+.site-toc a {
+  text-decoration: none;
+}
+
+.site-toc a[aria-current] {
+  font-weight: bold;
+}
+
+.site-toc-title {
+  font-weight: bold;
+  margin: 0 0 1rem;
+}
+
+.site-pager {
+  display: flex;
+  justify-content: space-between;
+  gap: 1rem;
+  margin: 3rem 0 1rem;
+  padding-top: 1rem;
+  border-top: 1px solid #e1e4e8;
+}
+
+.site-pager [rel="next"] {
+  margin-left: auto;
+  text-align: right;
+}
+
+.site-cover {
+  max-width: 16rem;
+}
+
+@media (max-width: 50rem) {
+  body {
+    margin-left: auto;
+  }
+  
+  .site-toc {
+    position: static;
+    width: auto;
+    border-right: none;
+    border-bottom: 1px solid #e1e4e8;
+  }
+}
+`;
+
+/**
+ * Create a heading identifier the way pandoc's auto_identifiers extension does
+ * 
+ * @param {string} text - Heading text (markdown)
+ * @returns {string} - Identifier
+ */
+function slugifyHeading(text) {
+  const slug = String(text)
+    .replace(/\[\^[^\]]*\]/g, '')
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/<[^>]+>/g, '')
+    .replace(/[*`~]/g, '')
+    .replace(/[^\p{L}\p{N}_\-.\s]/gu, '')
+    .trim()
+    .replace(/\s+/g, '-')
+    .toLowerCase()
+    .replace(/^[^\p{L}]+/u, '');
+  
+  return slug || 'section';
+}
+
+/**
+ * Parse an ATX heading line
+ * 
+ * @param {string} line - Markdown line
+ * @returns {Object|null} - {level, text, id, classes} or null if the line is not a heading
+ */
+function parseHeading(line) {
+  const match = line.match(/^(#{1,6})\s+(.*?)(?:\s+\{([^}]*)\})?(?:\s+#+)?\s*$/);
+  
+  if (!match) {
+    return null;
+  }
+  
+  const attributes = match[3] ? match[3].trim().split(/\s+/) : [];
+  const idAttribute = attributes.find(attribute => attribute.startsWith('#'));
+  
+  return {
+    level: match[1].length,
+    text: match[2],
+    id: idAttribute ? idAttribute.slice(1) : null,
+    classes: attributes.filter(attribute => attribute.startsWith('.')).map(attribute => attribute.slice(1))
+  };
+}
+
+/**
+ * Split combined markdown into pages at headings up to `splitLevel`
+ * 
+ * Content before the first heading is kept at the top of the first page.
+ * Page slugs come from the heading identifier (explicit `{#id}` or the one
+ * pandoc would generate) and are made unique across the site. Every page
+ * lists its headings with their in-page identifiers.
+ * 
+ * @param {string} markdown - Combined markdown
+ * @param {Object} [options] - Split options
+ * @param {number} [options.splitLevel=1] - Deepest heading level that starts a new page
+ * @returns {Array<Object>} - Pages as {slug, file, title, level, markdown, headings}
+ */
+function splitPages(markdown, options = {}) {
+  const splitLevel = options.splitLevel || 1;
+  const pages = [];
+  const usedSlugs = new Set(['index']);
+  let preamble = [];
+  let current = null;
+  let fence = null;
+  
+  for (const line of markdown.split('\n')) {
+    const fenceMatch = line.match(/^\s*(`{3,}|~{3,})/);
+    if (fenceMatch) {
+      if (!fence) {
+        fence = fenceMatch[1];
+      } else if (fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) {
+        fence = null;
+      }
+    }
+    
+    const heading = !fence && !fenceMatch ? parseHeading(line) : null;
+    
+    if (heading && heading.level <= splitLevel) {
+      const base = heading.id || slugifyHeading(heading.text);
+      let slug = base;
+      
+      for (let count = 1; usedSlugs.has(slug); count++) {
+        slug = `${base}-${count}`;
+      }
+      usedSlugs.add(slug);
+      
+      current = {
+        slug,
+        file: `${slug}.html`,
+        title: heading.text,
+        level: heading.level,
+        lines: [...preamble, line],
+        headings: []
+      };
+      preamble = [];
+      pages.push(current);
+    } else if (current) {
+      current.lines.push(line);
+    } else {
+      preamble.push(line);
+    }
+    
+    if (heading && current) {
+      current.headings.push(heading);
+    }
+  }
+  
+  if (pages.length === 0 && preamble.join('').trim()) {
+    pages.push({ slug: 'content', file: 'content.html', title: 'Content', level: 1, lines: preamble, headings: [] });
+  }
+  
+  return pages.map(({ lines, headings, ...page }) => {
+    // Identifiers are unique within a page, as pandoc renders each page on its own
+    const ids = new Set();
+    const pageHeadings = headings.map(heading => {
+      const base = heading.id || slugifyHeading(heading.text);
+      let id = base;
+      
+      for (let count = 1; !heading.id && ids.has(id); count++) {
+        id = `${base}-${count}`;
+      }
+      ids.add(id);
+      
+      return { level: heading.level, text: heading.text, id, unlisted: heading.classes.includes('unlisted') };
+    });
+    
+    return { ...page, markdown: `${lines.join('\n').trim()}\n`, headings: pageHeadings };
+  });
+}
+
+/**
+ * Convert inline heading markdown to HTML text for navigation
+ * 
+ * @param {string} text - Heading text (markdown)
+ * @returns {string} - Escaped plain text
+ */
+function headingToHtml(text) {
+  return escapeHtml(String(text)
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/[*_`]/g, '')
+    .replace(/\\(.)/g, '$1'));
+}
+
+/**
+ * Render the sidebar table of contents
+ * 
+ * Top-level pages are listed with their sub-pages, or with the second level
+ * headings inside them when the book is split by chapter only.
+ * 
+ * @param {Array<Object>} pages - Site pages
+ * @param {string} currentFile - File name of the page being rendered
+ * @param {string} bookTitle - Book title linking to the landing page
+ * @returns {string} - Sidebar markup
+ */
+function renderSidebar(pages, currentFile, bookTitle) {
+  const topLevel = Math.min(...pages.map(page => page.level));
+  const items = [];
+  
+  const link = (href, text, current) =>
+    `<a href="${escapeHtml(href)}"${current ? ' aria-current="page"' : ''}>${headingToHtml(text)}</a>`;
+  
+  pages.forEach((page, index) => {
+    if (page.level > topLevel && items.length > 0) {
+      return;
+    }
+    
+    const children = [];
+    
+    for (const child of pages.slice(index + 1)) {
+      if (child.level <= page.level) {
+        break;
+      }
+      children.push(`<li>${link(child.file, child.title, child.file === currentFile)}</li>`);
+    }
+    
+    if (children.length === 0) {
+      page.headings
+        .filter(heading => heading.level === page.level + 1 && !heading.unlisted)
+        .forEach(heading => children.push(`<li>${link(`${page.file}#${heading.id}`, heading.text, false)}</li>`));
+    }
+    
+    const nested = children.length > 0 ? `<ol>${children.join('')}</ol>` : '';
+    items.push(`<li>${link(page.file, page.title, page.file === currentFile)}${nested}</li>`);
+  });
+  
+  return [
+    '<nav class="site-toc" aria-label="Table of contents">',
+    `<p class="site-toc-title"><a href="index.html">${escapeHtml(bookTitle)}</a></p>`,
+    `<ol>${items.join('')}</ol>`,
+    '</nav>'
+  ].join('\n');
+}
+
+/**
+ * Render the previous/next links of a page
+ * 
+ * @param {Object|null} previous - Previous page
+ * @param {Object|null} next - Next page
+ * @returns {string} - Pager markup
+ */
+function renderPager(previous, next) {
+  const links = [];
+  
+  if (previous) {
+    links.push(`<a rel="prev" href="${escapeHtml(previous.file)}">← ${headingToHtml(previous.title)}</a>`);
+  }
+  
+  if (next) {
+    links.push(`<a rel="next" href="${escapeHtml(next.file)}">${headingToHtml(next.title)} →</a>`);
+  }
+  
+  return `<nav class="site-pager" aria-label="Pages">${links.join('')}</nav>`;
+}
+
+/**
+ * Add the site stylesheet, navigation and page title to a rendered page
+ * 
+ * @param {string} html - Page rendered by pandoc
+ * @param {Object} chrome - Page chrome
+ * @param {string} chrome.title - Page title
+ * @param {string} chrome.sidebar - Sidebar markup
+ * @param {string} chrome.pager - Pager markup
+ * @param {string} [chrome.canonical] - Absolute URL of the page
+ * @returns {string} - Page markup
+ */
+function addSiteChrome(html, { title, sidebar, pager, canonical }) {
+  const head = [
+    `<link rel="stylesheet" href="${ASSETS_DIR}/site.css">`,
+    canonical ? `<link rel="canonical" href="${escapeHtml(canonical)}">` : ''
+  ].filter(Boolean).join('\n');
+  
+  return html
+    .replace(/<title>[\s\S]*?<\/title>/i, `<title>${title}</title>`)
+    .replace(/<\/head>/i, `${head}\n</head>`)
+    .replace(/<body[^>]*>/i, match => `${match}\n${sidebar}`)
+    .replace(/<\/body>(?![\s\S]*<\/body>)/i, `${pager}\n</body>`);
+}
+
+/**
+ * Copy a file into the site assets once
+ * 
+ * Files keep their path in the project below `assets/`, so two images with
+ * the same name in different chapters do not collide.
+ * 
+ * @param {string} source - File to copy
+ * @param {Object} context - Asset context
+ * @param {string} context.projectRoot - Path to project root
+ * @param {string} context.siteDir - Site output directory
+ * @param {Map} context.copied - Source paths already copied, mapped to their site paths
+ * @returns {string} - Path of the copy relative to the site directory
+ */
+function copyAsset(source, { projectRoot, siteDir, copied }) {
+  if (!copied.has(source)) {
+    const relative = path.relative(projectRoot, source);
+    const target = relative.startsWith('..') ? path.join('external', path.basename(source)) : relative;
+    const sitePath = path.posix.join(ASSETS_DIR, ...target.split(path.sep));
+    
+    ensureDirectoryExists(path.dirname(path.join(siteDir, sitePath)));
+    fs.copyFileSync(source, path.join(siteDir, sitePath));
+    copied.set(source, sitePath);
+  }
+  
+  return copied.get(source);
+}
+
+/**
+ * Copy the local images referenced by page markdown into the site
+ * 
+ * Images are looked up the way pandoc resolves them (each resource path
+ * relative to the project root) and the references rewritten to the copies.
+ * 
+ * @param {string} markdown - Page markdown
+ * @param {Object} context - Asset context (see copyAsset)
+ * @param {Array<string>} context.resourceDirs - Directories to resolve images in
+ * @returns {string} - Markdown referencing the copied images
+ */
+function copyPageImages(markdown, context) {
+  const rewrite = src => {
+    if (/^([a-z][a-z0-9+.-]*:|\/\/|#)/i.test(src)) {
+      return src;
+    }
+    
+    const decoded = decodeURI(src);
+    const source = context.resourceDirs
+      .map(dir => path.resolve(dir, decoded))
+      .find(candidate => fs.existsSync(candidate) && fs.statSync(candidate).isFile());
+    
+    return source ? encodeURI(copyAsset(source, context)) : src;
+  };
+  
+  return markdown
+    .replace(/(!\[[^\]]*\]\()(<[^>]+>|[^)\s]+)/g, (match, prefix, src) =>
+      `${prefix}${src.startsWith('<') ? `<${rewrite(src.slice(1, -1))}>` : rewrite(src)}`)
+    .replace(/(<img\b[^>]*\bsrc=")([^"]+)"/gi, (match, prefix, src) => `${prefix}${rewrite(src)}"`);
+}
+
+/**
+ * Point links to headings on other pages at those pages
+ * 
+ * @param {Map} pageHtml - Rendered markup by page file
+ * @returns {Map} - Markup with cross-page links resolved
+ */
+function resolveCrossPageLinks(pageHtml) {
+  const owners = new Map();
+  
+  for (const [file, html] of pageHtml) {
+    for (const [, id] of html.matchAll(/\sid="([^"]+)"/g)) {
+      if (!owners.has(id)) {
+        owners.set(id, file);
+      }
+    }
+  }
+  
+  const resolved = new Map();
+  
+  for (const [file, html] of pageHtml) {
+    const ids = new Set([...html.matchAll(/\sid="([^"]+)"/g)].map(match => match[1]));
+    
+    resolved.set(file, html.replace(/href="#([^"]+)"/g, (match, id) => {
+      const owner = owners.get(id);
+      return !ids.has(id) && owner ? `href="${owner}#${id}"` : match;
+    }));
+  }
+  
+  return resolved;
+}
+
+/**
+ * Render sitemap.xml for the site
+ * 
+ * @param {string} baseUrl - Absolute URL the site is published at
+ * @param {Array<string>} files - Page files
+ * @returns {string} - Sitemap XML
+ */
+function renderSitemap(baseUrl, files) {
+  const base = baseUrl.replace(/\/*$/, '/');
+  const lastmod = new Date().toISOString().slice(0, 10);
+  const urls = files.map(file => {
+    const loc = file === 'index.html' ? base : `${base}${file}`;
+    return `  <url>\n    <loc>${escapeHtml(loc)}</loc>\n    <lastmod>${lastmod}</lastmod>\n  </url>`;
+  });
+  
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...urls,
+    '</urlset>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Build the landing page markdown from the book metadata
+ * 
+ * @param {Object} config - Book configuration (localized for the language)
+ * @param {Array<Object>} pages - Site pages
+ * @param {string|null} coverPath - Site path of the cover image
+ * @param {string} [language='en'] - Language code
+ * @returns {string} - Landing page markdown
+ */
+function renderLandingPage(config, pages, coverPath, language = 'en') {
+  const topLevel = Math.min(...pages.map(page => page.level));
+  const siteSettings = config.formatSettings?.site || {};
+  const labels = LANDING_LABELS[String(language).toLowerCase().split(/[-_]/)[0]] || LANDING_LABELS.en;
+  const parts = [];
+  
+  if (coverPath) {
+    parts.push(`![${config.title || 'Cover'}](${coverPath}){.site-cover}`);
+  }
+  
+  if (config.metadata?.description) {
+    parts.push(String(config.metadata.description));
+  }
+  
+  parts.push(`## ${siteSettings.contentsLabel || labels.contents} {.unnumbered}`);
+  parts.push(pages
+    .filter(page => page.level === topLevel)
+    .map(page => `- [${page.title.replace(/[[\]]/g, '\\$&')}](${page.file})`)
+    .join('\n'));
+  
+  if (pages.length > 0) {
+    parts.push(`[${siteSettings.startLabel || labels.start}](${pages[0].file}){.site-start}`);
+  }
+  
+  return `${parts.join('\n\n')}\n`;
+}
+
+/**
+ * Remove files written by the previous build of the site that this build
+ * did not write again (e.g. pages of renamed chapters)
+ * 
+ * Only files recorded in the site manifest are ever removed, so pointing
+ * the output at an existing directory is safe.
+ * 
+ * @param {string} siteDir - Site output directory
+ * @param {Array<string>} written - Files written by this build, relative to the site directory
+ */
+function removeStaleFiles(siteDir, written) {
+  const manifestPath = path.join(siteDir, MANIFEST_FILE);
+  let previous = [];
+  
+  try {
+    previous = JSON.parse(fs.readFileSync(manifestPath, 'utf-8')).files || [];
+  } catch (error) {
+    // First build into this directory
+  }
+  
+  for (const file of previous.filter(item => !written.includes(item))) {
+    const filePath = path.resolve(siteDir, file);
+    
+    if (filePath.startsWith(`${siteDir}${path.sep}`)) {
+      fs.rmSync(filePath, { force: true });
+    }
+  }
+  
+  fs.writeFileSync(manifestPath, JSON.stringify({ files: written }, null, 2));
+}
+
+/**
+ * Build the multi-page website
+ * 
+ * Pages are rendered one by one with pandoc using the HTML settings (template,
+ * CSS, filters), without the single-file options (`selfContained`, `toc`).
+ * Settings under `formatSettings.site` are: `splitLevel` (1 splits per
+ * chapter, 2 per section), `baseUrl` (enables sitemap.xml and canonical
+ * links), `coverImage`, and `contentsLabel` and `startLabel` for the landing
+ * page.
+ * 
+ * @param {Object} config - Book configuration
+ * @param {string} inputPath - Combined markdown file
+ * @param {string} outputPath - Landing page of the site (site directory/index.html)
+ * @param {string} language - Language code
+ * @param {string} projectRoot - Path to project root
+ * @param {Object} [options] - Build options
+ * @param {string} [options.resourcePaths=''] - Pandoc resource paths, relative to the project root
+ * @param {Object} [options.processOptions] - Options passed to runCommand (cwd, timeout, signal)
+ * @param {Object} [options.logger=console] - Console-like logger receiving build messages
+ * @returns {Promise<Array<string>>} - Files written to the site directory
+ */
+async function buildSite(config, inputPath, outputPath, language, projectRoot, options = {}) {
+  const logger = options.logger || console;
+  const siteDir = path.dirname(outputPath);
+  const sourceDir = inputPath.replace(/\.md$/, '-pages');
+  const htmlSettings = config.formatSettings?.html || {};
+  const siteSettings = config.formatSettings?.site || {};
+  const baseUrl = siteSettings.baseUrl || htmlSettings.baseUrl;
+  const bookTitle = config.title || 'Book';
+  const resourceDirs = (options.resourcePaths || '.')
+    .split(':')
+    .map(dir => path.resolve(projectRoot, dir));
+  
+  // Pages link to the shared stylesheet instead of embedding everything
+  const pageConfig = mergeConfig(config, {
+    formatSettings: { html: { selfContained: false, toc: false, css: '' } }
+  });
+  
+  fs.rmSync(sourceDir, { recursive: true, force: true });
+  ensureDirectoryExists(path.join(siteDir, ASSETS_DIR));
+  ensureDirectoryExists(sourceDir);
+  
+  fs.writeFileSync(path.join(siteDir, ASSETS_DIR, 'site.css'), SITE_CSS);
+  
+  const cssArgs = [];
+  const cssPath = htmlSettings.css && path.resolve(projectRoot, htmlSettings.css);
+  
+  if (cssPath && fs.existsSync(cssPath)) {
+    fs.copyFileSync(cssPath, path.join(siteDir, ASSETS_DIR, path.basename(cssPath)));
+    cssArgs.push(`--css=${ASSETS_DIR}/${path.basename(cssPath)}`);
+  }
+  
+  const pages = splitPages(fs.readFileSync(inputPath, 'utf-8'), { splitLevel: Number(siteSettings.splitLevel) || 1 });
+  
+  if (pages.length === 0) {
+    throw new Error('The book has no content to split into pages');
+  }
+  
+  const copied = new Map();
+  const assetContext = { projectRoot, resourceDirs, siteDir, copied };
+  const fonts = normalizeFonts(config.fonts);
+  const fontCss = renderFontCss(fonts, file =>
+    encodeURI(path.posix.relative(ASSETS_DIR, copyAsset(path.resolve(projectRoot, file), assetContext))));
+  const typographyCss = renderTypographyCss(getTypographyProfile(language, config.typography), fonts);
+  
+  if (fontCss) {
+    fs.writeFileSync(path.join(siteDir, ASSETS_DIR, 'fonts.css'), fontCss);
+    cssArgs.push(`--css=${ASSETS_DIR}/fonts.css`);
+  }
+  
+  if (typographyCss) {
+    fs.writeFileSync(path.join(siteDir, ASSETS_DIR, 'typography.css'), typographyCss);
+    cssArgs.push(`--css=${ASSETS_DIR}/typography.css`);
+  }
+  
+  const coverSource = [siteSettings.coverImage, config.formatSettings?.epub?.coverImage]
+    .filter(Boolean)
+    .map(cover => path.resolve(projectRoot, cover))
+    .find(cover => fs.existsSync(cover));
+  const coverPath = coverSource ? encodeURI(copyAsset(coverSource, assetContext)) : null;
+  
+  const landing = { slug: 'index', file: 'index.html', title: bookTitle, level: 0, markdown: renderLandingPage(config, pages, coverPath, language) };
+  const allPages = [landing, ...pages];
+  const pageHtml = new Map();
+  
+  for (const [index, page] of allPages.entries()) {
+    const pageSource = path.join(sourceDir, `${page.slug}.md`);
+    const pageOutput = path.join(siteDir, page.file);
+    
+    fs.writeFileSync(pageSource, copyPageImages(page.markdown, assetContext));
+    
+    const { command, args } = createPandocCommand(pageConfig, pageSource, pageOutput, 'html', language, options.resourcePaths, { projectRoot });
+    await runCommand(command, [...args, ...cssArgs], options.processOptions);
+    
+    const title = page === landing
+      ? escapeHtml(bookTitle)
+      : `${headingToHtml(page.title)} – ${escapeHtml(bookTitle)}`;
+    
+    pageHtml.set(page.file, addSiteChrome(fs.readFileSync(pageOutput, 'utf-8'), {
+      title,
+      sidebar: renderSidebar(pages, page.file, bookTitle),
+      pager: renderPager(allPages[index - 1] || null, allPages[index + 1] || null),
+      canonical: baseUrl ? `${baseUrl.replace(/\/*$/, '/')}${page === landing ? '' : page.file}` : null
+    }));
+  }
+  
+  const resolved = resolveCrossPageLinks(pageHtml);
+  const search = getSearchSettings(config);
+  const written = [...resolved.keys()];
+  
+  if (search.enabled) {
+    const index = buildSearchIndex([...resolved].map(([file, html]) => ({ file, html })), language, search);
+    
+    // A script rather than fetch() so search also works from file:// URLs
+    fs.writeFileSync(path.join(siteDir, ASSETS_DIR, SEARCH_INDEX_FILE), JSON.stringify(index));
+    fs.writeFileSync(path.join(siteDir, ASSETS_DIR, SEARCH_SCRIPT_FILE), `window.BOOK_SEARCH_INDEX = ${JSON.stringify(index)};\n`);
+    written.push(`${ASSETS_DIR}/${SEARCH_INDEX_FILE}`, `${ASSETS_DIR}/${SEARCH_SCRIPT_FILE}`);
+  }
+  
+  for (const [file, html] of resolved) {
+    const page = search.enabled
+      ? injectSearch(html, { settings: search, indexScript: `${ASSETS_DIR}/${SEARCH_SCRIPT_FILE}` })
+      : html;
+    fs.writeFileSync(path.join(siteDir, file), page);
+  }
+  
+  if (baseUrl) {
+    fs.writeFileSync(path.join(siteDir, 'sitemap.xml'), renderSitemap(baseUrl, [...resolved.keys()]));
+    written.push('sitemap.xml');
+  } else {
+    logger.warn('No baseUrl set in formatSettings.site, skipping sitemap.xml');
+  }
+  
+  written.push(`${ASSETS_DIR}/site.css`, ...cssArgs.map(arg => arg.slice('--css='.length)), ...copied.values());
+  removeStaleFiles(siteDir, written);
+  
+  return written;
+}
+
+module.exports = {
+  slugifyHeading,
+  splitPages,
+  renderSidebar,
+  copyPageImages,
+  resolveCrossPageLinks,
+  renderSitemap,
+  buildSite
+};
@@ -0,0 +1,856 @@
+/**
+ * Translations
+ * Compares the chapters of each translation with the source language:
+ * missing, extra and renamed files, the heading outline, word counts and
+ * image references of every chapter, rendered as a text table, Markdown or
+ * JSON report. A lockfile records the source each translated file was
+ * translated from, so translations whose source changed since are listed
+ * with a diff of the changes.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('yaml');
+const { loadConfig } = require('./config');
+const { resolveChapterFiles } = require('./chapters');
+const { resolveMatterFiles } = require('./matter');
+const { parseFrontMatter } = require('./frontmatter');
+
+/**
+ * Report formats of renderTranslationReport
+ */
+const REPORT_FORMATS = ['table', 'json', 'markdown'];
+
+/**
+ * Translations with fewer words than this share of the source are flagged
+ */
+const DEFAULT_MIN_RATIO = 0.5;
+
+/**
+ * Directory of the translation lockfile and the source snapshots, relative to the project root
+ */
+const LOCK_DIR = '.translations';
+
+/**
+ * Lines of unchanged context around each change in source diffs
+ */
+const DIFF_CONTEXT = 3;
+
+/**
+ * Largest line comparison table a source diff may use (about 16 MB); bigger
+ * rewrites are shown as the old lines replaced by the new ones
+ */
+const DIFF_MAX_CELLS = 4000000;
+
+/**
+ * A word, or a single character of the scripts written without spaces
+ */
+const WORD_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]|(?:(?![\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}])[\p{L}\p{N}\p{M}])+/gu;
+
+/**
+ * Analyze the structure of a chapter
+ * 
+ * Code blocks are skipped; words are counted in the text without markup,
+ * link targets and inline code.
+ * 
+ * @param {string} markdown - Chapter markdown without front matter
+ * @returns {Object} - {outline, words, images} with outline the heading levels in order
+ */
+function analyzeMarkdown(markdown) {
+  const outline = [];
+  const images = [];
+  let words = 0;
+  let fence = null;
+  let previous = '';
+  
+  for (const line of markdown.split('\n')) {
+    const fenceMatch = line.match(/^\s*(`{3,}|~{3,})/);
+    const blankBefore = previous.trim() === '';
+    previous = line;
+    
+    if (fence) {
+      if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) {
+        fence = null;
+      }
+      continue;
+    }
+    
+    if (fenceMatch) {
+      fence = fenceMatch[1];
+      continue;
+    }
+    
+    if (/^( {4}|\t)/.test(line) && blankBefore) {
+      previous = '';
+      continue;
+    }
+    
+    const heading = line.match(/^(#{1,6})\s+/);
+    
+    if (heading) {
+      outline.push(heading[1].length);
+    }
+    
+    for (const image of line.matchAll(/!\[[^\]]*\]\(\s*<?([^)\s>]+)>?[^)]*\)/g)) {
+      images.push(image[1]);
+    }
+    
+    for (const image of line.matchAll(/<img\b[^>]*\bsrc\s*=\s*["']([^"']+)["']/gi)) {
+      images.push(image[1]);
+    }
+    
+    const text = line
+      .replace(/!\[[^\]]*\]\([^)]*\)/g, ' ')
+      .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/`[^`]*`/g, ' ')
+      .replace(/<[^>]+>/g, ' ')
+      .replace(/\{[^}]*\}\s*$/, ' ');
+    
+    words += (text.match(WORD_PATTERN) || []).length;
+  }
+  
+  return { outline, words, images };
+}
+
+/**
+ * List the chapter, front and back matter files of a language in book order
+ * 
+ * Files listed in a manifest but not present are left out, so they show up
+ * as missing translations.
+ * 
+ * @param {string} projectRoot - Path to project root
+ * @param {string} language - Language code
+ * @param {Object} config - Book configuration
+ * @returns {Array<Object>} - Files as {file, path} with file relative to the language directory
+ */
+function listLanguageFiles(projectRoot, language, config) {
+  const languageDir = path.join(projectRoot, 'book', language);
+  const chapters = resolveChapterFiles(projectRoot, language, config);
+  const matter = resolveMatterFiles(projectRoot, language, config);
+  const matterFiles = new Set([...matter.front, ...matter.back]);
+  
+  return [
+    ...matter.front,
+    ...chapters.files.filter(file => !matterFiles.has(file)),
+    ...matter.back
+  ]
+    .filter(file => fs.existsSync(file))
+    .map(file => ({ file: path.relative(languageDir, file).split(path.sep).join('/'), path: file }));
+}
+
+/**
+ * Get the numbers in a chapter path, which usually survive translation
+ * 
+ * @param {string} file - Path relative to the language directory
+ * @returns {string|null} - Number of each path segment, or null without numbers
+ */
+function getNumbering(file) {
+  const numbers = file.split('/').map(segment => (segment.match(/\d+/) || [''])[0]);
+  
+  return numbers.some(Boolean) ? numbers.join('/') : null;
+}
+
+/**
+ * Pair the files of the source language with those of a translation
+ * 
+ * Files with the same path are paired first. A remaining source file is
+ * paired with the one remaining translated file that has the same numbering
+ * (`chapter-02/01-intro.md` and `capitulo-02/01-introduccion.md`) or, in the
+ * same directory, the same heading outline; such pairs are renames.
+ * 
+ * @param {Array<Object>} sourceFiles - Analyzed source files
+ * @param {Array<Object>} targetFiles - Analyzed translated files
+ * @returns {Array<Object>} - Entries as {source, target, renamed}, in source order then extras
+ */
+function pairFiles(sourceFiles, targetFiles) {
+  const unpaired = targetFiles.filter(target => !sourceFiles.some(source => source.file === target.file));
+  const entries = [];
+  
+  for (const source of sourceFiles) {
+    let target = targetFiles.find(candidate => candidate.file === source.file);
+    
+    if (!target) {
+      const numbering = getNumbering(source.file);
+      let candidates = numbering ? unpaired.filter(candidate => getNumbering(candidate.file) === numbering) : [];
+      
+      if (candidates.length === 0) {
+        candidates = unpaired.filter(candidate =>
+          path.posix.dirname(candidate.file) === path.posix.dirname(source.file) &&
+          candidate.outline.join() === source.outline.join());
+      }
+      
+      target = candidates.length === 1 ? candidates[0] : null;
+      
+      if (target) {
+        unpaired.splice(unpaired.indexOf(target), 1);
+      }
+    }
+    
+    entries.push({ source, target, renamed: Boolean(target) && target.file !== source.file });
+  }
+  
+  return [...entries, ...unpaired.map(target => ({ source: null, target, renamed: false }))];
+}
+
+/**
+ * Round a ratio for the report
+ * 
+ * @param {number} numerator - Translated amount
+ * @param {number} denominator - Source amount
+ * @returns {number|null} - Ratio with two decimals, or null without a source amount
+ */
+function ratio(numerator, denominator) {
+  return denominator > 0 ? Math.round((numerator / denominator) * 100) / 100 : null;
+}
+
+/**
+ * Compare a translation with the source language
+ * 
+ * @param {Array<Object>} sourceFiles - Analyzed source files
+ * @param {Array<Object>} targetFiles - Analyzed translated files
+ * @param {Object} [options] - Comparison options
+ * @param {number} [options.minRatio=0.5] - Word ratio below which a chapter is flagged
+ * @returns {Object} - {summary, files}
+ */
+function compareLanguage(sourceFiles, targetFiles, options = {}) {
+  const minRatio = options.minRatio ?? DEFAULT_MIN_RATIO;
+  
+  const files = pairFiles(sourceFiles, targetFiles).map(({ source, target, renamed }) => {
+    const entry = {
+      source: source?.file || null,
+      target: target?.file || null,
+      status: !target ? 'missing' : (!source ? 'extra' : (renamed ? 'renamed' : 'ok')),
+      headings: { source: source?.outline.length ?? null, target: target?.outline.length ?? null },
+      words: { source: source?.words ?? null, target: target?.words ?? null },
+      ratio: source && target ? ratio(target.words, source.words) : null,
+      images: { missing: [], extra: [] },
+      differences: []
+    };
+    
+    if (source && target) {
+      entry.images.missing = [...new Set(source.images.filter(image => !target.images.includes(image)))];
+      entry.images.extra = [...new Set(target.images.filter(image => !source.images.includes(image)))];
+      
+      if (source.outline.join() !== target.outline.join()) {
+        entry.differences.push('headings');
+      }
+      
+      if (entry.ratio !== null && entry.ratio < minRatio) {
+        entry.differences.push('words');
+      }
+      
+      if (entry.images.missing.length > 0 || entry.images.extra.length > 0) {
+        entry.differences.push('images');
+      }
+      
+      if (entry.status === 'ok' && entry.differences.length > 0) {
+        entry.status = 'differs';
+      }
+    }
+    
+    return entry;
+  });
+  
+  const count = status => files.filter(file => file.status === status).length;
+  const paired = files.filter(file => file.source && file.target);
+  const sourceWords = paired.reduce((total, file) => total + file.words.source, 0);
+  const targetWords = paired.reduce((total, file) => total + file.words.target, 0);
+  
+  return {
+    summary: {
+      files: sourceFiles.length,
+      translated: paired.length,
+      coverage: ratio(paired.length, sourceFiles.length),
+      missing: count('missing'),
+      extra: count('extra'),
+      renamed: count('renamed'),
+      differs: paired.filter(file => file.differences.length > 0).length,
+      words: { source: sourceWords, target: targetWords },
+      ratio: ratio(targetWords, sourceWords)
+    },
+    files
+  };
+}
+
+/**
+ * Read the chapters of the source language and of the translations
+ * 
+ * @param {Object} [options] - Report options
+ * @param {string} [options.configPath='book.yaml'] - Path to the book.yaml file
+ * @param {string} [options.source] - Source language (default: the first configured language)
+ * @param {Array<string>} [options.languages] - Translations (default: all other languages)
+ * @returns {Object} - {projectRoot, source, sourceFiles, translations: [{language, files}], issues}
+ * @throws {Error} - If the source language has no chapters
+ */
+function loadTranslations(options = {}) {
+  const configPath = options.configPath || 'book.yaml';
+  const projectRoot = path.dirname(path.resolve(configPath));
+  const config = loadConfig(configPath);
+  const configured = config.languages || ['en'];
+  const source = options.source || configured[0];
+  const languages = options.languages?.length > 0 ? options.languages : configured.filter(language => language !== source);
+  const issues = [];
+  
+  const analyze = language => listLanguageFiles(projectRoot, language, config).map(entry => {
+    const content = fs.readFileSync(entry.path, 'utf-8');
+    return { ...entry, content, ...analyzeMarkdown(parseFrontMatter(content, entry.path).body) };
+  });
+  
+  const sourceFiles = analyze(source);
+  
+  if (sourceFiles.length === 0) {
+    throw new Error(`No chapters found for the source language ${source} in book/${source}`);
+  }
+  
+  for (const language of languages.filter(language => !configured.includes(language))) {
+    issues.push({ type: 'warning', message: `Language ${language} is not configured in book.yaml` });
+  }
+  
+  if (languages.length === 0) {
+    issues.push({ type: 'warning', message: `The book has no translations of ${source}` });
+  }
+  
+  return {
+    projectRoot,
+    source,
+    sourceFiles,
+    translations: languages.map(language => ({ language, files: analyze(language) })),
+    issues
+  };
+}
+
+/**
+ * Compare every translation of a book with its source language
+ * 
+ * @param {Object} [options] - Report options
+ * @param {string} [options.configPath='book.yaml'] - Path to the book.yaml file
+ * @param {string} [options.source] - Source language (default: the first configured language)
+ * @param {Array<string>} [options.languages] - Translations to compare (default: all other languages)
+ * @param {number} [options.minRatio=0.5] - Word ratio below which a chapter is flagged
+ * @returns {Promise<Object>} - {success, source, languages: [{language, summary, files}], issues}
+ */
+async function compareTranslations(options = {}) {
+  const result = {
+    success: false,
+    source: null,
+    languages: [],
+    issues: []
+  };
+  
+  try {
+    const { source, sourceFiles, translations, issues } = loadTranslations(options);
+    
+    result.source = source;
+    result.issues.push(...issues);
+    result.languages = translations.map(({ language, files }) => ({ language, ...compareLanguage(sourceFiles, files, options) }));
+    result.success = true;
+  } catch (error) {
+    result.issues.push({
+      type: 'error',
+      message: `Error comparing translations: ${error.message}`
+    });
+  }
+  
+  return result;
+}
+
+/**
+ * Hash the contents of a source file
+ * 
+ * @param {string} content - File contents
+ * @returns {string} - SHA-256 hex digest
+ */
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Get the path of the translation lockfile
+ * 
+ * @param {string} projectRoot - Path to project root
+ * @returns {string} - Lockfile path
+ */
+function getTranslationLockPath(projectRoot) {
+  return path.join(projectRoot, LOCK_DIR, 'lock.yaml');
+}
+
+/**
+ * Get the path of the snapshot of a source file
+ * 
+ * @param {string} projectRoot - Path to project root
+ * @param {string} hash - Hash of the source contents
+ * @returns {string} - Snapshot path
+ */
+function getSnapshotPath(projectRoot, hash) {
+  return path.join(projectRoot, LOCK_DIR, 'sources', `${hash}.md`);
+}
+
+/**
+ * Load the translation lockfile
+ * 
+ * @param {string} projectRoot - Path to project root
+ * @returns {Object|null} - {source, languages} with languages mapping each translated file
+ *   to {source, hash, updated}, or null without a lockfile
+ * @throws {Error} - If the lockfile is not valid YAML
+ */
+function loadTranslationLock(projectRoot) {
+  const lockPath = getTranslationLockPath(projectRoot);
+  
+  if (!fs.existsSync(lockPath)) {
+    return null;
+  }
+  
+  let lock;
+  try {
+    lock = yaml.parse(fs.readFileSync(lockPath, 'utf-8')) || {};
+  } catch (error) {
+    throw new Error(`Invalid translation lockfile ${path.relative(projectRoot, lockPath)}: ${error.message}`);
+  }
+  
+  return { source: lock.source || null, languages: lock.languages || {} };
+}
+
+/**
+ * Save the translation lockfile
+ * 
+ * Snapshots no longer referenced by any translated file are removed.
+ * 
+ * @param {string} projectRoot - Path to project root
+ * @param {Object} lock - {source, languages}
+ * @returns {string} - Lockfile path
+ */
+function saveTranslationLock(projectRoot, lock) {
+  const lockPath = getTranslationLockPath(projectRoot);
+  const snapshotDir = path.dirname(getSnapshotPath(projectRoot, 'hash'));
+  const hashes = new Set(Object.values(lock.languages).flatMap(files => Object.values(files).map(entry => entry.hash)));
+  
+  fs.mkdirSync(path.dirname(lockPath), { recursive: true });
+  fs.writeFileSync(lockPath, [
+    '# Sources the translations were made from, written by "book translations --update"',
+    yaml.stringify(lock)
+  ].join('\n'));
+  
+  if (fs.existsSync(snapshotDir)) {
+    for (const file of fs.readdirSync(snapshotDir)) {
+      if (!hashes.has(path.basename(file, '.md'))) {
+        fs.rmSync(path.join(snapshotDir, file), { force: true });
+      }
+    }
+  }
+  
+  return lockPath;
+}
+
+/**
+ * Record the current sources of translated files in the lockfile
+ * 
+ * Every translated file paired with a source file is marked as translated
+ * from the source as it is now, and a snapshot of the source is kept for
+ * later diffs. Call it once a translation has been brought up to date.
+ * 
+ * @param {Object} [options] - Report options (configPath, source, languages)
+ * @param {Array<string>} [options.files] - Translated files to record (default: all)
+ * @returns {Promise<Object>} - {success, lockPath, updated, issues} with updated the recorded files
+ */
+async function updateTranslationLock(options = {}) {
+  const result = {
+    success: false,
+    lockPath: null,
+    updated: [],
+    issues: []
+  };
+  
+  try {
+    const { projectRoot, source, sourceFiles, translations, issues } = loadTranslations(options);
+    const lock = loadTranslationLock(projectRoot) || { source, languages: {} };
+    const wanted = (options.files || []).map(file => path.resolve(file));
+    const found = new Set();
+    
+    if (lock.source && lock.source !== source) {
+      throw new Error(`The lockfile records translations of ${lock.source}, not ${source}`);
+    }
+    
+    result.issues.push(...issues);
+    
+    for (const { language, files } of translations) {
+      const entries = { ...(lock.languages[language] || {}) };
+      
+      for (const { source: sourceFile, target } of pairFiles(sourceFiles, files)) {
+        if (!sourceFile || !target || (wanted.length > 0 && !wanted.includes(path.resolve(target.path)))) {
+          continue;
+        }
+        
+        const hash = hashContent(sourceFile.content);
+        const snapshotPath = getSnapshotPath(projectRoot, hash);
+        
+        fs.mkdirSync(path.dirname(snapshotPath), { recursive: true });
+        fs.writeFileSync(snapshotPath, sourceFile.content);
+        
+        entries[target.file] = { source: sourceFile.file, hash, updated: new Date().toISOString().slice(0, 10) };
+        found.add(path.resolve(target.path));
+        result.updated.push(`book/${language}/${target.file}`);
+      }
+      
+      lock.languages[language] = Object.fromEntries(Object.entries(entries).sort(([a], [b]) => a.localeCompare(b)));
+    }
+    
+    for (const file of wanted.filter(file => !found.has(file))) {
+      result.issues.push({ type: 'warning', message: `Not a translated chapter: ${path.relative(process.cwd(), file)}` });
+    }
+    
+    result.lockPath = saveTranslationLock(projectRoot, { source, languages: lock.languages });
+    result.success = true;
+  } catch (error) {
+    result.issues.push({
+      type: 'error',
+      message: `Error updating the translation lockfile: ${error.message}`
+    });
+  }
+  
+  return result;
+}
+
+/**
+ * Diff two texts line by line
+ * 
+ * The changed lines between the common start and end are compared with a
+ * longest common subsequence table. When that table would exceed
+ * DIFF_MAX_CELLS, the changed lines form a single replacement instead.
+ * 
+ * @param {string} before - Old text
+ * @param {string} after - New text
+ * @param {number} [context=3] - Unchanged lines shown around each change
+ * @returns {string} - Unified diff hunks, empty if the texts are equal
+ */
+function diffLines(before, after, context = DIFF_CONTEXT) {
+  const a = before.replace(/\n$/, '').split('\n');
+  const b = after.replace(/\n$/, '').split('\n');
+  let prefix = 0;
+  let suffix = 0;
+  
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+    prefix++;
+  }
+  
+  while (suffix < a.length - prefix && suffix < b.length - prefix && a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) {
+    suffix++;
+  }
+  
+  // Longest common subsequence of the changed middle parts
+  const oldLines = a.slice(prefix, a.length - suffix);
+  const newLines = b.slice(prefix, b.length - suffix);
+  const replace = (oldLines.length + 1) * (newLines.length + 1) > DIFF_MAX_CELLS;
+  const lengths = replace ? [] : Array.from({ length: oldLines.length + 1 }, () => new Uint32Array(newLines.length + 1));
+  
+  for (let i = replace ? -1 : oldLines.length - 1; i >= 0; i--) {
+    for (let j = newLines.length - 1; j >= 0; j--) {
+      lengths[i][j] = oldLines[i] === newLines[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+  
+  const ops = a.slice(0, prefix).map((line, index) => ({ type: ' ', line, oldIndex: index, newIndex: index }));
+  let i = 0;
+  let j = 0;
+  
+  while (i < oldLines.length || j < newLines.length) {
+    const op = { oldIndex: prefix + i, newIndex: prefix + j };
+    
+    if (!replace && i < oldLines.length && j < newLines.length && oldLines[i] === newLines[j]) {
+      ops.push({ ...op, type: ' ', line: oldLines[i++] });
+      j++;
+    } else if (i < oldLines.length && (replace || j >= newLines.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+      ops.push({ ...op, type: '-', line: oldLines[i++] });
+    } else {
+      ops.push({ ...op, type: '+', line: newLines[j++] });
+    }
+  }
+  
+  a.slice(a.length - suffix).forEach((line, index) => {
+    ops.push({ type: ' ', line, oldIndex: a.length - suffix + index, newIndex: b.length - suffix + index });
+  });
+  
+  // Group the changes with their context into hunks
+  const hunks = [];
+  
+  ops.forEach((op, index) => {
+    if (op.type === ' ') {
+      return;
+    }
+    
+    const last = hunks[hunks.length - 1];
+    const start = Math.max(0, index - context);
+    const end = Math.min(ops.length, index + context + 1);
+    
+    if (last && start <= last.end) {
+      last.end = end;
+    } else {
+      hunks.push({ start, end });
+    }
+  });
+  
+  return hunks.map(({ start, end }) => {
+    const lines = ops.slice(start, end);
+    const oldCount = lines.filter(op => op.type !== '+').length;
+    const newCount = lines.filter(op => op.type !== '-').length;
+    const oldStart = lines[0].oldIndex + (oldCount > 0 ? 1 : 0);
+    const newStart = lines[0].newIndex + (newCount > 0 ? 1 : 0);
+    
+    return [
+      `@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`,
+      ...lines.map(op => `${op.type}${op.line}`)
+    ].join('\n');
+  }).join('\n');
+}
+
+/**
+ * Find translated files whose source changed since they were translated
+ * 
+ * Translated files are compared with the source hashes of the lockfile;
+ * files it does not list yet are reported as untracked.
+ * 
+ * @param {Object} [options] - Report options (configPath, source, languages)
+ * @returns {Promise<Object>} - {success, source, locked, languages: [{language, stale, current, untracked}], issues}
+ *   with stale entries as {target, source, recordedSource, updated, diff}
+ */
+async function findStaleTranslations(options = {}) {
+  const result = {
+    success: false,
+    source: null,
+    locked: false,
+    languages: [],
+    issues: []
+  };
+  
+  try {
+    const { projectRoot, source, sourceFiles, translations, issues } = loadTranslations(options);
+    const lock = loadTranslationLock(projectRoot);
+    
+    result.source = source;
+    result.locked = Boolean(lock);
+    result.issues.push(...issues);
+    
+    if (!lock) {
+      result.issues.push({
+        type: 'warning',
+        message: 'No translation lockfile yet; record the sources of the current translations with "book translations --update"'
+      });
+    }
+    
+    for (const { language, files } of translations) {
+      const entries = lock?.languages[language] || {};
+      const comparison = { language, stale: [], current: 0, untracked: [] };
+      
+      for (const { source: sourceFile, target } of pairFiles(sourceFiles, files)) {
+        if (!sourceFile || !target) {
+          continue;
+        }
+        
+        const entry = entries[target.file];
+        
+        if (!entry) {
+          comparison.untracked.push(target.file);
+        } else if (entry.hash === hashContent(sourceFile.content)) {
+          comparison.current++;
+        } else {
+          const snapshotPath = getSnapshotPath(projectRoot, entry.hash);
+          
+          comparison.stale.push({
+            target: target.file,
+            source: sourceFile.file,
+            recordedSource: entry.source,
+            updated: entry.updated || null,
+            diff: fs.existsSync(snapshotPath) ? diffLines(fs.readFileSync(snapshotPath, 'utf-8'), sourceFile.content) : null
+          });
+        }
+      }
+      
+      result.languages.push(comparison);
+    }
+    
+    result.success = true;
+  } catch (error) {
+    result.issues.push({
+      type: 'error',
+      message: `Error checking translations: ${error.message}`
+    });
+  }
+  
+  return result;
+}
+
+/**
+ * Describe the differences of a file for the table and Markdown reports
+ * 
+ * @param {Object} file - File entry of a language comparison
+ * @returns {string} - Notes such as `renamed from intro.md; images: -a.png +b.png`
+ */
+function describeFile(file) {
+  const notes = [];
+  
+  if (file.status === 'renamed') {
+    notes.push(`renamed from ${file.source}`);
+  }
+  
+  if (file.differences.includes('headings')) {
+    notes.push('heading outline differs');
+  }
+  
+  if (file.differences.includes('words')) {
+    notes.push('few words');
+  }
+  
+  if (file.differences.includes('images')) {
+    notes.push(`images: ${[...file.images.missing.map(image => `-${image}`), ...file.images.extra.map(image => `+${image}`)].join(' ')}`);
+  }
+  
+  return notes.join('; ');
+}
+
+/**
+ * Get the rows of a language comparison
+ * 
+ * @param {Object} comparison - Language comparison
+ * @returns {Array<Array<string>>} - Cells of each file
+ */
+function getRows(comparison) {
+  const pair = ({ source, target }) => `${source ?? '-'}/${target ?? '-'}`;
+  
+  return comparison.files.map(file => [
+    file.target || file.source,
+    file.status,
+    pair(file.headings),
+    pair(file.words),
+    file.ratio === null ? '-' : file.ratio.toFixed(2),
+    describeFile(file)
+  ]);
+}
+
+/**
+ * Summarize a language comparison in one line
+ * 
+ * @param {Object} comparison - Language comparison
+ * @param {string} source - Source language
+ * @returns {string} - Summary
+ */
+function summarize(comparison, source) {
+  const { summary } = comparison;
+  const coverage = summary.coverage === null ? 0 : Math.round(summary.coverage * 100);
+  
+  return `${comparison.language} (from ${source}): ${summary.translated}/${summary.files} files translated (${coverage}%), ` +
+    `${summary.missing} missing, ${summary.extra} extra, ${summary.renamed} renamed, ${summary.differs} with differences, ` +
+    `word ratio ${summary.ratio === null ? '-' : summary.ratio.toFixed(2)}`;
+}
+
+const COLUMNS = ['File', 'Status', 'Headings', 'Words', 'Ratio', 'Notes'];
+
+/**
+ * Render a translation report
+ * 
+ * @param {Object} report - Result of compareTranslations
+ * @param {string} [format='table'] - `table`, `json` or `markdown`
+ * @returns {string} - Report text
+ * @throws {Error} - If the format is unknown
+ */
+function renderTranslationReport(report, format = 'table') {
+  if (!REPORT_FORMATS.includes(format)) {
+    throw new Error(`Unknown report format: ${format} (use ${REPORT_FORMATS.join(', ')})`);
+  }
+  
+  if (format === 'json') {
+    return `${JSON.stringify({ source: report.source, languages: report.languages }, null, 2)}\n`;
+  }
+  
+  const sections = report.languages.map(comparison => {
+    const rows = getRows(comparison);
+    
+    if (format === 'markdown') {
+      const escape = cell => cell.replace(/\|/g, '\\|');
+      
+      return [
+        `## Translation coverage: ${comparison.language}`,
+        '',
+        summarize(comparison, report.source),
+        '',
+        `| ${COLUMNS.join(' | ')} |`,
+        `| ${COLUMNS.map(() => '---').join(' | ')} |`,
+        ...rows.map(row => `| ${row.map(cell => (cell === '' ? ' ' : escape(cell))).join(' | ')} |`)
+      ].join('\n');
+    }
+    
+    const widths = COLUMNS.map((column, index) => Math.max(column.length, ...rows.map(row => row[index].length)));
+    const line = cells => cells.map((cell, index) => cell.padEnd(widths[index])).join('  ').trimEnd();
+    
+    return [
+      summarize(comparison, report.source),
+      '',
+      line(COLUMNS),
+      line(widths.map(width => '-'.repeat(width))),
+      ...rows.map(line)
+    ].join('\n');
+  });
+  
+  return sections.length > 0 ? `${sections.join('\n\n')}\n` : '';
+}
+
+/**
+ * Render a stale translation report
+ * 
+ * @param {Object} report - Result of findStaleTranslations
+ * @param {string} [format='table'] - `table`, `json` or `markdown`
+ * @returns {string} - Report text
+ * @throws {Error} - If the format is unknown
+ */
+function renderStaleReport(report, format = 'table') {
+  if (!REPORT_FORMATS.includes(format)) {
+    throw new Error(`Unknown report format: ${format} (use ${REPORT_FORMATS.join(', ')})`);
+  }
+  
+  if (format === 'json') {
+    return `${JSON.stringify({ source: report.source, languages: report.languages }, null, 2)}\n`;
+  }
+  
+  const sections = report.languages.map(comparison => {
+    const summary = `${comparison.language} (from ${report.source}): ${comparison.stale.length} stale, ` +
+      `${comparison.current} up to date, ${comparison.untracked.length} untracked`;
+    const lines = format === 'markdown' ? [`## Stale translations: ${comparison.language}`, '', summary] : [summary];
+    
+    for (const file of comparison.stale) {
+      const target = `book/${comparison.language}/${file.target}`;
+      const source = `book/${report.source}/${file.source}`;
+      const since = file.updated ? ` since ${file.updated}` : '';
+      const moved = file.recordedSource !== file.source ? ` (translated from ${file.recordedSource})` : '';
+      const { diff } = file;
+      
+      if (format === 'markdown') {
+        lines.push('', `### ${target}`, '', `\`${source}\`${moved} changed${since}.`);
+        lines.push(...(diff === null ? ['', 'No snapshot of the source it was translated from.'] : ['', '```diff', diff, '```']));
+      } else {
+        lines.push('', `${target}: ${source}${moved} changed${since}`);
+        lines.push(...(diff === null ? ['  No snapshot of the source it was translated from.'] : diff.split('\n').map(line => `  ${line}`)));
+      }
+    }
+    
+    if (comparison.untracked.length > 0) {
+      const untracked = comparison.untracked.map(file => (format === 'markdown' ? `\`${file}\`` : file)).join(', ');
+      lines.push('', `Untracked (not in the lockfile): ${untracked}`);
+    }
+    
+    return lines.join('\n');
+  });
+  
+  return sections.length > 0 ? `${sections.join('\n\n')}\n` : '';
+}
+
+module.exports = {
+  REPORT_FORMATS,
+  analyzeMarkdown,
+  compareLanguage,
+  compareTranslations,
+  renderTranslationReport,
+  getTranslationLockPath,
+  loadTranslationLock,
+  updateTranslationLock,
+  diffLines,
+  findStaleTranslations,
+  renderStaleReport
+};
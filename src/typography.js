@@ -0,0 +1,180 @@
+/**
+ * Typography
+ * Per-language typographic profiles: writing direction, fonts for the
+ * script, LaTeX language and CJK packages, and line breaking rules. Built-in
+ * profiles cover right-to-left and CJK languages; the `typography` section
+ * of book.yaml overrides them per language.
+ */
+const fs = require('fs');
+const path = require('path');
+const { FONT_ROLES } = require('./fonts');
+
+/**
+ * Built-in profiles, by language code (regional variants fall back to the
+ * base language)
+ */
+const TYPOGRAPHY_PROFILES = {
+  ar: { dir: 'rtl', script: 'Arabic', polyglossia: 'arabic', fonts: { body: 'Noto Naskh Arabic', heading: 'Noto Sans Arabic' } },
+  fa: { dir: 'rtl', script: 'Arabic', polyglossia: 'persian', fonts: { body: 'Vazirmatn', heading: 'Vazirmatn' } },
+  ur: { dir: 'rtl', script: 'Arabic', polyglossia: 'urdu', fonts: { body: 'Noto Nastaliq Urdu', heading: 'Noto Sans Arabic' } },
+  he: { dir: 'rtl', script: 'Hebrew', polyglossia: 'hebrew', fonts: { body: 'Noto Serif Hebrew', heading: 'Noto Sans Hebrew' } },
+  ja: { cjk: true, lineBreak: 'strict', fonts: { body: 'Noto Serif CJK JP', heading: 'Noto Sans CJK JP' } },
+  ko: { cjk: true, wordBreak: 'keep-all', fonts: { body: 'Noto Serif CJK KR', heading: 'Noto Sans CJK KR' } },
+  zh: { cjk: true, lineBreak: 'strict', fonts: { body: 'Noto Serif CJK SC', heading: 'Noto Sans CJK SC' } },
+  'zh-tw': { fonts: { body: 'Noto Serif CJK TC', heading: 'Noto Sans CJK TC' } },
+  'zh-hk': { fonts: { body: 'Noto Serif CJK TC', heading: 'Noto Sans CJK TC' } },
+  'zh-hant': { fonts: { body: 'Noto Serif CJK TC', heading: 'Noto Sans CJK TC' } }
+};
+
+/**
+ * Read a profile from the built-in table or book.yaml
+ * 
+ * @param {Object} [settings] - Profile settings (camelCase or snake_case)
+ * @returns {Object} - Settings that are set, in camelCase
+ */
+function readProfile(settings = {}) {
+  const profile = {
+    dir: settings.dir,
+    script: settings.script,
+    polyglossia: settings.polyglossia,
+    cjk: settings.cjk,
+    lineBreak: settings.lineBreak ?? settings.line_break,
+    wordBreak: settings.wordBreak ?? settings.word_break
+  };
+  
+  return {
+    ...Object.fromEntries(Object.entries(profile).filter(([, value]) => value !== undefined)),
+    fonts: { ...(settings.fonts || {}) }
+  };
+}
+
+/**
+ * Get the typographic profile of a language
+ * 
+ * The built-in profile of the base language, then of the regional variant,
+ * then the book.yaml overrides in the same order are merged.
+ * 
+ * @param {string} language - Language code
+ * @param {Object} [overrides] - The `typography` section of the configuration, by language code
+ * @returns {Object} - {language, dir, script, polyglossia, cjk, lineBreak, wordBreak, fonts}
+ */
+function getTypographyProfile(language, overrides = {}) {
+  const code = String(language).toLowerCase().replace(/_/g, '-');
+  const base = code.split('-')[0];
+  const overrideFor = key => Object.entries(overrides || {}).find(([name]) => name.toLowerCase().replace(/_/g, '-') === key)?.[1];
+  const layers = [TYPOGRAPHY_PROFILES[base], code !== base && TYPOGRAPHY_PROFILES[code], overrideFor(base), code !== base && overrideFor(code)]
+    .filter(Boolean)
+    .map(readProfile);
+  
+  return layers.reduce((profile, layer) => ({
+    ...profile,
+    ...layer,
+    fonts: { ...profile.fonts, ...layer.fonts }
+  }), {
+    language,
+    dir: 'ltr',
+    script: null,
+    polyglossia: null,
+    cjk: false,
+    lineBreak: null,
+    wordBreak: null,
+    fonts: {}
+  });
+}
+
+/**
+ * Get the LaTeX template variables of a profile
+ * 
+ * Only meaningful for the Unicode engines: polyglossia sets the main
+ * language (and with it the writing direction) and its script font, and CJK
+ * text is typeset by xeCJK or luatexja with the profile fonts.
+ * 
+ * @param {Object} profile - Typographic profile
+ * @returns {Array<Array<string>>} - [variable, value] pairs
+ */
+function getTypographyVariables(profile) {
+  const variables = [];
+  
+  if (profile.polyglossia) {
+    variables.push(['mainlanguage', profile.polyglossia]);
+    
+    if (profile.fonts.body) {
+      variables.push(['scriptfont', profile.fonts.body], ['script', profile.script || 'Latin']);
+    }
+  }
+  
+  if (profile.cjk && profile.fonts.body) {
+    variables.push(['CJKmainfont', profile.fonts.body]);
+    
+    if (profile.fonts.heading) {
+      variables.push(['CJKsansfont', profile.fonts.heading]);
+    }
+  }
+  
+  return variables;
+}
+
+/**
+ * Render the stylesheet of a profile for EPUB and HTML
+ * 
+ * Profile fonts style the body and headings; where the `fonts` section
+ * already sets a font for the role, the profile font follows it as the
+ * fallback for the characters it lacks. The stylesheet is loaded after the
+ * font stylesheet so these rules win.
+ * 
+ * @param {Object} profile - Typographic profile
+ * @param {Array<Object>} [fonts] - Normalized fonts of the configuration
+ * @returns {string} - CSS, empty when the profile changes nothing
+ */
+function renderTypographyCss(profile, fonts = []) {
+  const rules = [];
+  
+  for (const [role, { selector, generic }] of Object.entries(FONT_ROLES)) {
+    const font = fonts.find(candidate => candidate.role === role);
+    
+    if (profile.fonts[role]) {
+      const families = [font?.family, profile.fonts[role]].filter(Boolean).map(family => `"${family}"`);
+      rules.push(`${selector} {\n  font-family: ${[...families, generic].filter(Boolean).join(', ')};\n}`);
+    }
+  }
+  
+  const breaking = [
+    profile.lineBreak && `  line-break: ${profile.lineBreak};`,
+    profile.wordBreak && `  word-break: ${profile.wordBreak};`
+  ].filter(Boolean);
+  
+  if (breaking.length > 0) {
+    rules.push(`body {\n${breaking.join('\n')}\n}`);
+  }
+  
+  return rules.length > 0 ? `${rules.join('\n\n')}\n` : '';
+}
+
+/**
+ * Write the typography stylesheet of a build
+ * 
+ * @param {Object} profile - Typographic profile
+ * @param {Array<Object>} fonts - Normalized fonts of the configuration
+ * @param {string} cssPath - Stylesheet to write
+ * @returns {string|null} - Path of the stylesheet, or null when the profile changes nothing
+ */
+function writeTypographyStylesheet(profile, fonts, cssPath) {
+  const css = renderTypographyCss(profile, fonts);
+  
+  if (!css) {
+    return null;
+  }
+  
+  fs.mkdirSync(path.dirname(cssPath), { recursive: true });
+  fs.writeFileSync(cssPath, css);
+  
+  return cssPath;
+}
+
+module.exports = {
+  TYPOGRAPHY_PROFILES,
+  getTypographyProfile,
+  getTypographyVariables,
+  renderTypographyCss,
+  writeTypographyStylesheet
+};
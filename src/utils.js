@@ -1,7 +1,12 @@
 const fs = require('fs');
 const path = require('path');
-const { exec } = require('child_process');
-const { loadConfig, getDefaultConfig } = require('./config');
+const { pathToFileURL } = require('url');
+const { runProcess } = require('./process');
+const { loadConfig, getDefaultConfig, localizeConfig } = require('./config');
+const { getPdfWriter } = require('./pdf-engines');
+const { normalizeFonts, getFontFiles, writeFontStylesheet } = require('./fonts');
+const { getTypographyProfile, writeTypographyStylesheet } = require('./typography');
+const { getCacheDir } = require('./cache');
 
 /**
  * Find the project root directory by looking for book.yaml
@@ -28,9 +33,11 @@ function findProjectRoot() {
  * Load book configuration from book.yaml with extended support
  * 
  * @param {string} projectRoot - Path to the project root
+ * @param {Object} [options] - Loading options
+ * @param {string} [options.profile] - Build profile to apply
  * @returns {Object} - Book configuration
  */
-function loadBookConfig(projectRoot) {
+function loadBookConfig(projectRoot, options = {}) {
   const configPath = path.join(projectRoot, 'book.yaml');
   
   // If the config file doesn't exist, create a default one
@@ -39,7 +46,7 @@ function loadBookConfig(projectRoot) {
     createDefaultConfig(projectRoot);
   }
   
-  return loadConfig(configPath);
+  return loadConfig(configPath, options);
 }
 
 /**
@@ -75,7 +82,7 @@ html:
 docx:
   enabled: true
 `;
-
+  
   // Create the file
   fs.writeFileSync(configPath, defaultConfig);
   
@@ -115,13 +122,16 @@ function ensureDirectoryExists(dirPath) {
 /**
  * Build file names for a book in a specific language
  * 
+ * The file prefix may be overridden per language in `localized`.
+ * 
  * @param {string} language - Language code
  * @param {string} projectRoot - Path to the project root
+ * @param {Object} [config] - Loaded configuration (read from book.yaml if omitted)
  * @returns {Object} - Object with file paths for input and outputs
  */
-function buildFileNames(language, projectRoot) {
-  const config = loadBookConfig(projectRoot);
-  const filePrefix = config.file_prefix || config.filePrefix || 'book';
+function buildFileNames(language, projectRoot, config = loadBookConfig(projectRoot)) {
+  const languageConfig = localizeConfig(config, language);
+  const filePrefix = languageConfig.file_prefix || languageConfig.filePrefix || 'book';
   
   const buildDir = path.join(projectRoot, 'build', language);
   
@@ -131,7 +141,8 @@ function buildFileNames(language, projectRoot) {
     epub: path.join(buildDir, `${filePrefix}.epub`),
     mobi: path.join(buildDir, `${filePrefix}.mobi`),
     html: path.join(buildDir, `${filePrefix}.html`),
-    docx: path.join(buildDir, `${filePrefix}.docx`)
+    docx: path.join(buildDir, `${filePrefix}.docx`),
+    site: path.join(buildDir, 'site', 'index.html')
   };
 }
 
@@ -140,107 +151,157 @@ function buildFileNames(language, projectRoot) {
  * 
  * @param {string} scriptPath - Path to the script
  * @param {string[]} args - Array of arguments
+ * @param {Object} [options] - Options for runProcess (cwd, timeout, signal, input)
  * @returns {Promise<Object>} - Result of the script execution
  */
-function runScript(scriptPath, args = []) {
-  return new Promise((resolve, reject) => {
-    const command = `"${scriptPath}" ${args.join(' ')}`;
-    
-    exec(command, (error, stdout, stderr) => {
-      if (error) {
-        reject(error);
-        return;
-      }
-      
-      resolve({
-        success: true,
-        stdout,
-        stderr
-      });
-    });
-  });
+function runScript(scriptPath, args = [], options = {}) {
+  return runProcess(scriptPath, args, options);
 }
 
 /**
  * Run a command with error handling
  * 
+ * The command is spawned directly with an argument array; no shell is
+ * involved, so arguments need no quoting.
+ * 
  * @param {string} command - Command to run
- * @param {object} options - Options for child_process.exec
- * @returns {Promise<object>} - Result of the command execution
+ * @param {string[]} [args=[]] - Arguments passed verbatim to the command
+ * @param {object} [options] - Options for runProcess (cwd, timeout, signal, input)
+ * @returns {Promise<object>} - Result with stdout, stderr, code and duration
  */
-function runCommand(command, options = {}) {
-  return new Promise((resolve, reject) => {
-    exec(command, options, (error, stdout, stderr) => {
-      if (error) {
-        // Include the stderr in the error for better diagnostics
-        error.stderr = stderr;
-        error.stdout = stdout;
-        reject(error);
-        return;
-      }
-      
-      resolve({
-        success: true,
-        stdout,
-        stderr
-      });
-    });
-  });
+function runCommand(command, args = [], options = {}) {
+  return runProcess(command, args, options);
+}
+
+/**
+ * Write the generated stylesheets of a build
+ * 
+ * EPUB, HTML and HTML-printed PDF get the @font-face rules of the configured
+ * fonts, followed by the typography of the language. The stylesheets are
+ * build inputs, so they go to the build cache rather than next to the
+ * output. Pages that are not self-contained (the site) link stylesheets of
+ * their own.
+ * 
+ * @param {Object} config - Book configuration
+ * @param {string} format - Output format (pdf, epub, html, docx)
+ * @param {string} language - Language code
+ * @param {string} projectRoot - Path to project root
+ * @returns {Array<string>} - Paths of the stylesheets written, to pass to createPandocCommand
+ */
+function writeBuildStylesheets(config, format, language, projectRoot) {
+  const fontUrls = {
+    epub: file => `../fonts/${path.basename(file)}`,
+    html: null,
+    pdf: file => pathToFileURL(file).href
+  };
+  const selfContained = format !== 'html' || config.formatSettings?.html?.selfContained !== false;
+  
+  if (!(format in fontUrls) || (format === 'pdf' && getPdfWriter(config.formatSettings?.pdf?.engine) !== 'html') || !selfContained) {
+    return [];
+  }
+  
+  const fonts = normalizeFonts(config.fonts);
+  const stylesheetDir = path.join(getCacheDir(projectRoot), 'stylesheets', language);
+  
+  return [
+    writeFontStylesheet(fonts, path.join(stylesheetDir, `fonts-${format}.css`), { projectRoot, urlFor: fontUrls[format] }),
+    writeTypographyStylesheet(getTypographyProfile(language, config.typography), fonts, path.join(stylesheetDir, `typography-${format}.css`))
+  ].filter(Boolean);
 }
 
 /**
  * Create pandoc command for converting markdown to a specific format
  * 
+ * Arguments are applied in a fixed order: the reader (`-f markdown` with the
+ * configured extensions), input, output and writer, the arguments derived
+ * from the configuration, resource paths, JSON filters, Lua filters and
+ * finally the extra arguments. Global settings always precede format-specific
+ * ones, and filters run in the order they are listed.
+ * 
  * @param {Object} config - Book configuration
  * @param {string} inputPath - Path to input markdown file
  * @param {string} outputPath - Path to output file
  * @param {string} format - Output format (pdf, epub, html, docx)
  * @param {string} language - Language code
  * @param {string} resourcePaths - Search paths for resources
- * @returns {string} - Pandoc command
+ * @param {Object} [options] - Additional options
+ * @param {string} [options.projectRoot] - Path to project root, which pandoc runs in (default: cwd)
+ * @param {Array<string>} [options.stylesheets] - Generated stylesheets to add after the configured CSS (see writeBuildStylesheets)
+ * @returns {Object} - {command, args} to pass to runCommand
  */
-function createPandocCommand(config, inputPath, outputPath, format, language, resourcePaths = '') {
+function createPandocCommand(config, inputPath, outputPath, format, language, resourcePaths = '', options = {}) {
   // Get pandoc arguments from config
-  const { getPandocArgs } = require('./config');
-  const args = getPandocArgs(config, format, language);
+  const { getPandocArgs, getPandocPipeline } = require('./config');
+  const pipeline = getPandocPipeline(config, format);
   
   // Make sure the output directory exists
   ensureDirectoryExists(path.dirname(outputPath));
   
-  // Add input and output files
-  const formatArg = format === 'pdf' ? 'latex' : format;
-  const command = [
-    'pandoc',
-    `"${inputPath}"`,
-    `-o "${outputPath}"`,
-    `-t ${formatArg}`,
-    args.join(' ')
-  ];
+  // Add input and output files; PDF is printed from the writer of its engine
+  const formatArg = format === 'pdf' ? getPdfWriter(config.formatSettings?.pdf?.engine) : format;
+  const args = [];
+  
+  if (pipeline.inputExtensions.length > 0) {
+    args.push('-f', `markdown${pipeline.inputExtensions.join('')}`);
+  }
+  
+  args.push(
+    inputPath,
+    '-o', outputPath,
+    '-t', formatArg,
+    ...getPandocArgs(config, format, language, options.projectRoot)
+  );
   
   // Add resource paths if provided
   if (resourcePaths) {
-    command.push(`--resource-path="${resourcePaths}"`);
+    args.push(`--resource-path=${resourcePaths}`);
+  }
+  
+  // EPUB embeds the font files; the font and typography stylesheets are written by the caller
+  if (format === 'epub') {
+    getFontFiles(normalizeFonts(config.fonts)).forEach(file => args.push(`--epub-embed-font=${file}`));
   }
   
+  (options.stylesheets || []).forEach(file => args.push(`--css=${file}`));
+  
   // Special handling for EPUB - ensure we explicitly extract media
   if (format === 'epub') {
     const mediaDir = path.join(path.dirname(outputPath), 'media');
     ensureDirectoryExists(mediaDir);
-    command.push(`--extract-media="${mediaDir}"`);
+    args.push(`--extract-media=${mediaDir}`);
   }
   
+  // Filters run in the order listed; extra arguments come last so they can override earlier options
+  pipeline.filters.forEach(filter => args.push(`--filter=${filter}`));
+  pipeline.luaFilters.forEach(filter => args.push(`--lua-filter=${filter}`));
+  args.push(...pipeline.extraArgs);
+  
   // For DOCX, check if reference_doc exists and add error handler if not
   if (format === 'docx') {
     const docxSettings = config.formatSettings?.docx || config.docx || {};
     const referenceDoc = docxSettings.referenceDoc || docxSettings.reference_doc;
     
     // Log warning if reference doc is specified but doesn't exist
-    if (referenceDoc && !fs.existsSync(referenceDoc)) {
+    if (referenceDoc && !fs.existsSync(path.resolve(options.projectRoot || process.cwd(), referenceDoc))) {
       console.warn(`Warning: DOCX reference document '${referenceDoc}' not found. Using default styles.`);
     }
   }
   
-  return command.join(' ');
+  return { command: 'pandoc', args };
+}
+
+/**
+ * Escape text for use in HTML
+ * 
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
 }
 
 module.exports = {
@@ -251,5 +312,7 @@ module.exports = {
   runScript,
   runCommand,
   createPandocCommand,
-  createDefaultConfig
+  writeBuildStylesheets,
+  createDefaultConfig,
+  escapeHtml
 };
\ No newline at end of file
@@ -4,9 +4,23 @@
  */
 const fs = require('fs-extra');
 const path = require('path');
-const { execSync } = require('child_process');
 const yaml = require('yaml');
-const { loadConfig } = require('./config');
+const { loadConfig, localizeConfig } = require('./config');
+const { resolveChapterFiles } = require('./chapters');
+const { resolveMatterFiles } = require('./matter');
+const { findExecutable } = require('./process');
+const { buildFileNames } = require('./utils');
+const { checkEpub } = require('./epub-check');
+const { auditAccessibility, getLanguageScripts } = require('./accessibility');
+const { getTranslationLockPath, findStaleTranslations } = require('./translations');
+const {
+  PDF_ENGINES,
+  getPdfEngineOrder,
+  isPdfEngineInstalled,
+  resolvePdfEngine
+} = require('./pdf-engines');
+const { isPrintLayout, getPrintLayout, getSpineWidth } = require('./print');
+const { FONT_ROLES, FONT_FORMATS } = require('./fonts');
 
 /**
  * Validate the book configuration file
@@ -54,15 +68,17 @@ async function validateConfig(options = {}) {
       });
     }
     
-    // Check for languages
-    if (!rawConfig.languages || !Array.isArray(rawConfig.languages) || rawConfig.languages.length === 0) {
+    // Check for languages (a list of codes or a map of per-language overrides)
+    const languages = rawConfig.languages ? loadConfig(configPath).languages : [];
+    
+    if (!Array.isArray(languages) || languages.length === 0) {
       result.issues.push({
         type: 'error',
         message: 'No languages specified in configuration'
       });
     } else {
       // Check if language directories exist
-      for (const lang of rawConfig.languages) {
+      for (const lang of languages) {
         const langDir = path.join('book', lang);
         if (!fs.existsSync(langDir)) {
           result.issues.push({
@@ -71,6 +87,45 @@ async function validateConfig(options = {}) {
           });
         }
       }
+      
+      // Check that every file listed in a chapter manifest exists
+      const projectRoot = path.dirname(path.resolve(configPath));
+      const config = loadConfig(configPath);
+      
+      for (const lang of languages) {
+        const languageConfig = localizeConfig(config, lang);
+        const chapters = resolveChapterFiles(projectRoot, lang, languageConfig);
+        
+        for (const file of chapters.missing) {
+          result.issues.push({
+            type: 'error',
+            message: `Chapter file listed in ${chapters.source} not found: ${path.join('book', lang, file)}`
+          });
+        }
+        
+        for (const pattern of chapters.unmatched) {
+          result.issues.push({
+            type: 'warning',
+            message: `Chapter pattern in ${chapters.source} matches no files: ${path.join('book', lang, pattern)}`
+          });
+        }
+        
+        const matter = resolveMatterFiles(projectRoot, lang, languageConfig);
+        
+        for (const file of matter.missing) {
+          result.issues.push({
+            type: 'error',
+            message: `Front or back matter file listed in book.yaml not found: ${path.join('book', lang, file)}`
+          });
+        }
+        
+        for (const pattern of matter.unmatched) {
+          result.issues.push({
+            type: 'warning',
+            message: `Front or back matter pattern in book.yaml matches no files: ${path.join('book', lang, pattern)}`
+          });
+        }
+      }
     }
     
     // Check formats configuration
@@ -85,12 +140,49 @@ async function validateConfig(options = {}) {
       
       // Check PDF settings
       if (config.formats.pdf) {
-        if (config.formatSettings?.pdf?.template && !fs.existsSync(config.formatSettings.pdf.template)) {
+        const pdfSettings = config.formatSettings?.pdf || {};
+        
+        if (pdfSettings.template && PDF_ENGINES[pdfSettings.engine]?.type !== 'html' && !fs.existsSync(pdfSettings.template)) {
+          result.issues.push({
+            type: 'warning',
+            message: `PDF template not found: ${pdfSettings.template}`
+          });
+        }
+        
+        for (const [key, label] of [['htmlTemplate', 'PDF HTML template'], ['css', 'PDF CSS file']]) {
+          if (pdfSettings[key] && !fs.existsSync(pdfSettings[key])) {
+            result.issues.push({
+              type: 'warning',
+              message: `${label} not found: ${pdfSettings[key]}`
+            });
+          }
+        }
+        
+        try {
+          getPrintLayout(pdfSettings);
+          getSpineWidth(0, pdfSettings);
+        } catch (error) {
+          result.issues.push({
+            type: 'error',
+            message: `Invalid PDF print settings: ${error.message}`
+          });
+        }
+        
+        if (isPrintLayout(pdfSettings) && PDF_ENGINES[pdfSettings.engine]?.type === 'html') {
           result.issues.push({
             type: 'warning',
-            message: `PDF template not found: ${config.formatSettings.pdf.template}`
+            message: `Trim size, bleed and crop marks are not applied by the ${pdfSettings.engine} PDF engine; use a LaTeX engine for print`
           });
         }
+        
+        for (const engine of [pdfSettings.engine, ...toList(pdfSettings.fallbackEngines)].filter(Boolean)) {
+          if (!PDF_ENGINES[engine]) {
+            result.issues.push({
+              type: 'error',
+              message: `Unknown PDF engine: ${engine} (supported: ${Object.keys(PDF_ENGINES).join(', ')})`
+            });
+          }
+        }
       }
       
       // Check EPUB settings
@@ -138,6 +230,34 @@ async function validateConfig(options = {}) {
       }
     }
     
+    // Check pandoc filters, reader extensions and extra arguments
+    const pipelineConfig = loadConfig(configPath);
+    const pipelineRoot = path.dirname(path.resolve(configPath));
+    
+    result.issues.push(...validatePipelineSettings(pipelineConfig, 'global', pipelineRoot));
+    
+    for (const [format, enabled] of Object.entries(pipelineConfig.formats || {})) {
+      if (enabled && pipelineConfig.formatSettings?.[format]) {
+        result.issues.push(...validatePipelineSettings(pipelineConfig.formatSettings[format], format, pipelineRoot));
+      }
+    }
+    
+    // Check the font files
+    result.issues.push(...validateFonts(pipelineConfig, pipelineRoot));
+    
+    // Check the typography overrides
+    result.issues.push(...validateTypography(pipelineConfig));
+    
+    // Check the per-language overrides
+    for (const language of Object.keys(pipelineConfig.localized || {})) {
+      if (!isBookLanguage(pipelineConfig, language)) {
+        result.issues.push({
+          type: 'warning',
+          message: `Localized settings for ${language} are not used; the book's languages are: ${(pipelineConfig.languages || []).join(', ')}`
+        });
+      }
+    }
+    
     // Set valid if there are no error issues
     result.valid = !result.issues.some(issue => issue.type === 'error');
     result.success = true;
@@ -151,6 +271,253 @@ async function validateConfig(options = {}) {
   return result;
 }
 
+/**
+ * Filter extensions pandoc runs through an interpreter, so they need not be executable
+ */
+const INTERPRETED_FILTER_EXTENSIONS = ['.py', '.hs', '.pl', '.rb', '.php', '.js', '.r'];
+
+/**
+ * Pandoc options that extraArgs must not override
+ */
+const RESERVED_PANDOC_ARGS = ['-o', '--output', '-t', '--to', '-w', '--write', '-f', '--from', '-r', '--read'];
+
+/**
+ * Normalize a setting that may be a single value or a list
+ * 
+ * @param {*} value - Setting value
+ * @returns {Array} - List of values
+ */
+function toList(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Validate the pandoc filters, reader extensions and extra arguments of one scope
+ * 
+ * @param {Object} settings - Object holding filters, luaFilters, inputExtensions and extraArgs
+ * @param {string} scope - "global" or the output format the settings belong to
+ * @param {string} projectRoot - Directory relative paths are resolved against
+ * @returns {Array<Object>} - Validation issues
+ */
+function validatePipelineSettings(settings, scope, projectRoot) {
+  const issues = [];
+  const label = scope === 'global' ? '' : ` (${scope})`;
+  
+  for (const filter of toList(settings.filters)) {
+    const filterPath = path.resolve(projectRoot, String(filter));
+    
+    if (fs.existsSync(filterPath)) {
+      const interpreted = INTERPRETED_FILTER_EXTENSIONS.includes(path.extname(filterPath).toLowerCase());
+      
+      try {
+        fs.accessSync(filterPath, interpreted ? fs.constants.R_OK : fs.constants.X_OK);
+      } catch (error) {
+        issues.push({
+          type: 'error',
+          message: `Pandoc filter${label} is not ${interpreted ? 'readable' : 'executable'}: ${filter}`
+        });
+      }
+    } else if (/[/\\]/.test(String(filter)) || !checkDependency(String(filter))) {
+      issues.push({
+        type: 'error',
+        message: `Pandoc filter${label} not found: ${filter}`
+      });
+    }
+  }
+  
+  for (const filter of toList(settings.luaFilters)) {
+    const filterPath = path.resolve(projectRoot, String(filter));
+    
+    try {
+      fs.accessSync(filterPath, fs.constants.R_OK);
+    } catch (error) {
+      issues.push({
+        type: 'error',
+        message: `Lua filter${label} not found or not readable: ${filter}`
+      });
+    }
+  }
+  
+  for (const extension of toList(settings.inputExtensions)) {
+    if (!/^[+-]?[a-z0-9_]+$/.test(String(extension).trim())) {
+      issues.push({
+        type: 'error',
+        message: `Invalid pandoc reader extension${label}: ${extension}`
+      });
+    }
+  }
+  
+  for (const arg of toList(settings.extraArgs)) {
+    if (typeof arg !== 'string' && typeof arg !== 'number') {
+      issues.push({
+        type: 'error',
+        message: `Extra pandoc arguments${label} must be strings: ${JSON.stringify(arg)}`
+      });
+    } else if (RESERVED_PANDOC_ARGS.includes(String(arg).split('=')[0])) {
+      issues.push({
+        type: 'warning',
+        message: `Extra pandoc argument${label} overrides an option set by the build: ${arg}`
+      });
+    }
+  }
+  
+  return issues;
+}
+
+/**
+ * Check that a file starts like a font file
+ * 
+ * @param {string} filePath - Path to the file
+ * @returns {boolean} - True for OpenType, TrueType, font collection and WOFF files
+ */
+function hasFontSignature(filePath) {
+  const header = Buffer.alloc(4);
+  const fd = fs.openSync(filePath, 'r');
+  
+  try {
+    fs.readSync(fd, header, 0, 4, 0);
+  } finally {
+    fs.closeSync(fd);
+  }
+  
+  return ['OTTO', 'true', 'ttcf', 'wOFF', 'wOF2'].includes(header.toString('latin1')) ||
+    header.readUInt32BE(0) === 0x00010000;
+}
+
+/**
+ * Validate the `fonts` section
+ * 
+ * @param {Object} config - Loaded configuration
+ * @param {string} projectRoot - Directory relative paths are resolved against
+ * @returns {Array<Object>} - Validation issues
+ */
+function validateFonts(config, projectRoot) {
+  const issues = [];
+  const fonts = config.fonts || [];
+  const roles = new Map();
+  
+  for (const [index, font] of fonts.entries()) {
+    const name = font.family || `fonts[${index}]`;
+    
+    if (!font.family) {
+      issues.push({ type: 'error', message: `Font without a family: fonts[${index}]` });
+    }
+    
+    if (font.role && !FONT_ROLES[font.role]) {
+      issues.push({
+        type: 'error',
+        message: `Unknown font role for ${name}: ${font.role} (use ${Object.keys(FONT_ROLES).join(', ')})`
+      });
+    } else if (font.role && roles.has(font.role)) {
+      issues.push({
+        type: 'warning',
+        message: `Several fonts have the ${font.role} role; using ${roles.get(font.role)}`
+      });
+    } else if (font.role) {
+      roles.set(font.role, name);
+    }
+    
+    for (const file of font.files) {
+      const filePath = path.resolve(projectRoot, file.path || '');
+      
+      if (!file.path) {
+        issues.push({ type: 'error', message: `Font file without a path: ${name}` });
+      } else if (!fs.existsSync(filePath)) {
+        issues.push({ type: 'error', message: `Font file not found: ${file.path} (${name})` });
+      } else {
+        try {
+          fs.accessSync(filePath, fs.constants.R_OK);
+          
+          if (!hasFontSignature(filePath)) {
+            issues.push({ type: 'error', message: `Not a font file: ${file.path} (${name})` });
+          }
+        } catch (error) {
+          issues.push({ type: 'error', message: `Font file is not readable: ${file.path} (${error.code || error.message})` });
+        }
+        
+        if (!FONT_FORMATS[path.extname(file.path).toLowerCase()]) {
+          issues.push({
+            type: 'warning',
+            message: `Unsupported font file type: ${file.path} (use ${Object.keys(FONT_FORMATS).join(', ')})`
+          });
+        }
+      }
+    }
+  }
+  
+  // The LaTeX engines load fonts through fontspec, which needs a Unicode engine and no WOFF
+  const engineName = config.formatSettings?.pdf?.engine || 'pdflatex';
+  const engine = PDF_ENGINES[engineName];
+  
+  if (config.formats?.pdf && roles.size > 0 && engine && !engine.systemFonts) {
+    issues.push({
+      type: 'warning',
+      message: `Fonts are not used by the ${engineName} PDF engine; use xelatex, lualatex or tectonic`
+    });
+  } else if (config.formats?.pdf && engine?.type === 'latex') {
+    for (const font of fonts.filter(entry => FONT_ROLES[entry.role])) {
+      for (const file of font.files.filter(entry => /\.woff2?$/i.test(entry.path || ''))) {
+        issues.push({ type: 'warning', message: `PDF engines cannot load WOFF fonts: ${file.path}` });
+      }
+    }
+  }
+  
+  return issues;
+}
+
+/**
+ * Check whether per-language settings apply to one of the book's languages
+ * 
+ * Settings for a base language (`es`) also apply to its regional variants (`es-MX`).
+ * 
+ * @param {Object} config - Loaded configuration
+ * @param {string} language - Language code the settings are given for
+ * @returns {boolean} - True if a configured language uses the settings
+ */
+function isBookLanguage(config, language) {
+  const code = language.toLowerCase().replace(/_/g, '-');
+  
+  return (config.languages || [])
+    .map(entry => entry.toLowerCase().replace(/_/g, '-'))
+    .some(entry => entry === code || entry.startsWith(`${code}-`));
+}
+
+/**
+ * Validate the `typography` section
+ * 
+ * @param {Object} config - Loaded configuration
+ * @returns {Array<Object>} - Validation issues
+ */
+function validateTypography(config) {
+  const issues = [];
+  
+  for (const [language, settings] of Object.entries(config.typography || {})) {
+    if (!isBookLanguage(config, language)) {
+      issues.push({
+        type: 'warning',
+        message: `Typography settings for ${language} are not used; the book's languages are: ${(config.languages || []).join(', ')}`
+      });
+    }
+    
+    if (settings?.dir !== undefined && !['ltr', 'rtl'].includes(settings.dir)) {
+      issues.push({ type: 'error', message: `Invalid writing direction for ${language}: ${settings.dir} (use ltr or rtl)` });
+    }
+    
+    for (const role of Object.keys(settings?.fonts || {}).filter(role => !FONT_ROLES[role])) {
+      issues.push({
+        type: 'error',
+        message: `Unknown typography font role for ${language}: ${role} (use ${Object.keys(FONT_ROLES).join(', ')})`
+      });
+    }
+  }
+  
+  return issues;
+}
+
 /**
  * Check if a system dependency is installed
  * 
@@ -158,24 +525,30 @@ async function validateConfig(options = {}) {
  * @returns {boolean} - True if command is available
  */
 function checkDependency(command) {
-  try {
-    execSync(`which ${command}`, { stdio: 'ignore' });
-    return true;
-  } catch (error) {
-    return false;
-  }
+  return findExecutable(command) !== null;
 }
 
 /**
  * Validate system dependencies
  * 
+ * Every supported PDF engine is detected along with its capabilities. PDF
+ * output needs one of the configured engine and its fallbacks; falling back
+ * from the configured engine, or using an engine that cannot typeset the
+ * scripts of the book languages, is reported as a warning.
+ * 
+ * @param {Object} [options] - Validation options
+ * @param {string} [options.configPath] - Path to the book.yaml file with the PDF settings
  * @returns {Object} Validation results
  */
-async function validateDependencies() {
+async function validateDependencies(options = {}) {
+  const configPath = options.configPath || 'book.yaml';
+  
   const result = {
     success: true,
     issues: [],
-    dependencies: {}
+    dependencies: {},
+    pdfEngines: {},
+    pdfEngine: null
   };
   
   // Check essential dependencies
@@ -184,11 +557,6 @@ async function validateDependencies() {
       required: true,
       message: 'Pandoc is required for all format conversions'
     },
-    latex: {
-      command: 'pdflatex',
-      required: true,
-      message: 'LaTeX (pdflatex) is required for PDF generation'
-    },
     kindlegen: {
       required: false,
       message: 'Kindlegen is required for MOBI format generation (optional)'
@@ -219,12 +587,66 @@ async function validateDependencies() {
     }
   }
   
+  // Detect the PDF engines
+  for (const [name, capabilities] of Object.entries(PDF_ENGINES)) {
+    const installed = isPdfEngineInstalled(name);
+    
+    result.dependencies[name] = installed;
+    result.pdfEngines[name] = { installed, ...capabilities };
+  }
+  
+  // The configuration is optional here; validateConfig reports its problems
+  let config = null;
+  try {
+    config = fs.existsSync(configPath) ? loadConfig(configPath) : null;
+  } catch (error) {
+    config = null;
+  }
+  
+  if (config?.formats?.pdf === false) {
+    return result;
+  }
+  
+  const pdfSettings = config?.formatSettings?.pdf || {};
+  const { engine, preferred, installed } = resolvePdfEngine(pdfSettings);
+  
+  if (!installed) {
+    result.issues.push({
+      type: 'error',
+      message: `No PDF engine is installed; PDF generation needs one of: ${getPdfEngineOrder(pdfSettings).join(', ')}`
+    });
+    return result;
+  }
+  
+  result.pdfEngine = engine;
+  
+  if (engine !== preferred) {
+    result.issues.push({
+      type: 'warning',
+      message: `PDF engine ${preferred} is not installed; PDF output will use ${engine}`
+    });
+  }
+  
+  const otherScripts = (config?.languages || []).filter(language => getLanguageScripts(language).length > 0);
+  
+  if (!PDF_ENGINES[engine].unicode && otherScripts.length > 0) {
+    const unicodeEngines = Object.keys(PDF_ENGINES).filter(name => PDF_ENGINES[name].unicode);
+    
+    result.issues.push({
+      type: 'warning',
+      message: `PDF engine ${engine} cannot typeset the ${otherScripts.join(', ')} text of this book; use one of: ${unicodeEngines.join(', ')}`
+    });
+  }
+  
   return result;
 }
 
 /**
  * Validate project directory structure
  * 
+ * With a translation lockfile, translated files whose source changed since
+ * they were translated are reported as well.
+ * 
  * @param {Object} options - Validation options
  * @param {string} options.configPath - Path to the book.yaml file
  * @returns {Object} Validation results
@@ -295,6 +717,22 @@ async function validateStructure(options = {}) {
     });
   }
   
+  // Check for translations whose source changed since they were translated
+  if (fs.existsSync(getTranslationLockPath(path.dirname(path.resolve(configPath))))) {
+    const translations = await findStaleTranslations({ configPath });
+    
+    result.issues.push(...translations.issues);
+    
+    for (const { language, stale } of translations.languages) {
+      for (const file of stale) {
+        result.issues.push({
+          type: 'warning',
+          message: `Translation book/${language}/${file.target} is out of date: book/${translations.source}/${file.source} changed since it was translated (see "book translations --stale")`
+        });
+      }
+    }
+  }
+  
   // Set valid if there are no error issues
   result.valid = !result.issues.some(issue => issue.type === 'error');
   result.success = true;
@@ -302,28 +740,107 @@ async function validateStructure(options = {}) {
   return result;
 }
 
+/**
+ * Validate built output files
+ * 
+ * Currently only EPUB is supported: the EPUB of every configured language
+ * in the build directory is opened and checked for structural problems.
+ * 
+ * @param {Object} options - Validation options
+ * @param {string} options.configPath - Path to the book.yaml file
+ * @param {string} options.output - Output format to check ('epub')
+ * @returns {Object} Validation results
+ */
+async function validateOutput(options = {}) {
+  const configPath = options.configPath || 'book.yaml';
+  const format = String(options.output).toLowerCase();
+  
+  const result = {
+    success: false,
+    issues: [],
+    valid: false,
+    format,
+    files: {}
+  };
+  
+  if (format !== 'epub') {
+    result.issues.push({
+      type: 'error',
+      message: `Unsupported output format for validation: ${options.output} (supported: epub)`
+    });
+    return result;
+  }
+  
+  try {
+    const projectRoot = path.dirname(path.resolve(configPath));
+    const config = loadConfig(configPath);
+    
+    for (const lang of config.languages || ['en']) {
+      const epubPath = buildFileNames(lang, projectRoot, config).epub;
+      const relativePath = path.relative(projectRoot, epubPath);
+      
+      if (!fs.existsSync(epubPath)) {
+        result.files[relativePath] = false;
+        result.issues.push({
+          type: 'error',
+          message: `EPUB not found: ${relativePath} (run "book build --epub" first)`
+        });
+        continue;
+      }
+      
+      const check = checkEpub(epubPath);
+      result.files[relativePath] = check.valid;
+      
+      for (const issue of check.issues) {
+        result.issues.push({
+          type: issue.type,
+          message: `${relativePath}: ${issue.message}`
+        });
+      }
+    }
+  } catch (error) {
+    result.issues.push({
+      type: 'error',
+      message: `Error checking output: ${error.message}`
+    });
+  }
+  
+  result.valid = !result.issues.some(issue => issue.type === 'error');
+  result.success = true;
+  
+  return result;
+}
+
 /**
  * Comprehensive validation of the book project
  * 
  * @param {Object} options - Validation options
  * @param {string} options.configPath - Path to the book.yaml file
+ * @param {string} [options.output] - Also check the built output of this format ('epub')
+ * @param {boolean} [options.accessibility] - Also audit the sources for accessibility
  * @returns {Object} Validation results
  */
 async function validate(options = {}) {
   const configResult = await validateConfig(options);
-  const dependencyResult = await validateDependencies();
+  const dependencyResult = await validateDependencies(options);
   const structureResult = await validateStructure(options);
+  const outputResult = options.output ? await validateOutput(options) : null;
+  const accessibilityResult = options.accessibility ? await auditAccessibility(options) : null;
+  const optionalResults = [outputResult, accessibilityResult].filter(Boolean);
   
   const result = {
-    success: configResult.success && dependencyResult.success && structureResult.success,
-    valid: configResult.valid && !dependencyResult.issues.some(i => i.type === 'error') && structureResult.valid,
+    success: configResult.success && dependencyResult.success && structureResult.success && optionalResults.every(r => r.success),
+    valid: configResult.valid && !dependencyResult.issues.some(i => i.type === 'error') && structureResult.valid && optionalResults.every(r => r.valid),
     config: configResult,
     dependencies: dependencyResult,
     structure: structureResult,
+    output: outputResult,
+    accessibility: accessibilityResult,
     allIssues: [
       ...configResult.issues,
       ...dependencyResult.issues,
-      ...structureResult.issues
+      ...structureResult.issues,
+      ...optionalResults.flatMap(r => r.issues)
     ]
   };
   
@@ -334,5 +851,6 @@ module.exports = {
   validate,
   validateConfig,
   validateDependencies,
-  validateStructure
+  validateStructure,
+  validateOutput
 };
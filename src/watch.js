@@ -0,0 +1,334 @@
+/**
+ * Watch mode
+ * Watches the sources of a language, the shared images, templates, styles
+ * and book.yaml, and rebuilds the formats affected by each burst of changes
+ */
+const fs = require('fs');
+const path = require('path');
+const { buildBook } = require('./index');
+const { loadBookConfig } = require('./utils');
+const { collectReferencedFiles } = require('./cache');
+
+/**
+ * Milliseconds to wait for further changes before rebuilding
+ */
+const DEFAULT_DEBOUNCE = 300;
+
+/**
+ * Formats with their own directory under templates/
+ */
+const FORMATS = ['pdf', 'epub', 'mobi', 'html', 'docx'];
+
+/**
+ * Editor swap, backup and lock files that never affect the build
+ */
+const IGNORED_FILE = /^(\..*|.*~|#.*#|4913)$/;
+
+/**
+ * Get the files and directories to watch for a language
+ * 
+ * Source, image and template directories are watched recursively. Files
+ * referenced from the format settings outside of them (e.g. a stylesheet
+ * next to book.yaml) are watched through their parent directory, limited to
+ * those file names.
+ * 
+ * @param {string} projectRoot - Path to project root
+ * @param {string} language - Language code
+ * @param {Object} [config={}] - Book configuration
+ * @returns {Array<Object>} - Targets as {path, recursive, files}
+ */
+function getWatchTargets(projectRoot, language, config = {}) {
+  const targets = [
+    path.join(projectRoot, 'book', language),
+    path.join(projectRoot, 'book', 'images'),
+    path.join(projectRoot, 'templates')
+  ]
+    .filter(dir => fs.existsSync(dir))
+    .map(dir => ({ path: dir, recursive: true, files: null }));
+  
+  const isCovered = file => targets.some(target => file.startsWith(`${target.path}${path.sep}`));
+  const referenced = collectReferencedFiles(
+    [config.formatSettings, config.filters, config.luaFilters],
+    projectRoot
+  ).filter(file => !isCovered(file));
+  
+  const directories = new Map([[projectRoot, new Set(['book.yaml'])]]);
+  
+  for (const file of referenced) {
+    const dir = path.dirname(file);
+    
+    if (!directories.has(dir)) {
+      directories.set(dir, new Set());
+    }
+    directories.get(dir).add(path.basename(file));
+  }
+  
+  for (const [dir, files] of directories) {
+    targets.push({ path: dir, recursive: false, files });
+  }
+  
+  return targets;
+}
+
+/**
+ * Work out which formats a set of changed files affects
+ * 
+ * A change to book.yaml affects every format and requires the configuration
+ * to be reloaded. Files under `templates/<format>` or referenced from the
+ * settings of a format only affect that format and the formats derived from
+ * it (MOBI from the EPUB, the website from the HTML settings). Anything
+ * else, such as a chapter or an image, affects every format.
+ * 
+ * @param {Array<string>} files - Changed files
+ * @param {Array<string>} formats - Formats being watched
+ * @param {Object} context - Build context
+ * @param {string} context.projectRoot - Path to project root
+ * @param {Object} [context.config={}] - Book configuration
+ * @returns {Object} - {formats, reloadConfig}
+ */
+function getAffectedFormats(files, formats, { projectRoot, config = {} }) {
+  const affected = new Set();
+  let reloadConfig = false;
+  
+  const addFormat = format => {
+    affected.add(format);
+    
+    if (format === 'epub') {
+      affected.add('mobi');
+    } else if (format === 'html') {
+      affected.add('site');
+    }
+  };
+  
+  for (const file of files) {
+    const relative = path.relative(projectRoot, file).split(path.sep);
+    
+    if (relative.length === 1 && relative[0] === 'book.yaml') {
+      reloadConfig = true;
+      formats.forEach(addFormat);
+      continue;
+    }
+    
+    const owners = Object.entries(config.formatSettings || {})
+      .filter(([, settings]) => collectReferencedFiles(settings, projectRoot).includes(file))
+      .map(([format]) => format);
+    
+    if (relative[0] === 'templates' && relative.length > 2 && FORMATS.includes(relative[1])) {
+      owners.push(relative[1]);
+    }
+    
+    if (owners.length > 0) {
+      owners.forEach(addFormat);
+    } else {
+      formats.forEach(addFormat);
+    }
+  }
+  
+  return {
+    formats: formats.filter(format => affected.has(format)),
+    reloadConfig
+  };
+}
+
+/**
+ * Watch a directory, falling back to one watcher per subdirectory where
+ * recursive watching is not supported (Linux before Node 19.1)
+ * 
+ * @param {string} dir - Directory to watch
+ * @param {boolean} recursive - Whether to watch subdirectories
+ * @param {Function} onChange - Called with the full path of each changed file
+ * @returns {Array<fs.FSWatcher>} - Watchers to close
+ */
+function watchDirectory(dir, recursive, onChange) {
+  const listen = (target, watchOptions) => {
+    const watcher = fs.watch(target, watchOptions, (eventType, filename) => {
+      onChange(filename ? path.join(target, filename.toString()) : target);
+    });
+    
+    // A watched directory that is deleted should not crash the watcher
+    watcher.on('error', () => watcher.close());
+    return watcher;
+  };
+  
+  try {
+    return [listen(dir, { recursive })];
+  } catch (error) {
+    if (error.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') {
+      throw error;
+    }
+  }
+  
+  const directories = [dir];
+  
+  for (let index = 0; index < directories.length; index++) {
+    for (const entry of fs.readdirSync(directories[index], { withFileTypes: true })) {
+      if (entry.isDirectory()) {
+        directories.push(path.join(directories[index], entry.name));
+      }
+    }
+  }
+  
+  return directories.map(target => listen(target, {}));
+}
+
+/**
+ * Watch a book and rebuild on changes
+ * 
+ * Changes are collected until no further change arrives for `debounce`
+ * milliseconds, then the affected formats are rebuilt through the build
+ * cache, so formats whose inputs did not actually change are skipped.
+ * Changes made during a rebuild are picked up by the next one. Build errors
+ * are reported through `onRebuild` and never stop the watcher.
+ * 
+ * @param {Object} options - Watch options
+ * @param {string} [options.projectPath] - Path to project root (defaults to cwd)
+ * @param {string} [options.language='en'] - Language to build
+ * @param {Array<string>} [options.formats=['html']] - Formats to build
+ * @param {string} [options.profile] - Build profile from book.yaml to apply
+ * @param {boolean} [options.includeDrafts=false] - Include chapters marked `draft: true`
+ * @param {number} [options.debounce=300] - Milliseconds to wait for further changes
+ * @param {boolean} [options.initialBuild=true] - Build once before waiting for changes
+ * @param {Function} [options.onRebuild] - Called with {files, formats, duration, result, reloadedConfig, error}
+ * @returns {Object} - Watcher with `targets` and an async `close()`
+ */
+function watchBook(options = {}) {
+  const projectRoot = path.resolve(options.projectPath || '.');
+  const language = options.language || 'en';
+  const formats = options.formats || ['html'];
+  const debounce = options.debounce ?? DEFAULT_DEBOUNCE;
+  const onRebuild = options.onRebuild || (() => {});
+  
+  // Job output is summarized by onRebuild instead of printed as it happens
+  const quietLogger = { log: () => {}, warn: () => {}, error: () => {} };
+  
+  const changed = new Set();
+  let config = loadBookConfig(projectRoot, { profile: options.profile });
+  let watchers = [];
+  let targets = [];
+  let timer = null;
+  let running = null;
+  let controller = null;
+  let closed = false;
+  
+  const onChange = (file, target) => {
+    const name = path.basename(file);
+    
+    if (closed || IGNORED_FILE.test(name) || (target.files && !target.files.has(name))) {
+      return;
+    }
+    
+    changed.add(file);
+    clearTimeout(timer);
+    timer = setTimeout(flush, debounce);
+  };
+  
+  const startWatching = () => {
+    watchers.forEach(watcher => watcher.close());
+    targets = getWatchTargets(projectRoot, language, config);
+    watchers = targets.flatMap(target => watchDirectory(target.path, target.recursive, file => onChange(file, target)));
+    watcher.targets = targets;
+  };
+  
+  const rebuild = async (files, rebuildFormats) => {
+    const startTime = Date.now();
+    let affected = { formats: rebuildFormats, reloadConfig: false };
+    
+    try {
+      if (!rebuildFormats) {
+        affected = getAffectedFormats(files, formats, { projectRoot, config });
+      }
+      
+      if (affected.reloadConfig) {
+        config = loadBookConfig(projectRoot, { profile: options.profile });
+        startWatching();
+      }
+    } catch (error) {
+      onRebuild({ files, formats: [], duration: Date.now() - startTime, result: null, reloadedConfig: false, error });
+      return;
+    }
+    
+    if (affected.formats.length === 0) {
+      return;
+    }
+    
+    controller = new AbortController();
+    const result = await buildBook({
+      projectPath: projectRoot,
+      language,
+      formats: affected.formats,
+      profile: options.profile,
+      includeDrafts: options.includeDrafts,
+      signal: controller.signal,
+      logger: quietLogger
+    });
+    controller = null;
+    
+    if (!closed) {
+      onRebuild({
+        files,
+        formats: affected.formats,
+        duration: Date.now() - startTime,
+        result,
+        reloadedConfig: affected.reloadConfig,
+        error: result.error || null
+      });
+    }
+  };
+  
+  const flush = async (rebuildFormats) => {
+    timer = null;
+    
+    // Changes arriving during a rebuild are handled once it finishes
+    if (running || closed) {
+      return;
+    }
+    
+    const files = [...changed];
+    changed.clear();
+    
+    running = rebuild(files, rebuildFormats);
+    await running;
+    running = null;
+    
+    if (changed.size > 0 && !timer) {
+      flush();
+    }
+  };
+  
+  const watcher = {
+    targets,
+    
+    /**
+     * Stop watching and cancel a running rebuild
+     * 
+     * @returns {Promise<void>} - Resolves once the running rebuild has stopped
+     */
+    async close() {
+      closed = true;
+      clearTimeout(timer);
+      watchers.forEach(item => item.close());
+      watchers = [];
+      
+      if (controller) {
+        controller.abort();
+      }
+      
+      await running;
+    }
+  };
+  
+  startWatching();
+  
+  if (options.initialBuild !== false) {
+    flush(formats);
+  }
+  
+  return watcher;
+}
+
+module.exports = {
+  DEFAULT_DEBOUNCE,
+  getWatchTargets,
+  getAffectedFormats,
+  watchBook
+};
@@ -0,0 +1,172 @@
+/**
+ * ZIP archives
+ * Minimal reader and writer for the archives used by EPUB, built on zlib
+ */
+const zlib = require('zlib');
+
+let crcTable = null;
+
+/**
+ * Compute the CRC-32 checksum of a buffer
+ * 
+ * @param {Buffer} data - Data to checksum
+ * @returns {number} - Unsigned CRC-32
+ */
+function crc32(data) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let bit = 0; bit < 8; bit++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+  
+  let crc = 0xffffffff;
+  for (const byte of data) {
+    crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Read the entries of a ZIP archive
+ * 
+ * Only what EPUB needs is supported: stored and deflated entries, without
+ * ZIP64 or encryption.
+ * 
+ * @param {Buffer} buffer - Archive contents
+ * @returns {Array<Object>} - Entries in archive order as {name, method, extraLength, read()}
+ * @throws {Error} - If the buffer is not a readable ZIP archive
+ */
+function readZip(buffer) {
+  let end = -1;
+  
+  // The end of central directory record is followed by a comment of up to 64KB
+  for (let offset = buffer.length - 22; offset >= Math.max(0, buffer.length - 22 - 0xffff); offset--) {
+    if (buffer.readUInt32LE(offset) === 0x06054b50) {
+      end = offset;
+      break;
+    }
+  }
+  
+  if (end === -1) {
+    throw new Error('Not a ZIP archive');
+  }
+  
+  const count = buffer.readUInt16LE(end + 10);
+  const entries = [];
+  let offset = buffer.readUInt32LE(end + 16);
+  
+  for (let i = 0; i < count; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw new Error('Corrupt ZIP central directory');
+    }
+    
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf-8', offset + 46, offset + 46 + nameLength);
+    
+    if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== 0x04034b50) {
+      throw new Error(`Corrupt ZIP entry: ${name}`);
+    }
+    
+    const localExtraLength = buffer.readUInt16LE(localOffset + 28);
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + localExtraLength;
+    
+    entries.push({
+      name,
+      method,
+      localOffset,
+      extraLength: localExtraLength,
+      encrypted: (flags & 1) === 1,
+      read() {
+        const data = buffer.subarray(dataStart, dataStart + compressedSize);
+        
+        if (method === 0) {
+          return data;
+        }
+        if (method === 8) {
+          return zlib.inflateRawSync(data);
+        }
+        throw new Error(`Unsupported compression method ${method} for ${name}`);
+      }
+    });
+    
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  
+  return entries.sort((a, b) => a.localOffset - b.localOffset);
+}
+
+/**
+ * Create a ZIP archive
+ * 
+ * Entries are written in the given order, deflated unless `store` is set
+ * (EPUB requires the leading mimetype entry to be stored).
+ * 
+ * @param {Array<Object>} entries - Entries as {name, data, store}
+ * @returns {Buffer} - Archive contents
+ */
+function createZip(entries) {
+  const records = [];
+  const directory = [];
+  let offset = 0;
+  
+  for (const entry of entries) {
+    const data = Buffer.from(entry.data);
+    const compressed = entry.store ? data : zlib.deflateRawSync(data);
+    const name = Buffer.from(entry.name, 'utf-8');
+    
+    // Fields shared by the local header and the central directory record
+    const fields = Buffer.alloc(26);
+    fields.writeUInt16LE(20, 0);
+    fields.writeUInt16LE(0x0800, 2);
+    fields.writeUInt16LE(entry.store ? 0 : 8, 4);
+    fields.writeUInt16LE(0, 6);
+    fields.writeUInt16LE(0x21, 8);
+    fields.writeUInt32LE(crc32(data), 10);
+    fields.writeUInt32LE(compressed.length, 14);
+    fields.writeUInt32LE(data.length, 18);
+    fields.writeUInt16LE(name.length, 22);
+    fields.writeUInt16LE(0, 24);
+    
+    const local = Buffer.alloc(4);
+    local.writeUInt32LE(0x04034b50, 0);
+    records.push(local, fields, name, compressed);
+    
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    fields.copy(central, 6);
+    central.writeUInt32LE(offset, 42);
+    directory.push(central, name);
+    
+    offset += local.length + fields.length + name.length + compressed.length;
+  }
+  
+  const directoryBuffer = Buffer.concat(directory);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directoryBuffer.length, 12);
+  end.writeUInt32LE(offset, 16);
+  
+  return Buffer.concat([...records, directoryBuffer, end]);
+}
+
+module.exports = {
+  crc32,
+  readZip,
+  createZip
+};
@@ -0,0 +1,182 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Module to test
+const {
+  applyAccessibilityMetadata,
+  getLanguageScripts,
+  auditMarkdown,
+  auditAccessibility
+} = require('../src/accessibility');
+const { readZip, createZip } = require('../src/zip');
+
+const OPF = `<?xml version="1.0" encoding="UTF-8"?>
+<package version="3.0" xmlns="http://www.idpf.org/2007/opf" unique-identifier="epub-id-1">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="epub-id-1">urn:uuid:1234</dc:identifier>
+    <meta property="schema:accessMode">textual</meta>
+  </metadata>
+</package>`;
+
+const messages = issues => issues.map(issue => `${issue.type}: ${issue.message}`);
+
+describe('Accessibility Module', () => {
+  let dir;
+  
+  const write = (file, content) => {
+    const filePath = path.join(dir, file);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+    return filePath;
+  };
+  
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'book-accessibility-'));
+  });
+  
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  
+  describe('applyAccessibilityMetadata', () => {
+    it('should add the properties missing from the package document', () => {
+      const epubPath = write('book.epub', createZip([
+        { name: 'mimetype', data: 'application/epub+zip', store: true },
+        { name: 'META-INF/container.xml', data: '<rootfile full-path="EPUB/content.opf" media-type="application/oebps-package+xml"/>' },
+        { name: 'EPUB/content.opf', data: OPF }
+      ]));
+      
+      const added = applyAccessibilityMetadata(epubPath, {
+        accessMode: ['textual', 'visual'],
+        accessibilityHazard: ['none'],
+        accessibilitySummary: 'Images & tables are described.',
+        conformsTo: 'EPUB Accessibility 1.1 - WCAG 2.1 Level AA'
+      });
+      
+      expect(added).toEqual(['schema:accessMode', 'schema:accessibilityHazard', 'schema:accessibilitySummary', 'dcterms:conformsTo']);
+      
+      const entries = readZip(fs.readFileSync(epubPath));
+      expect(entries.map(entry => [entry.name, entry.method])[0]).toEqual(['mimetype', 0]);
+      
+      const opf = entries.find(entry => entry.name === 'EPUB/content.opf').read().toString();
+      expect(opf).toContain([
+        '    <meta property="schema:accessMode">textual</meta>',
+        '    <meta property="schema:accessMode">visual</meta>',
+        '    <meta property="schema:accessibilityHazard">none</meta>',
+        '    <meta property="schema:accessibilitySummary">Images &amp; tables are described.</meta>',
+        '    <meta property="dcterms:conformsTo">EPUB Accessibility 1.1 - WCAG 2.1 Level AA</meta>',
+        '  </metadata>'
+      ].join('\n'));
+      expect(opf.match(/>textual</g)).toHaveLength(1);
+    });
+    
+    it('should not touch the file without settings', () => {
+      const epubPath = write('book.epub', 'not an archive');
+      
+      expect(applyAccessibilityMetadata(epubPath, { accessMode: [], accessibilitySummary: '' })).toEqual([]);
+    });
+  });
+  
+  describe('auditMarkdown', () => {
+    it('should report images without alt text', () => {
+      const { issues } = auditMarkdown([
+        '# Images',
+        '',
+        '![](images/a.png) ![Described](images/b.png)',
+        '<img src="c.png"> <img src="d.png" alt="">',
+        '```',
+        '![](ignored.png)',
+        '```'
+      ].join('\n'), { file: 'ch1.md', lineOffset: 3 });
+      
+      expect(messages(issues)).toEqual([
+        'error: ch1.md:6: Image without alt text',
+        'error: ch1.md:7: Image without alt text'
+      ]);
+    });
+    
+    it('should report skipped heading levels across chapters', () => {
+      const first = auditMarkdown('## Start\n\n### Deeper', { file: 'a.md' });
+      const second = auditMarkdown('##### Too deep {#deep}\n\n# Next', { file: 'b.md', headingLevel: first.headingLevel });
+      
+      expect(messages(first.issues)).toEqual(['warning: a.md:1: First heading is level 2, expected level 1']);
+      expect(messages(second.issues)).toEqual(['warning: b.md:1: Heading level skips from 3 to 5: Too deep']);
+      expect(second.headingLevel).toBe(1);
+    });
+    
+    it('should report passages in another script without a language tag', () => {
+      const { issues } = auditMarkdown([
+        'The Russian word Привет means hello.',
+        'Tagged [Привет]{lang=ru} and <span lang="el">Γειά σου</span> are fine, as is `код`.',
+        '::: {lang=ja}',
+        'こんにちは',
+        ':::',
+        'A quote in Greek: Γειά σου κόσμε'
+      ].join('\n'), { file: 'c.md', language: 'en-GB' });
+      
+      expect(messages(issues)).toEqual([
+        'warning: c.md:1: Cyrillic text without a language tag: "Привет"',
+        'warning: c.md:6: Greek text without a language tag: "Γειά σου κόσμε"'
+      ]);
+    });
+    
+    it('should accept the scripts of the book language', () => {
+      expect(getLanguageScripts('ja-JP')).toEqual(['Han', 'Hiragana', 'Katakana']);
+      expect(auditMarkdown('# 日本語\n\n東京はカタカナとひらがなで Tokyo です。', { language: 'ja' }).issues).toEqual([]);
+    });
+    
+    it('should report tables without headers', () => {
+      const { issues } = auditMarkdown([
+        '| A | B |',
+        '|---|---|',
+        '| 1 | 2 |',
+        '',
+        '|   |   |',
+        '|---|---|',
+        '| 1 | 2 |',
+        '',
+        '+---+---+',
+        '| 1 | 2 |',
+        '+---+---+',
+        '',
+        '-----  -----',
+        'one    two',
+        '-----  -----',
+        '',
+        '<table>',
+        '<tr><td>1</td></tr>',
+        '</table>',
+        '<table><tr><th>H</th></tr></table>'
+      ].join('\n'), { file: 'd.md' });
+      
+      expect(messages(issues)).toEqual([
+        'warning: d.md:5: Table without a header row',
+        'warning: d.md:9: Table without a header row',
+        'warning: d.md:13: Table without a header row',
+        'warning: d.md:17: Table without header cells'
+      ]);
+    });
+  });
+  
+  describe('auditAccessibility', () => {
+    it('should audit every language and check the metadata settings', async () => {
+      write('book.yaml', 'title: Book\nlanguages:\n  - en\n  - ru\n');
+      write('book/en/01-intro.md', '---\ntitle: Intro\n---\n# Intro\n\n![](x.png)\n');
+      write('book/en/frontmatter/01-preface.md', '# Preface\n\n### Detail\n');
+      write('book/ru/01-intro.md', '# Введение\n\nТекст.\n');
+      write('book/ru/02-quote.md', '---\nlang: en\n---\n# Quote\n\nПривет\n');
+      
+      const result = await auditAccessibility({ configPath: path.join(dir, 'book.yaml') });
+      
+      expect(result.files).toBe(4);
+      expect(result.valid).toBe(false);
+      expect(messages(result.issues)).toEqual([
+        'warning: Missing EPUB accessibility metadata in book.yaml: accessibility.accessMode, accessibility.accessibilityFeature, accessibility.accessibilityHazard, accessibility.accessibilitySummary',
+        'warning: book/en/frontmatter/01-preface.md:3: Heading level skips from 1 to 3: Detail',
+        'error: book/en/01-intro.md:6: Image without alt text',
+        'warning: book/ru/02-quote.md:6: Cyrillic text without a language tag: "Привет"'
+      ]);
+    });
+  });
+});
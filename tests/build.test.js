@@ -0,0 +1,77 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../src/process', () => ({
+  ...jest.requireActual('../src/process'),
+  runProcess: jest.fn()
+}));
+
+const { runProcess } = require('../src/process');
+
+// Module to test
+const { buildBook, cleanBuild } = require('../src/index');
+
+describe('buildBook', () => {
+  let projectRoot;
+  
+  const write = (file, content) => {
+    const filePath = path.join(projectRoot, file);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+  };
+  
+  const logger = { log: jest.fn(), warn: jest.fn(), error: jest.fn(), info: jest.fn() };
+  
+  beforeEach(() => {
+    projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'book-build-'));
+    write('book.yaml', 'title: Test Book\nfilePrefix: test-book\n');
+    write('book/en/chapter-01/01-online.md', '---\nformats: [html]\n---\n# Online Extras\n');
+    
+    // Fake pandoc: write a minimal document to the output path
+    runProcess.mockReset();
+    runProcess.mockImplementation(async (command, args) => {
+      const output = args[args.indexOf('-o') + 1];
+      fs.mkdirSync(path.dirname(output), { recursive: true });
+      fs.writeFileSync(output, '<html><head></head><body><h1 id="online">Online Extras</h1></body></html>');
+      return { success: true, stdout: '', stderr: '' };
+    });
+    Object.values(logger).forEach(method => method.mockReset());
+  });
+  
+  afterEach(() => {
+    fs.rmSync(projectRoot, { recursive: true, force: true });
+  });
+  
+  it('should skip formats that no chapter is included in and build the others', async () => {
+    const result = await buildBook({ projectPath: projectRoot, formats: ['pdf', 'html'], logger });
+    
+    expect(result.success).toBe(true);
+    expect(result.skipped).toEqual(['pdf']);
+    expect(result.errors).toEqual({});
+    expect(result.files.html).toBe(path.join(projectRoot, 'build/en/test-book.html'));
+    expect(result.files.pdf).toBeUndefined();
+    expect(result.cache.misses).toEqual(['html']);
+    expect(runProcess).toHaveBeenCalledTimes(1);
+    expect(logger.warn).toHaveBeenCalledWith('[en:pdf] No chapters are included in PDF; skipping it');
+  });
+  
+  it('should clean the site and other output directories', async () => {
+    write('book/en/chapter-02/01-usage.md', '# Usage\n\nText.\n');
+    const result = await buildBook({ projectPath: projectRoot, formats: ['site', 'html'], logger });
+    
+    expect(result.success).toBe(true);
+    expect(fs.existsSync(path.join(projectRoot, 'build/en/site/index.html'))).toBe(true);
+    
+    jest.spyOn(process, 'cwd').mockReturnValue(projectRoot);
+    
+    try {
+      const cleaned = await cleanBuild();
+      
+      expect(cleaned.success).toBe(true);
+      expect(fs.readdirSync(path.join(projectRoot, 'build/en'))).toEqual([]);
+    } finally {
+      process.cwd.mockRestore();
+    }
+  });
+});
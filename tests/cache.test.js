@@ -0,0 +1,92 @@
+const mockFs = require('mock-fs');
+
+// Module to test
+const {
+  computeInputHash,
+  loadBuildCache,
+  saveBuildCache,
+  isCacheHit,
+  clearBuildCache
+} = require('../src/cache');
+
+describe('Build Cache Module', () => {
+  const config = {
+    title: 'Test Book',
+    author: 'Test Author',
+    formatSettings: {
+      pdf: { paperSize: 'a4', template: 'templates/pdf/custom.latex' },
+      html: { css: 'templates/html/style.css' }
+    }
+  };
+  
+  beforeEach(() => {
+    mockFs({
+      '/project/book/en/chapter-01/01-intro.md': '# Intro',
+      '/project/book/images/cover.png': 'image',
+      '/project/templates/pdf/custom.latex': 'template',
+      '/project/templates/html/style.css': 'body {}'
+    });
+  });
+  
+  afterEach(() => {
+    mockFs.restore();
+  });
+  
+  describe('computeInputHash', () => {
+    it('should return the same hash for unchanged inputs', () => {
+      const first = computeInputHash(config, 'pdf', 'en', '/project');
+      const second = computeInputHash(config, 'pdf', 'en', '/project');
+      
+      expect(first).toBe(second);
+    });
+    
+    it('should change when a chapter source changes', () => {
+      const before = computeInputHash(config, 'pdf', 'en', '/project');
+      require('fs').writeFileSync('/project/book/en/chapter-01/01-intro.md', '# Changed');
+      
+      expect(computeInputHash(config, 'pdf', 'en', '/project')).not.toBe(before);
+    });
+    
+    it('should change when a referenced template changes', () => {
+      const before = computeInputHash(config, 'pdf', 'en', '/project');
+      require('fs').writeFileSync('/project/templates/pdf/custom.latex', 'changed');
+      
+      expect(computeInputHash(config, 'pdf', 'en', '/project')).not.toBe(before);
+    });
+    
+    it('should ignore settings of other formats', () => {
+      const before = computeInputHash(config, 'pdf', 'en', '/project');
+      require('fs').writeFileSync('/project/templates/html/style.css', 'p {}');
+      
+      expect(computeInputHash(config, 'pdf', 'en', '/project')).toBe(before);
+    });
+  });
+  
+  describe('cache manifest', () => {
+    it('should round-trip cache entries', () => {
+      saveBuildCache('/project', 'en', { pdf: { hash: 'abc' } });
+      
+      expect(loadBuildCache('/project', 'en')).toEqual({ pdf: { hash: 'abc' } });
+    });
+    
+    it('should return an empty cache when none exists', () => {
+      expect(loadBuildCache('/project', 'es')).toEqual({});
+    });
+    
+    it('should only report a hit when the hash matches and the output exists', () => {
+      const cache = { pdf: { hash: 'abc' } };
+      
+      expect(isCacheHit(cache, 'pdf', 'abc', '/project/book/images/cover.png')).toBe(true);
+      expect(isCacheHit(cache, 'pdf', 'def', '/project/book/images/cover.png')).toBe(false);
+      expect(isCacheHit(cache, 'pdf', 'abc', '/project/build/en/book.pdf')).toBe(false);
+      expect(isCacheHit(cache, 'epub', 'abc', '/project/book/images/cover.png')).toBe(false);
+    });
+    
+    it('should clear all cache manifests', () => {
+      saveBuildCache('/project', 'en', { pdf: { hash: 'abc' } });
+      clearBuildCache('/project');
+      
+      expect(loadBuildCache('/project', 'en')).toEqual({});
+    });
+  });
+});
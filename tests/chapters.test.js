@@ -0,0 +1,139 @@
+const mockFs = require('mock-fs');
+
+// Module to test
+const {
+  findMarkdownFiles,
+  globToRegExp,
+  getChapterManifest,
+  resolveChapterFiles
+} = require('../src/chapters');
+
+describe('Chapters Module', () => {
+  beforeEach(() => {
+    mockFs({
+      '/project/book/en': {
+        'chapter1.md': '# Stray',
+        'chapter-01': {
+          '01-intro.md': '# Intro',
+          '02-setup.md': '# Setup',
+          'diagram.png': 'png',
+          'images': { 'README.md': '# Images' }
+        },
+        'chapter-02': {
+          '01-writing.md': '# Writing',
+          'README.md': '# Notes'
+        }
+      },
+      '/project/book/es': {
+        'SUMMARY.md': '# Contenido\n\n- [Escribir](chapter-02/01-escribir.md)\n- [Intro](./chapter-01/01-intro.md "Intro")\n- [Web](https://example.com/x.md)\n- [Crecer](chapter-03/100%.md)\n',
+        'chapter-01': { '01-intro.md': '# Intro' },
+        'chapter-02': { '01-escribir.md': '# Escribir' },
+        'chapter-03': { '100%.md': '# Crecer' }
+      }
+    });
+  });
+  
+  afterEach(() => {
+    mockFs.restore();
+  });
+  
+  describe('globToRegExp', () => {
+    it('should match single path segments with *', () => {
+      expect(globToRegExp('chapter-01/*.md').test('chapter-01/01-intro.md')).toBe(true);
+      expect(globToRegExp('*.md').test('chapter-01/01-intro.md')).toBe(false);
+    });
+    
+    it('should match across directories with **', () => {
+      expect(globToRegExp('**/README.md').test('README.md')).toBe(true);
+      expect(globToRegExp('**/README.md').test('chapter-02/README.md')).toBe(true);
+    });
+    
+    it('should support alternatives', () => {
+      const regex = globToRegExp('chapter-0{1,2}/01-*.md');
+      expect(regex.test('chapter-01/01-intro.md')).toBe(true);
+      expect(regex.test('chapter-02/01-writing.md')).toBe(true);
+      expect(regex.test('chapter-03/01-x.md')).toBe(false);
+    });
+  });
+  
+  describe('getChapterManifest', () => {
+    it('should return a shared list for every language', () => {
+      expect(getChapterManifest({ chapters: ['a.md'] }, 'es')).toEqual(['a.md']);
+    });
+    
+    it('should return the list for a language or the default', () => {
+      const config = { chapters: { en: ['en.md'], default: ['default.md'] } };
+      
+      expect(getChapterManifest(config, 'en')).toEqual(['en.md']);
+      expect(getChapterManifest(config, 'fr')).toEqual(['default.md']);
+    });
+    
+    it('should return null without a manifest', () => {
+      expect(getChapterManifest({}, 'en')).toBeNull();
+    });
+  });
+  
+  describe('resolveChapterFiles', () => {
+    it('should fall back to lexical order of the language directory', () => {
+      const result = resolveChapterFiles('/project', 'en', {});
+      
+      expect(result.source).toBe('directory');
+      expect(result.files).toEqual(findMarkdownFiles('/project/book/en'));
+    });
+    
+    it('should follow the order of the chapters manifest', () => {
+      const result = resolveChapterFiles('/project', 'en', {
+        chapters: ['chapter-02/01-writing.md', 'chapter-01/*.md']
+      });
+      
+      expect(result.source).toBe('book.yaml');
+      expect(result.files).toEqual([
+        '/project/book/en/chapter-02/01-writing.md',
+        '/project/book/en/chapter-01/01-intro.md',
+        '/project/book/en/chapter-01/02-setup.md'
+      ]);
+    });
+    
+    it('should apply exclusions and include each file once', () => {
+      const result = resolveChapterFiles('/project', 'en', {
+        chapters: ['chapter-01/01-intro.md', '**/*.md', '!**/README.md', '!chapter1.md']
+      });
+      
+      expect(result.files).toEqual([
+        '/project/book/en/chapter-01/01-intro.md',
+        '/project/book/en/chapter-01/02-setup.md',
+        '/project/book/en/chapter-02/01-writing.md'
+      ]);
+    });
+    
+    it('should only match markdown files', () => {
+      const result = resolveChapterFiles('/project', 'en', { chapters: ['chapter-01/*', 'chapter-01/diagram.png'] });
+      
+      expect(result.files).toEqual([
+        '/project/book/en/chapter-01/01-intro.md',
+        '/project/book/en/chapter-01/02-setup.md'
+      ]);
+      expect(result.missing).toEqual(['chapter-01/diagram.png']);
+    });
+    
+    it('should report missing files and globs without matches', () => {
+      const result = resolveChapterFiles('/project', 'en', {
+        chapters: ['chapter-01/01-intro.md', 'chapter-09/01-missing.md', 'appendix/*.md']
+      });
+      
+      expect(result.missing).toEqual(['chapter-09/01-missing.md']);
+      expect(result.unmatched).toEqual(['appendix/*.md']);
+    });
+    
+    it('should read the order from SUMMARY.md', () => {
+      const result = resolveChapterFiles('/project', 'es', {});
+      
+      expect(result.source).toBe('SUMMARY.md');
+      expect(result.files).toEqual([
+        '/project/book/es/chapter-02/01-escribir.md',
+        '/project/book/es/chapter-01/01-intro.md',
+        '/project/book/es/chapter-03/100%.md'
+      ]);
+    });
+  });
+});
@@ -5,12 +5,17 @@ const mockFs = require('mock-fs');
 
 // Module to test
 const { 
+  mergeConfig,
+  applyProfile,
+  localizeConfig,
   loadExtendedConfig, 
   convertLegacyConfig,
   loadConfig,
   getDefaultConfig,
-  getPandocArgs
+  getPandocArgs,
+  getPandocPipeline
 } = require('../src/config');
+const { validateConfig } = require('../src/validate');
 
 describe('Configuration Module', () => {
   
@@ -69,6 +74,123 @@ describe('Configuration Module', () => {
     });
   });
   
+  describe('profiles', () => {
+    const config = {
+      title: 'Test Book',
+      author: 'Test Author',
+      metadata: { publisher: 'Acme', rights: 'All rights reserved' },
+      formatSettings: { pdf: { paperSize: 'letter', fontSize: '11pt' } },
+      chapters: ['*.md'],
+      profiles: {
+        draft: {
+          includeDrafts: true,
+          variables: { watermark: 'DRAFT' },
+          metadata: { rights: 'Internal review copy' }
+        },
+        print: {
+          filePrefix: 'book-print',
+          formatSettings: { pdf: { paperSize: 'a5' } },
+          chapters: ['print/*.md']
+        }
+      }
+    };
+    
+    it('should merge objects recursively and replace arrays', () => {
+      const result = mergeConfig({ a: { b: 1, c: 2 }, list: [1, 2] }, { a: { c: 3 }, list: [3] });
+      
+      expect(result).toEqual({ a: { b: 1, c: 3 }, list: [3] });
+    });
+    
+    it('should overlay the selected profile', () => {
+      const result = applyProfile(config, 'print');
+      
+      expect(result.profile).toBe('print');
+      expect(result.filePrefix).toBe('book-print');
+      expect(result.formatSettings.pdf).toEqual({ paperSize: 'a5', fontSize: '11pt' });
+      expect(result.chapters).toEqual(['print/*.md']);
+      expect(result.metadata.publisher).toBe('Acme');
+      expect(config.formatSettings.pdf.paperSize).toBe('letter');
+    });
+    
+    it('should apply the profile before normalizing settings', () => {
+      const result = loadExtendedConfig({ ...config }, { profile: 'draft' });
+      
+      expect(result.includeDrafts).toBe(true);
+      expect(result.variables).toEqual({ watermark: 'DRAFT' });
+      expect(result.metadata).toEqual({ publisher: 'Acme', rights: 'Internal review copy' });
+      expect(result.formatSettings.pdf.paperSize).toBe('letter');
+      expect(result.formatSettings.epub).toBeDefined();
+    });
+    
+    it('should reject unknown profiles', () => {
+      expect(() => applyProfile(config, 'web')).toThrow('Unknown profile: web (available: draft, print)');
+    });
+  });
+  
+  describe('localized settings', () => {
+    const config = loadExtendedConfig({
+      title: 'The Book',
+      author: 'Jane Doe',
+      filePrefix: 'the-book',
+      languages: {
+        en: null,
+        es: {
+          title: 'El Libro',
+          file_prefix: 'el-libro',
+          coverImage: 'book/images/cover-es.png',
+          metadata: { translator: 'Ana Ruiz' }
+        }
+      },
+      localized: {
+        'es-MX': { subtitle: 'Edición mexicana', formatSettings: { pdf: { paperSize: 'letter' } } }
+      },
+      metadata: { publisher: 'Acme', description: 'A book' }
+    });
+    
+    it('should read a languages map as the language list and overrides', () => {
+      expect(config.languages).toEqual(['en', 'es']);
+      expect(Object.keys(config.localized)).toEqual(['en', 'es', 'es-MX']);
+      expect(localizeConfig(config, 'en')).toBe(config);
+    });
+    
+    it('should merge the overrides of the language and its base language', () => {
+      const spanish = localizeConfig(config, 'es-MX');
+      
+      expect(spanish.title).toBe('El Libro');
+      expect(spanish.subtitle).toBe('Edición mexicana');
+      expect(spanish.author).toBe('Jane Doe');
+      expect(spanish.filePrefix).toBe('el-libro');
+      expect(spanish.metadata).toEqual({ publisher: 'Acme', description: 'A book', translator: 'Ana Ruiz' });
+      expect(spanish.formatSettings.epub.coverImage).toBe('book/images/cover-es.png');
+      expect(spanish.formatSettings.pdf.paperSize).toBe('letter');
+      expect(spanish.formatSettings.pdf.fontSize).toBe('11pt');
+      expect(config.formatSettings.epub.coverImage).toBe('book/images/cover.png');
+    });
+    
+    it('should validate a languages map with the overrides of each language', async () => {
+      mockFs({
+        'book.yaml': [
+          'title: The Book',
+          'author: Jane Doe',
+          'formats: { html: true }',
+          'languages:',
+          '  en:',
+          '  es:',
+          '    chapters: [intro.md]'
+        ].join('\n'),
+        'book/en/chapter-01/01-intro.md': '# Intro',
+        'book/es/introduccion.md': '# Introducción'
+      });
+      
+      const result = await validateConfig({ configPath: 'book.yaml' });
+      const messages = result.issues.map(issue => issue.message);
+      
+      expect(messages).not.toContain('No languages specified in configuration');
+      expect(messages).toContain(`Chapter file listed in book.yaml not found: ${path.join('book', 'es', 'intro.md')}`);
+      expect(messages.filter(message => message.includes(path.join('book', 'en')))).toEqual([]);
+    });
+  });
+  
   describe('convertLegacyConfig', () => {
     it('should convert legacy config to new format', () => {
       const legacyConfig = {
@@ -115,6 +237,51 @@ describe('Configuration Module', () => {
       
       expect(result.languages).toEqual(['en', 'es', 'fr']);
     });
+    
+    it('should normalize accessibility settings', () => {
+      const result = convertLegacyConfig({
+        title: 'Legacy Book',
+        accessibility: {
+          access_mode: 'textual',
+          accessibilityFeature: ['alternativeText', 'tableOfContents'],
+          conforms_to: 'EPUB Accessibility 1.1 - WCAG 2.1 Level AA'
+        }
+      });
+      
+      expect(result.accessibility).toEqual(expect.objectContaining({
+        accessMode: ['textual'],
+        accessibilityFeature: ['alternativeText', 'tableOfContents'],
+        accessibilityHazard: [],
+        conformsTo: 'EPUB Accessibility 1.1 - WCAG 2.1 Level AA'
+      }));
+    });
+    
+    it('should normalize the PDF engine settings', () => {
+      const result = convertLegacyConfig({
+        title: 'Legacy Book',
+        pdf: { pdf_engine: 'xelatex', fallback_engines: 'tectonic' }
+      });
+      
+      expect(result.formatSettings.pdf.engine).toBe('xelatex');
+      expect(result.formatSettings.pdf.fallbackEngines).toEqual(['tectonic']);
+      expect(convertLegacyConfig({ title: 'Legacy Book' }).formatSettings.pdf).not.toHaveProperty('engine');
+    });
+    
+    it('should normalize the PDF print settings', () => {
+      const result = convertLegacyConfig({
+        title: 'Legacy Book',
+        pdf: { trim_size: '5.5x8.5', bleed: '0.125in', margin_inner: '0.875in', crop_marks: true, paper_stock: 'cream' }
+      });
+      
+      expect(result.formatSettings.pdf).toEqual(expect.objectContaining({
+        trimSize: '5.5x8.5',
+        bleed: '0.125in',
+        marginInner: '0.875in',
+        cropMarks: true,
+        chaptersOnRecto: false,
+        paperStock: 'cream'
+      }));
+    });
   });
   
   describe('loadConfig', () => {
@@ -197,6 +364,49 @@ describe('Configuration Module', () => {
       expect(result).toContain('--metadata=lang:en');
     });
     
+    it('should look up templates, stylesheets and the cover in the project root', () => {
+      mockFs({
+        '/project/templates/html/custom.html': 'template',
+        '/project/templates/html/style.css': 'css',
+        '/project/book/images/cover.png': 'image'
+      });
+      const config = {
+        title: 'Test Book',
+        author: 'Test Author',
+        formatSettings: {
+          html: { template: 'templates/html/custom.html', css: 'templates/html/style.css' },
+          epub: { coverImage: 'book/images/cover.png' }
+        }
+      };
+      
+      expect(getPandocArgs(config, 'html', 'en', '/project')).toEqual(expect.arrayContaining([
+        '--template=templates/html/custom.html',
+        '--css=templates/html/style.css'
+      ]));
+      expect(getPandocArgs(config, 'epub', 'en', '/project')).toContain('--epub-cover-image=book/images/cover.png');
+      expect(getPandocArgs(config, 'html', 'en', '/elsewhere').some(arg => arg.startsWith('--css='))).toBe(false);
+    });
+    
+    it('should add template variables with format-specific overrides', () => {
+      const config = {
+        title: 'Test Book',
+        author: 'Test Author',
+        variables: { watermark: 'DRAFT', todos: true, hidden: false },
+        formatSettings: {
+          html: { variables: { watermark: 'PREVIEW' } }
+        }
+      };
+      
+      const pdfArgs = getPandocArgs(config, 'pdf', 'en');
+      const htmlArgs = getPandocArgs(config, 'html', 'en');
+      
+      expect(pdfArgs.filter(arg => arg.startsWith('--variable=watermark:'))).toHaveLength(1);
+      expect(pdfArgs.find(arg => arg.startsWith('--variable=watermark:'))).toContain('DRAFT');
+      expect(pdfArgs.find(arg => arg.startsWith('--variable=todos:'))).toBeDefined();
+      expect(pdfArgs.find(arg => arg.startsWith('--variable=hidden:'))).toBeUndefined();
+      expect(htmlArgs.find(arg => arg.startsWith('--variable=watermark:'))).toContain('PREVIEW');
+    });
+    
     it('should add PDF-specific arguments', () => {
       const config = {
         title: 'Test Book',
@@ -223,6 +433,88 @@ describe('Configuration Module', () => {
       expect(result).toContain('--variable=fontsize:12pt');
       expect(result).toContain('--variable=margin-top:2in');
       expect(result).toContain('--template=templates/pdf/custom.latex');
+      expect(result).toContain('--variable=geometry:top=2in');
+    });
+    
+    it('should lay out the print edition from the trim size', () => {
+      const config = {
+        title: 'Test Book',
+        formatSettings: {
+          pdf: { paperSize: 'letter', trimSize: '6x9', bleed: '3mm', marginInner: '1in', chaptersOnRecto: true }
+        }
+      };
+      
+      const result = getPandocArgs(config, 'pdf', 'en');
+      
+      expect(result).toEqual(expect.arrayContaining([
+        '--variable=geometry:paperwidth=6.2362in',
+        '--variable=geometry:layoutwidth=6in',
+        '--variable=geometry:inner=1in',
+        '--variable=classoption:twoside',
+        '--variable=recto:true'
+      ]));
+      expect(result.join(' ')).not.toContain('papersize');
+    });
+    
+    it('should pass the font only to engines that use system fonts', () => {
+      const config = {
+        title: 'Test Book',
+        formatSettings: { pdf: { engine: 'lualatex', mainFont: 'Noto Serif' } }
+      };
+      
+      expect(getPandocArgs(config, 'pdf', 'en')).toEqual(expect.arrayContaining([
+        '--variable=mainfont:Noto Serif',
+        '--pdf-engine=lualatex'
+      ]));
+      
+      config.formatSettings.pdf.engine = 'pdflatex';
+      expect(getPandocArgs(config, 'pdf', 'en').join(' ')).not.toContain('mainfont');
+    });
+    
+    it('should set the role fonts for Unicode engines', () => {
+      const config = {
+        title: 'Test Book',
+        fonts: [
+          { family: 'Noto Serif', role: 'body' },
+          { family: 'Fira Code', role: 'code', files: { regular: 'fonts/FiraCode.otf' } }
+        ],
+        formatSettings: { pdf: { engine: 'xelatex' } }
+      };
+      
+      expect(getPandocArgs(config, 'pdf', 'en')).toEqual(expect.arrayContaining([
+        '--variable=mainfont:Noto Serif',
+        '--variable=monofont:FiraCode.otf',
+        `--variable=monofontoptions:Path=${path.resolve('fonts').split(path.sep).join('/')}/`
+      ]));
+      
+      config.formatSettings.pdf.mainFont = 'Libertinus Serif';
+      expect(getPandocArgs(config, 'pdf', 'en').filter(arg => arg.startsWith('--variable=mainfont'))).toEqual(['--variable=mainfont:Libertinus Serif']);
+    });
+    
+    it('should style HTML engines with CSS instead of the LaTeX template', () => {
+      const config = {
+        title: 'Test Book',
+        formatSettings: {
+          pdf: { engine: 'weasyprint', template: 'templates/pdf/custom.latex', marginTop: '2cm' },
+          html: { css: 'templates/html/style.css' }
+        }
+      };
+      
+      mockFs({
+        'templates/pdf/custom.latex': 'template content',
+        'templates/pdf/print.css': 'css content',
+        'templates/html/style.css': 'css content'
+      });
+      
+      const result = getPandocArgs(config, 'pdf', 'en');
+      
+      expect(result).toContain('--css=templates/html/style.css');
+      expect(result).toContain('--variable=margin-top:2cm');
+      expect(result).toContain('--pdf-engine=weasyprint');
+      expect(result.join(' ')).not.toMatch(/--template|geometry/);
+      
+      config.formatSettings.pdf.css = 'templates/pdf/print.css';
+      expect(getPandocArgs(config, 'pdf', 'en')).toContain('--css=templates/pdf/print.css');
     });
     
     it('should add EPUB-specific arguments', () => {
@@ -239,20 +531,43 @@ describe('Configuration Module', () => {
       // Mock cover image and CSS file
       mockFs({
         'book/images/cover.png': 'image content',
-        'templates/epub/custom.css': 'css content'
+        'templates/epub/custom.css': 'css content',
+        'templates/epub/custom.epub3': 'template content'
       });
       
       config.formatSettings.epub.coverImage = 'book/images/cover.png';
       config.formatSettings.epub.css = 'templates/epub/custom.css';
+      config.formatSettings.epub.template = 'templates/epub/custom.epub3';
       
       const result = getPandocArgs(config, 'epub', 'en');
       
       expect(result).toContain('--epub-cover-image=book/images/cover.png');
       expect(result).toContain('--css=templates/epub/custom.css');
+      expect(result).toContain('--template=templates/epub/custom.epub3');
       expect(result).toContain('--toc-depth=3');
       expect(result).toContain('--toc');
     });
     
+    it('should pass accessibility metadata to EPUB builds', () => {
+      const config = {
+        title: 'Test Book',
+        author: 'Test Author',
+        accessibility: {
+          accessMode: ['textual', 'visual'],
+          accessibilitySummary: 'Fully described images.',
+          conformsTo: 'EPUB Accessibility 1.1 - WCAG 2.1 Level AA'
+        }
+      };
+      
+      const result = getPandocArgs(config, 'epub', 'en');
+      
+      expect(result).toContain('--metadata=accessModes:textual');
+      expect(result).toContain('--metadata=accessModes:visual');
+      expect(result).toContain('--metadata=accessibilitySummary:Fully described images.');
+      expect(result.join(' ')).not.toContain('conformsTo');
+      expect(getPandocArgs(config, 'html', 'en').join(' ')).not.toContain('accessModes');
+    });
+    
     it('should add HTML-specific arguments', () => {
       const config = {
         title: 'Test Book',
@@ -286,4 +601,46 @@ describe('Configuration Module', () => {
       expect(result).toContain('--self-contained');
     });
   });
+  
+  describe('getPandocPipeline', () => {
+    it('should put global settings before format-specific ones', () => {
+      const config = {
+        filters: 'pandoc-crossref',
+        luaFilters: ['filters/global.lua'],
+        inputExtensions: ['smart', '-auto_identifiers'],
+        extraArgs: ['--shift-heading-level-by=-1'],
+        formatSettings: {
+          pdf: {
+            luaFilters: ['filters/pdf.lua'],
+            inputExtensions: ['+raw_tex'],
+            extraArgs: ['--top-level-division=chapter']
+          }
+        }
+      };
+      
+      expect(getPandocPipeline(config, 'pdf')).toEqual({
+        filters: ['pandoc-crossref'],
+        luaFilters: ['filters/global.lua', 'filters/pdf.lua'],
+        inputExtensions: ['+smart', '-auto_identifiers', '+raw_tex'],
+        extraArgs: ['--shift-heading-level-by=-1', '--top-level-division=chapter']
+      });
+      expect(getPandocPipeline(config, 'html').luaFilters).toEqual(['filters/global.lua']);
+    });
+    
+    it('should read per-format settings from legacy sections', () => {
+      const config = convertLegacyConfig({
+        title: 'Test Book',
+        file_prefix: 'test',
+        lua_filters: ['filters/global.lua'],
+        pdf: { lua_filters: ['filters/pdf.lua'], extra_args: ['--listings'] }
+      });
+      
+      expect(getPandocPipeline(config, 'pdf')).toEqual({
+        filters: [],
+        luaFilters: ['filters/global.lua', 'filters/pdf.lua'],
+        inputExtensions: [],
+        extraArgs: ['--listings']
+      });
+    });
+  });
 });
@@ -0,0 +1,199 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Module to test
+const { sniffImageType, checkEpub } = require('../src/epub-check');
+const { validateOutput } = require('../src/validate');
+const { createZip } = require('../src/zip');
+
+const PNG = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+const JPEG = Buffer.from('ffd8ffe000104a464946', 'hex');
+
+const CONTAINER = `<?xml version="1.0"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles><rootfile full-path="EPUB/content.opf" media-type="application/oebps-package+xml"/></rootfiles>
+</container>`;
+
+const OPF = `<?xml version="1.0" encoding="UTF-8"?>
+<package version="3.0" xmlns="http://www.idpf.org/2007/opf" unique-identifier="epub-id-1">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="epub-id-1">urn:uuid:1234</dc:identifier>
+    <dc:title id="epub-title-1">My Book</dc:title>
+    <dc:language>en</dc:language>
+    <meta property="dcterms:modified">2024-01-02T03:04:05Z</meta>
+    <meta property="schema:accessMode">textual</meta>
+    <meta property="schema:accessibilityFeature">structuralNavigation</meta>
+    <meta property="schema:accessibilityHazard">none</meta>
+    <meta property="schema:accessibilitySummary">No known barriers.</meta>
+  </metadata>
+  <manifest>
+    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+    <item id="ch001" href="text/ch001.xhtml" media-type="application/xhtml+xml"/>
+    <item id="cover" href="media/cover.png" media-type="image/png"/>
+  </manifest>
+  <spine>
+    <itemref idref="ch001"/>
+  </spine>
+</package>`;
+
+const NAV = '<html xmlns:epub="http://www.idpf.org/2007/ops"><body><nav epub:type="toc" id="toc"><ol><li><a href="text/ch001.xhtml">One</a></li></ol></nav></body></html>';
+const CHAPTER = '<html><body><h1>One</h1><img src="../media/cover.png" alt=""/><a href="#top">Top</a><a href="https://example.com">Site</a></body></html>';
+
+/**
+ * Files of a valid EPUB, as [name, content, stored] entries
+ */
+function validEntries() {
+  return [
+    ['mimetype', 'application/epub+zip', true],
+    ['META-INF/container.xml', CONTAINER],
+    ['EPUB/content.opf', OPF],
+    ['EPUB/nav.xhtml', NAV],
+    ['EPUB/text/ch001.xhtml', CHAPTER],
+    ['EPUB/media/cover.png', PNG]
+  ];
+}
+
+describe('EPUB Check Module', () => {
+  let dir;
+  
+  const writeEpub = (entries, name = 'book.epub') => {
+    const epubPath = path.join(dir, name);
+    fs.mkdirSync(path.dirname(epubPath), { recursive: true });
+    fs.writeFileSync(epubPath, createZip(entries.map(([name, data, store]) => ({ name, data, store }))));
+    return epubPath;
+  };
+  
+  const replace = (entries, name, content) => entries.map(entry => (entry[0] === name ? [name, content, entry[2]] : entry));
+  const messages = result => result.issues.map(issue => `${issue.type}: ${issue.message}`);
+  
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'book-epub-check-'));
+  });
+  
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  
+  describe('sniffImageType', () => {
+    it('should recognize images from their signature', () => {
+      expect(sniffImageType(PNG)).toBe('image/png');
+      expect(sniffImageType(JPEG)).toBe('image/jpeg');
+      expect(sniffImageType(Buffer.from('<?xml version="1.0"?>\n<svg xmlns="http://www.w3.org/2000/svg"/>'))).toBe('image/svg+xml');
+      expect(sniffImageType(Buffer.from('text'))).toBeNull();
+    });
+  });
+  
+  describe('checkEpub', () => {
+    it('should accept a well-formed EPUB', () => {
+      const result = checkEpub(writeEpub(validEntries()));
+      
+      expect(messages(result)).toEqual([]);
+      expect(result).toEqual(expect.objectContaining({ success: true, valid: true, version: '3.0' }));
+    });
+    
+    it('should check the mimetype entry', () => {
+      const entries = validEntries();
+      const result = checkEpub(writeEpub([entries[1], ['mimetype', 'application/zip'], ...entries.slice(2)]));
+      
+      expect(messages(result)).toEqual([
+        'error: The mimetype file must be the first entry in the archive',
+        'error: The mimetype file must be stored without compression',
+        'error: The mimetype file must contain "application/epub+zip", found "application/zip"'
+      ]);
+      expect(result.valid).toBe(false);
+    });
+    
+    it('should report a missing container', () => {
+      const result = checkEpub(writeEpub(validEntries().filter(entry => entry[0] !== 'META-INF/container.xml')));
+      
+      expect(messages(result)).toEqual(['error: Missing META-INF/container.xml']);
+    });
+    
+    it('should check manifest, spine and resources', () => {
+      const opf = OPF
+        .replace('<itemref idref="ch001"/>', '<itemref idref="ch001"/><itemref idref="ch002"/><itemref idref="cover"/>')
+        .replace('</manifest>', '<item id="missing" href="text/missing.xhtml" media-type="application/xhtml+xml"/></manifest>');
+      const chapter = CHAPTER.replace('</body>', '<img src="../media/figure.png"/><link href="../styles/extra.css"/></body>');
+      const entries = replace(replace(validEntries(), 'EPUB/content.opf', opf), 'EPUB/text/ch001.xhtml', chapter);
+      const result = checkEpub(writeEpub([...entries, ['EPUB/styles/extra.css', 'p {}']]));
+      
+      expect(messages(result)).toEqual([
+        'error: Manifest item not found in archive: EPUB/text/missing.xhtml',
+        'warning: File not listed in the manifest: EPUB/styles/extra.css',
+        'error: Spine references unknown manifest id: ch002',
+        'error: Spine item is not a content document: EPUB/media/cover.png (image/png)',
+        'warning: EPUB/text/ch001.xhtml references a file not listed in the manifest: EPUB/styles/extra.css',
+        'error: EPUB/text/ch001.xhtml references a missing resource: EPUB/media/figure.png'
+      ]);
+    });
+    
+    it('should require the navigation document', () => {
+      const opf = OPF.replace(' properties="nav"', '');
+      const result = checkEpub(writeEpub(replace(validEntries(), 'EPUB/content.opf', opf)));
+      
+      expect(messages(result)).toEqual(['error: Missing navigation document (manifest item with properties="nav")']);
+    });
+    
+    it('should compare image media types with the image data', () => {
+      const result = checkEpub(writeEpub(replace(validEntries(), 'EPUB/media/cover.png', JPEG)));
+      
+      expect(messages(result)).toEqual(['error: Image declared as image/png but contains image/jpeg: EPUB/media/cover.png']);
+    });
+    
+    it('should require identifier, title, language and modified date', () => {
+      const opf = OPF
+        .replace(/<dc:title[^]*?<\/dc:language>/, '')
+        .replace('unique-identifier="epub-id-1"', 'unique-identifier="other"')
+        .replace('2024-01-02T03:04:05Z', '2024-01-02');
+      const result = checkEpub(writeEpub(replace(validEntries(), 'EPUB/content.opf', opf)));
+      
+      expect(messages(result)).toEqual([
+        'error: The package unique-identifier does not match any dc:identifier',
+        'error: Missing dc:title metadata',
+        'error: Missing dc:language metadata',
+        'error: dcterms:modified must use the form CCYY-MM-DDThh:mm:ssZ, found "2024-01-02"'
+      ]);
+    });
+    
+    it('should warn about missing accessibility metadata', () => {
+      const opf = OPF.replace(/\s*<meta property="schema:accessibility(Hazard|Summary)">.*<\/meta>/g, '');
+      const result = checkEpub(writeEpub(replace(validEntries(), 'EPUB/content.opf', opf)));
+      
+      expect(messages(result)).toEqual(['warning: Missing accessibility metadata: schema:accessibilityHazard, schema:accessibilitySummary']);
+      expect(result.valid).toBe(true);
+    });
+    
+    it('should report files that are not EPUB archives', () => {
+      const epubPath = path.join(dir, 'broken.epub');
+      fs.writeFileSync(epubPath, 'built');
+      
+      expect(checkEpub(epubPath)).toEqual(expect.objectContaining({
+        success: false,
+        valid: false,
+        issues: [{ type: 'error', message: 'Cannot read EPUB archive: Not a ZIP archive' }]
+      }));
+    });
+  });
+  
+  describe('validateOutput', () => {
+    it('should check the EPUB of every language', async () => {
+      fs.writeFileSync(path.join(dir, 'book.yaml'), 'title: Book\nfilePrefix: my-book\nlanguages:\n  - en\n  - es\n');
+      writeEpub(validEntries(), 'build/en/my-book.epub');
+      
+      const result = await validateOutput({ configPath: path.join(dir, 'book.yaml'), output: 'epub' });
+      
+      expect(result.valid).toBe(false);
+      expect(result.files).toEqual({ 'build/en/my-book.epub': true, 'build/es/my-book.epub': false });
+      expect(result.issues).toEqual([
+        { type: 'error', message: 'EPUB not found: build/es/my-book.epub (run "book build --epub" first)' }
+      ]);
+    });
+    
+    it('should reject other formats', async () => {
+      const result = await validateOutput({ configPath: path.join(dir, 'book.yaml'), output: 'pdf' });
+      
+      expect(result.issues[0].message).toBe('Unsupported output format for validation: pdf (supported: epub)');
+    });
+  });
+});
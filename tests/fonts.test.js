@@ -0,0 +1,159 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+// Module to test
+const {
+  normalizeFonts,
+  getFontFiles,
+  getPdfFontVariables,
+  renderFontCss
+} = require('../src/fonts');
+const { createPandocCommand, writeBuildStylesheets } = require('../src/utils');
+const { validateConfig } = require('../src/validate');
+
+describe('Fonts Module', () => {
+  const fonts = normalizeFonts([
+    {
+      family: 'Source Serif',
+      role: 'body',
+      files: {
+        regular: 'fonts/serif/SourceSerif-Regular.otf',
+        bold: 'fonts/serif/SourceSerif-Bold.otf',
+        'bold-italic': 'fonts/serif/SourceSerif-BoldItalic.otf'
+      }
+    },
+    {
+      family: 'Fira Code',
+      role: 'code',
+      files: [{ path: 'fonts/FiraCode.woff2', weight: 'bold' }]
+    },
+    { family: 'Inter', role: 'heading' }
+  ]);
+  
+  describe('normalizeFonts', () => {
+    it('should read variant maps and file lists', () => {
+      expect(fonts[0].files).toEqual([
+        { path: 'fonts/serif/SourceSerif-Regular.otf', weight: 400, style: 'normal' },
+        { path: 'fonts/serif/SourceSerif-Bold.otf', weight: 700, style: 'normal' },
+        { path: 'fonts/serif/SourceSerif-BoldItalic.otf', weight: 700, style: 'italic' }
+      ]);
+      expect(fonts[1].files).toEqual([{ path: 'fonts/FiraCode.woff2', weight: 700, style: 'normal' }]);
+      expect(fonts[2]).toEqual({ family: 'Inter', role: 'heading', files: [] });
+      expect(normalizeFonts(fonts)).toEqual(fonts);
+      expect(normalizeFonts(undefined)).toEqual([]);
+    });
+  });
+  
+  describe('getPdfFontVariables', () => {
+    it('should load font files from their directory and installed fonts by family', () => {
+      const directory = path.resolve('fonts/serif').split(path.sep).join('/');
+      
+      expect(getPdfFontVariables(fonts)).toEqual([
+        ['mainfont', 'SourceSerif-Regular.otf'],
+        ['mainfontoptions', `Path=${directory}/`],
+        ['mainfontoptions', 'BoldFont=SourceSerif-Bold.otf'],
+        ['mainfontoptions', 'BoldItalicFont=SourceSerif-BoldItalic.otf'],
+        ['sansfont', 'Inter'],
+        ['monofont', 'FiraCode.woff2'],
+        ['monofontoptions', `Path=${path.resolve('fonts').split(path.sep).join('/')}/`]
+      ]);
+      
+      const projectRoot = path.resolve('/work/book');
+      expect(getPdfFontVariables(fonts, projectRoot)[1]).toEqual(['mainfontoptions', `Path=${path.join(projectRoot, 'fonts/serif').split(path.sep).join('/')}/`]);
+    });
+  });
+  
+  describe('renderFontCss', () => {
+    it('should declare every file and style each role', () => {
+      const css = renderFontCss(fonts, file => `../fonts/${path.basename(file)}`);
+      
+      expect(css).toContain([
+        '@font-face {',
+        '  font-family: "Source Serif";',
+        '  src: url("../fonts/SourceSerif-BoldItalic.otf") format("opentype");',
+        '  font-weight: 700;',
+        '  font-style: italic;',
+        '}'
+      ].join('\n'));
+      expect(css).toContain('src: url("../fonts/FiraCode.woff2") format("woff2");');
+      expect(css).toContain('body {\n  font-family: "Source Serif";\n}');
+      expect(css).toContain('h1, h2, h3, h4, h5, h6 {\n  font-family: "Inter";\n}');
+      expect(css).toContain('code, pre, kbd, samp {\n  font-family: "Fira Code", monospace;\n}');
+      expect(css.match(/@font-face/g)).toHaveLength(4);
+      expect(renderFontCss([], file => file)).toBe('');
+    });
+  });
+  
+  describe('builds and validation', () => {
+    let dir;
+    
+    const write = (file, content) => {
+      const filePath = path.join(dir, file);
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, content);
+      return filePath;
+    };
+    
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'book-fonts-'));
+    });
+    
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+    
+    it('should embed the fonts in EPUB with a stylesheet pointing into the package', () => {
+      const config = { title: 'Book', fonts: [{ family: 'Serif', role: 'body', files: { regular: 'fonts/Serif.ttf' } }] };
+      const outputPath = path.join(dir, 'build/en/book.epub');
+      
+      const stylesheets = writeBuildStylesheets(config, 'epub', 'en', dir);
+      const { args } = createPandocCommand(config, 'book.md', outputPath, 'epub', 'en', '', { stylesheets });
+      const cssPath = path.join(dir, 'build/.cache/stylesheets/en/fonts-epub.css');
+      
+      expect(stylesheets).toEqual([cssPath]);
+      expect(args).toContain('--epub-embed-font=fonts/Serif.ttf');
+      expect(args).toContain(`--css=${cssPath}`);
+      expect(fs.readFileSync(cssPath, 'utf-8')).toContain('src: url("../fonts/Serif.ttf") format("truetype");');
+      expect(fs.readdirSync(path.join(dir, 'build/en'))).toEqual(['media']);
+      
+      // Font paths are relative to the project, not to the working directory
+      const [htmlCss] = writeBuildStylesheets(config, 'html', 'en', dir);
+      expect(fs.readFileSync(htmlCss, 'utf-8')).toContain('src: url("../../../../fonts/Serif.ttf") format("truetype");');
+      
+      const [pdfCss] = writeBuildStylesheets({ ...config, formatSettings: { pdf: { engine: 'weasyprint' } } }, 'pdf', 'en', dir);
+      expect(fs.readFileSync(pdfCss, 'utf-8')).toContain(`src: url("${pathToFileURL(path.join(dir, 'fonts/Serif.ttf')).href}")`);
+      expect(getFontFiles(normalizeFonts(config.fonts))).toEqual(['fonts/Serif.ttf']);
+    });
+    
+    it('should check that font files exist and are fonts', async () => {
+      write('fonts/Good.otf', Buffer.concat([Buffer.from('OTTO'), Buffer.alloc(12)]));
+      write('fonts/Fake.ttf', 'not a font');
+      write('fonts/Good.svg', Buffer.from([0, 1, 0, 0, 0, 0]));
+      write('book.yaml', [
+        'title: Book',
+        'formats: { pdf: true }',
+        'fonts:',
+        '  - family: Good',
+        '    role: body',
+        '    files: { regular: fonts/Good.otf, italic: fonts/Good.svg, bold: fonts/Missing.otf }',
+        '  - family: Fake',
+        '    role: caption',
+        '    files: [fonts/Fake.ttf]'
+      ].join('\n'));
+      
+      const result = await validateConfig({ configPath: path.join(dir, 'book.yaml') });
+      const fontIssues = result.issues.filter(issue => /font/i.test(issue.message));
+      
+      expect(fontIssues).toEqual([
+        { type: 'warning', message: 'Unsupported font file type: fonts/Good.svg (use .otf, .ttf, .woff, .woff2)' },
+        { type: 'error', message: 'Font file not found: fonts/Missing.otf (Good)' },
+        { type: 'error', message: 'Unknown font role for Fake: caption (use body, heading, code)' },
+        { type: 'error', message: 'Not a font file: fonts/Fake.ttf (Fake)' },
+        { type: 'warning', message: 'Fonts are not used by the pdflatex PDF engine; use xelatex, lualatex or tectonic' }
+      ]);
+      expect(result.valid).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,80 @@
+// Module to test
+const {
+  parseFrontMatter,
+  isDraft,
+  matchesFormat,
+  getChapterMetadata
+} = require('../src/frontmatter');
+
+describe('Front Matter Module', () => {
+  describe('parseFrontMatter', () => {
+    it('should split front matter from the body', () => {
+      const result = parseFrontMatter('---\ndraft: true\nstatus: review\n---\n# Title\n\nText');
+      
+      expect(result.hasFrontMatter).toBe(true);
+      expect(result.data).toEqual({ draft: true, status: 'review' });
+      expect(result.body).toBe('# Title\n\nText');
+    });
+    
+    it('should leave content without front matter untouched', () => {
+      const result = parseFrontMatter('# Title\n\n---\n\nText');
+      
+      expect(result.hasFrontMatter).toBe(false);
+      expect(result.data).toEqual({});
+      expect(result.body).toBe('# Title\n\n---\n\nText');
+    });
+    
+    it('should accept a YAML document end marker', () => {
+      const result = parseFrontMatter('---\nauthor: Jane\n...\nBody');
+      
+      expect(result.data).toEqual({ author: 'Jane' });
+      expect(result.body).toBe('Body');
+    });
+    
+    it('should report invalid YAML with the file name', () => {
+      expect(() => parseFrontMatter('---\nformats: [html\n---\nBody', 'chapter.md'))
+        .toThrow('Invalid front matter in chapter.md');
+    });
+  });
+  
+  describe('isDraft', () => {
+    it('should detect drafts', () => {
+      expect(isDraft({ draft: true })).toBe(true);
+      expect(isDraft({ draft: false })).toBe(false);
+      expect(isDraft({})).toBe(false);
+    });
+  });
+  
+  describe('matchesFormat', () => {
+    it('should include unrestricted chapters in every format', () => {
+      expect(matchesFormat({}, 'pdf')).toBe(true);
+    });
+    
+    it('should honor format lists', () => {
+      expect(matchesFormat({ formats: ['html'] }, 'html')).toBe(true);
+      expect(matchesFormat({ formats: ['html'] }, 'pdf')).toBe(false);
+      expect(matchesFormat({ formats: 'pdf, EPUB' }, 'epub')).toBe(true);
+    });
+    
+    it('should include restricted chapters when no format is given', () => {
+      expect(matchesFormat({ formats: ['html'] })).toBe(true);
+    });
+  });
+  
+  describe('getChapterMetadata', () => {
+    it('should report front matter with the title and relative file', () => {
+      const metadata = getChapterMetadata({
+        path: '/project/book/en/chapter-01/01-intro.md',
+        data: { status: 'review', draft: true },
+        body: '# Introduction\n\nText'
+      }, '/project/book/en');
+      
+      expect(metadata).toEqual({
+        file: 'chapter-01/01-intro.md',
+        title: 'Introduction',
+        status: 'review',
+        draft: true
+      });
+    });
+  });
+});
@@ -0,0 +1,184 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../src/process', () => ({
+  ...jest.requireActual('../src/process'),
+  runProcess: jest.fn()
+}));
+
+const { runProcess } = require('../src/process');
+
+// Module to test
+const { generateFormat } = require('../src/index');
+
+describe('generateFormat', () => {
+  let projectRoot;
+  
+  const write = (file, content) => {
+    const filePath = path.join(projectRoot, file);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+  };
+  
+  beforeEach(() => {
+    projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'book-generate-'));
+    write('book.yaml', 'title: Test Book\nfilePrefix: test-book\n');
+    write('book/en/chapter-01/01-intro.md', '# Intro\n\nHello.\n');
+    write('book/en/chapter-02/01-draft.md', '---\ndraft: true\n---\n# Draft\n\n!include(/snippet.txt)\n');
+    write('snippet.txt', 'Included text');
+    
+    // Fake pandoc: write a minimal document to the output path
+    runProcess.mockReset();
+    runProcess.mockImplementation(async (command, args) => {
+      const output = args[args.indexOf('-o') + 1];
+      fs.mkdirSync(path.dirname(output), { recursive: true });
+      fs.writeFileSync(output, '<html><head></head><body><h1 id="intro">Intro</h1></body></html>');
+      return { success: true, stdout: '', stderr: '' };
+    });
+  });
+  
+  afterEach(() => {
+    fs.rmSync(projectRoot, { recursive: true, force: true });
+  });
+  
+  const lastArgs = () => runProcess.mock.calls[runProcess.mock.calls.length - 1][1];
+  
+  it('should render a single chapter without its front matter', async () => {
+    const result = await generateFormat({
+      format: 'docx',
+      projectPath: projectRoot,
+      input: path.join(projectRoot, 'book/en/chapter-02/01-draft.md')
+    });
+    
+    expect(result.success).toBe(true);
+    expect(result.output).toBe(path.join(projectRoot, 'build/en/01-draft.docx'));
+    
+    const content = fs.readFileSync(result.input, 'utf-8');
+    expect(content).not.toContain('draft: true');
+    expect(content).toContain('Included text');
+    
+    expect(runProcess).toHaveBeenCalledTimes(1);
+    expect(runProcess.mock.calls[0][0]).toBe('pandoc');
+    expect(lastArgs()).toEqual(expect.arrayContaining([result.input, '-o', result.output, '-t', 'docx']));
+  });
+  
+  it('should combine every chapter of a directory', async () => {
+    const result = await generateFormat({
+      format: 'html',
+      projectPath: projectRoot,
+      input: path.join(projectRoot, 'book/en'),
+      output: path.join(projectRoot, 'out/review.html')
+    });
+    
+    expect(result.success).toBe(true);
+    expect(result.output).toBe(path.join(projectRoot, 'out/review.html'));
+    
+    const content = fs.readFileSync(result.input, 'utf-8');
+    expect(content.indexOf('# Intro')).toBeLessThan(content.indexOf('# Draft'));
+  });
+  
+  it('should combine the whole book when no input is given', async () => {
+    const result = await generateFormat({ format: 'pdf', projectPath: projectRoot });
+    
+    expect(result.success).toBe(true);
+    expect(result.output).toBe(path.join(projectRoot, 'build/en/test-book.pdf'));
+    
+    const content = fs.readFileSync(result.input, 'utf-8');
+    expect(content).toContain('# Intro');
+    expect(content).not.toContain('# Draft');
+  });
+  
+  it('should apply a one-off template', async () => {
+    write('custom.latex', '$body$');
+    
+    const result = await generateFormat({
+      format: 'pdf',
+      projectPath: projectRoot,
+      template: path.join(projectRoot, 'custom.latex')
+    });
+    
+    expect(result.success).toBe(true);
+    expect(lastArgs()).toContain(`--template=${path.join(projectRoot, 'custom.latex')}`);
+  });
+  
+  it('should use the reference document option for DOCX templates', async () => {
+    write('reference.docx', 'docx');
+    
+    await generateFormat({
+      format: 'docx',
+      projectPath: projectRoot,
+      template: path.join(projectRoot, 'reference.docx')
+    });
+    
+    expect(lastArgs()).toContain(`--reference-doc=${path.join(projectRoot, 'reference.docx')}`);
+  });
+  
+  it('should load an alternate config file', async () => {
+    write('review.yaml', 'title: Review Copy\nfilePrefix: review-copy\n');
+    
+    const result = await generateFormat({
+      format: 'html',
+      projectPath: projectRoot,
+      configPath: path.join(projectRoot, 'review.yaml')
+    });
+    
+    expect(result.success).toBe(true);
+    expect(result.output).toBe(path.join(projectRoot, 'build/en/review-copy.html'));
+    expect(lastArgs()).toContain('--metadata=title:Review Copy');
+  });
+  
+  it('should return the spine width of print PDFs and only warn when it cannot be worked out', async () => {
+    runProcess.mockImplementation(async (command, args) => {
+      fs.writeFileSync(args[args.indexOf('-o') + 1], '%PDF-1.5\n<< /Type /Pages >>\n<< /Type /Page >>\n<< /Type /Page >>\n');
+      return { success: true, stdout: '', stderr: '' };
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    write('book.yaml', 'title: Test Book\nfilePrefix: test-book\nformatSettings:\n  pdf:\n    trimSize: 6x9\n    paperThickness: 0.01in\n');
+    
+    try {
+      const result = await generateFormat({ format: 'pdf', projectPath: projectRoot });
+      
+      expect(result.success).toBe(true);
+      expect(result.spine).toEqual({ pages: 2, width: 0.02, paper: 'custom' });
+      
+      write('book.yaml', 'title: Test Book\nfilePrefix: test-book\nformatSettings:\n  pdf:\n    trimSize: 6x9\n    paperStock: glossy\n');
+      const unknownPaper = await generateFormat({ format: 'pdf', projectPath: projectRoot });
+      
+      expect(unknownPaper.success).toBe(true);
+      expect(unknownPaper.spine).toBeNull();
+      expect(console.warn).toHaveBeenCalledWith(expect.stringMatching(/^Could not work out the spine width: Unknown paper stock: glossy/));
+    } finally {
+      console.log.mockRestore();
+      console.warn.mockRestore();
+    }
+  });
+  
+  it('should report missing inputs, templates and configs', async () => {
+    const missingInput = await generateFormat({ format: 'pdf', projectPath: projectRoot, input: 'nope.md' });
+    const missingTemplate = await generateFormat({ format: 'pdf', projectPath: projectRoot, template: 'nope.latex' });
+    const missingConfig = await generateFormat({ format: 'pdf', projectPath: projectRoot, configPath: 'nope.yaml' });
+    
+    expect(missingInput.error.message).toBe('Input not found: nope.md');
+    expect(missingTemplate.error.message).toBe('Template not found: nope.latex');
+    expect(missingConfig.error.message).toBe('Configuration file not found: nope.yaml');
+    expect(runProcess).not.toHaveBeenCalled();
+  });
+  
+  it('should reject unsupported formats', async () => {
+    const result = await generateFormat({ format: 'rtf', projectPath: projectRoot });
+    
+    expect(result.success).toBe(false);
+    expect(result.error.message).toBe('Unsupported format: rtf');
+  });
+  
+  it('should surface pandoc failures', async () => {
+    runProcess.mockRejectedValue(Object.assign(new Error('Command failed with exit code 1: pandoc'), { stderr: 'boom' }));
+    
+    const result = await generateFormat({ format: 'html', projectPath: projectRoot });
+    
+    expect(result.success).toBe(false);
+    expect(result.error.message).toBe('Error generating HTML: Command failed with exit code 1: pandoc');
+  });
+});
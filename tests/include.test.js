@@ -0,0 +1,91 @@
+const mockFs = require('mock-fs');
+
+// Module to test
+const { resolveIncludes, parseLineRange } = require('../src/include');
+
+describe('Include Module', () => {
+  beforeEach(() => {
+    mockFs({
+      '/project/book/en/chapter-01/01-intro.md': '# Intro',
+      '/project/book/en/chapter-01/sidebar.md': '---\ntitle: Sidebar\n---\n> Sidebar text',
+      '/project/book/en/chapter-01/nested.md': 'Before\n!include(sidebar.md)\nAfter',
+      '/project/book/shared/legal.md': 'All rights reserved.',
+      '/project/book/shared/loop-a.md': '!include(loop-b.md)',
+      '/project/book/shared/loop-b.md': 'Text\n!include(loop-a.md)',
+      '/project/examples/hello.js': 'line 1\nline 2\nline 3\nline 4\n'
+    });
+  });
+  
+  afterEach(() => {
+    mockFs.restore();
+  });
+  
+  const chapter = '/project/book/en/chapter-01/01-intro.md';
+  const options = { projectRoot: '/project' };
+  
+  describe('parseLineRange', () => {
+    it('should parse closed, open and single line ranges', () => {
+      expect(parseLineRange('2-3')).toEqual({ start: 2, end: 3 });
+      expect(parseLineRange('2-')).toEqual({ start: 2, end: Infinity });
+      expect(parseLineRange('4')).toEqual({ start: 4, end: 4 });
+    });
+    
+    it('should reject invalid ranges', () => {
+      expect(parseLineRange('3-2')).toBeNull();
+      expect(parseLineRange('0')).toBeNull();
+      expect(parseLineRange('a-b')).toBeNull();
+    });
+  });
+  
+  describe('resolveIncludes', () => {
+    it('should insert markdown relative to the including file without front matter', () => {
+      const result = resolveIncludes('# Intro\n!include(sidebar.md)', chapter, options);
+      
+      expect(result).toBe('# Intro\n> Sidebar text');
+    });
+    
+    it('should resolve targets starting with / against the project root', () => {
+      const result = resolveIncludes('!include(/book/shared/legal.md)', chapter, options);
+      
+      expect(result).toBe('All rights reserved.');
+    });
+    
+    it('should resolve nested includes', () => {
+      const result = resolveIncludes('!include(nested.md)', chapter, options);
+      
+      expect(result).toBe('Before\n> Sidebar text\nAfter');
+    });
+    
+    it('should wrap code files in a fenced block with a line range', () => {
+      const result = resolveIncludes('!include(/examples/hello.js, lines=2-3)', chapter, options);
+      
+      expect(result).toBe('```javascript\nline 2\nline 3\n```');
+    });
+    
+    it('should insert plain lines inside an existing code block', () => {
+      const result = resolveIncludes('```js\n!include(/examples/hello.js, lines=4)\n```', chapter, options);
+      
+      expect(result).toBe('```js\nline 4\n```');
+    });
+    
+    it('should point at the including file and line when a target is missing', () => {
+      expect(() => resolveIncludes('Text\n\n!include(missing.md)', chapter, { ...options, lineOffset: 3 }))
+        .toThrow('Include target not found: missing.md (included from book/en/chapter-01/01-intro.md:6)');
+    });
+    
+    it('should detect circular includes', () => {
+      expect(() => resolveIncludes('!include(/book/shared/loop-a.md)', chapter, options))
+        .toThrow('Circular include detected');
+    });
+    
+    it('should record included files as dependencies', () => {
+      const dependencies = new Set();
+      resolveIncludes('!include(nested.md)', chapter, { ...options, dependencies });
+      
+      expect([...dependencies]).toEqual([
+        '/project/book/en/chapter-01/nested.md',
+        '/project/book/en/chapter-01/sidebar.md'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,106 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const yaml = require('yaml');
+
+// Module to test
+const { slugify, parseLanguages, initProject } = require('../src/init');
+
+describe('Init Module', () => {
+  let projectPath;
+  
+  beforeEach(() => {
+    projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'book-init-'));
+  });
+  
+  afterEach(() => {
+    fs.rmSync(projectPath, { recursive: true, force: true });
+  });
+  
+  describe('slugify', () => {
+    it('should turn a title into a file prefix', () => {
+      expect(slugify('Café: A Guide!')).toBe('cafe-a-guide');
+      expect(slugify('???')).toBe('book');
+    });
+  });
+  
+  describe('parseLanguages', () => {
+    it('should parse comma separated language codes', () => {
+      expect(parseLanguages('en, es,en')).toEqual(['en', 'es']);
+      expect(parseLanguages('')).toEqual(['en']);
+    });
+  });
+  
+  describe('initProject', () => {
+    it('should scaffold a basic project from the options', async () => {
+      const result = await initProject({ projectPath, name: 'My Book', author: 'Jane Doe', languages: 'en,es' });
+      
+      expect(result.success).toBe(true);
+      
+      const config = yaml.parse(fs.readFileSync(path.join(projectPath, 'book.yaml'), 'utf-8'));
+      expect(config).toMatchObject({ title: 'My Book', author: 'Jane Doe', filePrefix: 'my-book', languages: ['en', 'es'] });
+      
+      for (const file of [
+        '.gitignore',
+        '.github/workflows/book.yml',
+        'templates/pdf/default.latex',
+        'templates/html/style.css',
+        'book/en/chapter-01/01-introduction.md',
+        'book/es/chapter-01/01-introduction.md'
+      ]) {
+        expect(fs.existsSync(path.join(projectPath, file))).toBe(true);
+      }
+    });
+    
+    it('should add an abstract and bibliography to academic projects', async () => {
+      await initProject({ projectPath, template: 'academic', name: 'Thesis', author: 'A. Student' });
+      
+      const config = yaml.parse(fs.readFileSync(path.join(projectPath, 'book.yaml'), 'utf-8'));
+      expect(config.extraArgs).toContain('--citeproc');
+      expect(config.metadata.bibliography).toBe('book/references.bib');
+      expect(fs.existsSync(path.join(projectPath, 'book/references.bib'))).toBe(true);
+      expect(fs.existsSync(path.join(projectPath, 'book/en/frontmatter/01-abstract.md'))).toBe(true);
+      expect(fs.existsSync(path.join(projectPath, 'book/en/backmatter/01-bibliography.md'))).toBe(true);
+    });
+    
+    it('should add code listing styles to technical projects', async () => {
+      await initProject({ projectPath, template: 'technical', name: 'Code', author: 'Dev' });
+      
+      expect(fs.readFileSync(path.join(projectPath, 'templates/html/style.css'), 'utf-8')).toContain('/* Code listings */');
+      expect(fs.readFileSync(path.join(projectPath, 'book/en/chapter-01/02-first-example.md'), 'utf-8'))
+        .toContain('!include(/examples/hello.js)');
+      expect(fs.existsSync(path.join(projectPath, 'examples/hello.js'))).toBe(true);
+    });
+    
+    it('should refuse to overwrite an existing project without force', async () => {
+      fs.writeFileSync(path.join(projectPath, 'book.yaml'), 'title: Existing\n');
+      
+      const result = await initProject({ projectPath, name: 'New' });
+      
+      expect(result.success).toBe(false);
+      expect(result.error.message).toContain('Use --force');
+      expect(fs.readFileSync(path.join(projectPath, 'book.yaml'), 'utf-8')).toBe('title: Existing\n');
+      
+      const forced = await initProject({ projectPath, name: 'New', force: true });
+      
+      expect(forced.success).toBe(true);
+      expect(fs.readFileSync(path.join(projectPath, 'book.yaml'), 'utf-8')).toContain('title: New');
+    });
+    
+    it('should keep unrelated existing files', async () => {
+      fs.writeFileSync(path.join(projectPath, '.gitignore'), 'custom\n');
+      
+      const result = await initProject({ projectPath });
+      
+      expect(result.skipped).toEqual([path.join(projectPath, '.gitignore')]);
+      expect(fs.readFileSync(path.join(projectPath, '.gitignore'), 'utf-8')).toBe('custom\n');
+    });
+    
+    it('should reject unknown templates', async () => {
+      const result = await initProject({ projectPath, template: 'novel' });
+      
+      expect(result.success).toBe(false);
+      expect(result.error.message).toBe('Unknown template: novel (available: basic, academic, technical)');
+    });
+  });
+});
@@ -0,0 +1,95 @@
+const mockFs = require('mock-fs');
+
+// Module to test
+const {
+  resolveMatterFiles,
+  getSectionType,
+  renderMatterSection
+} = require('../src/matter');
+
+describe('Front and Back Matter Module', () => {
+  afterEach(() => {
+    mockFs.restore();
+  });
+  
+  describe('resolveMatterFiles', () => {
+    beforeEach(() => {
+      mockFs({
+        '/project/book/en': {
+          'frontmatter': { '02-copyright.md': 'Copyright', '01-dedication.md': 'For you' },
+          'backmatter': { 'glossary.md': '# Glossary' },
+          'extras': { 'colophon.md': 'Set in Garamond' }
+        }
+      });
+    });
+    
+    it('should use the frontmatter and backmatter directories by default', () => {
+      const result = resolveMatterFiles('/project', 'en', {});
+      
+      expect(result.front).toEqual([
+        '/project/book/en/frontmatter/01-dedication.md',
+        '/project/book/en/frontmatter/02-copyright.md'
+      ]);
+      expect(result.back).toEqual(['/project/book/en/backmatter/glossary.md']);
+    });
+    
+    it('should prefer lists declared in book.yaml', () => {
+      const result = resolveMatterFiles('/project', 'en', {
+        backMatter: ['backmatter/glossary.md', 'extras/colophon.md', 'extras/missing.md']
+      });
+      
+      expect(result.back).toEqual([
+        '/project/book/en/backmatter/glossary.md',
+        '/project/book/en/extras/colophon.md'
+      ]);
+      expect(result.missing).toEqual(['extras/missing.md']);
+    });
+  });
+  
+  describe('getSectionType', () => {
+    it('should infer the type from the file name', () => {
+      expect(getSectionType({ path: '/x/02-copyright.md', data: {}, matter: 'front' })).toBe('copyright-page');
+      expect(getSectionType({ path: '/x/appendix-a.md', data: {}, matter: 'back' })).toBe('backmatter');
+    });
+    
+    it('should prefer the type from front matter', () => {
+      expect(getSectionType({ path: '/x/appendix-a.md', data: { type: 'appendix' }, matter: 'back' })).toBe('appendix');
+    });
+  });
+  
+  describe('renderMatterSection', () => {
+    it('should mark headings as unnumbered with the EPUB type', () => {
+      const chapter = { path: '/x/foreword.md', data: {}, matter: 'front' };
+      const result = renderMatterSection('# Foreword {#fw}\n\n## Thanks\n\n```\n# not a heading\n```', chapter);
+      
+      expect(result).toContain('# Foreword {#fw .unnumbered epub:type=foreword}');
+      expect(result).toContain('## Thanks {.unnumbered}');
+      expect(result).toContain('# not a heading\n');
+      expect(result).toContain('\\clearpage');
+      expect(result).toContain('<w:type w:val="nextPage"/>');
+    });
+    
+    it('should add an unlisted heading to sections without one', () => {
+      const chapter = { path: '/x/dedication.md', data: {}, matter: 'front' };
+      const result = renderMatterSection('For my family.', chapter);
+      
+      expect(result).toContain('# Dedication {.unnumbered .unlisted epub:type=dedication}\n\nFor my family.');
+    });
+    
+    it('should keep hashes that belong to the heading text', () => {
+      const chapter = { path: '/x/preface.md', data: {}, matter: 'front' };
+      const result = renderMatterSection('# Using C#\n\n## Notes ##', chapter);
+      
+      expect(result).toContain('# Using C# {.unnumbered epub:type=preface}');
+      expect(result).toContain('## Notes {.unnumbered}');
+    });
+    
+    it('should keep appendix numbering and switch LaTeX to appendix mode', () => {
+      const chapter = { path: '/x/appendix.md', data: {}, matter: 'back' };
+      const result = renderMatterSection('# Tables', chapter, { firstAppendix: true });
+      
+      expect(result).toContain('# Tables {epub:type=appendix}');
+      expect(result).toContain('\\appendix');
+    });
+  });
+});
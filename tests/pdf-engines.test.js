@@ -0,0 +1,119 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { findExecutable } = require('../src/process');
+
+jest.mock('../src/process', () => ({
+  findExecutable: jest.fn()
+}));
+
+// Module to test
+const {
+  getPdfEngine,
+  getPdfWriter,
+  getPdfEngineOrder,
+  resolvePdfEngine
+} = require('../src/pdf-engines');
+const { validateDependencies } = require('../src/validate');
+
+describe('PDF Engines Module', () => {
+  const install = (...engines) => {
+    findExecutable.mockImplementation(name => (engines.includes(name) ? `/usr/bin/${name}` : null));
+  };
+  
+  beforeEach(() => {
+    findExecutable.mockReset();
+    findExecutable.mockReturnValue(null);
+  });
+  
+  describe('getPdfEngine', () => {
+    it('should describe known engines and default to pdflatex', () => {
+      expect(getPdfEngine()).toEqual({ name: 'pdflatex', type: 'latex', unicode: false, systemFonts: false });
+      expect(getPdfEngine('weasyprint')).toEqual({ name: 'weasyprint', type: 'html', unicode: true, systemFonts: true });
+      expect(getPdfEngine('context')).toBeNull();
+    });
+  });
+  
+  describe('getPdfWriter', () => {
+    it('should print HTML engines from HTML and everything else from LaTeX', () => {
+      expect(getPdfWriter('wkhtmltopdf')).toBe('html');
+      expect(getPdfWriter('xelatex')).toBe('latex');
+      expect(getPdfWriter(undefined)).toBe('latex');
+    });
+  });
+  
+  describe('getPdfEngineOrder', () => {
+    it('should put the preferred engine before the default fallbacks', () => {
+      expect(getPdfEngineOrder({ engine: 'lualatex' })).toEqual(['lualatex', 'xelatex', 'pdflatex', 'tectonic', 'weasyprint', 'wkhtmltopdf']);
+    });
+    
+    it('should use the configured fallbacks and drop unknown engines', () => {
+      expect(getPdfEngineOrder({ engine: 'xelatex', fallbackEngines: ['nope', 'weasyprint', 'xelatex'] })).toEqual(['xelatex', 'weasyprint']);
+      expect(getPdfEngineOrder({ fallbackEngines: [] })).toEqual(['pdflatex']);
+    });
+  });
+  
+  describe('resolvePdfEngine', () => {
+    it('should keep the preferred engine when it is installed', () => {
+      install('xelatex', 'pdflatex');
+      
+      expect(resolvePdfEngine({ engine: 'xelatex' })).toEqual({ engine: 'xelatex', preferred: 'xelatex', installed: true });
+    });
+    
+    it('should fall back to the first installed engine in order', () => {
+      install('wkhtmltopdf', 'tectonic');
+      
+      expect(resolvePdfEngine({ engine: 'xelatex' })).toEqual({ engine: 'tectonic', preferred: 'xelatex', installed: true });
+      expect(resolvePdfEngine({ engine: 'xelatex', fallbackEngines: ['wkhtmltopdf', 'tectonic'] }).engine).toBe('wkhtmltopdf');
+    });
+    
+    it('should keep the preferred engine when none is installed', () => {
+      expect(resolvePdfEngine({ engine: 'lualatex' })).toEqual({ engine: 'lualatex', preferred: 'lualatex', installed: false });
+    });
+  });
+  
+  describe('validateDependencies', () => {
+    let dir;
+    
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'book-pdf-engines-'));
+    });
+    
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+    
+    it('should report the fallback engine and missing Unicode support', async () => {
+      install('pandoc', 'pdflatex', 'wkhtmltopdf');
+      fs.writeFileSync(path.join(dir, 'book.yaml'), [
+        'title: Book',
+        'languages: [en, ru]',
+        'formatSettings:',
+        '  pdf:',
+        '    engine: xelatex',
+        '    fallbackEngines: [pdflatex, wkhtmltopdf]'
+      ].join('\n'));
+      
+      const result = await validateDependencies({ configPath: path.join(dir, 'book.yaml') });
+      
+      expect(result.pdfEngine).toBe('pdflatex');
+      expect(result.pdfEngines.wkhtmltopdf).toEqual({ installed: true, type: 'html', unicode: true, systemFonts: true });
+      expect(result.issues.filter(issue => /PDF/.test(issue.message))).toEqual([
+        { type: 'warning', message: 'PDF engine xelatex is not installed; PDF output will use pdflatex' },
+        { type: 'warning', message: 'PDF engine pdflatex cannot typeset the ru text of this book; use one of: xelatex, lualatex, tectonic, weasyprint, wkhtmltopdf' }
+      ]);
+    });
+    
+    it('should require one of the engines for PDF output', async () => {
+      install('pandoc');
+      
+      const result = await validateDependencies({ configPath: path.join(dir, 'missing.yaml') });
+      
+      expect(result.pdfEngine).toBeNull();
+      expect(result.issues).toContainEqual({
+        type: 'error',
+        message: 'No PDF engine is installed; PDF generation needs one of: pdflatex, xelatex, lualatex, tectonic, weasyprint, wkhtmltopdf'
+      });
+    });
+  });
+});
@@ -0,0 +1,100 @@
+const zlib = require('zlib');
+
+// Module to test
+const {
+  parseLength,
+  getTrimSize,
+  getPrintLayout,
+  countPdfPages,
+  getSpineWidth
+} = require('../src/print');
+
+describe('Print Module', () => {
+  describe('parseLength', () => {
+    it('should convert lengths to inches', () => {
+      expect(parseLength('0.125in')).toBe(0.125);
+      expect(parseLength('25.4mm')).toBeCloseTo(1);
+      expect(parseLength('72bp')).toBe(1);
+      expect(parseLength(6)).toBe(6);
+      expect(() => parseLength('1em')).toThrow('Invalid length: 1em');
+    });
+  });
+  
+  describe('getTrimSize', () => {
+    it('should read presets, custom sizes and dimensions', () => {
+      expect(getTrimSize('6x9')).toEqual({ width: 6, height: 9 });
+      expect(getTrimSize('A5').width).toBeCloseTo(5.8268);
+      expect(getTrimSize('150mmx230mm').height).toBeCloseTo(9.0551);
+      expect(getTrimSize({ width: '5in', height: '7in' })).toEqual({ width: 5, height: 7 });
+      expect(getTrimSize('')).toBeNull();
+      expect(() => getTrimSize('folio')).toThrow('Unknown trim size: "folio"');
+    });
+  });
+  
+  describe('getPrintLayout', () => {
+    it('should keep the page size and one-sided margins without print settings', () => {
+      expect(getPrintLayout({ paperSize: 'letter', marginTop: '1in', marginLeft: '1.25in' })).toEqual({
+        geometry: ['top=1in', 'left=1.25in'],
+        classOptions: [],
+        recto: false,
+        trim: null
+      });
+    });
+    
+    it('should grow the page by the bleed and the crop mark space', () => {
+      const layout = getPrintLayout({ trimSize: '6x9', bleed: '0.125in', cropMarks: true, marginTop: '0.75in' });
+      
+      expect(layout.geometry).toEqual([
+        'paperwidth=6.75in',
+        'paperheight=9.75in',
+        'layoutwidth=6in',
+        'layoutheight=9in',
+        'layouthoffset=0.375in',
+        'layoutvoffset=0.375in',
+        'showcrop',
+        'top=0.75in'
+      ]);
+    });
+    
+    it('should mirror the margins for two-sided layouts', () => {
+      const layout = getPrintLayout({
+        trimSize: '5.5x8.5',
+        marginTop: '0.75in',
+        marginBottom: '0.75in',
+        marginLeft: '0.5in',
+        marginRight: '0.5in',
+        marginInner: '0.875in',
+        chaptersOnRecto: true
+      });
+      
+      expect(layout.geometry).toEqual(['paperwidth=5.5in', 'paperheight=8.5in', 'top=0.75in', 'bottom=0.75in', 'inner=0.875in', 'outer=0.5in']);
+      expect(layout.classOptions).toEqual(['twoside']);
+      expect(layout.recto).toBe(true);
+    });
+  });
+  
+  describe('countPdfPages', () => {
+    it('should count pages in the file and in compressed object streams', () => {
+      const objectStream = zlib.deflateSync('4 0 5 40 <</Type/Page/Parent 2 0 R>> <</Type/Page/Parent 2 0 R>>');
+      const pdf = Buffer.concat([
+        Buffer.from('%PDF-1.5\n1 0 obj\n<< /Type /Catalog /Pages 2 0 R >>\nendobj\n'),
+        Buffer.from('2 0 obj\n<< /Type /Pages /Kids [3 0 R 4 0 R 5 0 R] /Count 3 >>\nendobj\n'),
+        Buffer.from('3 0 obj\n<< /Type /Page /Parent 2 0 R >>\nendobj\n'),
+        Buffer.from(`6 0 obj\n<< /Type /ObjStm /N 2 /First 8 /Length ${objectStream.length} /Filter /FlateDecode >>\nstream\n`),
+        objectStream,
+        Buffer.from('\nendstream\nendobj\n%%EOF\n')
+      ]);
+      
+      expect(countPdfPages(pdf)).toBe(3);
+    });
+  });
+  
+  describe('getSpineWidth', () => {
+    it('should multiply the page count by the paper thickness', () => {
+      expect(getSpineWidth(300, {}).width).toBeCloseTo(0.6756);
+      expect(getSpineWidth(300, { paperStock: 'cream' })).toEqual({ pages: 300, width: 0.75, paper: 'cream' });
+      expect(getSpineWidth(100, { paperThickness: '0.1mm' }).width).toBeCloseTo(0.3937);
+      expect(() => getSpineWidth(100, { paperStock: 'glossy' })).toThrow('Unknown paper stock: glossy');
+    });
+  });
+});
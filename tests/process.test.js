@@ -0,0 +1,62 @@
+// Module to test
+const { runProcess, findExecutable, formatCommand } = require('../src/process');
+
+const node = process.execPath;
+
+describe('Process Module', () => {
+  describe('runProcess', () => {
+    it('should pass arguments verbatim without a shell', async () => {
+      const title = 'My $(touch pwned) `book` "title"';
+      const result = await runProcess(node, ['-e', 'process.stdout.write(process.argv[1])', title]);
+      
+      expect(result.success).toBe(true);
+      expect(result.stdout).toBe(title);
+      expect(result.code).toBe(0);
+      expect(result.duration).toBeGreaterThanOrEqual(0);
+    });
+    
+    it('should write input to stdin', async () => {
+      const result = await runProcess(node, ['-e', 'process.stdin.pipe(process.stdout)'], { input: '# Heading\n' });
+      
+      expect(result.stdout).toBe('# Heading\n');
+    });
+    
+    it('should reject with the exit code and output on failure', async () => {
+      await expect(runProcess(node, ['-e', 'console.error("Error: bad input"); process.exit(3)']))
+        .rejects.toMatchObject({ code: 3, stderr: 'Error: bad input\n', timedOut: false });
+    });
+    
+    it('should reject when the command does not exist', async () => {
+      await expect(runProcess('book-tools-missing-command', [])).rejects.toThrow('Command not found: book-tools-missing-command');
+    });
+    
+    it('should kill commands that exceed the timeout', async () => {
+      await expect(runProcess(node, ['-e', 'setTimeout(() => {}, 10000)'], { timeout: 100 }))
+        .rejects.toMatchObject({ timedOut: true });
+    });
+    
+    it('should cancel commands when the signal is aborted', async () => {
+      const controller = new AbortController();
+      const promise = runProcess(node, ['-e', 'setTimeout(() => {}, 10000)'], { signal: controller.signal });
+      
+      setTimeout(() => controller.abort(), 50);
+      
+      await expect(promise).rejects.toMatchObject({ cancelled: true });
+    });
+  });
+  
+  describe('findExecutable', () => {
+    it('should find executables by path', () => {
+      expect(findExecutable(node)).toBe(node);
+      expect(findExecutable('book-tools-missing-command')).toBeNull();
+    });
+  });
+  
+  describe('formatCommand', () => {
+    it('should quote arguments that are not shell safe', () => {
+      expect(formatCommand('pandoc', ['in.md', '--metadata=title:It\'s $(here)'])).toBe(
+        'pandoc in.md \'--metadata=title:It\'\\\'\'s $(here)\''
+      );
+    });
+  });
+});
@@ -0,0 +1,81 @@
+const { findExecutable } = require('../src/process');
+
+jest.mock('../src/process', () => ({
+  findExecutable: jest.fn()
+}));
+
+// Module to test
+const { stripImages, getRecoveryAttempts } = require('../src/recovery');
+
+describe('Recovery Module', () => {
+  const config = {
+    formatSettings: {
+      pdf: { template: 'templates/pdf/custom.latex', paperSize: 'a5' },
+      epub: { template: 'templates/epub/custom.html', css: 'templates/epub/style.css', coverImage: 'book/images/cover.png' },
+      html: { template: 'templates/html/default.html', css: 'templates/html/style.css' },
+      docx: { referenceDoc: 'templates/docx/reference.docx' }
+    }
+  };
+  
+  beforeEach(() => {
+    findExecutable.mockReset();
+    findExecutable.mockReturnValue(null);
+  });
+  
+  describe('getRecoveryAttempts', () => {
+    it('should degrade HTML cumulatively', () => {
+      const attempts = getRecoveryAttempts(config, 'html');
+      
+      expect(attempts.map(attempt => attempt.name)).toEqual(['no-template', 'no-styles', 'no-images']);
+      expect(attempts[0].config.formatSettings.html).toEqual({ template: '', css: 'templates/html/style.css' });
+      expect(attempts[1].config.formatSettings.html).toEqual({ template: '', css: '' });
+      expect(attempts.map(attempt => attempt.stripImages)).toEqual([false, false, true]);
+    });
+    
+    it('should only use the strategies that apply to a format', () => {
+      expect(getRecoveryAttempts(config, 'epub').map(attempt => attempt.name)).toEqual(['no-template', 'no-styles', 'no-images']);
+      expect(getRecoveryAttempts(config, 'epub')[0].config.formatSettings.epub).toEqual({
+        template: '',
+        css: 'templates/epub/style.css',
+        coverImage: 'book/images/cover.png'
+      });
+      expect(getRecoveryAttempts(config, 'docx').map(attempt => attempt.name)).toEqual(['no-template', 'no-images']);
+      expect(getRecoveryAttempts(config, 'mobi')).toEqual([]);
+    });
+    
+    it('should finish PDF recovery with the other installed engines', () => {
+      findExecutable.mockImplementation(engine => (engine === 'xelatex' || engine === 'pdflatex' ? `/usr/bin/${engine}` : null));
+      
+      const attempts = getRecoveryAttempts(config, 'pdf');
+      const engineAttempt = attempts[attempts.length - 1];
+      
+      expect(attempts.map(attempt => attempt.name)).toEqual(['no-template', 'no-images', 'pdf-engine:xelatex']);
+      expect(engineAttempt.config.formatSettings.pdf).toEqual({ template: '', paperSize: 'a5', engine: 'xelatex' });
+      expect(engineAttempt.stripImages).toBe(true);
+    });
+    
+    it('should follow the configured fallback engines', () => {
+      findExecutable.mockImplementation(engine => (engine === 'xelatex' ? null : `/usr/bin/${engine}`));
+      
+      const attempts = getRecoveryAttempts({
+        formatSettings: { pdf: { engine: 'xelatex', fallbackEngines: ['weasyprint', 'lualatex', 'tectonic'] } }
+      }, 'pdf');
+      
+      expect(attempts.map(attempt => attempt.name)).toEqual(['no-template', 'no-images', 'pdf-engine:lualatex', 'pdf-engine:tectonic']);
+    });
+    
+    it('should not modify the original configuration', () => {
+      getRecoveryAttempts(config, 'html');
+      
+      expect(config.formatSettings.html.template).toBe('templates/html/default.html');
+    });
+  });
+  
+  describe('stripImages', () => {
+    it('should replace images with their alternative text', () => {
+      const markdown = 'Intro ![A diagram](images/a.png){width=50%} and ![Logo][logo].\n\n<img src="b.png" alt="b">';
+      
+      expect(stripImages(markdown)).toBe('Intro A diagram and Logo.\n\n');
+    });
+  });
+});
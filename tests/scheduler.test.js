@@ -0,0 +1,91 @@
+// Module to test
+const { runJobs, resolveConcurrency } = require('../src/scheduler');
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('Scheduler Module', () => {
+  describe('resolveConcurrency', () => {
+    it('should parse numeric values', () => {
+      expect(resolveConcurrency(4)).toBe(4);
+      expect(resolveConcurrency('2')).toBe(2);
+    });
+    
+    it('should fall back to a single worker for invalid values', () => {
+      expect(resolveConcurrency(undefined)).toBe(1);
+      expect(resolveConcurrency(0)).toBe(1);
+      expect(resolveConcurrency('many')).toBe(1);
+    });
+    
+    it('should use at least one worker for auto', () => {
+      expect(resolveConcurrency('auto')).toBeGreaterThanOrEqual(1);
+    });
+  });
+  
+  describe('runJobs', () => {
+    it('should return results in job order regardless of completion order', async () => {
+      const results = await runJobs([
+        { id: 'slow', run: () => delay(20).then(() => 'slow') },
+        { id: 'fast', run: () => 'fast' }
+      ], { concurrency: 2 });
+      
+      expect(results.map(result => result.id)).toEqual(['slow', 'fast']);
+      expect(results.map(result => result.value)).toEqual(['slow', 'fast']);
+    });
+    
+    it('should not exceed the concurrency limit', async () => {
+      let active = 0;
+      let maxActive = 0;
+      const run = async () => {
+        active++;
+        maxActive = Math.max(maxActive, active);
+        await delay(5);
+        active--;
+      };
+      
+      await runJobs([1, 2, 3, 4, 5].map(id => ({ id: `job-${id}`, run })), { concurrency: 2 });
+      
+      expect(maxActive).toBe(2);
+    });
+    
+    it('should start dependent jobs only after their dependencies', async () => {
+      const order = [];
+      
+      await runJobs([
+        { id: 'mobi', dependsOn: ['epub'], run: () => order.push('mobi') },
+        { id: 'epub', run: () => delay(10).then(() => order.push('epub')) }
+      ], { concurrency: 2 });
+      
+      expect(order).toEqual(['epub', 'mobi']);
+    });
+    
+    it('should skip jobs whose dependencies failed', async () => {
+      const mobi = jest.fn();
+      
+      const results = await runJobs([
+        { id: 'epub', run: () => { throw new Error('pandoc failed'); } },
+        { id: 'mobi', dependsOn: ['epub'], run: mobi }
+      ]);
+      
+      expect(results[0].success).toBe(false);
+      expect(results[0].error.message).toBe('pandoc failed');
+      expect(results[1].success).toBe(false);
+      expect(mobi).not.toHaveBeenCalled();
+    });
+    
+    it('should collect log messages per job', async () => {
+      const results = await runJobs([
+        { id: 'pdf', run: (logger) => { logger.log('building'); logger.warn('careful'); } }
+      ]);
+      
+      expect(results[0].logs).toEqual([
+        { level: 'info', message: 'building' },
+        { level: 'warn', message: 'careful' }
+      ]);
+    });
+    
+    it('should reject unknown dependencies', async () => {
+      await expect(runJobs([{ id: 'mobi', dependsOn: ['epub'], run: jest.fn() }]))
+        .rejects.toThrow('unknown job epub');
+    });
+  });
+});
@@ -0,0 +1,194 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+
+// Module to test
+const {
+  getSearchSettings,
+  getLanguageRules,
+  tokenize,
+  normalizeTerm,
+  extractSections,
+  buildSearchIndex,
+  injectSearch,
+  addSearchToHtml
+} = require('../src/search');
+
+const PAGE = [
+  '<html><head><title>Book</title></head><body>',
+  '<nav id="TOC"><ul><li><a href="#installing">Installing</a></li></ul></nav>',
+  '<main>',
+  '<section id="installing" class="level1"><h1>Installing</h1>',
+  '<p>Install the packages with npm &amp; run the installer.</p>',
+  '<h2 id="configuration">Configuration</h2>',
+  '<p>Edit <code>book.yaml</code> to configure the books.</p>',
+  '<script>var ignored = "scripted";</script>',
+  '</section>',
+  '</main>',
+  '</body></html>'
+].join('\n');
+
+/**
+ * Run the injected client script against a minimal DOM and return a search function
+ */
+function loadClient(html) {
+  const elements = {};
+  const element = id => {
+    elements[id] = elements[id] || {
+      id,
+      value: '',
+      hidden: true,
+      children: [],
+      listeners: {},
+      appendChild(child) { this.children.push(child); },
+      addEventListener(type, listener) { this.listeners[type] = listener; },
+      set innerHTML(value) { this.children = []; }
+    };
+    return elements[id];
+  };
+  
+  const inline = html.match(/<script type="application\/json" id="book-search-index">([\s\S]*?)<\/script>/);
+  if (inline) {
+    element('book-search-index').textContent = inline[1];
+  }
+  
+  const document = {
+    getElementById: element,
+    createElement: tag => ({ tag, children: [], appendChild(child) { this.children.push(child); } })
+  };
+  const script = html.match(/<script>\n([\s\S]*?)<\/script>/)[1];
+  vm.runInNewContext(script, { window: {}, document });
+  
+  return query => {
+    const input = element('book-search-input');
+    input.value = query;
+    input.listeners.input();
+    return element('book-search-results').children.map(item => item.children[0].href);
+  };
+}
+
+describe('Search Module', () => {
+  describe('getSearchSettings', () => {
+    it('should be off by default and accept a boolean or an object', () => {
+      expect(getSearchSettings({}).enabled).toBe(false);
+      expect(getSearchSettings({ formatSettings: { html: { search: true } } }).enabled).toBe(true);
+      expect(getSearchSettings({ formatSettings: { html: { search: { enabled: false } } } }).enabled).toBe(false);
+      
+      const settings = getSearchSettings({ formatSettings: { html: { search: { maxResults: 3, placeholder: 'Buscar' } } } });
+      expect(settings).toEqual(expect.objectContaining({ enabled: true, maxResults: 3, placeholder: 'Buscar' }));
+    });
+  });
+  
+  describe('normalizeTerm', () => {
+    it('should drop stop words and stem with the language rules', () => {
+      const english = getLanguageRules('en-US');
+      
+      expect(tokenize('Café, crème & Déjà-vu!')).toEqual(['cafe', 'creme', 'deja', 'vu']);
+      expect(normalizeTerm('the', english, 2)).toBeNull();
+      expect(normalizeTerm('installing', english, 2)).toBe('install');
+      expect(normalizeTerm('packages', english, 2)).toBe('packag');
+      expect(normalizeTerm('bus', english, 2)).toBe('bus');
+      expect(normalizeTerm('libros', getLanguageRules('es'), 2)).toBe('libr');
+      expect(normalizeTerm('books', getLanguageRules('xx'), 2)).toBe('books');
+    });
+  });
+  
+  describe('extractSections', () => {
+    it('should split the main content at headings', () => {
+      const sections = extractSections(PAGE, 'book.html');
+      
+      expect(sections).toEqual([
+        { url: 'book.html#installing', title: 'Installing', text: 'Install the packages with npm & run the installer.' },
+        { url: 'book.html#configuration', title: 'Configuration', text: 'Edit book.yaml to configure the books.' }
+      ]);
+    });
+  });
+  
+  describe('buildSearchIndex', () => {
+    it('should weight title words above body words', () => {
+      const index = buildSearchIndex([{ file: 'book.html', html: PAGE }], 'en');
+      
+      expect(index.docs.map(doc => doc.url)).toEqual(['book.html#installing', 'book.html#configuration']);
+      expect(index.terms.install).toEqual([0, 7]);
+      expect(index.terms.configur).toEqual([1, 6]);
+      expect(index.terms.the).toBeUndefined();
+      expect(index.terms.scripted).toBeUndefined();
+    });
+    
+    it('should shorten long snippets at a word boundary', () => {
+      const index = buildSearchIndex([{ file: 'a.html', html: '<h1 id="a">A</h1><p>one two three four</p>' }], 'en', {
+        ...getSearchSettings({}),
+        snippetLength: 10
+      });
+      
+      expect(index.docs[0].snippet).toBe('one two…');
+    });
+    
+    it('should decode numeric entities and keep invalid ones as written', () => {
+      const index = buildSearchIndex([{ file: 'a.html', html: '<h1 id="a">A</h1><p>&#233;t&#xE9; &#99999999; &amp;</p>' }], 'en', getSearchSettings({}));
+      
+      expect(index.docs[0].snippet).toBe('été &#99999999; &');
+    });
+  });
+  
+  describe('injectSearch', () => {
+    it('should search the embedded index in the browser', () => {
+      const settings = getSearchSettings({});
+      const index = buildSearchIndex([{ file: 'book.html', html: PAGE }], 'en', settings);
+      const search = loadClient(injectSearch(PAGE, { settings, index }));
+      
+      expect(search('install')).toEqual(['book.html#installing']);
+      expect(search('configuring books')).toEqual(['book.html#configuration']);
+      expect(search('conf')).toEqual(['book.html#configuration']);
+      expect(search('packages yaml')).toEqual([]);
+    });
+    
+    it('should load the index from a script on multi-page sites', () => {
+      const html = injectSearch('<html><head></head><body><p>x</p></body></html>', {
+        settings: getSearchSettings({}),
+        indexScript: 'assets/search-index.js'
+      });
+      
+      expect(html).toMatch(/<body>\n<div class="book-search" role="search">/);
+      expect(html).toContain('<script src="assets/search-index.js"></script>');
+      expect(html).toContain('.book-search {');
+    });
+  });
+  
+  describe('addSearchToHtml', () => {
+    let dir;
+    
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'book-search-'));
+    });
+    
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+    
+    it('should write the JSON index and embed it in the page', () => {
+      const outputPath = path.join(dir, 'book.html');
+      fs.writeFileSync(outputPath, PAGE.replace('run the installer', 'avoid &lt;/script&gt; tags'));
+      
+      const indexPath = addSearchToHtml(outputPath, 'en', { formatSettings: { html: { search: true } } });
+      
+      expect(indexPath).toBe(path.join(dir, 'book.search.json'));
+      expect(JSON.parse(fs.readFileSync(indexPath, 'utf-8')).docs).toHaveLength(2);
+      
+      const html = fs.readFileSync(outputPath, 'utf-8');
+      expect(html).toContain('id="book-search-index"');
+      expect(html).toContain('avoid \\u003c/script> tags');
+    });
+    
+    it('should leave the page alone when search is disabled', () => {
+      const outputPath = path.join(dir, 'book.html');
+      fs.writeFileSync(outputPath, PAGE);
+      
+      expect(addSearchToHtml(outputPath, 'en', {})).toBeNull();
+      expect(addSearchToHtml(outputPath, 'en', { formatSettings: { html: { search: false } } })).toBeNull();
+      expect(fs.readFileSync(outputPath, 'utf-8')).toBe(PAGE);
+      expect(fs.existsSync(path.join(dir, 'book.search.json'))).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,223 @@
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../src/watch', () => ({
+  watchBook: jest.fn()
+}));
+
+const { watchBook } = require('../src/watch');
+
+// Module to test
+const {
+  LIVE_RELOAD_PATH,
+  getContentType,
+  injectPreviewScripts,
+  renderErrorPage,
+  resolveStaticFile,
+  serveBook
+} = require('../src/serve');
+
+/**
+ * Request a path from a test server
+ */
+function get(port, urlPath) {
+  return new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port, path: urlPath }, response => {
+      let body = '';
+      response.setEncoding('utf-8');
+      response.on('data', chunk => { body += chunk; });
+      response.on('end', () => resolve({ status: response.statusCode, headers: response.headers, body }));
+    }).on('error', reject);
+  });
+}
+
+describe('Serve Module', () => {
+  let projectRoot;
+  
+  const write = (file, content) => {
+    const filePath = path.join(projectRoot, file);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+    return filePath;
+  };
+  
+  beforeEach(() => {
+    projectRoot = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'book-serve-')));
+    write('book.yaml', 'title: Test Book\nfilePrefix: test-book\nlanguages:\n  - en\n  - es\n');
+    write('build/en/test-book.html', '<html><head><title>Test</title></head><body><img src="images/cover.png"></body></html>');
+    write('book/images/cover.png', 'png');
+    write('build/en/media/figure.png', 'figure');
+    
+    watchBook.mockReset();
+    watchBook.mockReturnValue({ close: jest.fn().mockResolvedValue() });
+  });
+  
+  afterEach(() => {
+    fs.rmSync(projectRoot, { recursive: true, force: true });
+  });
+  
+  describe('injectPreviewScripts', () => {
+    it('should add the language switcher and live reload client', () => {
+      const page = injectPreviewScripts('<html><head></head><body class="book"><p>Text</p></body></html>', {
+        language: 'es',
+        languages: ['en', 'es']
+      });
+      
+      expect(page).toMatch(/<body class="book">\n<nav class="book-serve-languages"/);
+      expect(page).toContain('<a href="/es/" hreflang="es" aria-current="page">ES</a>');
+      expect(page).toContain(`new EventSource('${LIVE_RELOAD_PATH}')`);
+      expect(page.indexOf('EventSource')).toBeLessThan(page.indexOf('</body>'));
+    });
+    
+    it('should leave out the switcher for a single language', () => {
+      const page = injectPreviewScripts('<p>Text</p>', { language: 'en', languages: ['en'] });
+      
+      expect(page).not.toContain('<nav');
+      expect(page).toContain('EventSource');
+    });
+  });
+  
+  describe('renderErrorPage', () => {
+    it('should escape the error output', () => {
+      const error = Object.assign(new Error('Error generating HTML'), { stderr: '<b>broken</b>' });
+      const page = renderErrorPage(error, { language: 'en', languages: ['en'] });
+      
+      expect(page).toContain('<h1>Build failed</h1>');
+      expect(page).toContain('&lt;b&gt;broken&lt;/b&gt;');
+    });
+  });
+  
+  describe('resolveStaticFile', () => {
+    it('should look in the build output before the sources', () => {
+      expect(resolveStaticFile(projectRoot, 'en', 'media/figure.png')).toBe(path.join(projectRoot, 'build/en/media/figure.png'));
+      expect(resolveStaticFile(projectRoot, 'en', 'images/cover.png')).toBe(path.join(projectRoot, 'book/images/cover.png'));
+    });
+    
+    it('should not serve hidden files or files outside the project', () => {
+      write('.env', 'SECRET=1');
+      
+      expect(resolveStaticFile(projectRoot, 'en', '.env')).toBeNull();
+      expect(resolveStaticFile(projectRoot, 'en', '../../../etc/passwd')).toBeNull();
+      expect(resolveStaticFile(projectRoot, 'en', '/etc/passwd')).toBeNull();
+    });
+  });
+  
+  describe('getContentType', () => {
+    it('should map extensions to MIME types', () => {
+      expect(getContentType('a/b.SVG')).toBe('image/svg+xml');
+      expect(getContentType('a/b.unknown')).toBe('application/octet-stream');
+    });
+  });
+  
+  describe('serveBook', () => {
+    let preview;
+    
+    afterEach(async () => {
+      await preview.close();
+    });
+    
+    it('should serve the HTML output with preview scripts', async () => {
+      preview = await serveBook({ projectPath: projectRoot, port: 0 });
+      
+      const redirect = await get(preview.port, '/');
+      expect(redirect.status).toBe(302);
+      expect(redirect.headers.location).toBe('/en/');
+      
+      const page = await get(preview.port, '/en/');
+      expect(page.status).toBe(200);
+      expect(page.body).toContain('<img src="images/cover.png">');
+      expect(page.body).toContain('hreflang="es"');
+      expect(page.body).toContain('EventSource');
+      
+      const image = await get(preview.port, '/en/images/cover.png');
+      expect(image.status).toBe(200);
+      expect(image.headers['content-type']).toBe('image/png');
+      
+      expect((await get(preview.port, '/fr/')).status).toBe(404);
+    });
+    
+    it('should rewrite extracted media paths', async () => {
+      write('build/en/test-book.html', `<body><img src="${path.join(projectRoot, 'build/en/media/figure.png')}"></body>`);
+      preview = await serveBook({ projectPath: projectRoot, port: 0 });
+      
+      const page = await get(preview.port, '/en/');
+      
+      expect(page.body).toContain('<img src="media/figure.png">');
+    });
+    
+    it('should explain when a language has not been built', async () => {
+      preview = await serveBook({ projectPath: projectRoot, port: 0 });
+      
+      const page = await get(preview.port, '/es/');
+      
+      expect(page.status).toBe(404);
+      expect(page.body).toContain('Not built yet');
+    });
+    
+    it('should show the last build error and notify browsers', async () => {
+      preview = await serveBook({ projectPath: projectRoot, port: 0 });
+      const { onRebuild } = watchBook.mock.calls[0][0];
+      
+      expect(watchBook).toHaveBeenCalledWith(expect.objectContaining({ language: 'en', formats: ['html'] }));
+      
+      const events = await new Promise((resolve, reject) => {
+        http.get({ host: '127.0.0.1', port: preview.port, path: LIVE_RELOAD_PATH }, response => {
+          let data = '';
+          response.setEncoding('utf-8');
+          response.on('data', chunk => {
+            data += chunk;
+            if (data.includes('event: reload')) {
+              response.destroy();
+              resolve(data);
+            } else {
+              onRebuild({ files: [], formats: ['html'], result: { success: false, errors: { html: 'pandoc exploded' } }, error: null });
+            }
+          });
+        }).on('error', reject);
+      });
+      
+      expect(events).toContain('event: reload');
+      
+      const page = await get(preview.port, '/en/');
+      expect(page.status).toBe(500);
+      expect(page.body).toContain('pandoc exploded');
+      
+      onRebuild({ files: [], formats: ['html'], result: { success: true, cache: { misses: ['html'] }, errors: {} }, error: null });
+      expect((await get(preview.port, '/en/')).status).toBe(200);
+    });
+    
+    it('should answer 404 when a file disappears before it is read', async () => {
+      preview = await serveBook({ projectPath: projectRoot, port: 0 });
+      const createReadStream = jest.spyOn(fs, 'createReadStream').mockImplementation(file => {
+        createReadStream.mockRestore();
+        fs.rmSync(file);
+        return fs.createReadStream(file);
+      });
+      
+      const image = await get(preview.port, '/en/images/cover.png');
+      
+      expect(image.status).toBe(404);
+      expect((await get(preview.port, '/en/')).status).toBe(200);
+    });
+    
+    it('should load the configuration once and again after each rebuild', async () => {
+      preview = await serveBook({ projectPath: projectRoot, port: 0 });
+      const { onRebuild } = watchBook.mock.calls[0][0];
+      
+      write('book.yaml', 'title: Test Book\nfilePrefix: renamed\nlanguages:\n  - en\n');
+      write('build/en/renamed.html', '<html><head></head><body>Renamed</body></html>');
+      expect((await get(preview.port, '/en/')).body).not.toContain('Renamed');
+      
+      onRebuild({ files: [], formats: ['html'], result: { success: true, cache: { misses: ['html'] }, errors: {} }, error: null });
+      expect((await get(preview.port, '/en/')).body).toContain('Renamed');
+    });
+    
+    it('should not watch when disabled', async () => {
+      preview = await serveBook({ projectPath: projectRoot, port: 0, watch: false });
+      
+      expect(watchBook).not.toHaveBeenCalled();
+    });
+  });
+});
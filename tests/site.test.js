@@ -0,0 +1,253 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../src/process', () => ({
+  ...jest.requireActual('../src/process'),
+  runProcess: jest.fn()
+}));
+
+const { runProcess } = require('../src/process');
+
+// Module to test
+const {
+  slugifyHeading,
+  splitPages,
+  renderSidebar,
+  copyPageImages,
+  resolveCrossPageLinks,
+  renderSitemap,
+  buildSite
+} = require('../src/site');
+
+const BOOK = [
+  'Opening remarks.',
+  '',
+  '# Introduction {.unnumbered}',
+  '',
+  'Welcome. See [setup](#setting-up).',
+  '',
+  '## Getting Started',
+  '',
+  '```markdown',
+  '# Not a heading',
+  '```',
+  '',
+  '# Setting Up {#setting-up}',
+  '',
+  '## Getting Started',
+  '',
+  '![Diagram](images/diagram.png "Flow")',
+  ''
+].join('\n');
+
+describe('Site Module', () => {
+  describe('slugifyHeading', () => {
+    it('should create pandoc style identifiers', () => {
+      expect(slugifyHeading('Chapter 1: *The* [Beginning](x.md)')).toBe('chapter-1-the-beginning');
+      expect(slugifyHeading('2. Café & Crème')).toBe('café-crème');
+      expect(slugifyHeading('!!!')).toBe('section');
+    });
+  });
+  
+  describe('splitPages', () => {
+    it('should split at level-1 headings outside code blocks', () => {
+      const pages = splitPages(BOOK);
+      
+      expect(pages.map(page => page.file)).toEqual(['introduction.html', 'setting-up.html']);
+      expect(pages[0].markdown.startsWith('Opening remarks.')).toBe(true);
+      expect(pages[0].markdown).toContain('# Not a heading');
+      expect(pages[1].headings).toEqual([
+        { level: 1, text: 'Setting Up', id: 'setting-up', unlisted: false },
+        { level: 2, text: 'Getting Started', id: 'getting-started', unlisted: false }
+      ]);
+    });
+    
+    it('should split at sections and keep slugs unique', () => {
+      const pages = splitPages(BOOK, { splitLevel: 2 });
+      
+      expect(pages.map(page => page.slug)).toEqual([
+        'introduction',
+        'getting-started',
+        'setting-up',
+        'getting-started-1'
+      ]);
+    });
+    
+    it('should only strip closing hashes that follow whitespace', () => {
+      const pages = splitPages('# Using C#\n\nText.\n\n# Closed ##\n\nMore.');
+      
+      expect(pages.map(page => page.headings[0].text)).toEqual(['Using C#', 'Closed']);
+    });
+  });
+  
+  describe('renderSidebar', () => {
+    it('should nest sections and mark the current page', () => {
+      const sidebar = renderSidebar(splitPages(BOOK), 'setting-up.html', 'My <Book>');
+      
+      expect(sidebar).toContain('<a href="index.html">My &lt;Book&gt;</a>');
+      expect(sidebar).toContain('<a href="setting-up.html" aria-current="page">Setting Up</a>');
+      expect(sidebar).toContain('<a href="setting-up.html#getting-started">Getting Started</a>');
+    });
+  });
+  
+  describe('resolveCrossPageLinks', () => {
+    it('should point links at the page defining the identifier', () => {
+      const pages = resolveCrossPageLinks(new Map([
+        ['a.html', '<h1 id="a">A</h1><a href="#b">B</a><a href="#a">A</a><a href="#missing">?</a>'],
+        ['b.html', '<h1 id="b">B</h1>']
+      ]));
+      
+      expect(pages.get('a.html')).toBe('<h1 id="a">A</h1><a href="b.html#b">B</a><a href="#a">A</a><a href="#missing">?</a>');
+    });
+  });
+  
+  describe('renderSitemap', () => {
+    it('should list every page under the base URL', () => {
+      const sitemap = renderSitemap('https://example.com/book', ['index.html', 'intro.html']);
+      
+      expect(sitemap).toContain('<loc>https://example.com/book/</loc>');
+      expect(sitemap).toContain('<loc>https://example.com/book/intro.html</loc>');
+    });
+  });
+  
+  describe('with a project', () => {
+    let projectRoot;
+    
+    const write = (file, content) => {
+      const filePath = path.join(projectRoot, file);
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, content);
+      return filePath;
+    };
+    
+    beforeEach(() => {
+      projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'book-site-'));
+      write('book/en/images/diagram.png', 'png');
+      write('templates/html/style.css', 'body {}');
+      
+      // Fake pandoc: wrap the page markdown in a minimal document
+      runProcess.mockReset();
+      runProcess.mockImplementation(async (command, args) => {
+        const markdown = fs.readFileSync(args[0], 'utf-8');
+        const ids = [...markdown.matchAll(/^#+ .*?\{#([\w-]+)/gm)].map(match => `<h1 id="${match[1]}"></h1>`);
+        const output = args[args.indexOf('-o') + 1];
+        fs.writeFileSync(output, `<html><head><title>Book</title></head><body>${ids.join('')}<pre>${markdown}</pre></body></html>`);
+        return { success: true, stdout: '', stderr: '' };
+      });
+    });
+    
+    afterEach(() => {
+      fs.rmSync(projectRoot, { recursive: true, force: true });
+    });
+    
+    it('should copy referenced images once and rewrite their paths', () => {
+      const siteDir = path.join(projectRoot, 'site');
+      const context = {
+        projectRoot,
+        resourceDirs: [projectRoot, path.join(projectRoot, 'book/en')],
+        siteDir,
+        copied: new Map()
+      };
+      
+      const markdown = copyPageImages('![A](images/diagram.png) <img src="images/diagram.png"> ![B](https://x.org/b.png)', context);
+      
+      expect(markdown).toBe('![A](assets/book/en/images/diagram.png) <img src="assets/book/en/images/diagram.png"> ![B](https://x.org/b.png)');
+      expect(fs.existsSync(path.join(siteDir, 'assets/book/en/images/diagram.png'))).toBe(true);
+      expect(context.copied.size).toBe(1);
+    });
+    
+    it('should build every page with navigation, assets and a sitemap', async () => {
+      const inputPath = write('build/en/combined.md', BOOK);
+      const outputPath = path.join(projectRoot, 'build/en/site/index.html');
+      const config = {
+        title: 'My Book',
+        formatSettings: {
+          html: { css: 'templates/html/style.css', selfContained: true, toc: true, search: true },
+          site: { baseUrl: 'https://example.com/book/' }
+        }
+      };
+      
+      const files = await buildSite(config, inputPath, outputPath, 'en', projectRoot, { resourcePaths: '.:book/en' });
+      const siteDir = path.dirname(outputPath);
+      
+      expect(files).toEqual(expect.arrayContaining(['index.html', 'introduction.html', 'setting-up.html', 'sitemap.xml', 'assets/style.css', 'assets/search-index.js']));
+      
+      const args = runProcess.mock.calls[1][1];
+      expect(args).toContain('--css=assets/style.css');
+      expect(args).not.toContain('--self-contained');
+      expect(args).not.toContain('--toc');
+      
+      const landing = fs.readFileSync(path.join(siteDir, 'index.html'), 'utf-8');
+      expect(landing).toContain('[Introduction](introduction.html)');
+      
+      const intro = fs.readFileSync(path.join(siteDir, 'introduction.html'), 'utf-8');
+      expect(intro).toContain('<title>Introduction – My Book</title>');
+      expect(intro).toContain('<link rel="canonical" href="https://example.com/book/introduction.html">');
+      expect(intro).toContain('<a rel="prev" href="index.html">← My Book</a>');
+      expect(intro).toContain('<a rel="next" href="setting-up.html">Setting Up →</a>');
+      expect(intro).toContain('<a href="introduction.html" aria-current="page">Introduction</a>');
+      expect(intro).toContain('<script src="assets/search-index.js"></script>');
+      
+      const index = JSON.parse(fs.readFileSync(path.join(siteDir, 'assets/search-index.json'), 'utf-8'));
+      expect(index.docs.map(doc => doc.url)).toEqual(expect.arrayContaining(['introduction.html', 'setting-up.html#setting-up']));
+      
+      const setup = fs.readFileSync(path.join(siteDir, 'setting-up.html'), 'utf-8');
+      expect(setup).toContain('![Diagram](assets/book/en/images/diagram.png "Flow")');
+      
+      const sitemap = fs.readFileSync(path.join(siteDir, 'sitemap.xml'), 'utf-8');
+      const locations = [...sitemap.matchAll(/<loc>(.*?)<\/loc>/g)].map(match => match[1]);
+      expect(locations).toEqual(expect.arrayContaining(['https://example.com/book/', 'https://example.com/book/introduction.html']));
+      expect(locations.every(location => location.endsWith('/') || location.endsWith('.html'))).toBe(true);
+    });
+    
+    it('should copy the font files and link their stylesheet', async () => {
+      write('fonts/Serif Regular.woff2', 'font');
+      const inputPath = write('build/en/combined.md', BOOK);
+      const outputPath = path.join(projectRoot, 'build/en/site/index.html');
+      const config = {
+        title: 'My Book',
+        fonts: [{ family: 'Serif', role: 'body', files: { regular: 'fonts/Serif Regular.woff2' } }]
+      };
+      
+      const files = await buildSite(config, inputPath, outputPath, 'en', projectRoot, { resourcePaths: '.' });
+      const css = fs.readFileSync(path.join(projectRoot, 'build/en/site/assets/fonts.css'), 'utf-8');
+      
+      expect(files).toEqual(expect.arrayContaining(['assets/fonts.css', 'assets/fonts/Serif Regular.woff2']));
+      expect(css).toContain('src: url("fonts/Serif%20Regular.woff2") format("woff2");');
+      expect(runProcess.mock.calls[0][1].filter(arg => arg.startsWith('--css='))).toEqual(['--css=assets/fonts.css']);
+    });
+    
+    it('should label the landing page in the language of the site', async () => {
+      const inputPath = write('build/es/combined.md', BOOK);
+      const outputPath = path.join(projectRoot, 'build/es/site/index.html');
+      const logger = { log: jest.fn(), warn: jest.fn(), error: jest.fn() };
+      
+      await buildSite({ title: 'Mi libro' }, inputPath, outputPath, 'es', projectRoot, { logger });
+      const landing = fs.readFileSync(outputPath, 'utf-8');
+      
+      expect(landing).toContain('## Contenido {.unnumbered}');
+      expect(landing).toContain('[Empezar a leer →](introduction.html){.site-start}');
+      
+      await buildSite({ title: 'Mi libro', formatSettings: { site: { contentsLabel: 'Índice' } } }, inputPath, outputPath, 'es-MX', projectRoot, { logger });
+      expect(fs.readFileSync(outputPath, 'utf-8')).toContain('## Índice {.unnumbered}');
+    });
+    
+    it('should remove pages left over from the previous build only', async () => {
+      const inputPath = write('build/en/combined.md', BOOK);
+      const outputPath = path.join(projectRoot, 'build/en/site/index.html');
+      const siteDir = path.dirname(outputPath);
+      const logger = { log: jest.fn(), warn: jest.fn(), error: jest.fn() };
+      
+      await buildSite({ title: 'Book' }, inputPath, outputPath, 'en', projectRoot, { logger });
+      write('build/en/site/notes.txt', 'kept');
+      write('build/en/combined.md', '# Renamed\n');
+      await buildSite({ title: 'Book' }, inputPath, outputPath, 'en', projectRoot, { logger });
+      
+      expect(fs.existsSync(path.join(siteDir, 'renamed.html'))).toBe(true);
+      expect(fs.existsSync(path.join(siteDir, 'introduction.html'))).toBe(false);
+      expect(fs.existsSync(path.join(siteDir, 'notes.txt'))).toBe(true);
+      expect(logger.warn).toHaveBeenCalledWith('No baseUrl set in formatSettings.site, skipping sitemap.xml');
+    });
+  });
+});
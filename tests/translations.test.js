@@ -0,0 +1,201 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Module to test
+const {
+  analyzeMarkdown,
+  compareTranslations,
+  renderTranslationReport,
+  diffLines,
+  updateTranslationLock,
+  findStaleTranslations,
+  renderStaleReport
+} = require('../src/translations');
+const { validateStructure } = require('../src/validate');
+
+describe('Translations Module', () => {
+  describe('analyzeMarkdown', () => {
+    it('should read the outline, words and images outside code blocks', () => {
+      const result = analyzeMarkdown([
+        '# Getting [started](intro.md)',
+        '',
+        'Run `book build` now. ![Cover](images/cover.png)',
+        '',
+        '```bash',
+        '# not a heading',
+        '```',
+        '',
+        '## 日本語の本',
+        '',
+        '<img src="images/logo.svg" alt="Logo">'
+      ].join('\n'));
+      
+      expect(result.outline).toEqual([1, 2]);
+      expect(result.images).toEqual(['images/cover.png', 'images/logo.svg']);
+      expect(result.words).toBe(2 + 2 + 5);
+    });
+  });
+  
+  describe('diffLines', () => {
+    it('should group changes into hunks with context', () => {
+      const before = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h', 'i', 'j'].join('\n');
+      const after = ['a', 'B', 'c', 'd', 'e', 'f', 'g', 'h', 'i', 'j', 'k'].join('\n');
+      
+      expect(diffLines(before, after, 1)).toBe([
+        '@@ -1,3 +1,3 @@',
+        ' a',
+        '-b',
+        '+B',
+        ' c',
+        '@@ -10,1 +10,2 @@',
+        ' j',
+        '+k'
+      ].join('\n'));
+      expect(diffLines('same\n', 'same\n')).toBe('');
+    });
+    
+    it('should replace the changed lines of large rewrites without a comparison table', () => {
+      const before = Array.from({ length: 2500 }, (line, index) => `line ${index}`);
+      const after = before.map((line, index) => (index % 100 === 0 || index === 2499 ? `changed ${index}` : line));
+      
+      const diff = diffLines(['title', ...before, 'end'].join('\n'), ['title', ...after, 'end'].join('\n'), 1).split('\n');
+      
+      expect(diff[0]).toBe('@@ -1,2502 +1,2502 @@');
+      expect(diff.slice(2, 2502)).toEqual(before.map(line => `-${line}`));
+      expect(diff.slice(2502, 5002)).toEqual(after.map(line => `+${line}`));
+      expect(diff[diff.length - 1]).toBe(' end');
+    });
+  });
+  
+  describe('compareTranslations', () => {
+    let dir;
+    
+    const write = (file, content) => {
+      const filePath = path.join(dir, file);
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, content);
+    };
+    
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'book-translations-'));
+      write('book.yaml', 'title: Book\nlanguages: [en, es, fr]\n');
+      write('book/en/chapter-01/01-intro.md', '# Intro\n\nOne two three four.\n\n![Figure](images/figure.png)\n');
+      write('book/en/chapter-02/01-usage.md', '# Usage\n\n## Build\n\nOne two three four five six seven eight.\n');
+      write('book/en/chapter-03/01-faq.md', '# FAQ\n\nQuestions.\n');
+      write('book/es/chapter-01/01-intro.md', '---\ntitle: Introducción\n---\n# Intro\n\nUno dos tres cuatro.\n\n![Figura](images/figura.png)\n');
+      write('book/es/capitulo-02/01-uso.md', '# Uso\n\n## Compilar\n\nUno dos.\n');
+      write('book/es/notas.md', '# Notas\n');
+    });
+    
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+    
+    it('should report missing, extra, renamed and differing chapters', async () => {
+      const report = await compareTranslations({ configPath: path.join(dir, 'book.yaml'), languages: ['es'] });
+      const [spanish] = report.languages;
+      
+      expect(report.success).toBe(true);
+      expect(report.source).toBe('en');
+      expect(spanish.files.map(file => [file.source, file.target, file.status, file.differences])).toEqual([
+        ['chapter-01/01-intro.md', 'chapter-01/01-intro.md', 'differs', ['images']],
+        ['chapter-02/01-usage.md', 'capitulo-02/01-uso.md', 'renamed', ['words']],
+        ['chapter-03/01-faq.md', null, 'missing', []],
+        [null, 'notas.md', 'extra', []]
+      ]);
+      expect(spanish.files[0].images).toEqual({ missing: ['images/figure.png'], extra: ['images/figura.png'] });
+      expect(spanish.files[1]).toMatchObject({ headings: { source: 2, target: 2 }, words: { source: 10, target: 4 }, ratio: 0.4 });
+      expect(spanish.summary).toEqual({
+        files: 3,
+        translated: 2,
+        coverage: 0.67,
+        missing: 1,
+        extra: 1,
+        renamed: 1,
+        differs: 2,
+        words: { source: 15, target: 9 },
+        ratio: 0.6
+      });
+    });
+    
+    it('should compare every other language and report unknown source languages', async () => {
+      const report = await compareTranslations({ configPath: path.join(dir, 'book.yaml') });
+      
+      expect(report.languages.map(comparison => comparison.language)).toEqual(['es', 'fr']);
+      expect(report.languages[1].summary).toMatchObject({ translated: 0, missing: 3, coverage: 0 });
+      
+      const missing = await compareTranslations({ configPath: path.join(dir, 'book.yaml'), source: 'de' });
+      
+      expect(missing.success).toBe(false);
+      expect(missing.issues).toEqual([
+        { type: 'error', message: 'Error comparing translations: No chapters found for the source language de in book/de' }
+      ]);
+    });
+    
+    it('should render table, Markdown and JSON reports', async () => {
+      const report = await compareTranslations({ configPath: path.join(dir, 'book.yaml'), languages: ['es'] });
+      const summary = 'es (from en): 2/3 files translated (67%), 1 missing, 1 extra, 1 renamed, 2 with differences, word ratio 0.60';
+      
+      const table = renderTranslationReport(report, 'table').split('\n');
+      expect(table[0]).toBe(summary);
+      expect(table[2]).toMatch(/^File\s+Status\s+Headings\s+Words\s+Ratio\s+Notes$/);
+      expect(table).toContainEqual(expect.stringMatching(/^capitulo-02\/01-uso\.md\s+renamed\s+2\/2\s+10\/4\s+0\.40\s+renamed from chapter-02\/01-usage\.md; few words$/));
+      
+      const markdown = renderTranslationReport(report, 'markdown');
+      expect(markdown).toContain(`## Translation coverage: es\n\n${summary}\n\n| File | Status | Headings | Words | Ratio | Notes |`);
+      expect(markdown).toContain('| chapter-01/01-intro.md | differs | 1/1 | 5/5 | 1.00 | images: -images/figure.png +images/figura.png |');
+      
+      expect(JSON.parse(renderTranslationReport(report, 'json'))).toEqual({ source: 'en', languages: report.languages });
+      expect(() => renderTranslationReport(report, 'csv')).toThrow('Unknown report format: csv (use table, json, markdown)');
+    });
+    
+    it('should list translations whose source changed since the lockfile was updated', async () => {
+      const configPath = path.join(dir, 'book.yaml');
+      
+      const untracked = await findStaleTranslations({ configPath, languages: ['es'] });
+      expect(untracked.locked).toBe(false);
+      expect(untracked.languages[0]).toEqual({
+        language: 'es',
+        stale: [],
+        current: 0,
+        untracked: ['chapter-01/01-intro.md', 'capitulo-02/01-uso.md']
+      });
+      
+      const update = await updateTranslationLock({ configPath, languages: ['es'] });
+      expect(update.updated).toEqual(['book/es/chapter-01/01-intro.md', 'book/es/capitulo-02/01-uso.md']);
+      expect(fs.readdirSync(path.join(dir, '.translations/sources'))).toHaveLength(2);
+      
+      write('book/en/chapter-02/01-usage.md', '# Usage\n\n## Build\n\nOne two three four five six seven eight nine.\n');
+      
+      const report = await findStaleTranslations({ configPath, languages: ['es'] });
+      expect(report.languages[0].current).toBe(1);
+      expect(report.languages[0].stale).toEqual([{
+        target: 'capitulo-02/01-uso.md',
+        source: 'chapter-02/01-usage.md',
+        recordedSource: 'chapter-02/01-usage.md',
+        updated: expect.stringMatching(/^\d{4}-\d{2}-\d{2}$/),
+        diff: [
+          '@@ -2,4 +2,4 @@',
+          ' ',
+          ' ## Build',
+          ' ',
+          '-One two three four five six seven eight.',
+          '+One two three four five six seven eight nine.'
+        ].join('\n')
+      }]);
+      expect(renderStaleReport(report, 'markdown')).toContain('### book/es/capitulo-02/01-uso.md\n\n`book/en/chapter-02/01-usage.md` changed');
+      expect(renderStaleReport(report, 'markdown')).toContain('```diff\n@@ -2,4 +2,4 @@');
+      
+      const structure = await validateStructure({ configPath });
+      expect(structure.issues).toContainEqual({
+        type: 'warning',
+        message: 'Translation book/es/capitulo-02/01-uso.md is out of date: book/en/chapter-02/01-usage.md changed since it was translated (see "book translations --stale")'
+      });
+      
+      await updateTranslationLock({ configPath, languages: ['es'], files: [path.join(dir, 'book/es/capitulo-02/01-uso.md')] });
+      expect((await findStaleTranslations({ configPath, languages: ['es'] })).languages[0].stale).toEqual([]);
+      expect(fs.readdirSync(path.join(dir, '.translations/sources'))).toHaveLength(2);
+    });
+  });
+});
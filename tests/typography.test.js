@@ -0,0 +1,127 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Module to test
+const {
+  getTypographyProfile,
+  getTypographyVariables,
+  renderTypographyCss
+} = require('../src/typography');
+const { getPandocArgs } = require('../src/config');
+const { createPandocCommand, writeBuildStylesheets } = require('../src/utils');
+const { validateConfig } = require('../src/validate');
+
+describe('Typography Module', () => {
+  describe('getTypographyProfile', () => {
+    it('should use the built-in profile of the base language', () => {
+      const profile = getTypographyProfile('ar-EG');
+      
+      expect(profile).toMatchObject({ language: 'ar-EG', dir: 'rtl', script: 'Arabic', polyglossia: 'arabic', cjk: false });
+      expect(profile.fonts).toEqual({ body: 'Noto Naskh Arabic', heading: 'Noto Sans Arabic' });
+      expect(getTypographyProfile('en')).toMatchObject({ dir: 'ltr', polyglossia: null, fonts: {} });
+    });
+    
+    it('should prefer regional profiles and book.yaml overrides', () => {
+      expect(getTypographyProfile('zh-TW').fonts.body).toBe('Noto Serif CJK TC');
+      
+      const profile = getTypographyProfile('zh_TW', {
+        zh: { line_break: 'loose', fonts: { heading: 'Source Han Sans SC' } },
+        'zh-TW': { fonts: { heading: 'Source Han Sans TC' } }
+      });
+      
+      expect(profile).toMatchObject({ cjk: true, lineBreak: 'loose' });
+      expect(profile.fonts).toEqual({ body: 'Noto Serif CJK TC', heading: 'Source Han Sans TC' });
+    });
+  });
+  
+  describe('getTypographyVariables', () => {
+    it('should set polyglossia for RTL languages and xeCJK fonts for CJK', () => {
+      expect(getTypographyVariables(getTypographyProfile('he'))).toEqual([
+        ['mainlanguage', 'hebrew'],
+        ['scriptfont', 'Noto Serif Hebrew'],
+        ['script', 'Hebrew']
+      ]);
+      expect(getTypographyVariables(getTypographyProfile('ja'))).toEqual([
+        ['CJKmainfont', 'Noto Serif CJK JP'],
+        ['CJKsansfont', 'Noto Sans CJK JP']
+      ]);
+      expect(getTypographyVariables(getTypographyProfile('fr'))).toEqual([]);
+    });
+  });
+  
+  describe('renderTypographyCss', () => {
+    it('should style roles with the script fonts after the configured fonts', () => {
+      const css = renderTypographyCss(getTypographyProfile('ja'), [{ family: 'Source Serif', role: 'body', files: [] }]);
+      
+      expect(css).toBe([
+        'body {\n  font-family: "Source Serif", "Noto Serif CJK JP";\n}',
+        'h1, h2, h3, h4, h5, h6 {\n  font-family: "Noto Sans CJK JP";\n}',
+        'body {\n  line-break: strict;\n}'
+      ].join('\n\n') + '\n');
+      expect(renderTypographyCss(getTypographyProfile('ko'))).toContain('word-break: keep-all;');
+      expect(renderTypographyCss(getTypographyProfile('en'))).toBe('');
+    });
+  });
+  
+  describe('builds and validation', () => {
+    let dir;
+    
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'book-typography-'));
+    });
+    
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+    
+    it('should set the direction and page progression of RTL builds', () => {
+      const config = { title: 'Book', author: 'Author', formatSettings: { pdf: { engine: 'xelatex' } } };
+      
+      expect(getPandocArgs(config, 'epub', 'ar')).toEqual(expect.arrayContaining([
+        '--metadata=dir:rtl',
+        '--metadata=page-progression-direction:rtl'
+      ]));
+      expect(getPandocArgs(config, 'pdf', 'ar')).toEqual(expect.arrayContaining([
+        '--metadata=dir:rtl',
+        '--variable=mainlanguage:arabic',
+        '--variable=scriptfont:Noto Naskh Arabic',
+        '--variable=script:Arabic'
+      ]));
+      expect(getPandocArgs(config, 'pdf', 'ar')).not.toContain('--metadata=page-progression-direction:rtl');
+      expect(getPandocArgs({ ...config, formatSettings: {} }, 'pdf', 'ar')).not.toContain('--variable=mainlanguage:arabic');
+      expect(getPandocArgs(config, 'html', 'en').some(arg => arg.startsWith('--metadata=dir:'))).toBe(false);
+    });
+    
+    it('should link a typography stylesheet for CJK EPUB builds', () => {
+      const outputPath = path.join(dir, 'build/ja/book.epub');
+      
+      const stylesheets = writeBuildStylesheets({ title: 'Book' }, 'epub', 'ja', dir);
+      const { args } = createPandocCommand({ title: 'Book' }, 'book.md', outputPath, 'epub', 'ja', '', { stylesheets });
+      const cssPath = path.join(dir, 'build/.cache/stylesheets/ja/typography-epub.css');
+      
+      expect(writeBuildStylesheets({ title: 'Book' }, 'docx', 'ja', dir)).toEqual([]);
+      expect(args).toContain(`--css=${cssPath}`);
+      expect(fs.readFileSync(cssPath, 'utf-8')).toContain('line-break: strict;');
+    });
+    
+    it('should check the typography overrides', async () => {
+      fs.writeFileSync(path.join(dir, 'book.yaml'), [
+        'title: Book',
+        'languages: [en, he]',
+        'typography:',
+        '  he: { dir: right, fonts: { caption: Frank Ruehl } }',
+        '  ar: { fonts: { body: Amiri } }'
+      ].join('\n'));
+      
+      const result = await validateConfig({ configPath: path.join(dir, 'book.yaml') });
+      
+      expect(result.issues.filter(issue => /typography|direction/i.test(issue.message))).toEqual([
+        { type: 'error', message: 'Invalid writing direction for he: right (use ltr or rtl)' },
+        { type: 'error', message: 'Unknown typography font role for he: caption (use body, heading, code)' },
+        { type: 'warning', message: 'Typography settings for ar are not used; the book\'s languages are: en, he' }
+      ]);
+      expect(result.valid).toBe(false);
+    });
+  });
+});
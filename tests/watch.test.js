@@ -0,0 +1,170 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../src/index', () => ({
+  buildBook: jest.fn()
+}));
+
+const { buildBook } = require('../src/index');
+
+// Module to test
+const { getWatchTargets, getAffectedFormats, watchBook } = require('../src/watch');
+
+describe('Watch Module', () => {
+  let projectRoot;
+  
+  const write = (file, content) => {
+    const filePath = path.join(projectRoot, file);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+    return filePath;
+  };
+  
+  beforeEach(() => {
+    projectRoot = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'book-watch-')));
+    write('book.yaml', 'title: Test Book\n');
+    write('book/en/chapter-01/01-intro.md', '# Intro\n');
+    write('templates/html/default.html', '$body$');
+    
+    buildBook.mockReset();
+    buildBook.mockImplementation(async options => ({
+      success: true,
+      cache: { hits: [], misses: options.formats },
+      errors: {}
+    }));
+  });
+  
+  afterEach(() => {
+    fs.rmSync(projectRoot, { recursive: true, force: true });
+  });
+  
+  describe('getWatchTargets', () => {
+    it('should watch sources, templates, book.yaml and referenced files', () => {
+      const css = write('styles/book.css', 'body {}');
+      const config = { formatSettings: { html: { css: 'styles/book.css', template: 'templates/html/default.html' } } };
+      
+      const targets = getWatchTargets(projectRoot, 'en', config);
+      
+      expect(targets).toEqual([
+        { path: path.join(projectRoot, 'book/en'), recursive: true, files: null },
+        { path: path.join(projectRoot, 'templates'), recursive: true, files: null },
+        { path: projectRoot, recursive: false, files: new Set(['book.yaml']) },
+        { path: path.dirname(css), recursive: false, files: new Set(['book.css']) }
+      ]);
+    });
+  });
+  
+  describe('getAffectedFormats', () => {
+    const formats = ['pdf', 'epub', 'mobi', 'html'];
+    
+    it('should rebuild every format for content changes', () => {
+      const file = path.join(projectRoot, 'book/en/chapter-01/01-intro.md');
+      
+      expect(getAffectedFormats([file], formats, { projectRoot })).toEqual({ formats, reloadConfig: false });
+    });
+    
+    it('should limit template and style changes to their format', () => {
+      const css = write('templates/epub/style.css', 'body {}');
+      const latex = path.join(projectRoot, 'templates/pdf/default.latex');
+      
+      expect(getAffectedFormats([css], formats, { projectRoot }).formats).toEqual(['epub', 'mobi']);
+      expect(getAffectedFormats([latex], ['html'], { projectRoot }).formats).toEqual([]);
+    });
+    
+    it('should use the files referenced from the format settings', () => {
+      const css = write('styles/web.css', 'body {}');
+      const config = { formatSettings: { html: { css: 'styles/web.css' } } };
+      
+      expect(getAffectedFormats([css], formats, { projectRoot, config }).formats).toEqual(['html']);
+    });
+    
+    it('should reload the configuration when book.yaml changes', () => {
+      const result = getAffectedFormats([path.join(projectRoot, 'book.yaml')], formats, { projectRoot });
+      
+      expect(result).toEqual({ formats, reloadConfig: true });
+    });
+  });
+  
+  describe('watchBook', () => {
+    const nextRebuild = () => new Promise(resolve => {
+      onRebuild.mockImplementationOnce(resolve);
+    });
+    let onRebuild;
+    let watcher;
+    
+    beforeEach(() => {
+      onRebuild = jest.fn();
+    });
+    
+    afterEach(async () => {
+      await watcher.close();
+    });
+    
+    it('should build once on start', async () => {
+      const rebuilt = nextRebuild();
+      watcher = watchBook({ projectPath: projectRoot, formats: ['html', 'pdf'], debounce: 20, onRebuild });
+      
+      const report = await rebuilt;
+      
+      expect(report.formats).toEqual(['html', 'pdf']);
+      expect(buildBook).toHaveBeenCalledWith(expect.objectContaining({
+        projectPath: projectRoot,
+        language: 'en',
+        formats: ['html', 'pdf']
+      }));
+    });
+    
+    it('should debounce a burst of changes into one rebuild', async () => {
+      watcher = watchBook({ projectPath: projectRoot, formats: ['html'], debounce: 100, initialBuild: false, onRebuild });
+      const rebuilt = nextRebuild();
+      
+      const file = write('book/en/chapter-01/01-intro.md', '# Intro\n\nOne');
+      write('book/en/chapter-01/01-intro.md', '# Intro\n\nTwo');
+      
+      const report = await rebuilt;
+      
+      expect(report.files).toEqual([file]);
+      expect(buildBook).toHaveBeenCalledTimes(1);
+    });
+    
+    it('should ignore editor swap files', async () => {
+      watcher = watchBook({ projectPath: projectRoot, formats: ['html'], debounce: 20, initialBuild: false, onRebuild });
+      const rebuilt = nextRebuild();
+      
+      write('book/en/chapter-01/.01-intro.md.swp', 'swap');
+      const file = write('book/en/chapter-01/02-next.md', '# Next\n');
+      
+      expect((await rebuilt).files).toEqual([file]);
+    });
+    
+    it('should report build errors and keep watching', async () => {
+      buildBook.mockResolvedValueOnce({ success: false, error: new Error('No markdown files found') });
+      watcher = watchBook({ projectPath: projectRoot, formats: ['html'], debounce: 20, onRebuild });
+      
+      const failed = await nextRebuild();
+      expect(failed.error.message).toBe('No markdown files found');
+      
+      const rebuilt = nextRebuild();
+      write('book/en/chapter-01/01-intro.md', '# Fixed\n');
+      
+      expect((await rebuilt).error).toBeNull();
+    });
+    
+    it('should cancel a running build on close', async () => {
+      let signal;
+      buildBook.mockImplementation(options => {
+        signal = options.signal;
+        return new Promise(resolve => {
+          signal.addEventListener('abort', () => resolve({ success: false, error: new Error('cancelled') }));
+        });
+      });
+      
+      watcher = watchBook({ projectPath: projectRoot, formats: ['html'], onRebuild });
+      await watcher.close();
+      
+      expect(signal.aborted).toBe(true);
+      expect(onRebuild).not.toHaveBeenCalled();
+    });
+  });
+});
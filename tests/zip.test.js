@@ -0,0 +1,35 @@
+// Module to test
+const { crc32, readZip, createZip } = require('../src/zip');
+
+describe('Zip Module', () => {
+  describe('crc32', () => {
+    it('should compute the standard checksum', () => {
+      expect(crc32(Buffer.from('123456789')).toString(16)).toBe('cbf43926');
+    });
+  });
+  
+  describe('readZip', () => {
+    it('should read back stored and deflated entries in archive order', () => {
+      const archive = createZip([
+        { name: 'mimetype', data: 'application/epub+zip', store: true },
+        { name: 'b/c.txt', data: 'deflated text' }
+      ]);
+      const entries = readZip(archive);
+      
+      expect(entries.map(entry => [entry.name, entry.method])).toEqual([['mimetype', 0], ['b/c.txt', 8]]);
+      expect(entries[0].read().toString()).toBe('application/epub+zip');
+      expect(entries[1].read().toString()).toBe('deflated text');
+    });
+    
+    it('should skip an archive comment', () => {
+      const archive = createZip([{ name: 'a.txt', data: 'text' }]);
+      archive.writeUInt16LE(7, archive.length - 2);
+      
+      expect(readZip(Buffer.concat([archive, Buffer.from('comment')]))[0].name).toBe('a.txt');
+    });
+    
+    it('should reject data that is not an archive', () => {
+      expect(() => readZip(Buffer.from('not a zip file at all, just some text'))).toThrow('Not a ZIP archive');
+    });
+  });
+});